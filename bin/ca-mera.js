@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * ca-mera — Batch-convert photos into Game Boy Camera images
+ *
+ * Runs the same pipeline as the app (gbcProcessor.js) on a folder of JPEG
+ * and PNG files, entirely in Node with no dependencies: images are decoded
+ * by jpeg.js / png.js, cropped to 8:7, processed, and written as 2-bit
+ * indexed PNGs next to a manifest.json recording the settings used.
+ *
+ *   ca-mera photos/ --palette sunset --dither atkinson --out gb/
+ */
+
+import { readFile, writeFile, readdir, mkdir, stat } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+    processShades, colorizeShades, cropImage, createImageData, upscaleNearest,
+    LENSES, GBC_WIDTH, GBC_HEIGHT,
+} from '../src/gbcProcessor.js';
+import { PALETTES, DEFAULT_PALETTE, hexToRgb, parsePaletteFile } from '../src/palettes.js';
+import { DITHERS, DEFAULT_DITHER } from '../src/dither.js';
+import { cropRect } from '../src/camera.js';
+import { decodePng, encodePng } from '../src/png.js';
+import { decodeJpeg, applyOrientation } from '../src/jpeg.js';
+
+const INPUT_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const USAGE = `Usage: ca-mera <folder or files…> [options]
+
+Options:
+  -o, --out <dir>           Output folder (default: ca-mera-out)
+  -p, --palette <name>      ${Object.keys(PALETTES).join(', ')} (default: ${DEFAULT_PALETTE})
+      --palette-file <file> Use a palette from a .json, .hex or .gpl file instead
+  -b, --brightness <n>      Brightness, -0.5–0.5 (default: 0)
+  -c, --contrast <n>        Contrast, 0.5–2.5 (default: 1.2)
+  -g, --gamma <n>           Gamma, 0.5–2; above 1 lightens midtones (default: 1)
+  -e, --edge <n>            Edge enhancement, 0–1 (default: 0.3)
+  -d, --dither <name>       ${Object.keys(DITHERS).join(', ')} (default: ${DEFAULT_DITHER})
+      --spread <n>          Dither spread (default depends on the dither)
+      --lens <name>         ${Object.keys(LENSES).join(', ')} (default: none)
+      --sensor <mode>       simple or authentic (default: simple)
+  -s, --scale <n>           Output scale, 1–16 (default: 4)
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+    out: { type: 'string', short: 'o', default: 'ca-mera-out' },
+    palette: { type: 'string', short: 'p', default: DEFAULT_PALETTE },
+    'palette-file': { type: 'string' },
+    brightness: { type: 'string', short: 'b', default: '0' },
+    contrast: { type: 'string', short: 'c', default: '1.2' },
+    gamma: { type: 'string', short: 'g', default: '1' },
+    edge: { type: 'string', short: 'e', default: '0.3' },
+    dither: { type: 'string', short: 'd', default: DEFAULT_DITHER },
+    spread: { type: 'string' },
+    lens: { type: 'string', default: 'none' },
+    sensor: { type: 'string', default: 'simple' },
+    scale: { type: 'string', short: 's', default: '4' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Parse a numeric flag, rejecting anything outside [min, max]
+ */
+function number(name, value, min, max) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+        throw new Error(`--${name} must be a number from ${min} to ${max}, got "${value}"`);
+    }
+    return n;
+}
+
+function oneOf(name, value, choices) {
+    if (!(value in choices)) {
+        throw new Error(`Unknown --${name} "${value}" (choose from ${Object.keys(choices).join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * Turn command-line flags into pipeline settings
+ */
+async function readSettings(values) {
+    let palette;
+    if (values['palette-file']) {
+        const file = values['palette-file'];
+        const [first] = parsePaletteFile(await readFile(file, 'utf8'), basename(file));
+        palette = { key: null, ...first };
+    } else {
+        const key = oneOf('palette', values.palette, PALETTES);
+        palette = { key, ...PALETTES[key] };
+    }
+
+    if (values.sensor !== 'simple' && values.sensor !== 'authentic') {
+        throw new Error(`--sensor must be "simple" or "authentic", got "${values.sensor}"`);
+    }
+
+    const dither = oneOf('dither', values.dither, DITHERS);
+    return {
+        palette,
+        brightness: number('brightness', values.brightness, -0.5, 0.5),
+        contrast: number('contrast', values.contrast, 0.5, 2.5),
+        gamma: number('gamma', values.gamma, 0.5, 2),
+        edgeStrength: number('edge', values.edge, 0, 1),
+        lens: oneOf('lens', values.lens, LENSES),
+        dither,
+        spread: values.spread === undefined ? DITHERS[dither].spread : number('spread', values.spread, 0, 1.5),
+        sensor: values.sensor,
+        scale: Math.round(number('scale', values.scale, 1, 16)),
+    };
+}
+
+/**
+ * Expand folders into the image files they contain (not recursive)
+ */
+async function collectInputs(paths) {
+    const files = [];
+    for (const path of paths) {
+        if ((await stat(path)).isDirectory()) {
+            const names = (await readdir(path)).filter((n) => INPUT_EXTENSIONS.includes(extname(n).toLowerCase()));
+            files.push(...names.sort().map((n) => join(path, n)));
+        } else {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+/**
+ * Decode a JPEG or PNG by its contents, upright
+ */
+async function decodeImage(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        const image = decodeJpeg(bytes);
+        return applyOrientation(image, image.orientation);
+    }
+    return decodePng(bytes);
+}
+
+/**
+ * Convert one photo, returning the PNG bytes
+ */
+async function convert(bytes, settings) {
+    const source = await decodeImage(bytes);
+    const cropped = cropImage(source, cropRect(source.width, source.height));
+    const shades = processShades(cropped, settings);
+
+    const paletteRgb = settings.palette.colors.map(hexToRgb);
+    const image = createImageData(GBC_WIDTH, GBC_HEIGHT);
+    colorizeShades(shades, paletteRgb, image.data);
+
+    const scaled = settings.scale > 1 ? upscaleNearest(image, settings.scale) : image;
+    return encodePng(scaled, { paletteRgb });
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const settings = await readSettings(values);
+    const inputs = await collectInputs(positionals);
+    if (!inputs.length) throw new Error('No .jpg, .jpeg or .png files found');
+
+    await mkdir(values.out, { recursive: true });
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    const manifest = {
+        generator: `ca-mera ${pkg.version}`,
+        createdAt: new Date().toISOString(),
+        settings,
+        files: [],
+        failed: [],
+    };
+
+    for (const input of inputs) {
+        const output = `${basename(input, extname(input))}.png`;
+        try {
+            await writeFile(join(values.out, output), await convert(new Uint8Array(await readFile(input)), settings));
+            manifest.files.push({ input, output });
+            console.log(`${input} → ${join(values.out, output)}`);
+        } catch (err) {
+            manifest.failed.push({ input, error: err.message });
+            console.error(`${input}: ${err.message}`);
+        }
+    }
+
+    await writeFile(join(values.out, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`${manifest.files.length} converted, ${manifest.failed.length} failed`);
+    return manifest.failed.length ? 1 : 0;
+}
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        console.error(`ca-mera: ${err.message}`);
+        process.exitCode = 1;
+    },
+);
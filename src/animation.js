@@ -0,0 +1,263 @@
+/**
+ * animation.js — Animated GIF and APNG export
+ *
+ * Both encoders take frames already rendered with a 4-color palette
+ * (e.g. via renderPhoto + upscaleNearest) and write them as indexed color,
+ * so the palette is stored once and every pixel stays one of the 4 shades.
+ *
+ * GIF uses a built-in LZW encoder; APNG reuses the PNG building blocks in
+ * png.js, so neither needs a dependency.
+ */
+
+import { PNG_SIGNATURE, pngChunk, deflate, indexPixels, packScanlines } from './png.js';
+
+// ── Shared ────────────────────────────────────────────────
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    byte(b) {
+        this.bytes.push(b & 0xff);
+    }
+
+    u16le(n) {
+        this.byte(n);
+        this.byte(n >> 8);
+    }
+
+    u32be(n) {
+        this.byte(n >>> 24);
+        this.byte(n >>> 16);
+        this.byte(n >>> 8);
+        this.byte(n);
+    }
+
+    write(arr) {
+        for (const b of arr) this.bytes.push(b);
+    }
+
+    ascii(str) {
+        for (const ch of str) this.byte(ch.charCodeAt(0));
+    }
+
+    toUint8Array() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+// Longest frame delay either format can store, in ms: GIF counts 1/100 s
+// in 16 bits, and so does APNG once milliseconds no longer fit
+export const MAX_FRAME_DELAY = 0xffff * 10;
+
+// ── GIF ───────────────────────────────────────────────────
+
+const GIF_MIN_CODE_SIZE = 2; // 4 colors
+const GIF_MAX_CODE = 4096;
+
+/**
+ * GIF-flavored LZW: variable-width codes packed LSB-first, starting at
+ * min code size + 1 bits, with a clear code whenever the table fills up.
+ *
+ * @param {Uint8Array} indices - Palette indices (0–3)
+ * @returns {Uint8Array} Raw code stream (not yet split into sub-blocks)
+ */
+export function lzwEncode(indices) {
+    const clearCode = 1 << GIF_MIN_CODE_SIZE;
+    const eoiCode = clearCode + 1;
+    const out = [];
+
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = GIF_MIN_CODE_SIZE + 1;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    let table = new Map();
+    let nextCode = eoiCode + 1;
+    const reset = () => {
+        table = new Map();
+        nextCode = eoiCode + 1;
+        codeSize = GIF_MIN_CODE_SIZE + 1;
+    };
+
+    emit(clearCode);
+    if (indices.length === 0) {
+        emit(eoiCode);
+        if (bitCount > 0) out.push(bitBuffer & 0xff);
+        return Uint8Array.from(out);
+    }
+
+    // Strings are keyed as (prefix code << 8 | next index)
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode < GIF_MAX_CODE) {
+            table.set(key, nextCode++);
+            // Grow once the next code no longer fits the current width
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            reset();
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xff);
+    return Uint8Array.from(out);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ *
+ * @param {ImageData[]} frames - Same-sized frames using only palette colors
+ * @param {object} options
+ * @param {number[][]} options.paletteRgb - 4 [r, g, b] entries, written as the global color table
+ * @param {number[]} options.delays - Per-frame delay in milliseconds
+ * @returns {Uint8Array}
+ */
+export function encodeGif(frames, { paletteRgb, delays }) {
+    const { width, height } = frames[0];
+    const w = new ByteWriter();
+
+    // Header + logical screen descriptor with a 4-entry global color table
+    w.ascii('GIF89a');
+    w.u16le(width);
+    w.u16le(height);
+    w.byte(0x80 | ((GIF_MIN_CODE_SIZE - 1) << 4) | (GIF_MIN_CODE_SIZE - 1));
+    w.byte(0); // background color index
+    w.byte(0); // pixel aspect ratio
+    paletteRgb.forEach((rgb) => w.write(rgb));
+
+    // NETSCAPE2.0 extension: loop forever
+    w.write([0x21, 0xff, 0x0b]);
+    w.ascii('NETSCAPE2.0');
+    w.write([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    frames.forEach((frame, i) => {
+        // Graphic control extension: delay in 1/100 s (browsers clamp < 2)
+        w.write([0x21, 0xf9, 0x04, 0x00]);
+        w.u16le(Math.min(0xffff, Math.max(2, Math.round(delays[i] / 10))));
+        w.write([0x00, 0x00]);
+
+        // Image descriptor: full frame, no local color table
+        w.byte(0x2c);
+        w.u16le(0);
+        w.u16le(0);
+        w.u16le(width);
+        w.u16le(height);
+        w.byte(0);
+
+        // Image data in ≤255-byte sub-blocks
+        const data = lzwEncode(indexPixels(frame, paletteRgb));
+        w.byte(GIF_MIN_CODE_SIZE);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            w.byte(block.length);
+            w.write(block);
+        }
+        w.byte(0);
+    });
+
+    w.byte(0x3b); // trailer
+    return w.toUint8Array();
+}
+
+// ── APNG ──────────────────────────────────────────────────
+
+/**
+ * Append a PNG chunk (length, type, data, CRC over type + data)
+ */
+function writeChunk(w, type, data) {
+    w.write(pngChunk(type, data));
+}
+
+/**
+ * A delay in ms as the fcTL fraction of a second: ms over 1000 while that
+ * fits 16 bits, 1/100 s (capped) beyond
+ * @returns {[number, number]} Numerator, denominator
+ */
+function apngDelay(ms) {
+    const delay = Math.max(0, Math.round(ms));
+    if (delay <= 0xffff) return [delay, 1000];
+    return [Math.min(0xffff, Math.round(delay / 10)), 100];
+}
+
+/**
+ * Encode frames as a looping APNG (2-bit indexed color)
+ *
+ * @param {ImageData[]} frames - Same-sized frames using only palette colors
+ * @param {object} options
+ * @param {number[][]} options.paletteRgb - 4 [r, g, b] entries, written as PLTE
+ * @param {number[]} options.delays - Per-frame delay in milliseconds
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeApng(frames, { paletteRgb, delays }) {
+    const { width, height } = frames[0];
+    const w = new ByteWriter();
+    let sequence = 0;
+
+    w.write(PNG_SIGNATURE);
+
+    const ihdr = new ByteWriter();
+    ihdr.u32be(width);
+    ihdr.u32be(height);
+    ihdr.write([2, 3, 0, 0, 0]); // bit depth 2, indexed color
+    writeChunk(w, 'IHDR', ihdr.bytes);
+
+    writeChunk(w, 'PLTE', paletteRgb.flat());
+
+    const actl = new ByteWriter();
+    actl.u32be(frames.length);
+    actl.u32be(0); // loop forever
+    writeChunk(w, 'acTL', actl.bytes);
+
+    for (const [i, frame] of frames.entries()) {
+        const fctl = new ByteWriter();
+        fctl.u32be(sequence++);
+        fctl.u32be(width);
+        fctl.u32be(height);
+        fctl.u32be(0); // x offset
+        fctl.u32be(0); // y offset
+        const [num, den] = apngDelay(delays[i]);
+        fctl.write([num >> 8, num & 0xff, den >> 8, den & 0xff]); // delay numerator / denominator (s)
+        fctl.write([0, 0]); // dispose none, blend source
+        writeChunk(w, 'fcTL', fctl.bytes);
+
+        const data = await deflate(packScanlines(indexPixels(frame, paletteRgb), width, height));
+        if (i === 0) {
+            writeChunk(w, 'IDAT', data);
+        } else {
+            const fdat = new ByteWriter();
+            fdat.u32be(sequence++);
+            fdat.write(data);
+            writeChunk(w, 'fdAT', fdat.bytes);
+        }
+    }
+
+    writeChunk(w, 'IEND', []);
+    return w.toUint8Array();
+}
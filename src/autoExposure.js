@@ -0,0 +1,96 @@
+/**
+ * autoExposure.js — Brightness/contrast that follow the scene
+ *
+ * Each preview frame reports a histogram of the levels the dither saw. The
+ * levels at its quarter points are where the scene actually sits; auto
+ * exposure works out the brightness and contrast that would put them on the
+ * three thresholds, giving an even spread over the 4 shades, and eases
+ * towards that so the picture doesn't flicker as things move in front of
+ * the lens.
+ */
+
+import { normalizeThresholds } from './dither.js';
+
+// Bins of the preview histogram
+export const HISTOGRAM_BINS = 64;
+
+// Same range as the sliders
+export const BRIGHTNESS_RANGE = [-0.5, 0.5];
+export const CONTRAST_RANGE = [0.5, 2.5];
+
+/**
+ * Level (0–1) below which `fraction` of the counted pixels fall,
+ * interpolated within the bin
+ * @param {Uint32Array|number[]} histogram
+ * @param {number} fraction - 0–1
+ */
+export function histogramQuantile(histogram, fraction) {
+    const total = histogram.reduce((sum, n) => sum + n, 0);
+    if (!total) return fraction;
+    const wanted = total * fraction;
+    let seen = 0;
+    for (let bin = 0; bin < histogram.length; bin++) {
+        const count = histogram[bin];
+        if (count && seen + count >= wanted) {
+            return (bin + (wanted - seen) / count) / histogram.length;
+        }
+        seen += count;
+    }
+    return 1;
+}
+
+export class AutoExposure {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.smoothing=0.15] - Share of the way to the target taken each frame
+     */
+    constructor({ smoothing = 0.15 } = {}) {
+        this.smoothing = smoothing;
+    }
+
+    /**
+     * Brightness and contrast that would spread a frame like this one
+     * evenly over the shades
+     *
+     * @param {Uint32Array} histogram - Levels the frame was dithered from
+     * @param {object} current - Tone settings the frame was processed with
+     * @param {number} current.brightness
+     * @param {number} current.contrast
+     * @param {number[]} [current.thresholds]
+     * @returns {{ brightness: number, contrast: number }}
+     */
+    target(histogram, { brightness, contrast, thresholds }) {
+        const [t1, t2, t3] = normalizeThresholds(thresholds);
+        const [q1, median, q3] = [0.25, 0.5, 0.75].map((f) => histogramQuantile(histogram, f));
+
+        // Stretch the middle half over the outer thresholds; a scene that
+        // fits in one bin has nothing to stretch
+        const flat = q3 - q1 <= 1 / histogram.length;
+        const nextContrast = flat ? contrast : clamp((contrast * (t3 - t1)) / (q3 - q1), ...CONTRAST_RANGE);
+
+        // Undo the current brightness and contrast to find the median before
+        // the tone step (after gamma), then center it on the middle threshold
+        const source = (median - 0.5) / contrast + 0.5 - brightness;
+        const nextBrightness = clamp((t2 - 0.5) / nextContrast + 0.5 - source, ...BRIGHTNESS_RANGE);
+        return { brightness: nextBrightness, contrast: nextContrast };
+    }
+
+    /**
+     * Ease the settings towards the target for this frame
+     * @param {Uint32Array} histogram
+     * @param {object} current - See target()
+     * @returns {{ brightness: number, contrast: number }} Settings for the next frame
+     */
+    update(histogram, current) {
+        const goal = this.target(histogram, current);
+        const ease = (from, to) => from + (to - from) * this.smoothing;
+        return {
+            brightness: ease(current.brightness, goal.brightness),
+            contrast: ease(current.contrast, goal.contrast),
+        };
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,241 @@
+/**
+ * backup.js — Whole-gallery backup and restore as a ZIP archive
+ *
+ * The gallery lives in one browser's IndexedDB, so clearing site data
+ * loses it and there's no server to sync through. A backup is a ZIP with
+ * every photo as a PNG in its own palette (videos as their WebM plus the
+ * poster), and manifest.json holding the rest: id, timestamp, palette and
+ * colors, processing settings, roll, favorite flag and hot spots.
+ *
+ *   manifest.json
+ *   photos/<id>.png
+ *   videos/<id>.webm
+ *
+ * Restoring maps each PNG's colors back to shades through the manifest's
+ * palette colors, so photos come back exactly even if that palette doesn't
+ * exist on this device.
+ */
+
+import { readZip, createZip } from './zip.js';
+import { encodePng, decodePng } from './png.js';
+import { renderShades } from './gbcProcessor.js';
+import { getPaletteRgb, rgbToHex, DEFAULT_PALETTE } from './palettes.js';
+import { quantizeShades } from './frames.js';
+import { DEFAULT_ROLL } from './rolls.js';
+import { normalizeHotspots } from './hotspots.js';
+
+export const BACKUP_FORMAT = 'ca_mera-backup';
+export const BACKUP_VERSION = 1;
+
+const MANIFEST = 'manifest.json';
+
+/**
+ * Pack photos (as from getPhotos) and the rolls into a backup archive
+ *
+ * @param {object[]} photos
+ * @param {{ id: string, name: string }[]} rolls
+ * @param {object} [options]
+ * @param {Date} [options.date] - Export time (defaults to now)
+ * @returns {Promise<Uint8Array>} ZIP file
+ */
+export async function buildBackup(photos, rolls, { date = new Date() } = {}) {
+    const entries = [];
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported: date.toISOString(),
+        rolls: rolls.map(({ id, name }) => ({ id, name })),
+        photos: [],
+    };
+
+    for (const photo of photos) {
+        const paletteRgb = getPaletteRgb(photo.palette);
+        const file = `photos/${photo.id}.png`;
+        const image = renderShades(photo.shades, photo.width, photo.height, photo.palette);
+        entries.push({ name: file, data: await encodePng(image, { paletteRgb }), date: new Date(photo.timestamp) });
+
+        const item = {
+            id: photo.id,
+            file,
+            timestamp: photo.timestamp,
+            roll: photo.roll,
+            palette: photo.palette,
+            colors: paletteRgb.map(rgbToHex),
+            settings: photo.settings ?? {},
+            width: photo.width,
+            height: photo.height,
+            favorite: Boolean(photo.favorite),
+        };
+        if (photo.hotspots?.length) item.hotspots = photo.hotspots;
+        if (photo.type === 'video') {
+            item.type = 'video';
+            item.video = `videos/${photo.id}.webm`;
+            item.duration = photo.duration;
+            entries.push({ name: item.video, data: new Uint8Array(await photo.video.arrayBuffer()), date: new Date(photo.timestamp) });
+        }
+        manifest.photos.push(item);
+    }
+
+    entries.unshift({ name: MANIFEST, data: JSON.stringify(manifest, null, 2), date });
+    return createZip(entries);
+}
+
+/**
+ * Read a backup archive back into photos ready for the gallery
+ *
+ * Photos whose id is already known are skipped; entries that can't be
+ * used (bad metadata, a missing or unreadable file, a PNG of the wrong
+ * size) are reported as malformed. Neither stops the rest.
+ *
+ * @param {Uint8Array} bytes - ZIP file
+ * @param {object} [options]
+ * @param {(id: string) => boolean} [options.exists] - Whether a photo is already in the gallery
+ * @returns {Promise<{
+ *   photos: object[],
+ *   rolls: { id: string, name: string }[],
+ *   skipped: { entry: string, reason: string }[],
+ *   malformed: { entry: string, reason: string }[],
+ * }>}
+ * @throws {Error} If it isn't a ca_mera backup at all
+ */
+export async function parseBackup(bytes, { exists = () => false } = {}) {
+    const entries = await readZip(bytes);
+    const files = new Map(entries.map((e) => [e.name, e]));
+    const manifest = readManifest(files.get(MANIFEST));
+
+    const photos = [];
+    const skipped = [];
+    const malformed = [];
+    const seen = new Set();
+    const used = new Set([MANIFEST]);
+
+    for (const [i, item] of manifest.photos.entries()) {
+        const entry = typeof item?.id === 'string' ? item.id : `photo ${i + 1}`;
+        used.add(item?.file).add(item?.video);
+        try {
+            const problem = checkItem(item);
+            if (problem) throw new Error(problem);
+            if (seen.has(item.id)) {
+                skipped.push({ entry, reason: 'listed twice' });
+                continue;
+            }
+            seen.add(item.id);
+            if (exists(item.id)) {
+                skipped.push({ entry, reason: 'already in the gallery' });
+                continue;
+            }
+            photos.push(await restoreItem(item, files));
+        } catch (err) {
+            malformed.push({ entry, reason: err.message });
+        }
+    }
+
+    entries.filter((e) => !used.has(e.name)).forEach((e) => {
+        skipped.push({ entry: e.name, reason: 'not listed in the manifest' });
+    });
+
+    const rolls = Array.isArray(manifest.rolls)
+        ? manifest.rolls.filter((r) => typeof r?.id === 'string' && typeof r.name === 'string')
+        : [];
+    return { photos, rolls, skipped, malformed };
+}
+
+/**
+ * Parse and check manifest.json
+ * @throws {Error} If it's missing or not a ca_mera backup manifest
+ */
+function readManifest(entry) {
+    if (!entry) throw new Error('Not a ca_mera backup (no manifest.json)');
+    if (entry.error) throw new Error(`manifest.json can't be read: ${entry.error}`);
+
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder().decode(entry.data));
+    } catch {
+        throw new Error('manifest.json isn\'t valid JSON');
+    }
+    if (manifest?.format !== BACKUP_FORMAT || !Array.isArray(manifest.photos)) {
+        throw new Error('Not a ca_mera backup (unknown manifest.json)');
+    }
+    if (!(manifest.version <= BACKUP_VERSION)) {
+        throw new Error('This backup was made by a newer version of ca_mera');
+    }
+    return manifest;
+}
+
+/**
+ * What's wrong with a manifest photo's metadata, or null if nothing
+ */
+function checkItem(item) {
+    if (typeof item?.id !== 'string' || !item.id) return 'no id';
+    if (!Number.isFinite(item.timestamp)) return 'no timestamp';
+    if (!Number.isInteger(item.width) || !Number.isInteger(item.height) || item.width < 1 || item.height < 1) {
+        return 'no size';
+    }
+    if (typeof item.file !== 'string') return 'no image file';
+    if (item.type === 'video' && typeof item.video !== 'string') return 'no video file';
+    return null;
+}
+
+/**
+ * Data of a file in the archive
+ * @throws {Error} If it's missing or unreadable
+ */
+function fileData(files, name) {
+    const entry = files.get(name);
+    if (!entry) throw new Error(`${name} is missing`);
+    if (entry.error) throw new Error(`${name}: ${entry.error}`);
+    return entry.data;
+}
+
+async function restoreItem(item, files) {
+    let image;
+    try {
+        image = await decodePng(fileData(files, item.file));
+    } catch (err) {
+        throw new Error(err.message.startsWith(item.file) ? err.message : `${item.file}: ${err.message}`);
+    }
+    if (image.width !== item.width || image.height !== item.height) {
+        throw new Error(`${item.file} is ${image.width}×${image.height}, not ${item.width}×${item.height}`);
+    }
+
+    const photo = {
+        id: item.id,
+        timestamp: item.timestamp,
+        roll: typeof item.roll === 'string' ? item.roll : DEFAULT_ROLL,
+        palette: typeof item.palette === 'string' ? item.palette : DEFAULT_PALETTE,
+        settings: item.settings && typeof item.settings === 'object' ? item.settings : {},
+        width: item.width,
+        height: item.height,
+        shades: shadesFromColors(image, item.colors) ?? quantizeShades(image),
+        favorite: item.favorite === true,
+    };
+    const hotspots = normalizeHotspots(item.hotspots, item.width, item.height);
+    if (hotspots.length) photo.hotspots = hotspots;
+    if (item.type === 'video') {
+        photo.type = 'video';
+        photo.video = new Blob([fileData(files, item.video)], { type: 'video/webm' });
+        photo.duration = Number.isFinite(item.duration) ? item.duration : 0;
+    }
+    return photo;
+}
+
+/**
+ * Shade of each pixel by exact match against the 4 palette colors it was
+ * exported with; null if the colors aren't given or some pixel isn't one
+ * of them (say, the PNG was edited)
+ */
+function shadesFromColors({ data }, colors) {
+    if (!Array.isArray(colors) || colors.length !== 4) return null;
+    const lookup = new Map();
+    // With repeated colors the darker shade wins; they look the same anyway
+    [...colors].reverse().forEach((hex, i) => lookup.set(String(hex).toLowerCase(), 3 - i));
+
+    const shades = new Uint8Array(data.length / 4);
+    for (let i = 0; i < shades.length; i++) {
+        const shade = lookup.get(rgbToHex([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]]));
+        if (shade === undefined) return null;
+        shades[i] = shade;
+    }
+    return shades;
+}
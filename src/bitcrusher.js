@@ -0,0 +1,65 @@
+/**
+ * bitcrusher.js — Chiptune-style audio bitcrusher
+ *
+ * Holds each sample for several output samples (a crude downsampler with
+ * all its aliasing) and rounds it to a few bits, for that crunchy 4-bit
+ * Game Boy sound. The DSP is a plain function so it can be tested in Node;
+ * loaded with audioWorklet.addModule, this same file also registers it as
+ * the 'bitcrusher' AudioWorkletProcessor.
+ */
+
+export const CRUSH_DEFAULTS = {
+    bits: 4, // the Game Boy's wave channel is 4-bit
+    rate: 8000, // Hz the signal is resampled to
+};
+
+/**
+ * Crush one block of samples into `output`. `state` carries the held sample
+ * between blocks; start each channel with `{}`.
+ *
+ * @param {Float32Array} input - Samples in -1…1
+ * @param {Float32Array} output - Same length as input
+ * @param {{ phase?: number, held?: number }} state - Updated in place
+ * @param {object} options
+ * @param {number} options.sampleRate - Rate of input and output
+ * @param {number} [options.bits=4]
+ * @param {number} [options.rate=8000] - Crushed sample rate (at most sampleRate)
+ */
+export function bitcrush(input, output, state, { sampleRate, bits = CRUSH_DEFAULTS.bits, rate = CRUSH_DEFAULTS.rate }) {
+    // Phase counts up by `rate` per sample and a new sample is taken every
+    // `sampleRate`, which stays exact for whole-number rates
+    const step = Math.min(rate, sampleRate);
+    const levels = 2 ** (bits - 1);
+    state.phase ??= sampleRate;
+    state.held ??= 0;
+
+    for (let i = 0; i < input.length; i++) {
+        if (state.phase >= sampleRate) {
+            state.phase -= sampleRate;
+            const sample = Math.max(-1, Math.min(1, input[i]));
+            state.held = Math.round(sample * levels) / levels;
+        }
+        state.phase += step;
+        output[i] = state.held;
+    }
+}
+
+// Only inside an AudioWorkletGlobalScope
+if (typeof registerProcessor === 'function') {
+    registerProcessor('bitcrusher', class extends AudioWorkletProcessor {
+        constructor({ processorOptions }) {
+            super();
+            // `sampleRate` is a global of the worklet scope
+            this.options = { ...CRUSH_DEFAULTS, ...processorOptions, sampleRate };
+            this.states = [];
+        }
+
+        process([input], [output]) {
+            input.forEach((channel, c) => {
+                this.states[c] ??= {};
+                bitcrush(channel, output[c], this.states[c], this.options);
+            });
+            return true;
+        }
+    });
+}
@@ -1,42 +1,177 @@
 /**
  * camera.js — Camera access and management
  *
- * Handles getUserMedia, front/back camera toggling,
- * and frame capture from the video stream.
+ * Handles getUserMedia, camera and resolution choice (remembered across
+ * visits), front/back toggling, zoom/torch/focus where the track supports
+ * them, and frame capture from the video stream, either as cropped
+ * ImageData or as transferable frames for the preview worker.
+ *
+ * When the camera goes away (unplugged, taken by another app) it tries to
+ * restart on whatever is left and reports a CameraError if it can't.
+ */
+
+// Requested capture sizes; everything ends up 128×112, but zoom lenses
+// crop first and keep more detail from a bigger frame
+export const RESOLUTIONS = {
+    low: { name: '640×480', width: 640, height: 480 },
+    hd: { name: '1280×720', width: 1280, height: 720 },
+    fullHd: { name: '1920×1080', width: 1920, height: 1080 },
+};
+
+export const DEFAULT_RESOLUTION = 'low';
+
+// Why the camera couldn't start, as a CameraError's `reason`
+export const CAMERA_ERRORS = {
+    denied: 'Camera permission was denied',
+    notFound: 'No camera was found',
+    inUse: 'The camera is in use by another app',
+    unsupported: 'Camera access isn\'t available here (it needs HTTPS)',
+    unknown: 'The camera couldn\'t be started',
+};
+
+const STORAGE_KEY = 'ca_mera_camera';
+
+export class CameraError extends Error {
+    /**
+     * @param {string} reason - Key of CAMERA_ERRORS
+     * @param {Error} [cause] - The underlying getUserMedia error
+     */
+    constructor(reason, cause) {
+        super(CAMERA_ERRORS[reason] ?? CAMERA_ERRORS.unknown, { cause });
+        this.name = 'CameraError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * CAMERA_ERRORS key for a getUserMedia failure
+ * @param {Error} err
  */
+export function cameraErrorReason(err) {
+    switch (err?.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+        case 'SecurityError':
+            return 'denied';
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+        case 'OverconstrainedError':
+            return 'notFound';
+        case 'NotReadableError':
+        case 'TrackStartError':
+        case 'AbortError':
+            return 'inUse';
+        default:
+            return 'unknown';
+    }
+}
+
+/**
+ * The controls a video track offers, from its getCapabilities() and
+ * getSettings(); anything it doesn't support is null
+ *
+ * @returns {{
+ *   zoom: { min: number, max: number, step: number, value: number }|null,
+ *   torch: { value: boolean }|null,
+ *   focus: { modes: string[], mode: string, distance: { min: number, max: number, step: number, value: number }|null }|null,
+ * }}
+ */
+export function trackControls(capabilities = {}, settings = {}) {
+    const range = (key) => {
+        const cap = capabilities[key];
+        if (!cap || typeof cap.max !== 'number' || cap.max <= cap.min) return null;
+        return { min: cap.min, max: cap.max, step: cap.step || (cap.max - cap.min) / 100, value: settings[key] ?? cap.min };
+    };
+
+    // Only the modes we have a control for
+    const modes = (capabilities.focusMode ?? []).filter((m) => m === 'continuous' || m === 'manual');
+    return {
+        zoom: range('zoom'),
+        torch: capabilities.torch ? { value: Boolean(settings.torch) } : null,
+        focus: modes.length > 1
+            ? { modes, mode: settings.focusMode ?? modes[0], distance: modes.includes('manual') ? range('focusDistance') : null }
+            : null,
+    };
+}
 
 export class Camera {
-    constructor(videoElement) {
+    /**
+     * @param {HTMLVideoElement} videoElement
+     * @param {object} [hooks]
+     * @param {() => void} [hooks.onChange] - The device list or the running camera changed
+     * @param {(err: CameraError) => void} [hooks.onError] - The camera stopped and couldn't be restarted
+     */
+    constructor(videoElement, { onChange = () => {}, onError = () => {} } = {}) {
         this.video = videoElement;
         this.stream = null;
         this.facingMode = 'environment'; // rear camera by default
+        this.onChange = onChange;
+        this.onError = onError;
+        this.recovering = false;
+
+        const saved = loadPreferences();
+        this.deviceId = saved.deviceId ?? null; // chosen camera, null to go by facingMode
+        this.resolution = RESOLUTIONS[saved.resolution] ? saved.resolution : DEFAULT_RESOLUTION;
+
+        navigator.mediaDevices?.addEventListener?.('devicechange', () => this.devicesChanged());
     }
 
     /**
-     * Start the camera stream
+     * The running video track, if any
+     * @returns {MediaStreamTrack|null}
+     */
+    get track() {
+        return this.stream?.getVideoTracks()[0] ?? null;
+    }
+
+    /**
+     * Start the camera stream. A remembered camera that's gone is forgotten
+     * and the default one is tried instead.
+     * @throws {CameraError}
      */
     async start() {
+        // Stop any existing stream
+        this.stop();
+
+        if (!navigator.mediaDevices?.getUserMedia) throw new CameraError('unsupported');
+
         try {
-            // Stop any existing stream
-            this.stop();
-
-            const constraints = {
-                video: {
-                    facingMode: this.facingMode,
-                    width: { ideal: 640 },
-                    height: { ideal: 480 },
-                },
-                audio: false,
-            };
-
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video.srcObject = this.stream;
-            await this.video.play();
-            return true;
+            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints());
         } catch (err) {
-            console.error('Camera access denied or unavailable:', err);
-            return false;
+            const missing = err.name === 'OverconstrainedError' || err.name === 'NotFoundError';
+            if (!this.deviceId || !missing) throw this.failure(err);
+            this.deviceId = null;
+            this.save();
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(this.constraints());
+            } catch (retryErr) {
+                throw this.failure(retryErr);
+            }
         }
+
+        this.track.addEventListener('ended', () => this.recover());
+        this.video.srcObject = this.stream;
+        await this.video.play();
+    }
+
+    /**
+     * getUserMedia constraints for the chosen camera and resolution
+     */
+    constraints() {
+        const { width, height } = RESOLUTIONS[this.resolution];
+        return {
+            video: {
+                ...(this.deviceId ? { deviceId: { exact: this.deviceId } } : { facingMode: this.facingMode }),
+                width: { ideal: width },
+                height: { ideal: height },
+            },
+            audio: false,
+        };
+    }
+
+    failure(err) {
+        console.error('Camera access denied or unavailable:', err);
+        return new CameraError(cameraErrorReason(err), err);
     }
 
     /**
@@ -54,9 +189,112 @@ export class Camera {
      */
     async flip() {
         this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+        this.deviceId = null;
+        this.save();
+        return this.start();
+    }
+
+    /**
+     * Video inputs, labeled once permission has been given
+     * @returns {Promise<{ deviceId: string, label: string }[]>}
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter((d) => d.kind === 'videoinput' && d.deviceId)
+            .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+    }
+
+    /**
+     * Device ID of the camera actually running
+     */
+    get activeDeviceId() {
+        return this.track?.getSettings().deviceId ?? this.deviceId;
+    }
+
+    /**
+     * Switch to a specific camera
+     */
+    async selectDevice(deviceId) {
+        this.deviceId = deviceId;
+        this.save();
         return this.start();
     }
 
+    /**
+     * Change the requested resolution (key of RESOLUTIONS)
+     */
+    async setResolution(resolution) {
+        if (!RESOLUTIONS[resolution]) throw new Error(`Unknown resolution: ${resolution}`);
+        this.resolution = resolution;
+        this.save();
+        return this.start();
+    }
+
+    /**
+     * Zoom, torch and focus controls of the running camera (see trackControls)
+     */
+    controls() {
+        const track = this.track;
+        if (!track?.getCapabilities) return trackControls();
+        return trackControls(track.getCapabilities(), track.getSettings());
+    }
+
+    async setZoom(zoom) {
+        await this.track?.applyConstraints({ advanced: [{ zoom }] });
+    }
+
+    async setTorch(torch) {
+        await this.track?.applyConstraints({ advanced: [{ torch }] });
+    }
+
+    /**
+     * @param {string} focusMode - 'continuous' or 'manual'
+     * @param {number} [focusDistance] - For manual focus
+     */
+    async setFocus(focusMode, focusDistance) {
+        const constraint = focusMode === 'manual' && focusDistance !== undefined ? { focusMode, focusDistance } : { focusMode };
+        await this.track?.applyConstraints({ advanced: [constraint] });
+    }
+
+    /**
+     * Cameras were plugged in or out: restart if ours is gone, or if we
+     * never had one running
+     */
+    async devicesChanged() {
+        const devices = await this.listDevices();
+        const running = this.track?.readyState === 'live'
+            && devices.some((d) => d.deviceId === this.activeDeviceId);
+        if (running) this.onChange();
+        else await this.recover();
+    }
+
+    /**
+     * Restart after the track ended, falling back to another camera;
+     * reports through onError if nothing can be started
+     */
+    async recover() {
+        if (this.recovering) return;
+        this.recovering = true;
+        try {
+            await this.start();
+            this.onChange();
+        } catch (err) {
+            this.onError(err);
+        } finally {
+            this.recovering = false;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ deviceId: this.deviceId, resolution: this.resolution }));
+        } catch {
+            // Storage full or unavailable: the choice just isn't remembered
+        }
+    }
+
     /**
      * Capture the current video frame as ImageData
      * Crops to a square-ish region (128:112 aspect ratio)
@@ -66,27 +304,71 @@ export class Camera {
         const vh = this.video.videoHeight;
         if (!vw || !vh) return null;
 
-        // Calculate crop region to match 128:112 (8:7) aspect ratio
-        const targetAspect = 128 / 112;
-        let cropW, cropH, cropX, cropY;
-
-        if (vw / vh > targetAspect) {
-            // Video is wider — crop sides
-            cropH = vh;
-            cropW = Math.round(vh * targetAspect);
-            cropX = Math.round((vw - cropW) / 2);
-            cropY = 0;
-        } else {
-            // Video is taller — crop top/bottom
-            cropW = vw;
-            cropH = Math.round(vw / targetAspect);
-            cropX = 0;
-            cropY = Math.round((vh - cropH) / 2);
+        const crop = cropRect(vw, vh);
+        const canvas = new OffscreenCanvas(crop.width, crop.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.video, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        return ctx.getImageData(0, 0, crop.width, crop.height);
+    }
+
+    /**
+     * Grab the current, uncropped video frame in a form that can be
+     * transferred to a worker: a VideoFrame where supported, otherwise an
+     * ImageBitmap. Whoever ends up with it must close() it.
+     *
+     * @returns {Promise<VideoFrame|ImageBitmap|null>}
+     */
+    async grabFrame() {
+        if (!this.video.videoWidth || !this.video.videoHeight) return null;
+
+        if (typeof VideoFrame !== 'undefined') {
+            try {
+                return new VideoFrame(this.video);
+            } catch {
+                // No decoded frame yet or unsupported source; try the bitmap path
+            }
         }
+        return createImageBitmap(this.video);
+    }
+}
 
-        const canvas = new OffscreenCanvas(cropW, cropH);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(this.video, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
-        return ctx.getImageData(0, 0, cropW, cropH);
+/**
+ * Camera choice saved by an earlier visit
+ */
+function loadPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') ?? {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Region of a width×height frame to keep: the largest centered 128:112
+ * (8:7) crop, shrunk further by `zoom` for the zoom lenses.
+ *
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function cropRect(width, height, zoom = 1) {
+    const targetAspect = 128 / 112;
+    let cropW, cropH;
+
+    if (width / height > targetAspect) {
+        // Video is wider — crop sides
+        cropH = height;
+        cropW = Math.round(height * targetAspect);
+    } else {
+        // Video is taller — crop top/bottom
+        cropW = width;
+        cropH = Math.round(width / targetAspect);
     }
+
+    cropW = Math.max(1, Math.round(cropW / zoom));
+    cropH = Math.max(1, Math.round(cropH / zoom));
+    return {
+        x: Math.round((width - cropW) / 2),
+        y: Math.round((height - cropH) / 2),
+        width: cropW,
+        height: cropH,
+    };
 }
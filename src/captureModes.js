@@ -0,0 +1,152 @@
+/**
+ * captureModes.js — Self-timer, burst and time-lapse scheduling
+ *
+ * The scheduler only decides *when* to shoot: it grabs frames from the
+ * camera it's given and hands them to a save callback. Both the camera and
+ * the timers are injectable, so the whole thing runs under fake timers with
+ * a stub Camera that returns canned frames.
+ */
+
+export const CAPTURE_MODES = {
+    single: { name: 'Single' },
+    timer: { name: 'Timer' },
+    burst: { name: 'Burst' },
+    timelapse: { name: 'Time-lapse' },
+    panorama: { name: 'Panorama' },
+    montage: { name: 'Montage' },
+};
+
+export const DEFAULT_CAPTURE_OPTIONS = {
+    timerSeconds: 3, // 3, 5 or 10
+    burstCount: 4,
+    burstInterval: 250, // ms between burst frames
+    timelapseInterval: 10000, // ms between time-lapse frames
+    maxShots: 30, // time-lapse stops here even if not stopped by hand
+};
+
+export class CaptureScheduler {
+    /**
+     * @param {object} hooks
+     * @param {{ captureFrame: () => ImageData|null }} hooks.camera - Frame source (a Camera)
+     * @param {(frame: ImageData) => Promise<any>|any} hooks.save - Stores one frame; its result is collected
+     * @param {(state: { mode: string, remaining?: number, shots: number }) => void} [hooks.onTick]
+     *        Called on every countdown second and after every shot
+     * @param {(results: any[], mode: string, error: Error|null) => void} [hooks.onDone]
+     *        Called when a run finishes, is stopped or ends because a capture failed
+     * @param {{ setTimeout: Function, clearTimeout: Function }} [hooks.timers]
+     */
+    constructor({ camera, save, onTick = () => {}, onDone = () => {}, timers = globalThis }) {
+        this.camera = camera;
+        this.save = save;
+        this.onTick = onTick;
+        this.onDone = onDone;
+        this.timers = timers;
+        this.timeout = null;
+        this.mode = null;
+        this.run = null; // identity of the current run, to ignore stale captures
+        this.shots = 0; // capture attempts this run, including ones with no frame
+        this.results = [];
+    }
+
+    get running() {
+        return this.mode !== null;
+    }
+
+    /**
+     * Start a capture run. Starting while a run is in progress stops it first.
+     *
+     * @param {string} mode - Key of CAPTURE_MODES
+     * @param {object} [options] - See DEFAULT_CAPTURE_OPTIONS
+     */
+    start(mode, options = {}) {
+        if (!CAPTURE_MODES[mode]) throw new Error(`Unknown capture mode: ${mode}`);
+        this.stop();
+
+        const opts = { ...DEFAULT_CAPTURE_OPTIONS, ...options };
+        this.mode = mode;
+        this.run = {};
+        this.shots = 0;
+        this.results = [];
+
+        switch (mode) {
+            case 'single':
+            case 'panorama': // one shot per press; the save callback collects them
+            case 'montage':
+                this.shoot(() => this.finish());
+                break;
+            case 'timer':
+                this.countdown(opts.timerSeconds);
+                break;
+            case 'burst':
+                this.repeat(opts.burstInterval, opts.burstCount);
+                break;
+            case 'timelapse':
+                this.repeat(opts.timelapseInterval, opts.maxShots);
+                break;
+        }
+    }
+
+    /**
+     * Cancel the run; photos already taken are still reported to onDone
+     */
+    stop() {
+        if (!this.running) return;
+        this.timers.clearTimeout(this.timeout);
+        this.finish();
+    }
+
+    countdown(remaining) {
+        this.onTick({ mode: this.mode, remaining, shots: 0 });
+        if (remaining <= 0) {
+            this.shoot(() => this.finish());
+            return;
+        }
+        this.timeout = this.timers.setTimeout(() => this.countdown(remaining - 1), 1000);
+    }
+
+    /**
+     * Shoot `count` photos, `interval` ms apart, the first one immediately
+     */
+    repeat(interval, count) {
+        this.shoot(() => {
+            if (this.shots >= count) {
+                this.finish();
+                return;
+            }
+            this.timeout = this.timers.setTimeout(() => this.repeat(interval, count), interval);
+        });
+    }
+
+    async shoot(next) {
+        const { run, mode } = this;
+        this.shots++;
+        let result = null;
+        let error = null;
+        try {
+            const frame = this.camera.captureFrame();
+            result = frame ? await this.save(frame) : null;
+        } catch (err) {
+            error = err;
+        }
+        // Stopped (or restarted) while the capture was in flight
+        if (this.run !== run) return;
+
+        // A photo that couldn't be saved (say, the roll is full) ends the run
+        if (error) {
+            this.finish(error);
+            return;
+        }
+        if (result != null) this.results.push(result);
+        this.onTick({ mode, shots: this.results.length });
+        next();
+    }
+
+    finish(error = null) {
+        const { mode, results } = this;
+        this.mode = null;
+        this.run = null;
+        this.timeout = null;
+        this.results = [];
+        this.onDone(results, mode, error);
+    }
+}
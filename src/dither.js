@@ -0,0 +1,198 @@
+/**
+ * dither.js — Dithering algorithms
+ *
+ * Every algorithm turns a grayscale ImageData into a grid of shade indices
+ * (0 = darkest, 3 = lightest). Two families are supported:
+ *
+ *   - ordered: a tiled threshold matrix nudges each pixel up or down before
+ *     quantizing; `spread` is how far (in 0–1 gray units) it can nudge
+ *   - diffusion: each pixel's quantization error is pushed onto neighbors
+ *     not yet visited; `spread` is the fraction of the error carried
+ *
+ * Both quantize against the same three thresholds, which split 0–1 gray
+ * into the 4 shades.
+ */
+
+/**
+ * Bayer matrix of size n (power of two), normalized to 0–1
+ */
+function bayer(n) {
+    if (n === 1) return [[0]];
+    const h = n / 2;
+    const half = bayer(h);
+    // Quadrant offsets: top-left 0, bottom-right 1, top-right 2, bottom-left 3
+    const quadrant = [[0, 2], [3, 1]];
+
+    const m = [];
+    for (let y = 0; y < n; y++) {
+        m.push([]);
+        for (let x = 0; x < n; x++) {
+            const rank = 4 * half[y % h][x % h] * h * h + quadrant[Math.floor(y / h)][Math.floor(x / h)];
+            m[y].push(rank / (n * n));
+        }
+    }
+    return m;
+}
+
+/**
+ * 16×16 blue-noise tile (void-and-cluster ranks 0–255). Spreads the
+ * threshold pattern without Bayer's visible cross-hatch.
+ */
+const BLUE_NOISE_16 = [
+    234,  50, 188,  19,  58, 171, 121,  47, 163,   3, 247, 104,  22, 132,  14,  65,
+    209,   8, 118,  97, 240, 205,  23, 228, 138,  64, 123, 170,  72, 224,  99, 149,
+     85, 139, 229, 165,  78, 146, 111,  84, 176, 216,  30, 231, 153, 201,  42, 180,
+     25,  62, 195,  29,  43, 185,   7, 249,  41, 100, 191,  48,  87,   5, 128, 243,
+    221, 152, 101, 253, 130, 220,  59, 200, 156,  12, 136, 112, 254, 174,  69, 109,
+     46, 189,   2,  73, 172,  90, 142, 116,  80, 237, 210,  61, 147,  33, 206, 160,
+     81, 124, 217, 113, 208,  15, 241,  27, 168,  45, 178,  20, 193,  96, 225,  18,
+    242, 164,  60,  35, 157,  53, 181,  68, 223, 105, 125,  83, 236, 131,  55, 141,
+    197,  10, 227, 134, 246,  95, 126, 198, 148,   1, 244, 161,  71,   9, 182, 106,
+     40,  93, 179,  75, 192,   6, 218,  36,  91,  57, 202,  34, 215, 155, 233,  74,
+    252, 120, 150,  24, 110,  63, 166, 119, 232, 183, 133, 103,  49, 117,  31, 167,
+     16, 212,  51, 238, 207, 137, 255,  21,  76, 151,  13, 250, 190,  88, 203, 135,
+    102, 184,  82, 169,  38,  89, 187,  52, 204,  98, 173,  67, 129,   4, 222,  56,
+    230, 144,   0, 127, 226,  11, 154, 114, 239,  39, 219,  28, 235, 145, 175,  77,
+    196,  37, 248,  70, 107, 199,  66, 177,  17, 143, 115, 159,  86,  44, 108,  26,
+    122,  92, 158, 214, 140,  32, 245,  94, 213,  79, 194,  54, 211, 186, 251, 162,
+];
+
+function fromRanks(ranks, n) {
+    const m = [];
+    for (let y = 0; y < n; y++) {
+        m.push(ranks.slice(y * n, (y + 1) * n).map((r) => r / (n * n)));
+    }
+    return m;
+}
+
+/**
+ * Registry of dithering algorithms, keyed by the value stored with each photo
+ */
+export const DITHERS = {
+    bayer2: { name: 'Bayer 2×2', type: 'ordered', matrix: bayer(2), spread: 0.33 },
+    bayer4: { name: 'Bayer 4×4', type: 'ordered', matrix: bayer(4), spread: 0.33 },
+    bayer8: { name: 'Bayer 8×8', type: 'ordered', matrix: bayer(8), spread: 0.33 },
+    blueNoise: { name: 'Blue Noise', type: 'ordered', matrix: fromRanks(BLUE_NOISE_16, 16), spread: 0.33 },
+    floydSteinberg: {
+        name: 'Floyd–Steinberg',
+        type: 'diffusion',
+        spread: 1,
+        // [dx, dy, weight]
+        kernel: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+        divisor: 16,
+    },
+    atkinson: {
+        name: 'Atkinson',
+        type: 'diffusion',
+        spread: 1,
+        // Only 6/8 of the error is passed on, which keeps highlights clean
+        kernel: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+        divisor: 8,
+    },
+    jarvis: {
+        name: 'Jarvis–Judice–Ninke',
+        type: 'diffusion',
+        spread: 1,
+        kernel: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1],
+        ],
+        divisor: 48,
+    },
+};
+
+export const DEFAULT_DITHER = 'bayer4';
+export const DEFAULT_THRESHOLDS = [0.25, 0.5, 0.75];
+
+// Gray level each shade stands for, used to measure diffusion error
+const SHADE_LEVELS = [0, 1 / 3, 2 / 3, 1];
+
+/**
+ * Sort and clamp thresholds into 0–1
+ * @param {number[]} thresholds
+ * @returns {number[]}
+ */
+export function normalizeThresholds(thresholds = DEFAULT_THRESHOLDS) {
+    return DEFAULT_THRESHOLDS
+        .map((fallback, i) => (Number.isFinite(thresholds[i]) ? thresholds[i] : fallback))
+        .map((t) => Math.max(0, Math.min(1, t)))
+        .sort((a, b) => a - b);
+}
+
+function quantize(value, [t1, t2, t3]) {
+    if (value < t1) return 0;
+    if (value < t2) return 1;
+    if (value < t3) return 2;
+    return 3;
+}
+
+/**
+ * Dither a grayscale image down to 4 shades
+ *
+ * @param {ImageData} imageData - Grayscale (only the red channel is read)
+ * @param {object} [options]
+ * @param {string} [options.method='bayer4'] - Key from DITHERS
+ * @param {number} [options.spread] - Dither strength (defaults to the method's own)
+ * @param {number[]} [options.thresholds] - The 3 quantization thresholds, 0–1
+ * @returns {Uint8Array} Shade indices
+ */
+export function dither(imageData, { method = DEFAULT_DITHER, spread, thresholds } = {}) {
+    const algorithm = DITHERS[method];
+    if (!algorithm) throw new Error(`Unknown dither: ${method}`);
+
+    const amount = spread ?? algorithm.spread;
+    const levels = normalizeThresholds(thresholds);
+
+    return algorithm.type === 'ordered'
+        ? orderedDither(imageData, algorithm.matrix, amount, levels)
+        : diffusionDither(imageData, algorithm, amount, levels);
+}
+
+/**
+ * Ordered dithering: add a position-dependent offset, then quantize
+ */
+function orderedDither(imageData, matrix, spread, thresholds) {
+    const { width, height, data } = imageData;
+    const shades = new Uint8Array(width * height);
+    const n = matrix.length;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const gray = data[i * 4] / 255;
+
+            // Matrix threshold for this pixel position, centered on 0
+            const offset = matrix[y % n][x % n] - 0.5;
+            shades[i] = quantize(gray + offset * spread, thresholds);
+        }
+    }
+    return shades;
+}
+
+/**
+ * Error diffusion: quantize, then distribute the error over the kernel
+ */
+function diffusionDither(imageData, { kernel, divisor }, spread, thresholds) {
+    const { width, height, data } = imageData;
+    const shades = new Uint8Array(width * height);
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) values[i] = data[i * 4] / 255;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const shade = quantize(values[i], thresholds);
+            shades[i] = shade;
+
+            const error = (values[i] - SHADE_LEVELS[shade]) * spread;
+            for (const [dx, dy, weight] of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                values[ny * width + nx] += (error * weight) / divisor;
+            }
+        }
+    }
+    return shades;
+}
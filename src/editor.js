@@ -0,0 +1,157 @@
+/**
+ * editor.js — Stamp & doodle editing on the shade grid
+ *
+ * Works directly on a photo's shade indices (0–3), never on rendered
+ * pixels, so edited photos can still be re-colored, exported and written
+ * back to a .sav like any other.
+ */
+
+import { GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+
+// Undo steps kept per editing session
+const MAX_HISTORY = 50;
+
+export class PhotoEditor {
+    /**
+     * @param {Uint8Array} shades - Photo to edit (not modified)
+     * @param {number} [width]
+     * @param {number} [height]
+     */
+    constructor(shades, width = GBC_WIDTH, height = GBC_HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.original = Uint8Array.from(shades);
+        this.shades = Uint8Array.from(shades);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastPoint = null;
+    }
+
+    /**
+     * Start an undoable edit. Everything drawn until the next
+     * beginStroke() is undone as one step.
+     */
+    beginStroke() {
+        this.undoStack.push(Uint8Array.from(this.shades));
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+        this.lastPoint = null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo) return;
+        this.redoStack.push(this.shades);
+        this.shades = this.undoStack.pop();
+        this.lastPoint = null;
+    }
+
+    redo() {
+        if (!this.canRedo) return;
+        this.undoStack.push(this.shades);
+        this.shades = this.redoStack.pop();
+        this.lastPoint = null;
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    /**
+     * Draw with the pencil. Consecutive calls within a stroke are joined
+     * with a line so fast drags don't leave gaps.
+     */
+    pencil(x, y, shade) {
+        this.line(x, y, (px, py) => {
+            this.shades[py * this.width + px] = shade;
+        });
+    }
+
+    /**
+     * Erase back to the photo as it was before editing
+     */
+    erase(x, y) {
+        this.line(x, y, (px, py) => {
+            const i = py * this.width + px;
+            this.shades[i] = this.original[i];
+        });
+    }
+
+    /**
+     * Walk a Bresenham line from the previous stroke point to (x, y)
+     */
+    line(x, y, plot) {
+        const [x0, y0] = this.lastPoint ?? [x, y];
+        this.lastPoint = [x, y];
+
+        const dx = Math.abs(x - x0);
+        const dy = -Math.abs(y - y0);
+        const sx = x0 < x ? 1 : -1;
+        const sy = y0 < y ? 1 : -1;
+        let err = dx + dy;
+        let px = x0;
+        let py = y0;
+
+        for (;;) {
+            if (this.inBounds(px, py)) plot(px, py);
+            if (px === x && py === y) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                px += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                py += sy;
+            }
+        }
+    }
+
+    /**
+     * Flood-fill the 4-connected region of same-shade pixels at (x, y)
+     */
+    fill(x, y, shade) {
+        if (!this.inBounds(x, y)) return;
+        const { width, height, shades } = this;
+        const target = shades[y * width + x];
+        if (target === shade) return;
+
+        const stack = [y * width + x];
+        while (stack.length) {
+            const i = stack.pop();
+            if (shades[i] !== target) continue;
+            shades[i] = shade;
+
+            const px = i % width;
+            const py = (i - px) / width;
+            if (px > 0) stack.push(i - 1);
+            if (px < width - 1) stack.push(i + 1);
+            if (py > 0) stack.push(i - width);
+            if (py < height - 1) stack.push(i + width);
+        }
+    }
+
+    /**
+     * Stamp a sprite centered on (x, y); transparent pixels are skipped
+     * @param {{ width: number, height: number, pixels: Int8Array }} stamp - From STAMPS
+     */
+    stamp(x, y, stamp) {
+        const left = x - Math.floor(stamp.width / 2);
+        const top = y - Math.floor(stamp.height / 2);
+
+        for (let sy = 0; sy < stamp.height; sy++) {
+            for (let sx = 0; sx < stamp.width; sx++) {
+                const shade = stamp.pixels[sy * stamp.width + sx];
+                if (shade < 0 || !this.inBounds(left + sx, top + sy)) continue;
+                this.shades[(top + sy) * this.width + left + sx] = shade;
+            }
+        }
+    }
+}
@@ -0,0 +1,407 @@
+/**
+ * frames.js — Photo frames (borders)
+ *
+ * The cartridge shows and prints each 128×112 photo inside a 160×144
+ * decorative frame. Frames here work the same way: a set of 8×8 tiles in
+ * the photo's 4-shade space plus a 20×18 map of which tile goes where, and
+ * the position of the 128×112 window the photo shows through. Because a
+ * frame is shades, not colors, it takes on whichever palette the photo is
+ * rendered in.
+ *
+ * Built-in frames are drawn below as tile art ('0'–'3', darkest →
+ * lightest, like stamps.js). Custom frames are imported from 160×144 PNGs
+ * and kept in localStorage, next to the custom palettes.
+ */
+
+import { GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+
+export const FRAME_WIDTH = 160;
+export const FRAME_HEIGHT = 144;
+export const TILE_SIZE = 8;
+
+const TILES_X = FRAME_WIDTH / TILE_SIZE;
+const TILES_Y = FRAME_HEIGHT / TILE_SIZE;
+
+// Where the photo sits in the built-in frames (and the cartridge's)
+const STANDARD_WINDOW = { x: 16, y: 16 };
+
+const CUSTOM_STORAGE_KEY = 'ca_mera_frames';
+
+// ── Built-in frames ───────────────────────────────────────
+
+const TILE_ART = {
+    // Solid border
+    F: ['00000000', '00000000', '00000000', '00000000', '00000000', '00000000', '00000000', '00000000'],
+    // Blank (under the photo window)
+    '.': ['33333333', '33333333', '33333333', '33333333', '33333333', '33333333', '33333333', '33333333'],
+    // Light outline around the window: top, bottom, left, right and corners
+    t: ['00000000', '00000000', '00000000', '00000000', '00000000', '00000000', '33333333', '00000000'],
+    b: ['00000000', '33333333', '00000000', '00000000', '00000000', '00000000', '00000000', '00000000'],
+    l: ['00000030', '00000030', '00000030', '00000030', '00000030', '00000030', '00000030', '00000030'],
+    r: ['03000000', '03000000', '03000000', '03000000', '03000000', '03000000', '03000000', '03000000'],
+    q: ['00000000', '00000000', '00000000', '00000000', '00000000', '00000000', '00000033', '00000030'],
+    w: ['00000000', '00000000', '00000000', '00000000', '00000000', '00000000', '33000000', '03000000'],
+    z: ['00000030', '00000033', '00000000', '00000000', '00000000', '00000000', '00000000', '00000000'],
+    x: ['03000000', '33000000', '00000000', '00000000', '00000000', '00000000', '00000000', '00000000'],
+    // Film sprocket hole
+    h: ['00000000', '00000000', '00333300', '03333330', '03333330', '00333300', '00000000', '00000000'],
+    // Checks
+    c: ['11221122', '11221122', '22112211', '22112211', '11221122', '11221122', '22112211', '22112211'],
+    // Heart
+    v: ['00000000', '02200220', '22222222', '22222222', '02222220', '00222200', '00022000', '00000000'],
+};
+
+/**
+ * Tile map with the outline tiles around the window and `outer(tx, ty)`
+ * choosing the tiles of the outermost ring
+ */
+function ringMap(outer) {
+    const rows = [];
+    for (let ty = 0; ty < TILES_Y; ty++) {
+        let row = '';
+        for (let tx = 0; tx < TILES_X; tx++) {
+            const left = tx === 1;
+            const right = tx === TILES_X - 2;
+            if (tx === 0 || tx === TILES_X - 1 || ty === 0 || ty === TILES_Y - 1) row += outer(tx, ty);
+            else if (ty === 1) row += left ? 'q' : right ? 'w' : 't';
+            else if (ty === TILES_Y - 2) row += left ? 'z' : right ? 'x' : 'b';
+            else row += left ? 'l' : right ? 'r' : '.';
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+const FRAME_ART = {
+    classic: { name: 'Classic', map: ringMap(() => 'F') },
+    paper: { name: 'Paper', map: ringMap(() => 'F'), invert: true },
+    film: { name: 'Film', map: ringMap((tx, ty) => (ty === 0 || ty === TILES_Y - 1 ? 'h' : 'F')) },
+    checker: { name: 'Checker', map: ringMap(() => 'c') },
+    hearts: { name: 'Hearts', map: ringMap((tx, ty) => ((tx + ty) % 2 ? 'v' : 'F')) },
+};
+
+/**
+ * Turn tile art and a character map into a frame
+ */
+function parseFrameArt({ name, map, invert = false }) {
+    const keys = [];
+    const tiles = [];
+    const cells = new Uint16Array(TILES_X * TILES_Y);
+
+    map.forEach((row, ty) => {
+        [...row].forEach((key, tx) => {
+            let index = keys.indexOf(key);
+            if (index === -1) {
+                index = keys.push(key) - 1;
+                const shades = Uint8Array.from(TILE_ART[key].join(''), Number);
+                tiles.push(invert ? shades.map((s) => 3 - s) : shades);
+            }
+            cells[ty * TILES_X + tx] = index;
+        });
+    });
+    return { name, tiles, map: cells, window: { ...STANDARD_WINDOW } };
+}
+
+export const FRAMES = Object.fromEntries(
+    Object.entries(FRAME_ART).map(([key, art]) => [key, parseFrameArt(art)]),
+);
+
+// ── Rendering ─────────────────────────────────────────────
+
+/**
+ * Put a photo in its frame
+ *
+ * @param {Uint8Array} shades - 128×112 photo
+ * @param {{ tiles: Uint8Array[], map: ArrayLike<number>, window: { x: number, y: number } }} frame
+ * @returns {Uint8Array} 160×144 shade grid
+ */
+export function frameShades(shades, frame) {
+    const out = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT);
+
+    for (let ty = 0; ty < TILES_Y; ty++) {
+        for (let tx = 0; tx < TILES_X; tx++) {
+            const tile = frame.tiles[frame.map[ty * TILES_X + tx]];
+            for (let row = 0; row < TILE_SIZE; row++) {
+                const start = (ty * TILE_SIZE + row) * FRAME_WIDTH + tx * TILE_SIZE;
+                out.set(tile.subarray(row * TILE_SIZE, (row + 1) * TILE_SIZE), start);
+            }
+        }
+    }
+
+    const { x, y } = frame.window;
+    for (let row = 0; row < GBC_HEIGHT; row++) {
+        out.set(shades.subarray(row * GBC_WIDTH, (row + 1) * GBC_WIDTH), (y + row) * FRAME_WIDTH + x);
+    }
+    return out;
+}
+
+// ── Import ────────────────────────────────────────────────
+
+/**
+ * Reduce an image to 4 shades. Art drawn with at most 4 colors keeps its
+ * own tone order (so a GB-green frame maps color for color); anything else
+ * is split into even luminance bands.
+ *
+ * @param {ImageData} image
+ * @returns {Uint8Array} Shade indices
+ */
+export function quantizeShades(image) {
+    const { data } = image;
+    const count = image.width * image.height;
+    const luma = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    const distinct = [...new Set(luma)].sort((a, b) => a - b);
+    const shades = new Uint8Array(count);
+    if (distinct.length <= 4) {
+        const steps = Math.max(1, distinct.length - 1);
+        const rank = new Map(distinct.map((l, i) => [l, Math.round((i * 3) / steps)]));
+        for (let i = 0; i < count; i++) shades[i] = rank.get(luma[i]);
+    } else {
+        for (let i = 0; i < count; i++) shades[i] = Math.min(3, Math.floor(luma[i] / 64));
+    }
+    return shades;
+}
+
+/**
+ * Find the 128×112 photo window in a 160×144 frame image.
+ *
+ * A transparent hole wins outright. Otherwise every placement is scored by
+ * how many pixels along its edge differ from the pixel just outside, since
+ * a window, blank or holding a sample photo, is where the border art stops.
+ *
+ * @param {Uint8Array} shades - 160×144 shade grid
+ * @param {Uint8Array} [alpha] - 160×144 alpha values, if the image has any
+ * @returns {{ x: number, y: number }|null} Top-left of the window, or null if none stands out
+ */
+export function findWindow(shades, alpha) {
+    const maxX = FRAME_WIDTH - GBC_WIDTH;
+    const maxY = FRAME_HEIGHT - GBC_HEIGHT;
+
+    if (alpha) {
+        const hole = clearestPlacement(alpha);
+        if (hole) return hole;
+    }
+
+    const at = (x, y) => shades[y * FRAME_WIDTH + x];
+    let best = null;
+    let bestScore = 0;
+    for (let y = 1; y < maxY; y++) {
+        for (let x = 1; x < maxX; x++) {
+            const right = x + GBC_WIDTH - 1;
+            const bottom = y + GBC_HEIGHT - 1;
+            let score = 0;
+            for (let i = x; i <= right; i++) {
+                if (at(i, y) !== at(i, y - 1)) score++;
+                if (at(i, bottom) !== at(i, bottom + 1)) score++;
+            }
+            for (let j = y; j <= bottom; j++) {
+                if (at(x, j) !== at(x - 1, j)) score++;
+                if (at(right, j) !== at(right + 1, j)) score++;
+            }
+            // Ties go to the standard position
+            const standard = x === STANDARD_WINDOW.x && y === STANDARD_WINDOW.y;
+            if (score > bestScore || (score === bestScore && standard)) {
+                best = { x, y };
+                bestScore = score;
+            }
+        }
+    }
+
+    // At least half the window's outline should be a visible edge
+    const perimeter = 2 * (GBC_WIDTH + GBC_HEIGHT);
+    return bestScore >= perimeter / 2 ? best : null;
+}
+
+/**
+ * Window placement covering the most transparent pixels, if it's mostly
+ * transparent (a hole cut in the frame art)
+ */
+function clearestPlacement(alpha) {
+    // Summed-area table of transparent pixels
+    const stride = FRAME_WIDTH + 1;
+    const sums = new Uint32Array(stride * (FRAME_HEIGHT + 1));
+    for (let y = 0; y < FRAME_HEIGHT; y++) {
+        let row = 0;
+        for (let x = 0; x < FRAME_WIDTH; x++) {
+            if (alpha[y * FRAME_WIDTH + x] < 128) row++;
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + row;
+        }
+    }
+
+    let best = null;
+    let bestClear = (GBC_WIDTH * GBC_HEIGHT) / 2;
+    for (let y = 0; y <= FRAME_HEIGHT - GBC_HEIGHT; y++) {
+        for (let x = 0; x <= FRAME_WIDTH - GBC_WIDTH; x++) {
+            const x1 = x + GBC_WIDTH;
+            const y1 = y + GBC_HEIGHT;
+            const clear = sums[y1 * stride + x1] - sums[y * stride + x1] - sums[y1 * stride + x] + sums[y * stride + x];
+            if (clear > bestClear) {
+                best = { x, y };
+                bestClear = clear;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Split a 160×144 shade grid into unique tiles and a tile map
+ */
+function tileFrame(shades) {
+    const index = new Map();
+    const tiles = [];
+    const map = new Uint16Array(TILES_X * TILES_Y);
+
+    for (let ty = 0; ty < TILES_Y; ty++) {
+        for (let tx = 0; tx < TILES_X; tx++) {
+            const tile = new Uint8Array(TILE_SIZE * TILE_SIZE);
+            for (let row = 0; row < TILE_SIZE; row++) {
+                const start = (ty * TILE_SIZE + row) * FRAME_WIDTH + tx * TILE_SIZE;
+                tile.set(shades.subarray(start, start + TILE_SIZE), row * TILE_SIZE);
+            }
+            const key = tile.join('');
+            if (!index.has(key)) index.set(key, tiles.push(tile) - 1);
+            map[ty * TILES_X + tx] = index.get(key);
+        }
+    }
+    return { tiles, map };
+}
+
+/**
+ * Build a frame from a 160×144 image (or a whole-number multiple of it)
+ *
+ * @param {ImageData} image
+ * @param {string} name
+ * @returns {{ name: string, tiles: Uint8Array[], map: Uint16Array, window: { x: number, y: number } }}
+ * @throws {Error} If the image is the wrong size or has no recognizable window
+ */
+export function frameFromImage(image, name) {
+    const scale = image.width / FRAME_WIDTH;
+    if (!Number.isInteger(scale) || scale < 1 || image.height !== FRAME_HEIGHT * scale) {
+        throw new Error(
+            `Frames must be ${FRAME_WIDTH}×${FRAME_HEIGHT} pixels (or 2×, 3×…), this image is ${image.width}×${image.height}.`,
+        );
+    }
+
+    // Sample the center of each scaled-up pixel
+    const pixels = new Uint8ClampedArray(FRAME_WIDTH * FRAME_HEIGHT * 4);
+    const alpha = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT);
+    const offset = scale >> 1;
+    for (let y = 0; y < FRAME_HEIGHT; y++) {
+        for (let x = 0; x < FRAME_WIDTH; x++) {
+            const i = y * FRAME_WIDTH + x;
+            const src = ((y * scale + offset) * image.width + x * scale + offset) * 4;
+            pixels.set(image.data.subarray(src, src + 4), i * 4);
+            alpha[i] = image.data[src + 3];
+        }
+    }
+
+    // Transparent pixels take an opaque pixel's color, so they add no tone of their own
+    const opaque = alpha.findIndex((a) => a >= 128);
+    if (opaque === -1) throw new Error('This frame image is completely transparent.');
+    alpha.forEach((a, i) => {
+        if (a < 128) pixels.copyWithin(i * 4, opaque * 4, opaque * 4 + 4);
+    });
+
+    const shades = quantizeShades({ width: FRAME_WIDTH, height: FRAME_HEIGHT, data: pixels });
+    const place = findWindow(shades, alpha.some((a) => a < 128) ? alpha : null);
+    if (!place) throw new Error(`Couldn't find the ${GBC_WIDTH}×${GBC_HEIGHT} photo window in this frame.`);
+
+    // Blank the window so leftover sample-photo pixels don't bloat the tile set
+    for (let y = 0; y < GBC_HEIGHT; y++) {
+        const start = (place.y + y) * FRAME_WIDTH + place.x;
+        shades.fill(3, start, start + GBC_WIDTH);
+    }
+    return { name, ...tileFrame(shades), window: place };
+}
+
+// ── Custom frame storage ──────────────────────────────────
+
+let customFrames = null;
+
+/**
+ * Check a stored frame: tiles of 64 shades, a full map of valid tile
+ * indices and a window that fits
+ */
+function isValidFrame(frame) {
+    const { name, tiles, map, window: place } = frame ?? {};
+    return typeof name === 'string'
+        && Array.isArray(tiles) && tiles.every((t) => typeof t === 'string' && /^[0-3]{64}$/.test(t))
+        && Array.isArray(map) && map.length === TILES_X * TILES_Y
+        && map.every((i) => Number.isInteger(i) && i >= 0 && i < tiles.length)
+        && Number.isInteger(place?.x) && place.x >= 0 && place.x <= FRAME_WIDTH - GBC_WIDTH
+        && Number.isInteger(place?.y) && place.y >= 0 && place.y <= FRAME_HEIGHT - GBC_HEIGHT;
+}
+
+function loadCustomFrames() {
+    if (customFrames) return [...customFrames];
+    try {
+        const raw = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY) || '[]');
+        customFrames = Array.isArray(raw) ? raw.filter(isValidFrame) : [];
+    } catch {
+        customFrames = [];
+    }
+    return [...customFrames];
+}
+
+function storeCustomFrames(frames) {
+    customFrames = frames;
+    localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify(frames));
+}
+
+function fromStored({ key, name, tiles, map, window: place }) {
+    return {
+        key,
+        name,
+        tiles: tiles.map((t) => Uint8Array.from(t, Number)),
+        map: Uint16Array.from(map),
+        window: place,
+        custom: true,
+    };
+}
+
+/**
+ * All frames, built-ins first
+ * @returns {{ key: string, name: string, tiles: Uint8Array[], map: Uint16Array, window: object, custom: boolean }[]}
+ */
+export function getFrames() {
+    const builtIn = Object.entries(FRAMES).map(([key, f]) => ({ key, ...f, custom: false }));
+    return [...builtIn, ...loadCustomFrames().map(fromStored)];
+}
+
+/**
+ * Look up a frame by key
+ * @returns {object|null}
+ */
+export function getFrame(frameKey) {
+    return getFrames().find((f) => f.key === frameKey) ?? null;
+}
+
+/**
+ * Store an imported frame
+ * @param {{ name: string, tiles: Uint8Array[], map: ArrayLike<number>, window: object }} frame
+ * @returns {string} Frame key
+ */
+export function saveCustomFrame({ name, tiles, map, window: place }) {
+    const stored = {
+        key: `frame_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim() || 'Custom',
+        tiles: tiles.map((t) => t.join('')),
+        map: Array.from(map),
+        window: { x: place.x, y: place.y },
+    };
+    if (!isValidFrame(stored)) throw new Error('Frame data is invalid.');
+
+    storeCustomFrames([...loadCustomFrames(), stored]);
+    return stored.key;
+}
+
+/**
+ * Delete an imported frame
+ */
+export function deleteCustomFrame(frameKey) {
+    storeCustomFrames(loadCustomFrames().filter((f) => f.key !== frameKey));
+}
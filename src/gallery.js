@@ -1,93 +1,647 @@
 /**
  * gallery.js — Photo storage and gallery management
  *
- * Stores captured photos in localStorage as data URLs.
+ * Stores captured photos in IndexedDB as raw shade grids (2 bits per
+ * pixel) together with the settings they were taken with, so any photo can
+ * be re-rendered in another palette or at another scale. Most photos are
+ * 128×112; panoramas are wider or taller, so each record carries its size
+ * (records from before panoramas have none and are 128×112).
+ * Recorded videos share the store: their WebM blob rides along with a
+ * still of the first frame, which stands in for them in the grid.
+ *
+ * Every record belongs to a roll (see rolls.js) of at most MAX_PHOTOS;
+ * favorites are never dropped to make room.
+ * Photos can carry hot spots linking to other photos (see hotspots.js);
+ * deleting a photo removes the hot spots that pointed at it.
  * Provides gallery display, download, and share functionality.
  */
 
-const STORAGE_KEY = 'ca_mera_photos';
+import { renderShades, upscaleNearest, GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+import { getPalette, getPaletteRgb } from './palettes.js';
+import { frameShades, FRAME_WIDTH, FRAME_HEIGHT } from './frames.js';
+import { getActiveRoll, getRoll, DEFAULT_ROLL } from './rolls.js';
+import { linkTargets, withoutLinksTo } from './hotspots.js';
+
+const DB_NAME = 'ca_mera';
+const DB_VERSION = 3;
+const STORE = 'photos';
+
+// Pre-IndexedDB gallery: one localStorage JSON blob of PNG data URLs
+const LEGACY_STORAGE_KEY = 'ca_mera_photos';
+
+// Max photos per roll (like the original Game Boy Camera!)
+export const MAX_PHOTOS = 30;
+
+// A roll had no room, and nothing on it could be dropped
+export class RollFullError extends Error {
+    /**
+     * @param {string} roll - ID of the roll with no room
+     */
+    constructor(roll) {
+        super(`${getRoll(roll)?.name ?? 'This cartridge'} is full.`);
+        this.name = 'RollFullError';
+        this.roll = roll;
+    }
+}
+
+let dbPromise = null;
+
+// ── IndexedDB plumbing ────────────────────────────────────
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Open (and on first use, create + migrate) the photo database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (e) => upgradeDb(req.result, req.transaction, e.oldVersion);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }).then(async (db) => {
+            try {
+                await migrateLegacyPhotos(db);
+            } catch (err) {
+                console.error('Legacy photo migration failed:', err);
+            }
+            return db;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Create the store, or bring an older one up to date
+ */
+function upgradeDb(db, tx, oldVersion) {
+    if (oldVersion < 1) {
+        db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+    }
+    if (oldVersion < 2) {
+        // Rolls: everything so far goes on the first cartridge
+        const store = tx.objectStore(STORE);
+        store.createIndex('roll', ['roll', 'timestamp']);
+        store.openCursor().onsuccess = ({ target }) => {
+            const cursor = target.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, roll: cursor.value.roll ?? DEFAULT_ROLL });
+            cursor.continue();
+        };
+    }
+    if (oldVersion < 3) {
+        // Hot spots: which photos link to a photo, to unlink it on delete
+        tx.objectStore(STORE).createIndex('links', 'links', { multiEntry: true });
+    }
+}
+
+/**
+ * Key range of a roll's records in the 'roll' index, oldest first
+ */
+function rollRange(roll) {
+    return IDBKeyRange.bound([roll, -Infinity], [roll, Infinity]);
+}
+
+/**
+ * Delete records, and the hot spots elsewhere that link to them
+ * @param {IDBObjectStore} store - In a readwrite transaction
+ * @param {string[]} ids
+ */
+async function deleteRecords(store, ids) {
+    ids.forEach((id) => store.delete(id));
+    const linking = await Promise.all(ids.map((id) => request(store.index('links').getAll(id))));
+    // A photo linking to several of them turns up once for each
+    const records = new Map(linking.flat().map((r) => [r.id, r]));
+    records.forEach((record) => {
+        const hotspots = withoutLinksTo(record.hotspots, ids);
+        store.put({ ...record, hotspots, links: linkTargets(hotspots) });
+    });
+}
+
+// ── Shade packing ─────────────────────────────────────────
+
+/**
+ * Pack shade indices (0–3) four to a byte, first pixel in the high bits
+ * @param {Uint8Array} shades
+ * @returns {Uint8Array}
+ */
+function packShades(shades) {
+    const packed = new Uint8Array(Math.ceil(shades.length / 4));
+    for (let i = 0; i < shades.length; i++) {
+        packed[i >> 2] |= (shades[i] & 3) << (6 - (i & 3) * 2);
+    }
+    return packed;
+}
+
+/**
+ * Inverse of packShades
+ * @param {Uint8Array} packed
+ * @param {number} length - Number of pixels
+ * @returns {Uint8Array}
+ */
+function unpackShades(packed, length) {
+    const shades = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        shades[i] = (packed[i >> 2] >> (6 - (i & 3) * 2)) & 3;
+    }
+    return shades;
+}
+
+/**
+ * Turn a stored record into the photo shape the rest of the app uses
+ */
+function fromRecord(record) {
+    const { width = GBC_WIDTH, height = GBC_HEIGHT } = record;
+    return {
+        ...record,
+        width,
+        height,
+        shades: unpackShades(record.shades, width * height),
+    };
+}
+
+// ── Legacy migration ──────────────────────────────────────
 
 /**
- * Get all saved photos from localStorage
- * @returns {{ id: string, dataUrl: string, palette: string, timestamp: number }[]}
+ * One-time import of photos saved by the localStorage gallery.
+ *
+ * Those were 4× upscaled PNGs with the palette baked in, so each one is
+ * sampled back down to 128×112 and every pixel mapped to its palette index.
+ * Once everything has been written the localStorage entry is removed, or,
+ * if some photos couldn't be read, left holding just those: they're tried
+ * again next time rather than lost.
+ *
+ * @param {IDBDatabase} db
+ * @param {Function} [decode] - (dataUrl, paletteKey) → shades; defaults to decoding through a canvas
  */
-export function getPhotos() {
+export async function migrateLegacyPhotos(db, decode = shadesFromDataUrl) {
+    let legacy;
     try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        return raw ? JSON.parse(raw) : [];
+        legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
     } catch {
-        return [];
+        legacy = null;
+    }
+    if (!Array.isArray(legacy)) return;
+
+    const records = [];
+    const unreadable = [];
+    for (const photo of legacy) {
+        try {
+            const shades = await decode(photo.dataUrl, photo.palette);
+            records.push({
+                id: photo.id,
+                timestamp: photo.timestamp,
+                roll: DEFAULT_ROLL,
+                palette: photo.palette,
+                settings: {},
+                shades: packShades(shades),
+            });
+        } catch (err) {
+            console.error('Keeping unreadable legacy photo for later:', photo?.id, err);
+            unreadable.push(photo);
+        }
     }
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    records.forEach((record) => store.put(record));
+    await done(tx);
+
+    if (unreadable.length) localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(unreadable));
+    else localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Recover a shade grid from a palette-colored PNG data URL
+ */
+async function shadesFromDataUrl(dataUrl, paletteKey) {
+    const img = new Image();
+    img.src = dataUrl;
+    await img.decode();
+
+    const canvas = new OffscreenCanvas(img.width, img.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    const { data } = ctx.getImageData(0, 0, img.width, img.height);
+
+    // getPaletteRgb would fall back to the default palette's colors; a
+    // palette that's gone (deleted custom one) is better matched by luminance
+    const paletteRgb = getPalette(paletteKey) ? getPaletteRgb(paletteKey) : null;
+
+    const shades = new Uint8Array(GBC_WIDTH * GBC_HEIGHT);
+    const sx = img.width / GBC_WIDTH;
+    const sy = img.height / GBC_HEIGHT;
+
+    for (let y = 0; y < GBC_HEIGHT; y++) {
+        for (let x = 0; x < GBC_WIDTH; x++) {
+            // Sample the center of each upscaled block
+            const px = Math.floor((x + 0.5) * sx);
+            const py = Math.floor((y + 0.5) * sy);
+            const idx = (py * img.width + px) * 4;
+            shades[y * GBC_WIDTH + x] = nearestShade(data[idx], data[idx + 1], data[idx + 2], paletteRgb);
+        }
+    }
+    return shades;
+}
+
+/**
+ * Closest palette index for a color; falls back to luminance
+ * when the palette is unknown
+ */
+function nearestShade(r, g, b, paletteRgb) {
+    if (!paletteRgb) {
+        const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+        return Math.min(3, Math.floor(lum / 64));
+    }
+
+    let best = 0;
+    let bestDist = Infinity;
+    paletteRgb.forEach(([pr, pg, pb], shade) => {
+        const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = shade;
+        }
+    });
+    return best;
+}
+
+// ── Public API ────────────────────────────────────────────
+
+/**
+ * Get a page of saved photos, newest first. Videos come mixed in, with
+ * `type: 'video'`, their `video` blob and `duration`; `shades` is the poster.
+ * @param {object} [options]
+ * @param {number} [options.offset=0] - Photos to skip
+ * @param {number} [options.limit=MAX_PHOTOS] - Max photos to return
+ * @param {string} [options.roll] - Only this roll's photos (default: every roll)
+ * @returns {Promise<{ id: string, roll: string, favorite?: boolean, shades: Uint8Array, width: number, height: number, palette: string, settings: object, timestamp: number }[]>}
+ */
+export async function getPhotos({ offset = 0, limit = MAX_PHOTOS, roll } = {}) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readonly');
+    const store = tx.objectStore(STORE);
+    const index = roll ? store.index('roll') : store.index('timestamp');
+
+    return new Promise((resolve, reject) => {
+        const photos = [];
+        let skipped = offset === 0;
+        const req = index.openCursor(roll ? rollRange(roll) : null, 'prev');
+
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor || photos.length >= limit) {
+                resolve(photos);
+                return;
+            }
+            if (!skipped) {
+                skipped = true;
+                cursor.advance(offset);
+                return;
+            }
+            photos.push(fromRecord(cursor.value));
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Get a single photo by ID
+ * @returns {Promise<object|null>}
+ */
+export async function getPhoto(id) {
+    const db = await openDb();
+    const record = await request(db.transaction(STORE, 'readonly').objectStore(STORE).get(id));
+    return record ? fromRecord(record) : null;
 }
 
 /**
- * Save a photo to localStorage
- * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The processed canvas to save
+ * Number of saved photos
+ * @param {object} [options]
+ * @param {string} [options.roll] - Only count this roll (default: every roll)
+ * @returns {Promise<number>}
+ */
+export async function countPhotos({ roll } = {}) {
+    const db = await openDb();
+    const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+    return request(roll ? store.index('roll').count(rollRange(roll)) : store.count());
+}
+
+/**
+ * How full a roll is, for fullRollAction
+ * @returns {Promise<{ count: number, favorites: number }>}
+ */
+export async function rollStatus(roll) {
+    const db = await openDb();
+    const records = await request(db.transaction(STORE, 'readonly').objectStore(STORE).index('roll').getAll(rollRange(roll)));
+    return { count: records.length, favorites: records.filter((r) => r.favorite).length };
+}
+
+/**
+ * Save a photo
+ * @param {Uint8Array} shades - Shade indices, e.g. from processShades
  * @param {string} palette - Palette key used
- * @returns {string} Photo ID
- */
-export function savePhoto(canvas, palette) {
-    const photos = getPhotos();
-
-    // Convert to data URL
-    let dataUrl;
-    if (canvas instanceof OffscreenCanvas) {
-        // OffscreenCanvas doesn't have toDataURL, need to use a regular canvas
-        const c = document.createElement('canvas');
-        c.width = canvas.width;
-        c.height = canvas.height;
-        const ctx = c.getContext('2d');
-        ctx.drawImage(canvas, 0, 0);
-        dataUrl = c.toDataURL('image/png');
-    } else {
-        dataUrl = canvas.toDataURL('image/png');
-    }
-
-    const photo = {
-        id: `photo_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
-        dataUrl,
+ * @param {object} [settings] - Processing settings the photo was taken with
+ * @param {object} [options]
+ * @param {number} [options.timestamp] - Capture time (defaults to now)
+ * @param {number} [options.width=128] - Grid size; only panoramas differ from 128×112
+ * @param {number} [options.height=112]
+ * @param {string} [options.roll] - Roll to save into (defaults to the active one)
+ * @returns {Promise<string>} Photo ID
+ * @throws {RollFullError} If the roll is full of favorites
+ */
+export async function savePhoto(
+    shades,
+    palette,
+    settings = {},
+    { timestamp = Date.now(), width = GBC_WIDTH, height = GBC_HEIGHT, roll = getActiveRoll().id } = {},
+) {
+    if (shades.length !== width * height) {
+        throw new Error(`Photo is ${width}×${height} but has ${shades.length} pixels`);
+    }
+
+    const record = {
+        id: `photo_${timestamp}_${Math.random().toString(36).slice(2, 6)}`,
+        timestamp,
+        roll,
         palette,
-        timestamp: Date.now(),
+        settings: { ...settings },
+        width,
+        height,
+        shades: packShades(shades),
     };
+    return putRecord(record);
+}
+
+/**
+ * Save a recorded video
+ * @param {Blob} video - Recorded WebM
+ * @param {Uint8Array} poster - 128×112 shades of its first frame, shown in the gallery
+ * @param {string} palette - Palette key it was recorded with
+ * @param {object} [settings] - Processing and recording settings
+ * @param {object} [options]
+ * @param {number} [options.timestamp] - Recording start (defaults to now)
+ * @param {number} [options.duration] - Length in seconds
+ * @param {string} [options.roll] - Roll to save into (defaults to the active one)
+ * @returns {Promise<string>} Video ID
+ * @throws {RollFullError} If the roll is full of favorites
+ */
+export async function saveVideo(
+    video,
+    poster,
+    palette,
+    settings = {},
+    { timestamp = Date.now(), duration = 0, roll = getActiveRoll().id } = {},
+) {
+    return putRecord({
+        id: `video_${timestamp}_${Math.random().toString(36).slice(2, 6)}`,
+        type: 'video',
+        timestamp,
+        roll,
+        palette,
+        settings: { ...settings },
+        width: GBC_WIDTH,
+        height: GBC_HEIGHT,
+        shades: packShades(poster),
+        video,
+        duration,
+    });
+}
 
-    photos.unshift(photo); // newest first
+/**
+ * Store a record, dropping the oldest non-favorites of its roll over
+ * MAX_PHOTOS
+ * @returns {Promise<string>} Record ID
+ */
+async function putRecord(record) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    store.put(record);
 
-    // Keep max 30 photos (like the original Game Boy Camera!)
-    if (photos.length > 30) photos.pop();
+    // Keep max 30 photos per roll: drop the oldest ones
+    const records = await request(store.index('roll').getAll(rollRange(record.roll)));
+    const excess = records.length - MAX_PHOTOS;
+    const evictable = records.filter((r) => !r.favorite && r.id !== record.id);
+    if (excess > evictable.length) {
+        tx.abort();
+        throw new RollFullError(record.roll);
+    }
+    await deleteRecords(store, evictable.slice(0, Math.max(0, excess)).map((r) => r.id));
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(photos));
-    return photo.id;
+    await done(tx);
+    return record.id;
 }
 
 /**
  * Delete a photo by ID
  */
-export function deletePhoto(id) {
-    const photos = getPhotos().filter((p) => p.id !== id);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(photos));
+export async function deletePhoto(id) {
+    return deletePhotos([id]);
+}
+
+/**
+ * Delete several photos at once
+ * @param {string[]} ids
+ */
+export async function deletePhotos(ids) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    await deleteRecords(tx.objectStore(STORE), ids);
+    await done(tx);
+}
+
+/**
+ * Delete every photo on a roll
+ */
+export async function clearRoll(roll) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    await deleteRecords(store, await request(store.index('roll').getAllKeys(rollRange(roll))));
+    await done(tx);
+}
+
+/**
+ * Move photos to another roll. All or nothing: nothing moves if they
+ * wouldn't fit.
+ * @param {string[]} ids
+ * @param {string} roll - Destination roll ID
+ * @throws {RollFullError} If the destination hasn't room for them all
+ */
+export async function movePhotos(ids, roll) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const records = (await Promise.all(ids.map((id) => request(store.get(id))))).filter((r) => r && r.roll !== roll);
+    const count = await request(store.index('roll').count(rollRange(roll)));
+    if (count + records.length > MAX_PHOTOS) {
+        tx.abort();
+        throw new RollFullError(roll);
+    }
+    records.forEach((r) => store.put({ ...r, roll }));
+    await done(tx);
+}
+
+/**
+ * Mark or unmark photos as favorites, which are kept when a roll overflows
+ * @param {string[]} ids
+ * @param {boolean} favorite
+ */
+export async function setFavorite(ids, favorite) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const records = await Promise.all(ids.map((id) => request(store.get(id))));
+    records.filter(Boolean).forEach((r) => store.put({ ...r, favorite }));
+    await done(tx);
+}
+
+/**
+ * IDs of every saved photo
+ * @returns {Promise<string[]>}
+ */
+export async function getPhotoIds() {
+    const db = await openDb();
+    return request(db.transaction(STORE, 'readonly').objectStore(STORE).getAllKeys());
+}
+
+/**
+ * Put back a photo from a backup as it was: same ID, roll and favorite
+ * flag. Unlike saving, nothing is evicted to make room.
+ * @param {object} photo - Photo as from getPhotos (or parseBackup)
+ * @throws {RollFullError} If its roll is full
+ */
+export async function restorePhoto(photo) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const count = await request(store.index('roll').count(rollRange(photo.roll)));
+    if (count >= MAX_PHOTOS) {
+        tx.abort();
+        throw new RollFullError(photo.roll);
+    }
+    store.put({
+        ...photo,
+        settings: { ...photo.settings },
+        shades: packShades(photo.shades),
+        ...(photo.hotspots && { links: linkTargets(photo.hotspots) }),
+    });
+    await done(tx);
+}
+
+/**
+ * Replace a photo's hot spots
+ * @param {string} id
+ * @param {{ x: number, y: number, width: number, height: number, target: string }[]} hotspots
+ */
+export async function setHotspots(id, hotspots) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const record = await request(store.get(id));
+    if (record) store.put({ ...record, hotspots: hotspots.map((s) => ({ ...s })), links: linkTargets(hotspots) });
+    await done(tx);
 }
 
 /**
- * Download a photo
+ * Render a stored photo
+ * @param {object} photo - Photo from getPhotos/getPhoto
+ * @param {object} [options]
+ * @param {string} [options.palette] - Palette key (defaults to the one it was taken with)
+ * @param {number} [options.scale=1] - Integer nearest-neighbor scale factor
+ * @param {object} [options.frame] - Frame from frames.js, giving a 160×144 image
+ *        (ignored for panoramas, which don't fit the window)
+ * @returns {ImageData}
  */
-export function downloadPhoto(dataUrl, filename = 'ca_mera_photo.png') {
+export function renderPhoto(photo, { palette = photo.palette, scale = 1, frame = null } = {}) {
+    const image = frame && isStandardSize(photo)
+        ? renderShades(frameShades(photo.shades, frame), FRAME_WIDTH, FRAME_HEIGHT, palette)
+        : renderShades(photo.shades, photo.width, photo.height, palette);
+    return scale > 1 ? upscaleNearest(image, scale) : image;
+}
+
+/**
+ * Whether a photo is a regular 128×112 shot (not a panorama or a video):
+ * only those fit cartridge save slots and animation frames
+ */
+export function isStandardSize(photo) {
+    return !isVideo(photo) && photo.width === GBC_WIDTH && photo.height === GBC_HEIGHT;
+}
+
+/**
+ * Whether a gallery item is a recorded video rather than a photo
+ */
+export function isVideo(photo) {
+    return photo.type === 'video';
+}
+
+/**
+ * Render a stored photo to a PNG blob
+ * @param {object} photo
+ * @param {object} [options] - See renderPhoto (scale defaults to 4, e.g. 512×448)
+ * @returns {Promise<Blob>}
+ */
+export function photoToBlob(photo, { palette, scale = 4, frame } = {}) {
+    const image = renderPhoto(photo, { palette, scale, frame });
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    canvas.getContext('2d').putImageData(image, 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Download a blob
+ */
+export function downloadPhoto(blob, filename = 'ca_mera_photo.png') {
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
-    a.href = dataUrl;
+    a.href = url;
     a.download = filename;
     a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Share a photo (or video) using the Web Share API (mobile)
+ */
+export function sharePhoto(blob, filename = 'ca_mera_photo.png') {
+    return sharePhotos([{ blob, filename }]);
 }
 
 /**
- * Share a photo using the Web Share API (mobile)
+ * Share several photos in one go
+ * @param {{ blob: Blob, filename: string }[]} items
+ * @returns {Promise<boolean>} Whether the share sheet took them
  */
-export async function sharePhoto(dataUrl) {
+export async function sharePhotos(items) {
     try {
-        const blob = await (await fetch(dataUrl)).blob();
-        const file = new File([blob], 'ca_mera_photo.png', { type: 'image/png' });
+        const files = items.map(({ blob, filename }) => new File([blob], filename, { type: blob.type || 'image/png' }));
 
-        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        if (navigator.canShare && navigator.canShare({ files })) {
             await navigator.share({
-                files: [file],
+                files,
                 title: 'ca_mera',
                 text: 'Shot on ca_mera 📸',
             });
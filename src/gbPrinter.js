@@ -0,0 +1,407 @@
+/**
+ * gbPrinter.js — Game Boy Printer emulation
+ *
+ * Encodes photos into the printer's serial packet protocol, runs packet
+ * streams through an emulated printer, and renders the thermal-paper strip.
+ * Also parses the hex text dumps that printer-interface tools log, so
+ * prints captured from real hardware can be pulled into the gallery.
+ *
+ * Packet layout:
+ *   0x88 0x33 | command | compression | length (LE16) | data | checksum (LE16)
+ * The checksum is the 16-bit sum of every byte from command through data.
+ * The printer answers each packet with a keepalive (0x81) and a status byte,
+ * which dump tools usually log on the same line.
+ *
+ * Everything except renderStrip is DOM-free so it can be exercised against
+ * fixture dumps without a device attached.
+ */
+
+import { GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+import { decodeTiles, encodeTiles } from './gbcSave.js';
+
+export const COMMAND = {
+    INIT: 0x01,
+    PRINT: 0x02,
+    DATA: 0x04,
+    BREAK: 0x08,
+    INQUIRY: 0x0f,
+};
+
+// Paper is always 20 tiles wide
+export const PRINTER_WIDTH = 160;
+
+// One DATA packet carries 2 rows of 20 tiles; the printer buffers 9 of them
+const BAND_HEIGHT = 16;
+const BAND_BYTES = 640;
+const MAX_BANDS = 9;
+const TILE_ROW_BYTES = BAND_BYTES / 2;
+
+// Blank paper fed per margin unit, in pixel rows
+const MARGIN_ROWS = 16;
+
+const MAGIC = [0x88, 0x33];
+
+// Default PRINT arguments, as sent by the Game Boy Camera
+export const DEFAULT_PRINT_OPTIONS = {
+    marginBefore: 1,
+    marginAfter: 3,
+    palette: 0xe4, // identity: color n prints as shade n
+    exposure: 0x40, // 0x00 = 25% lighter, 0x7f = 25% darker
+};
+
+// Thermal paper and fully-burnt ink colors
+const PAPER_RGB = [244, 241, 232];
+const INK_RGB = [28, 30, 36];
+
+// ── Compression ───────────────────────────────────────────
+
+/**
+ * Printer RLE: a control byte with the top bit set is followed by one byte
+ * repeated (control & 0x7f) + 2 times; otherwise (control + 1) literal
+ * bytes follow.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function compressRle(bytes) {
+    const out = [];
+    let literal = [];
+
+    const flushLiteral = () => {
+        while (literal.length) {
+            const chunk = literal.splice(0, 128);
+            out.push(chunk.length - 1, ...chunk);
+        }
+    };
+
+    let i = 0;
+    while (i < bytes.length) {
+        let run = 1;
+        while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 129) run++;
+
+        if (run >= 2) {
+            flushLiteral();
+            out.push(0x80 | (run - 2), bytes[i]);
+            i += run;
+        } else {
+            literal.push(bytes[i]);
+            i++;
+        }
+    }
+    flushLiteral();
+    return Uint8Array.from(out);
+}
+
+/**
+ * Inverse of compressRle
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function decompressRle(bytes) {
+    const out = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const control = bytes[i++];
+        if (control & 0x80) {
+            const count = (control & 0x7f) + 2;
+            const value = bytes[i++];
+            for (let n = 0; n < count; n++) out.push(value);
+        } else {
+            for (let n = 0; n <= control; n++) out.push(bytes[i++]);
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+// ── Packets ───────────────────────────────────────────────
+
+/**
+ * Build a single printer packet
+ *
+ * @param {number} command - One of COMMAND
+ * @param {ArrayLike<number>} [data] - Payload (uncompressed)
+ * @param {object} [options]
+ * @param {boolean} [options.compress=false] - RLE-compress the payload
+ * @returns {Uint8Array}
+ */
+export function encodePacket(command, data = [], { compress = false } = {}) {
+    const payload = compress ? compressRle(Uint8Array.from(data)) : Uint8Array.from(data);
+    const body = [command, compress ? 1 : 0, payload.length & 0xff, payload.length >> 8, ...payload];
+    const sum = body.reduce((acc, b) => (acc + b) & 0xffff, 0);
+    return Uint8Array.from([...MAGIC, ...body, sum & 0xff, sum >> 8]);
+}
+
+/**
+ * Split a packet stream into packets, decompressing DATA payloads.
+ * Bytes between packets (printer responses, noise) are skipped.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ command: number, compressed: boolean, data: Uint8Array, checksumOk: boolean }[]}
+ */
+export function parsePackets(bytes) {
+    const packets = [];
+    let i = 0;
+
+    while (i + 8 <= bytes.length) {
+        if (bytes[i] !== MAGIC[0] || bytes[i + 1] !== MAGIC[1]) {
+            i++;
+            continue;
+        }
+
+        const command = bytes[i + 2];
+        const compressed = bytes[i + 3] === 1;
+        const length = bytes[i + 4] | (bytes[i + 5] << 8);
+        const end = i + 6 + length;
+        if (end + 2 > bytes.length) break;
+
+        let sum = 0;
+        for (let j = i + 2; j < end; j++) sum = (sum + bytes[j]) & 0xffff;
+        const stored = bytes[end] | (bytes[end + 1] << 8);
+
+        const raw = bytes.slice(i + 6, end);
+        packets.push({
+            command,
+            compressed,
+            data: compressed ? decompressRle(raw) : raw,
+            checksumOk: sum === stored,
+        });
+        i = end + 2;
+    }
+    return packets;
+}
+
+/**
+ * Encode a shade grid as a complete print job: INIT, DATA bands, an empty
+ * DATA terminator, PRINT and a status INQUIRY. Images taller than the
+ * printer buffer are sent as several back-to-back prints with no margin
+ * between them, which is how long receipts come out of the real printer.
+ *
+ * Narrower images are centered on the 160-pixel paper; heights are padded
+ * to a whole band.
+ *
+ * @param {Uint8Array} shades - Shade indices (0 = darkest)
+ * @param {number} width - At most 160
+ * @param {number} height
+ * @param {object} [options] - See DEFAULT_PRINT_OPTIONS, plus `compress`
+ * @returns {Uint8Array} Packet stream
+ */
+export function encodePrintJob(shades, width, height, options = {}) {
+    const { marginBefore, marginAfter, palette, exposure, compress = true } = {
+        ...DEFAULT_PRINT_OPTIONS,
+        ...options,
+    };
+    if (width > PRINTER_WIDTH) {
+        throw new Error(`Printer paper is ${PRINTER_WIDTH} pixels wide, image is ${width}`);
+    }
+
+    const paper = fitToPaper(shades, width, height);
+    const bands = paper.height / BAND_HEIGHT;
+    const tiles = encodeTiles(paper.shades, PRINTER_WIDTH, paper.height);
+
+    const packets = [];
+    for (let first = 0; first < bands; first += MAX_BANDS) {
+        const last = Math.min(bands, first + MAX_BANDS);
+        const before = first === 0 ? marginBefore : 0;
+        const after = last === bands ? marginAfter : 0;
+
+        packets.push(encodePacket(COMMAND.INIT));
+        for (let band = first; band < last; band++) {
+            const data = tiles.subarray(band * BAND_BYTES, (band + 1) * BAND_BYTES);
+            packets.push(encodePacket(COMMAND.DATA, data, { compress }));
+        }
+        packets.push(encodePacket(COMMAND.DATA));
+        packets.push(encodePacket(COMMAND.PRINT, [1, (before << 4) | after, palette, exposure]));
+        packets.push(encodePacket(COMMAND.INQUIRY));
+    }
+
+    return concat(packets);
+}
+
+/**
+ * Center a shade grid on white 160-wide paper, padded to whole bands
+ */
+function fitToPaper(shades, width, height) {
+    const paperHeight = Math.ceil(height / BAND_HEIGHT) * BAND_HEIGHT;
+    const out = new Uint8Array(PRINTER_WIDTH * paperHeight).fill(3);
+    const left = Math.floor((PRINTER_WIDTH - width) / 2);
+
+    for (let y = 0; y < height; y++) {
+        out.set(shades.subarray(y * width, (y + 1) * width), y * PRINTER_WIDTH + left);
+    }
+    return { shades: out, height: paperHeight };
+}
+
+// ── Emulated printer ──────────────────────────────────────
+
+/**
+ * Feed packets through an emulated printer and collect what it prints
+ *
+ * @param {ReturnType<typeof parsePackets>} packets
+ * @returns {{ width: number, height: number, shades: Uint8Array, marginBefore: number, marginAfter: number, palette: number, exposure: number }[]}
+ */
+export function runPrinter(packets) {
+    const printouts = [];
+    let buffer = [];
+
+    for (const packet of packets) {
+        if (!packet.checksumOk) continue;
+
+        switch (packet.command) {
+            case COMMAND.INIT:
+            case COMMAND.BREAK:
+                buffer = [];
+                break;
+
+            case COMMAND.DATA:
+                if (packet.data.length) buffer.push(packet.data);
+                break;
+
+            case COMMAND.PRINT: {
+                const [, margins = 0, palette = 0xe4, exposure = 0x40] = packet.data;
+                const data = concat(buffer);
+                const rows = Math.floor(data.length / TILE_ROW_BYTES) * 8;
+
+                printouts.push({
+                    width: PRINTER_WIDTH,
+                    height: rows,
+                    shades: decodeTiles(data, PRINTER_WIDTH, rows),
+                    marginBefore: margins >> 4,
+                    marginAfter: margins & 0x0f,
+                    palette,
+                    exposure: exposure & 0x7f,
+                });
+                buffer = [];
+                break;
+            }
+
+            default:
+                // INQUIRY and unknown commands don't change printer state
+                break;
+        }
+    }
+    return printouts;
+}
+
+function concat(chunks) {
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let offset = 0;
+    chunks.forEach((c) => {
+        out.set(c, offset);
+        offset += c.length;
+    });
+    return out;
+}
+
+/**
+ * Render printouts as one continuous strip of thermal paper
+ *
+ * @param {ReturnType<typeof runPrinter>} printouts
+ * @returns {ImageData} 160 pixels wide
+ */
+export function renderStrip(printouts) {
+    const height = printouts.reduce(
+        (h, p) => h + (p.marginBefore + p.marginAfter) * MARGIN_ROWS + p.height,
+        0,
+    );
+    const image = new ImageData(PRINTER_WIDTH, Math.max(1, height));
+    const data = image.data;
+
+    // Start with blank paper
+    for (let i = 0; i < data.length; i += 4) {
+        [data[i], data[i + 1], data[i + 2]] = PAPER_RGB;
+        data[i + 3] = 255;
+    }
+
+    let row = 0;
+    for (const p of printouts) {
+        row += p.marginBefore * MARGIN_ROWS;
+
+        // Exposure scales how hard the head burns: ±25% around 0x40
+        const burn = 1 + ((p.exposure - 0x40) / 0x40) * 0.25;
+
+        for (let y = 0; y < p.height; y++) {
+            for (let x = 0; x < p.width; x++) {
+                // Shade → Game Boy color → printed shade via the palette byte
+                const color = 3 - p.shades[y * p.width + x];
+                const printed = (p.palette >> (color * 2)) & 3;
+                const darkness = Math.min(1, (printed / 3) * burn);
+
+                const idx = ((row + y) * PRINTER_WIDTH + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[idx + c] = PAPER_RGB[c] + (INK_RGB[c] - PAPER_RGB[c]) * darkness;
+                }
+            }
+        }
+        row += p.height + p.marginAfter * MARGIN_ROWS;
+    }
+    return image;
+}
+
+/**
+ * Turn a printout into a photo, as it came out of the printer: shades go
+ * through the job's palette byte (so an inverted 0x1B print stays
+ * inverted). A Game Boy Camera print is exactly 160×144 with the photo
+ * centered in its frame, so it's cropped back to the 128×112 photo;
+ * anything else keeps the full printout.
+ *
+ * @param {ReturnType<typeof runPrinter>[number]} printout
+ * @returns {{ shades: Uint8Array, width: number, height: number }}
+ */
+export function printoutToShades(printout) {
+    const cameraPrint = printout.width === PRINTER_WIDTH && printout.height === 144;
+    const width = cameraPrint ? GBC_WIDTH : printout.width;
+    const height = cameraPrint ? GBC_HEIGHT : printout.height;
+    const left = (printout.width - width) / 2;
+    const top = (printout.height - height) / 2;
+
+    const shades = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Shade → Game Boy color → printed shade, as renderStrip does
+            const color = 3 - printout.shades[(y + top) * printout.width + x + left];
+            shades[y * width + x] = 3 - ((printout.palette >> (color * 2)) & 3);
+        }
+    }
+    return { shades, width, height };
+}
+
+// ── Hex dumps ─────────────────────────────────────────────
+
+/**
+ * Parse a printer-interface hex log into raw bytes. Comment lines
+ * (`//`, `#`, `!`) and JSON status lines (`{…}`) are ignored.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function parseHexDump(text) {
+    const bytes = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || /^(\/\/|#|!|\{)/.test(trimmed)) continue;
+
+        for (const token of trimmed.split(/[\s,]+/)) {
+            const hex = token.replace(/^0x/i, '');
+            if (/^[0-9a-f]{2}$/i.test(hex)) bytes.push(parseInt(hex, 16));
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Format a packet stream as a hex log, one packet per line
+ *
+ * @param {Uint8Array} stream
+ * @returns {string}
+ */
+export function formatHexDump(stream) {
+    const lines = [];
+    let i = 0;
+    while (i < stream.length) {
+        const length = stream[i + 4] | (stream[i + 5] << 8);
+        const packet = stream.subarray(i, i + 8 + length);
+        lines.push(Array.from(packet, (b) => b.toString(16).padStart(2, '0').toUpperCase()).join(' '));
+        i += packet.length;
+    }
+    return lines.join('\n') + '\n';
+}
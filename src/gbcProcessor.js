@@ -2,32 +2,67 @@
  * gbcProcessor.js — Game Boy Camera image processing pipeline
  *
  * Emulates the M64282FP sensor's image processing:
+ *   0. Trick lens (zoom crops the source, the others rearrange the 128×112 frame)
  *   1. Downscale to 128×112
  *   2. Convert to grayscale
- *   3. Edge enhancement (optional, emulates the sensor's 2D filter mode)
- *   4. Ordered dithering with 4×4 Bayer matrix
+ *   3. Tone: gamma, brightness and contrast
+ *      Edge enhancement (optional, emulates the sensor's 2D filter mode)
+ *   4. Dithering (4×4 Bayer by default; see dither.js for the others)
  *   5. Quantize to 4 shades
  *   6. Apply color palette
  *
+ * In "authentic" sensor mode, steps 3–5 are replaced by the register-level
+ * M64282FP model in m64282fp.js.
+ *
+ * Steps 1–5 produce a grid of shade indices (see processShades); step 6 is
+ * kept separate (renderShades) so stored photos can be re-colored later.
+ * The live preview runs the same stages in a worker (see previewWorker.js),
+ * entering after the downscale via processDownscaled.
+ *
  * All functions operate on ImageData pixel arrays for zero-dependency processing.
+ * Nothing here needs the DOM: where ImageData or OffscreenCanvas are missing
+ * (Node, for the CLI and tests) images are plain { width, height, data }
+ * objects and resizing falls back to pure-JS loops. In the browser the
+ * canvas paths are kept as a fast path.
  */
 
 import { getPaletteRgb } from './palettes.js';
+import { dither, DEFAULT_DITHER } from './dither.js';
+import { sensorShades } from './m64282fp.js';
 
 // Game Boy Camera native resolution
 export const GBC_WIDTH = 128;
 export const GBC_HEIGHT = 112;
 
 /**
- * 4×4 Bayer ordered dithering matrix (normalized to 0–1 range)
- * This matches the pattern visible in the example photos.
+ * Trick lenses, as on the original cartridge.
+ * `zoom` lenses crop the full-resolution frame before downscaling, so they
+ * gain real detail; the rest rearrange the downscaled 128×112 frame.
  */
-const BAYER_4x4 = [
-    [0 / 16, 8 / 16, 2 / 16, 10 / 16],
-    [12 / 16, 4 / 16, 14 / 16, 6 / 16],
-    [3 / 16, 11 / 16, 1 / 16, 9 / 16],
-    [15 / 16, 7 / 16, 13 / 16, 5 / 16],
-];
+export const LENSES = {
+    none: { name: 'Normal' },
+    mirrorH: { name: 'Mirror ↔' },
+    mirrorV: { name: 'Mirror ↕' },
+    kaleidoscope: { name: 'Kaleido' },
+    zoom2: { name: 'Zoom 2×', zoom: 2 },
+    zoom4: { name: 'Zoom 4×', zoom: 4 },
+    flip: { name: 'Upside-down' },
+    tile4: { name: 'Tile ×4' },
+};
+
+/**
+ * Create a blank RGBA image, or wrap existing pixels. Uses ImageData where
+ * it exists, otherwise an object with the same shape.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8ClampedArray} [data] - RGBA pixels to wrap (not copied)
+ * @returns {ImageData}
+ */
+export function createImageData(width, height, data = new Uint8ClampedArray(width * height * 4)) {
+    if (typeof ImageData !== 'undefined') return new ImageData(data, width, height);
+    return { width, height, data };
+}
 
 /**
  * 3×3 edge enhancement kernel (Laplacian-based, similar to M64282FP's 2D filter)
@@ -45,41 +80,229 @@ const EDGE_KERNEL = [
  * @param {string} paletteKey - Key from PALETTES
  * @param {object} options
  * @param {number} options.contrast - Contrast adjustment (0–2, default 1.2)
+ * @param {number} options.brightness - Added to the level after gamma, -0.5–0.5 (default 0)
+ * @param {number} options.gamma - Midtone curve, >1 lightens (default 1)
  * @param {number} options.edgeStrength - Edge enhancement mix (0–1, default 0.3)
+ * @param {string} options.lens - Key from LENSES (default 'none')
+ * @param {string} options.dither - Key from DITHERS (default 'bayer4')
+ * @param {number} options.spread - Dither strength (default depends on the dither)
+ * @param {number[]} options.thresholds - The 3 quantization thresholds (default 0.25/0.5/0.75)
+ * @param {string} options.sensor - 'simple' (default) or 'authentic'
+ * @param {object} options.registers - Sensor registers for authentic mode (see m64282fp.js)
  * @returns {ImageData} Processed 128×112 image
  */
 export function processFrame(sourceImageData, paletteKey, options = {}) {
+    const shades = processShades(sourceImageData, options);
+    return renderShades(shades, GBC_WIDTH, GBC_HEIGHT, paletteKey);
+}
+
+/**
+ * Run the pipeline up to quantization, without applying a palette.
+ * This is what the gallery stores, so photos can be re-colored later.
+ *
+ * @param {ImageData} sourceImageData - Raw camera frame
+ * @param {object} options - Same options as processFrame, plus:
+ * @param {object} [options.timings] - If given, filled with milliseconds spent per stage
+ * @param {Uint32Array} [options.histogram] - If given, filled with the levels the
+ *        dither sees (simple sensor mode only); its length sets the number of bins
+ * @returns {Uint8Array} 128×112 shade indices (0 = darkest, 3 = lightest)
+ */
+export function processShades(sourceImageData, options = {}) {
+    const { lens = 'none', timings } = options;
+    const time = stageTimer(timings);
+
+    // Step 0 + 1: Zoom lenses crop first, then downscale to 128×112
+    const { zoom = 1 } = LENSES[lens] ?? LENSES.none;
+    const downscaled = time('downscale', () => {
+        const source = zoom > 1 ? cropCenter(sourceImageData, zoom) : sourceImageData;
+        return downscale(source, GBC_WIDTH, GBC_HEIGHT);
+    });
+
+    return processDownscaled(downscaled, options);
+}
+
+/**
+ * Run the pipeline from a frame that's already cropped (including any zoom
+ * lens) and downscaled to 128×112. The preview worker gets there with a
+ * single drawImage, so it starts here.
+ *
+ * @param {ImageData} downscaled - 128×112 frame; may be modified
+ * @param {object} options - Same options as processShades
+ * @returns {Uint8Array} Shade indices
+ */
+export function processDownscaled(downscaled, options = {}) {
     const {
         contrast = 1.2,
+        brightness = 0,
+        gamma = 1,
         edgeStrength = 0.3,
+        lens = 'none',
+        dither: method = DEFAULT_DITHER,
+        spread,
+        thresholds,
+        sensor = 'simple',
+        registers,
+        timings,
+        histogram,
     } = options;
+    const time = stageTimer(timings);
 
-    const paletteRgb = getPaletteRgb(paletteKey);
-
-    // Step 1: Downscale to 128×112
-    const downscaled = downscale(sourceImageData, GBC_WIDTH, GBC_HEIGHT);
+    // Step 0: Rearranging trick lenses
+    const lensed = time('lens', () => applyLens(downscaled, lens));
 
     // Step 2: Convert to grayscale
-    const gray = toGrayscale(downscaled);
+    const gray = time('grayscale', () => toGrayscale(lensed));
 
-    // Step 3: Apply contrast
-    applyContrast(gray, contrast);
+    // Steps 3–5, emulated at the register level
+    if (sensor === 'authentic') {
+        return time('sensor', () => sensorShades(gray, registers));
+    }
 
-    // Step 4: Edge enhancement
+    // Step 3: Tone curve, then edge enhancement
+    time('tone', () => applyTone(gray, { brightness, contrast, gamma }));
     if (edgeStrength > 0) {
-        edgeEnhance(gray, edgeStrength);
+        time('edge', () => edgeEnhance(gray, edgeStrength));
     }
+    if (histogram) levelHistogram(gray, histogram);
 
-    // Step 5 & 6: Ordered dithering + palette application (combined for speed)
-    ditherAndColorize(gray, paletteRgb);
+    // Step 5: Dithering + quantization
+    return time('dither', () => dither(gray, { method, spread, thresholds }));
+}
 
-    return gray;
+/**
+ * Wrap pipeline stages so their duration lands in `timings[name]`;
+ * a no-op wrapper when no timings are requested.
+ */
+function stageTimer(timings) {
+    if (!timings) return (name, fn) => fn();
+    return (name, fn) => {
+        const start = performance.now();
+        const result = fn();
+        timings[name] = performance.now() - start;
+        return result;
+    };
+}
+
+/**
+ * Colorize a shade grid with a palette (step 6 of the pipeline).
+ *
+ * @param {Uint8Array} shades - Shade indices, one per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {string} paletteKey - Key from PALETTES
+ * @returns {ImageData}
+ */
+export function renderShades(shades, width, height, paletteKey) {
+    const imageData = createImageData(width, height);
+    colorizeShades(shades, getPaletteRgb(paletteKey), imageData.data);
+    return imageData;
+}
+
+/**
+ * Write palette colors for a shade grid into an existing RGBA buffer.
+ * Takes the colors rather than a palette key so it also works where the
+ * palette registry isn't available (the preview worker has no localStorage).
+ *
+ * @param {Uint8Array} shades - Shade indices, one per pixel
+ * @param {number[][]} paletteRgb - 4 [r, g, b] entries
+ * @param {Uint8ClampedArray} data - RGBA output, at least shades.length × 4
+ */
+export function colorizeShades(shades, paletteRgb, data) {
+    for (let i = 0; i < shades.length; i++) {
+        const [r, g, b] = paletteRgb[shades[i]];
+        const idx = i * 4;
+        data[idx] = r;
+        data[idx + 1] = g;
+        data[idx + 2] = b;
+        data[idx + 3] = 255;
+    }
+}
+
+/**
+ * Crop the central 1/factor of an image (for the zoom lenses).
+ */
+function cropCenter(source, factor) {
+    const width = Math.max(1, Math.round(source.width / factor));
+    const height = Math.max(1, Math.round(source.height / factor));
+    const x = Math.floor((source.width - width) / 2);
+    const y = Math.floor((source.height - height) / 2);
+    return cropImage(source, { x, y, width, height });
+}
+
+/**
+ * Copy a rectangle out of an image
+ *
+ * @param {ImageData} source
+ * @param {{ x: number, y: number, width: number, height: number }} rect - Must lie inside source
+ * @returns {ImageData}
+ */
+export function cropImage(source, { x, y, width, height }) {
+    const out = createImageData(width, height);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * source.width + x) * 4;
+        out.data.set(source.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return out;
+}
+
+/**
+ * Apply a rearranging trick lens to the downscaled frame.
+ * Each output pixel is looked up from a source position in the same frame.
+ */
+export function applyLens(imageData, lens) {
+    const { width, height, data } = imageData;
+    const halfW = width / 2;
+    const halfH = height / 2;
+
+    let lookup;
+    switch (lens) {
+        case 'mirrorH':
+            // Left half reflected onto the right
+            lookup = (x, y) => [x < halfW ? x : width - 1 - x, y];
+            break;
+        case 'mirrorV':
+            // Top half reflected onto the bottom
+            lookup = (x, y) => [x, y < halfH ? y : height - 1 - y];
+            break;
+        case 'kaleidoscope':
+            // Top-left quadrant reflected into all four
+            lookup = (x, y) => [x < halfW ? x : width - 1 - x, y < halfH ? y : height - 1 - y];
+            break;
+        case 'flip':
+            lookup = (x, y) => [width - 1 - x, height - 1 - y];
+            break;
+        case 'tile4':
+            // Half-size copy in each quadrant (nearest sample of every other pixel)
+            lookup = (x, y) => [(x % halfW) * 2, (y % halfH) * 2];
+            break;
+        default:
+            return imageData;
+    }
+
+    const out = createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = lookup(x, y);
+            const src = (sy * width + sx) * 4;
+            const dst = (y * width + x) * 4;
+            out.data[dst] = data[src];
+            out.data[dst + 1] = data[src + 1];
+            out.data[dst + 2] = data[src + 2];
+            out.data[dst + 3] = data[src + 3];
+        }
+    }
+    return out;
 }
 
 /**
  * Downscale an ImageData to the target dimensions using area averaging.
+ * Uses the browser's canvas scaler when there is one.
  */
 function downscale(source, targetW, targetH) {
+    if (typeof OffscreenCanvas === 'undefined') {
+        return downscaleArea(source, targetW, targetH);
+    }
+
     const canvas = new OffscreenCanvas(targetW, targetH);
     const ctx = canvas.getContext('2d');
 
@@ -93,10 +316,85 @@ function downscale(source, targetW, targetH) {
     return ctx.getImageData(0, 0, targetW, targetH);
 }
 
+/**
+ * Pure-JS area-averaging downscale: every output pixel is the mean of the
+ * source area it covers, with partially covered source pixels weighted by
+ * their coverage. Done as two separable passes (rows, then columns).
+ *
+ * @param {ImageData} source
+ * @param {number} targetW - At most source.width
+ * @param {number} targetH - At most source.height
+ * @returns {ImageData}
+ */
+export function downscaleArea(source, targetW, targetH) {
+    const { width, height, data } = source;
+    const xWeights = areaWeights(width, targetW);
+    const yWeights = areaWeights(height, targetH);
+
+    // Horizontal pass: width×height → targetW×height, as floats
+    const rows = new Float32Array(targetW * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < targetW; x++) {
+            const out = (y * targetW + x) * 4;
+            for (const [sx, w] of xWeights[x]) {
+                const src = (y * width + sx) * 4;
+                rows[out] += data[src] * w;
+                rows[out + 1] += data[src + 1] * w;
+                rows[out + 2] += data[src + 2] * w;
+                rows[out + 3] += data[src + 3] * w;
+            }
+        }
+    }
+
+    // Vertical pass: targetW×height → targetW×targetH
+    const result = createImageData(targetW, targetH);
+    for (let y = 0; y < targetH; y++) {
+        for (let x = 0; x < targetW; x++) {
+            const out = (y * targetW + x) * 4;
+            let r = 0, g = 0, b = 0, a = 0;
+            for (const [sy, w] of yWeights[y]) {
+                const src = (sy * targetW + x) * 4;
+                r += rows[src] * w;
+                g += rows[src + 1] * w;
+                b += rows[src + 2] * w;
+                a += rows[src + 3] * w;
+            }
+            result.data[out] = r;
+            result.data[out + 1] = g;
+            result.data[out + 2] = b;
+            result.data[out + 3] = a;
+        }
+    }
+    return result;
+}
+
+/**
+ * For each of `to` output cells along one axis, the source indices it
+ * covers and their normalized weights
+ *
+ * @returns {[number, number][][]}
+ */
+function areaWeights(from, to) {
+    const ratio = from / to;
+    const weights = [];
+
+    for (let i = 0; i < to; i++) {
+        const start = i * ratio;
+        const end = start + ratio;
+        const cell = [];
+        for (let s = Math.floor(start); s < Math.min(from, Math.ceil(end)); s++) {
+            const coverage = Math.min(end, s + 1) - Math.max(start, s);
+            if (coverage > 0) cell.push([s, coverage / ratio]);
+        }
+        weights.push(cell);
+    }
+    return weights;
+}
+
 /**
  * Convert ImageData to grayscale in-place using luminance weighting.
  */
-function toGrayscale(imageData) {
+export function toGrayscale(imageData) {
     const d = imageData.data;
     for (let i = 0; i < d.length; i += 4) {
         const lum = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
@@ -108,7 +406,7 @@ function toGrayscale(imageData) {
 /**
  * Apply contrast adjustment in-place.
  */
-function applyContrast(imageData, factor) {
+export function applyContrast(imageData, factor) {
     const d = imageData.data;
     for (let i = 0; i < d.length; i += 4) {
         const v = Math.max(0, Math.min(255, ((d[i] / 255 - 0.5) * factor + 0.5) * 255));
@@ -116,10 +414,57 @@ function applyContrast(imageData, factor) {
     }
 }
 
+/**
+ * Level → level lookup for the tone step: gamma first, then brightness,
+ * then contrast around mid-gray (with brightness 0 and gamma 1 this is
+ * exactly applyContrast)
+ *
+ * @param {object} [options]
+ * @param {number} [options.brightness=0] - -0.5–0.5
+ * @param {number} [options.contrast=1]
+ * @param {number} [options.gamma=1] - >1 lightens the midtones
+ * @returns {Uint8ClampedArray} 256 entries
+ */
+export function toneCurve({ brightness = 0, contrast = 1, gamma = 1 } = {}) {
+    const curve = new Uint8ClampedArray(256);
+    for (let level = 0; level < 256; level++) {
+        const v = (level / 255) ** (1 / gamma) + brightness;
+        curve[level] = Math.max(0, Math.min(255, ((v - 0.5) * contrast + 0.5) * 255));
+    }
+    return curve;
+}
+
+/**
+ * Apply the tone curve to a grayscale image in-place
+ * @param {ImageData} imageData
+ * @param {object} options - See toneCurve
+ */
+export function applyTone(imageData, options) {
+    const curve = toneCurve(options);
+    const d = imageData.data;
+    for (let i = 0; i < d.length; i += 4) {
+        d[i] = d[i + 1] = d[i + 2] = curve[d[i]];
+    }
+}
+
+/**
+ * Count a grayscale image's levels into `bins` equal-width bins
+ * @param {ImageData} imageData
+ * @param {Uint32Array} bins - Cleared first
+ * @returns {Uint32Array} bins
+ */
+export function levelHistogram(imageData, bins) {
+    const d = imageData.data;
+    const scale = bins.length / 256;
+    bins.fill(0);
+    for (let i = 0; i < d.length; i += 4) bins[Math.floor(d[i] * scale)]++;
+    return bins;
+}
+
 /**
  * Apply edge enhancement in-place using 3×3 convolution.
  */
-function edgeEnhance(imageData, strength) {
+export function edgeEnhance(imageData, strength) {
     const { width, height, data } = imageData;
     const original = new Uint8ClampedArray(data);
 
@@ -141,44 +486,6 @@ function edgeEnhance(imageData, strength) {
     }
 }
 
-/**
- * Apply 4×4 Bayer ordered dithering and colorize with palette.
- * Combined into one pass for performance.
- *
- * The Bayer matrix adds a threshold offset to each pixel based on its position,
- * then the value is quantized into one of 4 levels and mapped to the palette.
- */
-function ditherAndColorize(imageData, paletteRgb) {
-    const { width, height, data } = imageData;
-
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-            const gray = data[idx] / 255;
-
-            // Bayer threshold for this pixel position
-            const threshold = BAYER_4x4[y % 4][x % 4] - 0.5;
-            // Spread factor controls how aggressive the dithering is
-            const spread = 0.33;
-            const dithered = gray + threshold * spread;
-
-            // Quantize to 0–3
-            let shade;
-            if (dithered < 0.25) shade = 0;
-            else if (dithered < 0.5) shade = 1;
-            else if (dithered < 0.75) shade = 2;
-            else shade = 3;
-
-            // Apply palette color
-            const [r, g, b] = paletteRgb[shade];
-            data[idx] = r;
-            data[idx + 1] = g;
-            data[idx + 2] = b;
-            data[idx + 3] = 255;
-        }
-    }
-}
-
 /**
  * Upscale an ImageData using nearest-neighbor interpolation.
  * This produces the characteristic chunky pixel look.
@@ -192,6 +499,24 @@ export function upscaleNearest(source, scale) {
     const sh = source.height;
     const dw = sw * scale;
     const dh = sh * scale;
+
+    if (typeof OffscreenCanvas === 'undefined') {
+        const out = createImageData(dw, dh);
+        const rowBytes = dw * 4;
+        for (let sy = 0; sy < sh; sy++) {
+            // Build one scaled row, then repeat it `scale` times
+            const rowStart = sy * scale * rowBytes;
+            for (let x = 0; x < dw; x++) {
+                const src = (sy * sw + Math.floor(x / scale)) * 4;
+                out.data.set(source.data.subarray(src, src + 4), rowStart + x * 4);
+            }
+            for (let k = 1; k < scale; k++) {
+                out.data.copyWithin(rowStart + k * rowBytes, rowStart, rowStart + rowBytes);
+            }
+        }
+        return out;
+    }
+
     const canvas = new OffscreenCanvas(dw, dh);
     const ctx = canvas.getContext('2d');
     ctx.imageSmoothingEnabled = false;
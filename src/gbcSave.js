@@ -0,0 +1,232 @@
+/**
+ * gbcSave.js — Game Boy Camera save file (.sav) import/export
+ *
+ * The cartridge keeps its photos in 128 KB of battery-backed SRAM:
+ *
+ *   0x00000–0x01FFF  Bank 0: scratch image, settings, album state
+ *     0x011B2          Vector state: 30 bytes, one per slot, holding the
+ *                      album position of the photo in that slot (0xFF = empty)
+ *     0x011D0          "Magic" + 2-byte checksum
+ *     0x011D7          Backup copy of the 37 bytes above
+ *   0x02000–0x1FFFF  30 photo slots of 0x1000 bytes each:
+ *     +0x000           128×112 image, 16×14 tiles of 2bpp data
+ *     +0xE00           32×32 thumbnail, 4×4 tiles
+ *     +0xF00           Per-photo metadata (owner, comments, frame)
+ *
+ * Game Boy color indices run lightest (0) → darkest (3), the reverse of our
+ * shade order, so every pixel is flipped on the way in and out.
+ */
+
+import { GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+
+export const SAV_SIZE = 0x20000;
+export const SAV_SLOTS = 30;
+
+const SLOT_BASE = 0x2000;
+const SLOT_SIZE = 0x1000;
+const THUMB_OFFSET = 0xe00;
+const THUMB_SIZE = 32;
+
+const VECTOR_OFFSET = 0x11b2;
+const VECTOR_BACKUP_OFFSET = 0x11d7;
+const VECTOR_EMPTY = 0xff;
+const MAGIC = [0x4d, 0x61, 0x67, 0x69, 0x63]; // "Magic"
+
+// The cartridge starts its checksums from these rather than from zero
+const CHECKSUM_SEED = [0x2f, 0x15];
+
+/**
+ * Decode 2bpp tile data into a shade grid.
+ *
+ * Each 8×8 tile is 16 bytes: two bytes per row (low bit plane, high bit
+ * plane), most significant bit = leftmost pixel. Tiles are stored row-major.
+ *
+ * @param {Uint8Array} bytes - Tile data
+ * @param {number} width - Image width in pixels (multiple of 8)
+ * @param {number} height - Image height in pixels (multiple of 8)
+ * @returns {Uint8Array} Shade indices (0 = darkest)
+ */
+export function decodeTiles(bytes, width, height) {
+    const shades = new Uint8Array(width * height);
+    const tilesX = width / 8;
+
+    for (let ty = 0; ty < height / 8; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const tile = (ty * tilesX + tx) * 16;
+            for (let row = 0; row < 8; row++) {
+                const lo = bytes[tile + row * 2];
+                const hi = bytes[tile + row * 2 + 1];
+                for (let col = 0; col < 8; col++) {
+                    const bit = 7 - col;
+                    const color = (((hi >> bit) & 1) << 1) | ((lo >> bit) & 1);
+                    shades[(ty * 8 + row) * width + tx * 8 + col] = 3 - color;
+                }
+            }
+        }
+    }
+    return shades;
+}
+
+/**
+ * Encode a shade grid as 2bpp tile data (inverse of decodeTiles)
+ *
+ * @param {Uint8Array} shades - Shade indices (0 = darkest)
+ * @param {number} width - Multiple of 8
+ * @param {number} height - Multiple of 8
+ * @returns {Uint8Array}
+ */
+export function encodeTiles(shades, width, height) {
+    const tilesX = width / 8;
+    const bytes = new Uint8Array((width / 8) * (height / 8) * 16);
+
+    for (let ty = 0; ty < height / 8; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const tile = (ty * tilesX + tx) * 16;
+            for (let row = 0; row < 8; row++) {
+                let lo = 0;
+                let hi = 0;
+                for (let col = 0; col < 8; col++) {
+                    const color = 3 - shades[(ty * 8 + row) * width + tx * 8 + col];
+                    lo |= (color & 1) << (7 - col);
+                    hi |= (color >> 1) << (7 - col);
+                }
+                bytes[tile + row * 2] = lo;
+                bytes[tile + row * 2 + 1] = hi;
+            }
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Checksum for a "Magic"-tagged block: 8-bit sum and 8-bit XOR of the
+ * block data followed by the tag itself, seeded with 0x2F and 0x15
+ */
+function checksum(data) {
+    let [sum, xor] = CHECKSUM_SEED;
+    for (const b of [...data, ...MAGIC]) {
+        sum = (sum + b) & 0xff;
+        xor ^= b;
+    }
+    return [sum, xor];
+}
+
+/**
+ * Read the slot → album position table, preferring whichever copy
+ * has a valid checksum
+ */
+function readVector(sram) {
+    for (const offset of [VECTOR_OFFSET, VECTOR_BACKUP_OFFSET]) {
+        const vector = sram.subarray(offset, offset + SAV_SLOTS);
+        const tag = sram.subarray(offset + SAV_SLOTS, offset + SAV_SLOTS + MAGIC.length);
+        const [sum, xor] = checksum(vector);
+        const stored = offset + SAV_SLOTS + MAGIC.length;
+
+        if (MAGIC.every((b, i) => tag[i] === b) && sram[stored] === sum && sram[stored + 1] === xor) {
+            return vector;
+        }
+    }
+    return null;
+}
+
+/**
+ * Write the vector state (and its backup copy)
+ */
+function writeVector(sram, vector) {
+    const [sum, xor] = checksum(vector);
+    for (const offset of [VECTOR_OFFSET, VECTOR_BACKUP_OFFSET]) {
+        sram.set(vector, offset);
+        sram.set(MAGIC, offset + SAV_SLOTS);
+        sram[offset + SAV_SLOTS + MAGIC.length] = sum;
+        sram[offset + SAV_SLOTS + MAGIC.length + 1] = xor;
+    }
+}
+
+/**
+ * Shrink a 128×112 shade grid to the 32×32 album thumbnail: every 4th
+ * pixel, centered vertically between 2-pixel white bars
+ */
+function makeThumbnail(shades) {
+    const thumb = new Uint8Array(THUMB_SIZE * THUMB_SIZE).fill(3);
+    const rows = GBC_HEIGHT / 4;
+    const top = (THUMB_SIZE - rows) / 2;
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < THUMB_SIZE; x++) {
+            thumb[(top + y) * THUMB_SIZE + x] = shades[(y * 4) * GBC_WIDTH + x * 4];
+        }
+    }
+    return thumb;
+}
+
+/**
+ * Decode the photos stored in a Game Boy Camera SRAM dump
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - 128 KB .sav contents
+ * @returns {{ slot: number, album: number, shades: Uint8Array }[]} Photos in album order
+ */
+export function decodeSav(buffer) {
+    const sram = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (sram.length !== SAV_SIZE) {
+        throw new Error(`Not a Game Boy Camera save: expected ${SAV_SIZE} bytes, got ${sram.length}`);
+    }
+
+    const vector = readVector(sram);
+    if (!vector) {
+        throw new Error('Not a Game Boy Camera save: album state is missing or corrupt');
+    }
+
+    const photos = [];
+    for (let slot = 0; slot < SAV_SLOTS; slot++) {
+        const album = vector[slot];
+        if (album === VECTOR_EMPTY) continue;
+
+        const start = SLOT_BASE + slot * SLOT_SIZE;
+        const tiles = sram.subarray(start, start + THUMB_OFFSET);
+        photos.push({ slot, album, shades: decodeTiles(tiles, GBC_WIDTH, GBC_HEIGHT) });
+    }
+
+    return photos.sort((a, b) => a.album - b.album);
+}
+
+/**
+ * Build a Game Boy Camera SRAM dump from up to 30 photos.
+ *
+ * Photos fill slots in order and take album positions 0, 1, 2… Passing a
+ * template (e.g. a previously imported .sav) keeps its owner info, settings
+ * and per-photo metadata. Without one, everything but the photos,
+ * thumbnails and album state is left zeroed, so the cartridge's other
+ * "Magic" blocks (owner profile, settings, game scores) won't pass their
+ * checksums: to keep those, start from the cartridge's own save.
+ *
+ * @param {Uint8Array[]} photos - 128×112 shade grids, in album order
+ * @param {object} [options]
+ * @param {ArrayBuffer|Uint8Array} [options.template] - Existing save to start from
+ * @returns {Uint8Array} 128 KB .sav contents
+ */
+export function encodeSav(photos, { template } = {}) {
+    if (photos.length > SAV_SLOTS) {
+        throw new Error(`A Game Boy Camera save holds at most ${SAV_SLOTS} photos, got ${photos.length}`);
+    }
+
+    const sram = new Uint8Array(SAV_SIZE);
+    if (template) {
+        const source = template instanceof Uint8Array ? template : new Uint8Array(template);
+        if (source.length !== SAV_SIZE) {
+            throw new Error(`Not a Game Boy Camera save: expected ${SAV_SIZE} bytes, got ${source.length}`);
+        }
+        sram.set(source);
+    }
+
+    const vector = new Uint8Array(SAV_SLOTS).fill(VECTOR_EMPTY);
+
+    photos.forEach((shades, slot) => {
+        const start = SLOT_BASE + slot * SLOT_SIZE;
+        sram.set(encodeTiles(shades, GBC_WIDTH, GBC_HEIGHT), start);
+        sram.set(encodeTiles(makeThumbnail(shades), THUMB_SIZE, THUMB_SIZE), start + THUMB_OFFSET);
+        vector[slot] = slot;
+    });
+
+    writeVector(sram, vector);
+    return sram;
+}
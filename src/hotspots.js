@@ -0,0 +1,181 @@
+/**
+ * hotspots.js — Hot spots: regions of a photo that link to other photos
+ *
+ * Like the cartridge's hot spot mode, rectangles drawn on a photo jump to
+ * another photo when tapped, turning a handful of shots into a little
+ * interactive album. A hot spot is { x, y, width, height, target } in the
+ * photo's own pixels, target being the linked photo's ID; the gallery
+ * stores them with the photo and drops links to photos that get deleted.
+ *
+ * An album (a photo plus everything reachable through its links) exports
+ * as one self-contained HTML page: each photo a data-URL PNG, each hot
+ * spot a link to the photo's #fragment, so the browser's own back button
+ * walks back through it.
+ */
+
+import { renderShades } from './gbcProcessor.js';
+import { encodePng } from './png.js';
+import { getPaletteRgb } from './palettes.js';
+
+// Smallest hot spot side, in photo pixels (about a fingertip at 4×)
+export const MIN_HOTSPOT_SIZE = 4;
+
+/**
+ * The rectangle dragged out between two points, kept inside the photo
+ * @param {{ x: number, y: number }} from - Photo coordinates
+ * @param {{ x: number, y: number }} to
+ * @param {number} width - Photo size
+ * @param {number} height
+ * @returns {{ x: number, y: number, width: number, height: number }|null} null if too small
+ */
+export function hotspotRect(from, to, width, height) {
+    const clampX = (v) => Math.min(Math.max(Math.round(v), 0), width);
+    const clampY = (v) => Math.min(Math.max(Math.round(v), 0), height);
+    const [x0, x1] = [clampX(from.x), clampX(to.x)].sort((a, b) => a - b);
+    const [y0, y1] = [clampY(from.y), clampY(to.y)].sort((a, b) => a - b);
+    if (x1 - x0 < MIN_HOTSPOT_SIZE || y1 - y0 < MIN_HOTSPOT_SIZE) return null;
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Hot spots from somewhere untrusted (a backup): entries that aren't
+ * rectangles with a target are dropped, the rest clipped to the photo
+ * @returns {{ x: number, y: number, width: number, height: number, target: string }[]}
+ */
+export function normalizeHotspots(hotspots, width, height) {
+    if (!Array.isArray(hotspots)) return [];
+    return hotspots.flatMap((spot) => {
+        const { x, y, width: w, height: h, target } = spot ?? {};
+        if (typeof target !== 'string' || ![x, y, w, h].every(Number.isFinite)) return [];
+        const rect = hotspotRect({ x, y }, { x: x + w, y: y + h }, width, height);
+        return rect ? [{ ...rect, target }] : [];
+    });
+}
+
+/**
+ * Index of the hot spot at (x, y), or -1. Later ones are drawn on top,
+ * so they win where hot spots overlap.
+ */
+export function hotspotAt(hotspots, x, y) {
+    for (let i = hotspots.length - 1; i >= 0; i--) {
+        const s = hotspots[i];
+        if (x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height) return i;
+    }
+    return -1;
+}
+
+/**
+ * IDs of the photos a photo links to, each once
+ * @returns {string[]}
+ */
+export function linkTargets(hotspots = []) {
+    return [...new Set(hotspots.map((s) => s.target))];
+}
+
+/**
+ * Hot spots minus those linking to any of the given photos
+ * @param {object[]} hotspots
+ * @param {Iterable<string>} ids - Photos that are gone
+ */
+export function withoutLinksTo(hotspots = [], ids) {
+    const gone = new Set(ids);
+    return hotspots.filter((s) => !gone.has(s.target));
+}
+
+/**
+ * A photo and every photo reachable from it through hot spots, in the
+ * order they're first reached. Links to photos that don't exist (any more)
+ * are skipped.
+ * @param {string} startId
+ * @param {Map<string, object>} photos - Photos by ID
+ * @returns {object[]}
+ */
+export function linkedPhotos(startId, photos) {
+    const seen = new Set([startId]);
+    const queue = [startId];
+    const album = [];
+    while (queue.length) {
+        const photo = photos.get(queue.shift());
+        if (!photo) continue;
+        album.push(photo);
+        for (const target of linkTargets(photo.hotspots)) {
+            if (seen.has(target)) continue;
+            seen.add(target);
+            queue.push(target);
+        }
+    }
+    return album;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+const percent = (value, total) => `${+((value / total) * 100).toFixed(3)}%`;
+
+/**
+ * A self-contained HTML page of an album: no scripts to run, nothing to
+ * load. The first photo is shown when the page opens.
+ *
+ * @param {object[]} album - Photos as from linkedPhotos, first one first
+ * @param {object} [options]
+ * @param {string} [options.title='ca_mera album']
+ * @returns {Promise<string>} HTML
+ */
+export async function exportAlbum(album, { title = 'ca_mera album' } = {}) {
+    // Pages get their own short IDs; photo IDs could be anything (backups)
+    const pageIds = new Map(album.map((photo, i) => [photo.id, `p${i + 1}`]));
+
+    const pages = [];
+    for (const photo of album) {
+        const image = renderShades(photo.shades, photo.width, photo.height, photo.palette);
+        const png = await encodePng(image, { paletteRgb: getPaletteRgb(photo.palette) });
+        const links = (photo.hotspots ?? [])
+            .filter((s) => pageIds.has(s.target))
+            .map((s) => {
+                const style = [
+                    `left:${percent(s.x, photo.width)}`,
+                    `top:${percent(s.y, photo.height)}`,
+                    `width:${percent(s.width, photo.width)}`,
+                    `height:${percent(s.height, photo.height)}`,
+                ].join(';');
+                return `<a href="#${pageIds.get(s.target)}" style="${style}" aria-label="Go to photo ${pageIds.get(s.target).slice(1)}"></a>`;
+            });
+        pages.push(
+            `<section id="${pageIds.get(photo.id)}">`
+            + `<div class="photo" style="aspect-ratio:${photo.width}/${photo.height}">`
+            + `<img src="data:image/png;base64,${toBase64(png)}" alt="Photo ${pageIds.get(photo.id).slice(1)}">`
+            + `${links.join('')}</div></section>`,
+        );
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #0a0a0f; }
+section { display: none; width: min(100vw, 640px); }
+section:target, body:not(:has(section:target)) section:first-of-type { display: block; }
+.photo { position: relative; }
+.photo img { display: block; width: 100%; height: 100%; image-rendering: pixelated; image-rendering: crisp-edges; }
+.photo a { position: absolute; outline: 2px dashed rgba(139, 172, 15, 0.7); outline-offset: -2px; }
+.photo a:hover, .photo a:focus { background: rgba(139, 172, 15, 0.25); }
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
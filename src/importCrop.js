@@ -0,0 +1,129 @@
+/**
+ * importCrop.js — Crop rectangle for imported photos
+ *
+ * Imported images rarely have the camera's 128:112 (8:7) shape, so before
+ * processing the user picks an 8:7 region: dragged around, resized from its
+ * corners (the opposite corner stays put) and always kept inside the image.
+ * Coordinates are source pixels, ready for cropImage.
+ */
+
+import { cropRect } from './camera.js';
+import { applyOrientation } from './jpeg.js';
+
+export const CROP_ASPECT = 128 / 112;
+
+// Smallest crop, in source pixels: a quarter of the 128-pixel output width
+export const MIN_CROP_WIDTH = 32;
+
+// Longest side kept from an imported image; the photo is 128 wide in the
+// end, so this leaves plenty for tight crops and the zoom lenses
+export const MAX_IMPORT_SIZE = 1024;
+
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+export class ImportCrop {
+    /**
+     * @param {number} width - Source image size
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.reset();
+    }
+
+    /**
+     * Back to the largest centered crop, like the camera's
+     */
+    reset() {
+        this.rect = cropRect(this.width, this.height);
+    }
+
+    /**
+     * What a pointer at (x, y) would grab: a corner ('nw', 'ne', 'sw',
+     * 'se'), the whole rectangle ('move') or nothing (null)
+     * @param {number} tolerance - How far from a corner still counts, in source pixels
+     */
+    hit(x, y, tolerance) {
+        const { x: rx, y: ry, width, height } = this.rect;
+        const corner = CORNERS.find((c) => {
+            const cx = c.includes('w') ? rx : rx + width;
+            const cy = c.includes('n') ? ry : ry + height;
+            return Math.abs(x - cx) <= tolerance && Math.abs(y - cy) <= tolerance;
+        });
+        if (corner) return corner;
+        const inside = x >= rx && x < rx + width && y >= ry && y < ry + height;
+        return inside ? 'move' : null;
+    }
+
+    /**
+     * Move the top-left corner to (x, y), keeping the crop inside the image
+     */
+    moveTo(x, y) {
+        const { width, height } = this.rect;
+        this.rect = {
+            x: clamp(Math.round(x), 0, this.width - width),
+            y: clamp(Math.round(y), 0, this.height - height),
+            width,
+            height,
+        };
+    }
+
+    /**
+     * Drag one corner towards (x, y). The crop keeps its 8:7 shape, so it
+     * follows whichever axis the pointer moved further along.
+     * @param {string} corner - 'nw', 'ne', 'sw' or 'se'
+     */
+    resize(corner, x, y) {
+        const r = this.rect;
+        const left = corner.includes('w');
+        const top = corner.includes('n');
+        // The opposite corner stays where it is
+        const ax = left ? r.x + r.width : r.x;
+        const ay = top ? r.y + r.height : r.y;
+
+        const roomX = left ? ax : this.width - ax;
+        const roomY = top ? ay : this.height - ay;
+        const byX = left ? ax - x : x - ax;
+        const byY = (top ? ay - y : y - ay) * CROP_ASPECT;
+        const wanted = Math.abs(byX - r.width) > Math.abs(byY - r.width) ? byX : byY;
+        const maxWidth = Math.min(roomX, Math.floor(roomY * CROP_ASPECT));
+        const width = Math.round(Math.min(Math.max(wanted, MIN_CROP_WIDTH), maxWidth));
+        const height = Math.min(Math.round(width / CROP_ASPECT), roomY);
+
+        this.rect = {
+            x: left ? ax - width : ax,
+            y: top ? ay - height : ay,
+            width,
+            height,
+        };
+    }
+}
+
+/**
+ * Rotate an image clockwise in quarter turns
+ * @param {ImageData} image
+ * @param {number} [quarterTurns=1]
+ * @returns {ImageData}
+ */
+export function rotateImage(image, quarterTurns = 1) {
+    // EXIF orientations that mean a 0°, 90°, 180° and 270° clockwise turn
+    const orientation = [1, 6, 3, 8][((quarterTurns % 4) + 4) % 4];
+    return applyOrientation(image, orientation);
+}
+
+/**
+ * Size to decode an imported image at: shrunk to MAX_IMPORT_SIZE on the
+ * longest side, never enlarged
+ */
+export function importSize(width, height, max = MAX_IMPORT_SIZE) {
+    const scale = Math.min(1, max / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
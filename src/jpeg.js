@@ -0,0 +1,582 @@
+/**
+ * jpeg.js — Dependency-free baseline JPEG decoder
+ *
+ * Enough JPEG for camera photos outside the browser (the ca-mera CLI and
+ * tests): baseline, extended sequential and progressive Huffman-coded
+ * files, grayscale or YCbCr, any chroma subsampling, restart markers and
+ * the EXIF orientation tag. Arithmetic-coded, lossless and CMYK files are
+ * rejected with a readable error. The browser decodes JPEGs natively
+ * and never needs this.
+ *
+ * Chroma is upsampled nearest-neighbor; after the pipeline's downscale to
+ * 128×112 the difference to a smooth upsampler doesn't survive.
+ */
+
+import { createImageData } from './gbcProcessor.js';
+
+// Position in the 8×8 block of the n-th coefficient in zigzag order
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10,
+    17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34,
+    27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36,
+    29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46,
+    53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+// IDCT basis: COS[x * 8 + u] = C(u) / 2 · cos((2x + 1)uπ / 16)
+const COS = (() => {
+    const table = new Float32Array(64);
+    for (let x = 0; x < 8; x++) {
+        for (let u = 0; u < 8; u++) {
+            const c = u === 0 ? Math.SQRT1_2 : 1;
+            table[x * 8 + u] = (c / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+        }
+    }
+    return table;
+})();
+
+const MARKER = {
+    SOF0: 0xc0, // baseline
+    SOF1: 0xc1, // extended sequential
+    SOF2: 0xc2, // progressive
+    DHT: 0xc4,
+    SOI: 0xd8,
+    EOI: 0xd9,
+    SOS: 0xda,
+    DQT: 0xdb,
+    DRI: 0xdd,
+    APP1: 0xe1,
+};
+
+/**
+ * Decode a JPEG file to RGBA
+ *
+ * @param {Uint8Array} bytes
+ * @returns {ImageData & { orientation: number }} Pixels as stored in the
+ *          file, plus the EXIF orientation (1–8, 1 = upright) to apply
+ * @throws {Error} If the file isn't a JPEG or uses an unsupported coding
+ */
+export function decodeJpeg(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== MARKER.SOI) throw new Error('Not a JPEG file');
+
+    const quantTables = [];
+    const huffmanTables = {}; // 'dc0', 'ac1', …
+    let frame = null;
+    let restartInterval = 0;
+    let orientation = 1;
+    let adobeTransform = null;
+    let pos = 2;
+
+    while (pos < bytes.length) {
+        if (bytes[pos] !== 0xff) {
+            pos++;
+            continue;
+        }
+        const marker = bytes[pos + 1];
+        pos += 2;
+        if (marker === 0xff || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) continue;
+        if (marker === MARKER.EOI) break;
+
+        const length = (bytes[pos] << 8) | bytes[pos + 1];
+        const segment = bytes.subarray(pos + 2, pos + length);
+
+        switch (marker) {
+            case MARKER.DQT:
+                readQuantTables(segment, quantTables);
+                break;
+            case MARKER.DHT:
+                readHuffmanTables(segment, huffmanTables);
+                break;
+            case MARKER.SOF0:
+            case MARKER.SOF1:
+            case MARKER.SOF2:
+                frame = readFrame(segment, marker === MARKER.SOF2);
+                break;
+            case MARKER.DRI:
+                restartInterval = (segment[0] << 8) | segment[1];
+                break;
+            case MARKER.APP1:
+                orientation = readExifOrientation(segment) ?? orientation;
+                break;
+            case 0xee: // APP14 "Adobe": color transform flag
+                if (String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') adobeTransform = segment[11];
+                break;
+            case MARKER.SOS: {
+                if (!frame) throw new Error('JPEG scan before frame header');
+                pos = decodeScan(bytes, pos + length, segment, frame, huffmanTables, restartInterval);
+                continue;
+            }
+            default:
+                if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    throw new Error('Lossless and arithmetic-coded JPEGs are not supported');
+                }
+        }
+        pos += length;
+    }
+
+    if (!frame) throw new Error('JPEG has no image data');
+    reconstruct(frame, quantTables);
+    const image = toRgba(frame, adobeTransform);
+    image.orientation = orientation;
+    return image;
+}
+
+// ── Segments ──────────────────────────────────────────────
+
+function readQuantTables(segment, tables) {
+    for (let p = 0; p < segment.length;) {
+        const precision = segment[p] >> 4;
+        const id = segment[p] & 15;
+        p++;
+        const table = new Uint16Array(64);
+        for (let k = 0; k < 64; k++) {
+            table[k] = precision ? (segment[p] << 8) | segment[p + 1] : segment[p];
+            p += precision ? 2 : 1;
+        }
+        tables[id] = table;
+    }
+}
+
+/**
+ * Build canonical Huffman decoding tables (JPEG spec F.2.2.3): for each
+ * code length, the largest code and where its values start
+ */
+function readHuffmanTables(segment, tables) {
+    for (let p = 0; p < segment.length;) {
+        const tableClass = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const counts = segment.subarray(p + 1, p + 17);
+        p += 17;
+
+        const total = counts.reduce((n, c) => n + c, 0);
+        const values = segment.slice(p, p + total);
+        p += total;
+
+        const maxCode = new Int32Array(18).fill(-1);
+        const valPtr = new Int32Array(17);
+        const minCode = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+        for (let len = 1; len <= 16; len++) {
+            valPtr[len] = k;
+            minCode[len] = code;
+            code += counts[len - 1];
+            k += counts[len - 1];
+            maxCode[len] = counts[len - 1] ? code - 1 : -1;
+            code <<= 1;
+        }
+        tables[`${tableClass ? 'ac' : 'dc'}${id}`] = { maxCode, valPtr, minCode, values };
+    }
+}
+
+function readFrame(segment, progressive) {
+    const height = (segment[1] << 8) | segment[2];
+    const width = (segment[3] << 8) | segment[4];
+    const count = segment[5];
+    if (!width || !height) throw new Error('JPEG has no size (DNL marker files are not supported)');
+    if (count !== 1 && count !== 3) throw new Error(`JPEGs with ${count} color components are not supported`);
+
+    const components = [];
+    for (let i = 0; i < count; i++) {
+        const p = 6 + i * 3;
+        components.push({ id: segment[p], h: segment[p + 1] >> 4, v: segment[p + 1] & 15, tq: segment[p + 2] });
+    }
+
+    const hMax = Math.max(...components.map((c) => c.h));
+    const vMax = Math.max(...components.map((c) => c.v));
+    const mcusX = Math.ceil(width / (8 * hMax));
+    const mcusY = Math.ceil(height / (8 * vMax));
+
+    for (const c of components) {
+        // Blocks that hold real samples, and the padded grid the MCUs cover
+        c.blocksX = Math.ceil(Math.ceil((width * c.h) / hMax) / 8);
+        c.blocksY = Math.ceil(Math.ceil((height * c.v) / vMax) / 8);
+        c.paddedBlocksX = mcusX * c.h;
+        c.paddedBlocksY = mcusY * c.v;
+        // Natural (row-major) order, quantized; filled in by one or more scans
+        c.coefficients = new Int16Array(c.paddedBlocksX * c.paddedBlocksY * 64);
+    }
+    return { width, height, progressive, components, hMax, vMax, mcusX, mcusY };
+}
+
+/**
+ * EXIF orientation from an APP1 segment, or null if there isn't one
+ */
+function readExifOrientation(segment) {
+    if (String.fromCharCode(...segment.subarray(0, 4)) !== 'Exif') return null;
+    const tiff = segment.subarray(6);
+    if (tiff.length < 8) return null;
+
+    const little = tiff[0] === 0x49;
+    const u16 = (p) => (little ? tiff[p] | (tiff[p + 1] << 8) : (tiff[p] << 8) | tiff[p + 1]);
+    const u32 = (p) => (little ? u16(p) + u16(p + 2) * 65536 : u16(p) * 65536 + u16(p + 2));
+
+    const ifd = u32(4);
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        if (u16(entry) === 0x0112) {
+            const value = u16(entry + 8);
+            return value >= 1 && value <= 8 ? value : null;
+        }
+    }
+    return null;
+}
+
+// ── Entropy decoding ──────────────────────────────────────
+
+/**
+ * Decode one scan into the components' coefficient arrays. Baseline files
+ * have one scan with every coefficient; progressive files refine the same
+ * coefficients over several scans (spectral selection Ss–Se, successive
+ * approximation bits Ah/Al).
+ *
+ * @returns {number} Position just past the scan's entropy-coded data
+ */
+function decodeScan(bytes, start, header, frame, huffmanTables, restartInterval) {
+    const count = header[0];
+    const ss = header[1 + count * 2];
+    const se = header[2 + count * 2];
+    const ah = header[3 + count * 2] >> 4;
+    const al = header[3 + count * 2] & 15;
+
+    const scanComponents = [];
+    for (let i = 0; i < count; i++) {
+        const component = frame.components.find((c) => c.id === header[1 + i * 2]);
+        if (!component) throw new Error('JPEG scan references an unknown component');
+        const tables = header[2 + i * 2];
+        component.dc = huffmanTables[`dc${tables >> 4}`];
+        component.ac = huffmanTables[`ac${tables & 15}`];
+        if ((ss === 0 && ah === 0 && !component.dc) || (se > 0 && !component.ac)) {
+            throw new Error('JPEG is missing a Huffman table');
+        }
+        component.pred = 0;
+        scanComponents.push(component);
+    }
+
+    let decodeBlock;
+    if (!frame.progressive) decodeBlock = decodeBaseline;
+    else if (ss === 0) decodeBlock = ah === 0 ? decodeDcFirst : decodeDcRefine;
+    else decodeBlock = ah === 0 ? decodeAcFirst : decodeAcRefine;
+
+    const scan = { ss, se, al, eobRun: 0 };
+    const reader = bitReader(bytes, start);
+    const blockAt = (c, bx, by) => c.coefficients.subarray((by * c.paddedBlocksX + bx) * 64, (by * c.paddedBlocksX + bx + 1) * 64);
+
+    // A single-component scan covers only that component's real blocks, in
+    // raster order; an interleaved scan goes MCU by MCU
+    const single = scanComponents.length === 1;
+    const units = single
+        ? scanComponents[0].blocksX * scanComponents[0].blocksY
+        : frame.mcusX * frame.mcusY;
+
+    for (let n = 0; n < units; n++) {
+        if (restartInterval && n > 0 && n % restartInterval === 0) {
+            reader.restart();
+            scan.eobRun = 0;
+            scanComponents.forEach((c) => {
+                c.pred = 0;
+            });
+        }
+
+        if (single) {
+            const c = scanComponents[0];
+            decodeBlock(reader, c, blockAt(c, n % c.blocksX, Math.floor(n / c.blocksX)), scan);
+            continue;
+        }
+
+        const mcuX = n % frame.mcusX;
+        const mcuY = Math.floor(n / frame.mcusX);
+        for (const c of scanComponents) {
+            for (let by = 0; by < c.v; by++) {
+                for (let bx = 0; bx < c.h; bx++) {
+                    decodeBlock(reader, c, blockAt(c, mcuX * c.h + bx, mcuY * c.v + by), scan);
+                }
+            }
+        }
+    }
+    return reader.end();
+}
+
+/**
+ * Bit reader over entropy-coded data: skips 0xFF00 stuffing, and feeds
+ * zeros once it runs into a marker
+ */
+function bitReader(bytes, start) {
+    let pos = start;
+    let buffer = 0;
+    let bits = 0;
+
+    const fill = () => {
+        let byte = 0;
+        if (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] !== 0x00)) {
+            byte = bytes[pos];
+            pos += bytes[pos] === 0xff ? 2 : 1;
+        }
+        buffer = ((buffer << 8) | byte) & 0xffff;
+        bits += 8;
+    };
+
+    return {
+        bit() {
+            if (bits === 0) fill();
+            bits--;
+            return (buffer >> bits) & 1;
+        },
+        read(n) {
+            let v = 0;
+            for (let i = 0; i < n; i++) v = (v << 1) | this.bit();
+            return v;
+        },
+        restart() {
+            // Drop the partial byte and step over the RSTn marker
+            bits = 0;
+            buffer = 0;
+            while (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7)) pos++;
+            pos += 2;
+        },
+        end() {
+            while (pos < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] !== 0x00)) pos++;
+            return pos;
+        },
+    };
+}
+
+function decodeHuffman(reader, { maxCode, valPtr, minCode, values }) {
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+        code = (code << 1) | reader.bit();
+        if (code <= maxCode[len]) return values[valPtr[len] + code - minCode[len]];
+    }
+    throw new Error('Corrupt JPEG data (bad Huffman code)');
+}
+
+/**
+ * Read an n-bit magnitude category value and sign-extend it (spec F.2.2.1)
+ */
+function receive(reader, n) {
+    if (n === 0) return 0;
+    const v = reader.read(n);
+    return v < 1 << (n - 1) ? v - (1 << n) + 1 : v;
+}
+
+/**
+ * Whole block in one go (baseline / extended sequential)
+ */
+function decodeBaseline(reader, c, block) {
+    c.pred += receive(reader, decodeHuffman(reader, c.dc));
+    block[0] = c.pred;
+
+    for (let k = 1; k < 64;) {
+        const rs = decodeHuffman(reader, c.ac);
+        const size = rs & 15;
+        const run = rs >> 4;
+        if (size === 0) {
+            if (run !== 15) break; // end of block
+            k += 16;
+            continue;
+        }
+        k += run;
+        if (k > 63) break;
+        block[ZIGZAG[k]] = receive(reader, size);
+        k++;
+    }
+}
+
+function decodeDcFirst(reader, c, block, { al }) {
+    c.pred += receive(reader, decodeHuffman(reader, c.dc));
+    block[0] = c.pred * (1 << al);
+}
+
+function decodeDcRefine(reader, c, block, { al }) {
+    if (reader.bit()) block[0] |= 1 << al;
+}
+
+function decodeAcFirst(reader, c, block, scan) {
+    if (scan.eobRun > 0) {
+        scan.eobRun--;
+        return;
+    }
+
+    for (let k = scan.ss; k <= scan.se; k++) {
+        const rs = decodeHuffman(reader, c.ac);
+        const size = rs & 15;
+        const run = rs >> 4;
+        if (size === 0) {
+            if (run < 15) {
+                // End of band: this block and the next eobRun blocks are done
+                scan.eobRun = (1 << run) - 1 + (run ? reader.read(run) : 0);
+                break;
+            }
+            k += 15;
+            continue;
+        }
+        k += run;
+        block[ZIGZAG[k]] = receive(reader, size) * (1 << scan.al);
+    }
+}
+
+/**
+ * Successive approximation for AC bands: adds one bit of precision to
+ * coefficients that are already nonzero and places newly nonzero ones
+ * (follows libjpeg's decode_mcu_AC_refine)
+ */
+function decodeAcRefine(reader, c, block, scan) {
+    const p1 = 1 << scan.al;
+    const m1 = -1 << scan.al;
+    let k = scan.ss;
+
+    // Correction bit for a coefficient that's already nonzero
+    const refine = (z) => {
+        if (reader.bit() && (block[z] & p1) === 0) block[z] += block[z] >= 0 ? p1 : m1;
+    };
+
+    if (scan.eobRun === 0) {
+        for (; k <= scan.se; k++) {
+            const rs = decodeHuffman(reader, c.ac);
+            let run = rs >> 4;
+            let value = 0;
+            if (rs & 15) {
+                value = reader.bit() ? p1 : m1;
+            } else if (run !== 15) {
+                scan.eobRun = (1 << run) + (run ? reader.read(run) : 0);
+                break;
+            }
+
+            // Skip `run` zero coefficients, refining the nonzero ones passed
+            for (; k <= scan.se; k++) {
+                const z = ZIGZAG[k];
+                if (block[z] !== 0) refine(z);
+                else if (--run < 0) break;
+            }
+            if (value && k <= scan.se) block[ZIGZAG[k]] = value;
+        }
+    }
+
+    if (scan.eobRun > 0) {
+        for (; k <= scan.se; k++) {
+            const z = ZIGZAG[k];
+            if (block[z] !== 0) refine(z);
+        }
+        scan.eobRun--;
+    }
+}
+
+// ── Reconstruction ────────────────────────────────────────
+
+/**
+ * Dequantize and inverse-DCT every block into the component's sample plane
+ */
+function reconstruct(frame, quantTables) {
+    const block = new Float32Array(64);
+    const rows = new Float32Array(64);
+
+    for (const c of frame.components) {
+        const quant = quantTables[c.tq];
+        if (!quant) throw new Error('JPEG is missing a quantization table');
+        c.samples = new Uint8ClampedArray(c.paddedBlocksX * 8 * c.paddedBlocksY * 8);
+        const stride = c.paddedBlocksX * 8;
+
+        for (let by = 0; by < c.paddedBlocksY; by++) {
+            for (let bx = 0; bx < c.paddedBlocksX; bx++) {
+                const offset = (by * c.paddedBlocksX + bx) * 64;
+                for (let k = 0; k < 64; k++) {
+                    block[ZIGZAG[k]] = c.coefficients[offset + ZIGZAG[k]] * quant[k];
+                }
+
+                // 1D IDCT over each row, then each column
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        let sum = 0;
+                        for (let u = 0; u < 8; u++) sum += COS[x * 8 + u] * block[y * 8 + u];
+                        rows[y * 8 + x] = sum;
+                    }
+                }
+                for (let x = 0; x < 8; x++) {
+                    for (let y = 0; y < 8; y++) {
+                        let sum = 0;
+                        for (let v = 0; v < 8; v++) sum += COS[y * 8 + v] * rows[v * 8 + x];
+                        c.samples[(by * 8 + y) * stride + bx * 8 + x] = Math.round(sum + 128);
+                    }
+                }
+            }
+        }
+        c.stride = stride;
+        c.coefficients = null;
+    }
+}
+
+// ── Color ─────────────────────────────────────────────────
+
+function toRgba({ width, height, components, hMax, vMax }, adobeTransform) {
+    const image = createImageData(width, height);
+    const { data } = image;
+    // Three components are YCbCr unless an Adobe marker says they're RGB
+    const ycc = components.length === 3 && adobeTransform !== 0;
+
+    const sampleAt = (c, x, y) => c.samples[Math.floor((y * c.v) / vMax) * c.stride + Math.floor((x * c.h) / hMax)];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const Y = sampleAt(components[0], x, y);
+
+            if (components.length === 1) {
+                data[o] = data[o + 1] = data[o + 2] = Y;
+            } else if (ycc) {
+                const cb = sampleAt(components[1], x, y) - 128;
+                const cr = sampleAt(components[2], x, y) - 128;
+                data[o] = Y + 1.402 * cr;
+                data[o + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+                data[o + 2] = Y + 1.772 * cb;
+            } else {
+                data[o] = Y;
+                data[o + 1] = sampleAt(components[1], x, y);
+                data[o + 2] = sampleAt(components[2], x, y);
+            }
+            data[o + 3] = 255;
+        }
+    }
+    return image;
+}
+
+/**
+ * Rotate/flip an image upright according to its EXIF orientation
+ *
+ * @param {ImageData} image
+ * @param {number} orientation - EXIF orientation, 1–8
+ * @returns {ImageData} The same image for orientation 1, otherwise a new one
+ */
+export function applyOrientation(image, orientation) {
+    if (!orientation || orientation === 1) return image;
+
+    const { width, height, data } = image;
+    const swap = orientation >= 5;
+    const outW = swap ? height : width;
+    const outH = swap ? width : height;
+    const out = createImageData(outW, outH);
+
+    for (let y = 0; y < outH; y++) {
+        for (let x = 0; x < outW; x++) {
+            // Source pixel shown at (x, y) once upright
+            let sx, sy;
+            switch (orientation) {
+                case 2: [sx, sy] = [width - 1 - x, y]; break;
+                case 3: [sx, sy] = [width - 1 - x, height - 1 - y]; break;
+                case 4: [sx, sy] = [x, height - 1 - y]; break;
+                case 5: [sx, sy] = [y, x]; break;
+                case 6: [sx, sy] = [y, height - 1 - x]; break;
+                case 7: [sx, sy] = [width - 1 - y, height - 1 - x]; break;
+                case 8: [sx, sy] = [width - 1 - y, x]; break;
+                default: [sx, sy] = [x, y];
+            }
+            const src = (sy * width + sx) * 4;
+            out.data.set(data.subarray(src, src + 4), (y * outW + x) * 4);
+        }
+    }
+    return out;
+}
@@ -0,0 +1,242 @@
+/**
+ * m64282fp.js — "Authentic" M64282FP sensor emulation
+ *
+ * Models the Artificial Retina's registers and the cartridge ROM's dither
+ * tables instead of the generic contrast curve + Laplacian of the simple
+ * pipeline:
+ *
+ *   C   Exposure time (16-bit, 16 µs steps)   → overall signal level
+ *   G   Gain (5-bit)                           → signal amplification
+ *   V   Output reference voltage (3-bit)       → dark level
+ *   O   Offset (6-bit signed)                  → fine dark level
+ *   N   Exclusive edge bit                     → edge extraction instead of enhancement
+ *   VH  Edge mode (0 none, 1 horizontal, 2 vertical, 3 2D)
+ *   E   Edge ratio (3-bit)                     → edge strength, 50–500%
+ *   I   Invert output
+ *
+ * The cartridge never dithers in software. For each of its 16 contrast
+ * settings the ROM has a 48-byte table, which it writes to the matrix
+ * registers: a 4×4 grid of cells, 3 thresholds per cell, against which
+ * each 8-bit output pixel is compared for its position. Every table is
+ * four levels (the edges of the three shade bands) spread across the
+ * cells in one fixed order, measured from real cartridge photos (examples/,
+ * see test/golden.test.js): the 4×4 Bayer matrix transposed. Only that
+ * layout and order come from the cartridge; the level bytes in
+ * CONTRAST_TABLE are this emulator's, as no ROM dump was at hand to copy
+ * them from, so dumped values can be dropped in row for row.
+ *
+ * Brightness never touches the tables either: the ROM turns it into an
+ * exposure time for register C (see brightnessExposure). The analog side
+ * works in the same 8-bit output units as the tables: exposure and gain
+ * scale the signal, V and O move the dark level.
+ */
+
+// Exposure that leaves the signal unchanged
+export const REFERENCE_EXPOSURE = 0x0800;
+
+// Edge ratio register → multiplier
+export const EDGE_RATIOS = [0.5, 0.75, 1, 1.25, 2, 3, 4, 5];
+
+export const EDGE_MODES = ['none', 'horizontal', 'vertical', '2d'];
+
+export const CONTRAST_LEVELS = 16;
+
+// ROM brightness settings; the middle one exposes for REFERENCE_EXPOSURE
+export const BRIGHTNESS_LEVELS = 16;
+export const DEFAULT_BRIGHTNESS = 8;
+
+// Output counts the dark level moves per V register step
+const VREF_STEP = 16;
+
+// Mid-scale output, where exclusive edge mode centers its edges
+const MID_OUTPUT = 128;
+
+export const SENSOR_DEFAULTS = {
+    exposure: REFERENCE_EXPOSURE, // C
+    gain: 0, // G
+    vref: 3, // V
+    offset: 0, // O
+    exclusive: 0, // N
+    edgeMode: 3, // VH: 2D
+    edgeRatio: 3, // E: 125%
+    invert: 0, // I
+    contrast: 8, // ROM contrast setting, 0–15
+};
+
+/**
+ * Gain register → dB. The low 4 bits step 1.5 dB from 14 dB; bit 4 adds
+ * a further 12 dB stage.
+ */
+export function gainDb(g) {
+    return 14 + 1.5 * (g & 0x0f) + (g & 0x10 ? 12 : 0);
+}
+
+/**
+ * Clamp raw register values into their bit widths
+ * @param {object} registers - Partial register set
+ * @returns {typeof SENSOR_DEFAULTS}
+ */
+export function normalizeRegisters(registers = {}) {
+    const r = { ...SENSOR_DEFAULTS, ...registers };
+    const int = (v, min, max) => Math.max(min, Math.min(max, Math.round(Number(v) || 0)));
+    return {
+        exposure: int(r.exposure, 1, 0xffff),
+        gain: int(r.gain, 0, 31),
+        vref: int(r.vref, 0, 7),
+        offset: int(r.offset, -31, 31),
+        exclusive: int(r.exclusive, 0, 1),
+        edgeMode: int(r.edgeMode, 0, 3),
+        edgeRatio: int(r.edgeRatio, 0, 7),
+        invert: int(r.invert, 0, 1),
+        contrast: int(r.contrast, 0, CONTRAST_LEVELS - 1),
+    };
+}
+
+/**
+ * Rank of each cell's thresholds (cells row-major; 0 = lowest, so first to
+ * turn lighter). Measured from the example photos: in 4×4 blocks that mix
+ * two neighboring shades, how often each position has the lighter one.
+ */
+const DITHER_ORDER = [
+    0, 12, 3, 15,
+    8, 4, 11, 7,
+    2, 14, 1, 13,
+    10, 6, 9, 5,
+];
+
+/**
+ * Per contrast setting (0 = softest), the output levels the three shade
+ * bands run between: darkest/dark, dark/light, light/lightest edges. Higher
+ * contrast pulls them in towards mid-scale.
+ */
+const CONTRAST_TABLE = [
+    [0x08, 0x58, 0xa8, 0xf8],
+    [0x0d, 0x5a, 0xa6, 0xf3],
+    [0x12, 0x5b, 0xa5, 0xee],
+    [0x17, 0x5d, 0xa3, 0xe9],
+    [0x1c, 0x5f, 0xa1, 0xe4],
+    [0x21, 0x60, 0xa0, 0xdf],
+    [0x26, 0x62, 0x9e, 0xda],
+    [0x2b, 0x64, 0x9c, 0xd5],
+    [0x30, 0x65, 0x9b, 0xd0],
+    [0x35, 0x67, 0x99, 0xcb],
+    [0x3a, 0x69, 0x97, 0xc6],
+    [0x3f, 0x6a, 0x96, 0xc1],
+    [0x44, 0x6c, 0x94, 0xbc],
+    [0x49, 0x6e, 0x92, 0xb7],
+    [0x4e, 0x6f, 0x91, 0xb2],
+    [0x53, 0x71, 0x8f, 0xad],
+];
+
+/**
+ * The 48 bytes the ROM writes to the matrix registers for a contrast
+ * setting. Within each shade band, the cell with rank r gets the threshold
+ * (2r + 1)/32 of the way up, so every cell's three thresholds ascend and
+ * the 16 cells split each band evenly.
+ *
+ * @param {number} contrast - 0–15
+ * @returns {Uint8Array} 48 thresholds, 3 per cell, cells row-major
+ */
+export function ditherTable(contrast) {
+    const levels = CONTRAST_TABLE[contrast];
+    const table = new Uint8Array(48);
+
+    for (let cell = 0; cell < 16; cell++) {
+        for (let k = 0; k < 3; k++) {
+            const step = (levels[k + 1] - levels[k]) * (2 * DITHER_ORDER[cell] + 1) / 32;
+            table[cell * 3 + k] = Math.round(levels[k] + step);
+        }
+    }
+    return table;
+}
+
+/**
+ * Exposure register value for a ROM brightness setting: half a stop of
+ * exposure time per step
+ * @param {number} brightness - 0–15
+ */
+export function brightnessExposure(brightness) {
+    return Math.round(REFERENCE_EXPOSURE * 2 ** ((brightness - DEFAULT_BRIGHTNESS) / 2));
+}
+
+/**
+ * The brightness setting nearest an exposure register value, for showing
+ * where a hand-set exposure sits
+ * @param {number} exposure
+ */
+export function exposureBrightness(exposure) {
+    const brightness = Math.round(DEFAULT_BRIGHTNESS + 2 * Math.log2(exposure / REFERENCE_EXPOSURE));
+    return Math.max(0, Math.min(BRIGHTNESS_LEVELS - 1, brightness));
+}
+
+/**
+ * Run a grayscale 128×112 frame through the emulated sensor
+ *
+ * @param {ImageData} gray - Grayscale frame (red channel is read)
+ * @param {object} [registers] - See SENSOR_DEFAULTS
+ * @returns {Uint8Array} Shade indices (0 = darkest)
+ */
+export function sensorShades(gray, registers = {}) {
+    const r = normalizeRegisters(registers);
+    const { width, height, data } = gray;
+
+    // Exposure and gain both scale the photodiode signal, here in output
+    // counts: full white at the reference exposure and lowest gain is 255
+    const gain = 10 ** ((gainDb(r.gain) - gainDb(0)) / 20);
+    const level = (r.exposure / REFERENCE_EXPOSURE) * gain;
+
+    const signal = new Float32Array(width * height);
+    for (let i = 0; i < signal.length; i++) {
+        signal[i] = data[i * 4] * level;
+    }
+
+    const edged = edgeProcess(signal, width, height, r);
+
+    // Output stage: reference voltage and offset move the dark level
+    const dark = (r.vref - SENSOR_DEFAULTS.vref) * VREF_STEP + r.offset;
+    const table = ditherTable(r.contrast);
+    const shades = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            let v = Math.max(0, Math.min(255, edged[i] + dark));
+            if (r.invert) v = 255 - v;
+
+            const cell = ((y % 4) * 4 + (x % 4)) * 3;
+            let shade = 0;
+            while (shade < 3 && v >= table[cell + shade]) shade++;
+            shades[i] = shade;
+        }
+    }
+    return shades;
+}
+
+/**
+ * The sensor's analog edge stage: each pixel against the mean of its
+ * horizontal, vertical or 4-way neighbors. Enhancement adds the scaled
+ * difference back onto the pixel; exclusive mode outputs only the edges,
+ * centered on mid-scale.
+ */
+function edgeProcess(signal, width, height, { edgeMode, edgeRatio, exclusive }) {
+    const mode = EDGE_MODES[edgeMode];
+    if (mode === 'none') return signal;
+
+    const ratio = EDGE_RATIOS[edgeRatio];
+    const out = new Float32Array(signal.length);
+    const at = (x, y) => signal[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = at(x, y);
+            let mean;
+            if (mode === 'horizontal') mean = (at(x - 1, y) + at(x + 1, y)) / 2;
+            else if (mode === 'vertical') mean = (at(x, y - 1) + at(x, y + 1)) / 2;
+            else mean = (at(x - 1, y) + at(x + 1, y) + at(x, y - 1) + at(x, y + 1)) / 4;
+
+            const edge = (p - mean) * ratio;
+            out[y * width + x] = exclusive ? MID_OUTPUT + edge : p + edge;
+        }
+    }
+    return out;
+}
@@ -4,50 +4,359 @@
  * Wires together the camera, processor, gallery, and UI.
  */
 
-import { Camera } from './camera.js';
-import { processFrame, upscaleNearest, GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
-import { PALETTES } from './palettes.js';
-import { getPhotos, savePhoto, deletePhoto, downloadPhoto, sharePhoto } from './gallery.js';
+import { Camera, RESOLUTIONS } from './camera.js';
+import { PreviewPipeline } from './previewPipeline.js';
+import { processFrame, processShades, renderShades, cropImage, LENSES, GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+import {
+    getPalettes, getPalette, getPaletteRgb, saveCustomPalette, deleteCustomPalette, moveCustomPalette,
+    parsePaletteFile, exportPalette, DEFAULT_PALETTE,
+} from './palettes.js';
+import { DITHERS, DEFAULT_DITHER, DEFAULT_THRESHOLDS, normalizeThresholds } from './dither.js';
+import { AutoExposure, HISTOGRAM_BINS } from './autoExposure.js';
+import {
+    SENSOR_DEFAULTS, REFERENCE_EXPOSURE, EDGE_RATIOS, brightnessExposure, exposureBrightness,
+} from './m64282fp.js';
+import { CaptureScheduler } from './captureModes.js';
+import {
+    getPhotos, getPhoto, countPhotos, savePhoto, deletePhoto, deletePhotos, renderPhoto, photoToBlob,
+    downloadPhoto, sharePhoto, sharePhotos, isStandardSize, isVideo, saveVideo, rollStatus, movePhotos,
+    setFavorite, clearRoll, getPhotoIds, restorePhoto, setHotspots, RollFullError, MAX_PHOTOS,
+} from './gallery.js';
+import {
+    getRolls, getRoll, getActiveRoll, setActiveRoll, createRoll, addRoll, renameRoll, removeRoll,
+    getFullPolicy, setFullPolicy, fullRollAction, FULL_POLICIES,
+} from './rolls.js';
+import { ViewfinderRecorder } from './recorder.js';
+import { stitchPanorama, ghostRect, rotateShades, PANORAMA_DIRECTIONS } from './panorama.js';
+import { montageMask, fillRegion, montageOverlay, MONTAGE_LAYOUTS, DEFAULT_MONTAGE_LAYOUT } from './montage.js';
+import {
+    getFrames, getFrame, frameFromImage, frameShades, saveCustomFrame, deleteCustomFrame, FRAME_WIDTH, FRAME_HEIGHT,
+} from './frames.js';
+import { ImportCrop, rotateImage, importSize } from './importCrop.js';
+import { decodeSav, encodeSav } from './gbcSave.js';
+import { buildBackup, parseBackup } from './backup.js';
+import {
+    encodePrintJob, parsePackets, runPrinter, renderStrip, printoutToShades,
+    parseHexDump, formatHexDump, PRINTER_WIDTH,
+} from './gbPrinter.js';
+import { encodeGif, encodeApng, MAX_FRAME_DELAY } from './animation.js';
+import { PhotoEditor } from './editor.js';
+import { STAMPS } from './stamps.js';
+import { Updater } from './updater.js';
+import { hotspotRect, hotspotAt, linkedPhotos, exportAlbum } from './hotspots.js';
+import {
+    getPresets, getPreset, savePreset, deletePreset, getLastLook, saveLastLook, adoptLook,
+    encodeLookLink, decodeLookLink, exportPreset, parsePresetFile,
+} from './presets.js';
 
 // ── State ─────────────────────────────────────────────────
-let currentPalette = 'classic';
+let currentPalette = DEFAULT_PALETTE;
+let brightness = 0;
 let contrast = 1.2;
+let gamma = 1;
+let autoExposure = null; // AutoExposure steering brightness and contrast, null when off
 let edgeStrength = 0.3;
+let lens = 'none';
+let ditherMethod = DEFAULT_DITHER;
+let spread = DITHERS[DEFAULT_DITHER].spread;
+let thresholds = [...DEFAULT_THRESHOLDS];
+let sensorMode = 'simple';
+let registers = { ...SENSOR_DEFAULTS };
 let previewRunning = false;
+let previewPipeline = null; // worker pipeline, null when running on the main thread
+let previewFailing = false; // last preview frame threw (logged once per streak)
+let previewGeneration = 0; // bumped on each startPreview, so a stale loop stops
+let perfUpdated = 0;
 let currentDetailPhoto = null;
+let detailFrame = null; // frame key picked in the detail view, null for no frame
+let captureMode = 'single';
+let countdown = null; // seconds left on the self-timer, drawn over the viewfinder
+let panorama = null; // panorama in progress: { direction, count, frames, ghost }
+let montage = null; // montage in progress: { layout, mask, shades, region, overlay }
+let recorder = null; // ViewfinderRecorder while a video is being recorded
+let recordingStarting = false; // between the record tap and the recorder running
+let detailVideoUrl = null; // object URL of the video open in the detail view
+let hotspotEdit = null; // { selected, drag, targets } while drawing hot spots, null otherwise
+let viewerHistory = null; // photos the viewer came through, null outside the viewer
+let photoIds = null; // Set of every photo ID, to flag hot spots whose photo is gone
+let cameraError = null; // reason the camera isn't running, null while it is
+const replaceConfirmed = new Set(); // full rolls the user agreed to shoot over this session
+let importQueue = []; // image files waiting for the import editor
+let importTotal = 0; // images in this import, for the counter
+let importImage = null; // upright ImageData being cropped, null when not importing
+let importCrop = null; // ImportCrop over importImage
+let importDrag = null; // { grab, x, y, rect } while the crop is dragged
+let galleryOffset = 0;
+let galleryLoading = false;
+let gallerySelection = null; // Set of selected photo IDs while selecting, null otherwise
+let noticeTimer = null;
+let printJobs = []; // packet streams sent to the emulated printer, oldest first
+let animFrames = []; // { photo, delay } in playback order
+let animTimer = null;
+let editor = null; // PhotoEditor for the photo open in the editor
+let editTool = 'pencil';
+let editShade = 0;
+let editStamp = Object.keys(STAMPS)[0];
+let editDrawing = false;
+let editingPaletteKey = null; // custom palette loaded in the palette form, null for a new one
+
+// Photos rendered per gallery page
+const GALLERY_PAGE_SIZE = 12;
+
+// Detail view upscale (512×448 for a regular photo, 640×576 framed)
+const DETAIL_SCALE = 4;
+
+// Hot spots leading to a deleted photo (--danger)
+const BROKEN_HOTSPOT_COLOR = '#e05a46';
+
+// Show per-stage preview timings (add ?perf to the URL)
+const SHOW_PERF = new URLSearchParams(location.search).has('perf');
+const PERF_INTERVAL = 500; // ms between overlay updates
 
 // ── DOM Elements ──────────────────────────────────────────
 const videoEl = document.getElementById('camera-video');
 const viewfinder = document.getElementById('viewfinder');
 const viewfinderCtx = viewfinder.getContext('2d');
+const appEl = document.getElementById('app');
+const controlsEl = document.getElementById('controls');
 
 const btnShutter = document.getElementById('btn-shutter');
 const btnFlip = document.getElementById('btn-flip');
 const btnSettings = document.getElementById('btn-settings');
 const btnGallery = document.getElementById('btn-gallery');
 const btnGalleryBack = document.getElementById('btn-gallery-back');
+const btnExportSav = document.getElementById('btn-export-sav');
+const btnBackupExport = document.getElementById('btn-backup-export');
+const btnBackupImport = document.getElementById('btn-backup-import');
+const backupInput = document.getElementById('backup-input');
+const btnAnimate = document.getElementById('btn-animate');
 const btnImport = document.getElementById('btn-import');
 const importInput = document.getElementById('import-input');
 const photoCountBadge = document.getElementById('photo-count');
+const importEditor = document.getElementById('import-editor');
+const importCanvas = document.getElementById('import-canvas');
+const importCount = document.getElementById('import-count');
+const btnImportCancel = document.getElementById('btn-import-cancel');
+const btnImportRotate = document.getElementById('btn-import-rotate');
+const btnImportSkip = document.getElementById('btn-import-skip');
+const btnImportSave = document.getElementById('btn-import-save');
 
 const galleryPanel = document.getElementById('gallery-panel');
 const galleryGrid = document.getElementById('gallery-grid');
 const galleryCount = document.getElementById('gallery-count');
+const btnSelect = document.getElementById('btn-select');
+const rollBar = document.getElementById('roll-bar');
+const rollSelect = document.getElementById('roll-select');
+const btnRollNew = document.getElementById('btn-roll-new');
+const btnRollRename = document.getElementById('btn-roll-rename');
+const btnRollDelete = document.getElementById('btn-roll-delete');
+const rollPolicySelect = document.getElementById('roll-policy-select');
+const selectBar = document.getElementById('select-bar');
+const selectCount = document.getElementById('select-count');
+const selectMove = document.getElementById('select-move');
+const btnSelectFavorite = document.getElementById('btn-select-favorite');
+const btnSelectDownload = document.getElementById('btn-select-download');
+const btnSelectShare = document.getElementById('btn-select-share');
+const btnSelectDelete = document.getElementById('btn-select-delete');
+const notice = document.getElementById('notice');
+const presetSelect = document.getElementById('preset-select');
+const btnPresetSave = document.getElementById('btn-preset-save');
+const btnPresetDelete = document.getElementById('btn-preset-delete');
+const btnPresetLink = document.getElementById('btn-preset-link');
+const btnPresetExport = document.getElementById('btn-preset-export');
+const btnPresetImport = document.getElementById('btn-preset-import');
+const presetImportInput = document.getElementById('preset-import-input');
+const updateBanner = document.getElementById('update-banner');
+const btnUpdateReload = document.getElementById('btn-update-reload');
 
 const detailPanel = document.getElementById('detail-panel');
 const detailCanvas = document.getElementById('detail-canvas');
+const detailVideo = document.getElementById('detail-video');
+const detailOptions = document.getElementById('detail-options');
+const detailTitle = document.getElementById('detail-title');
 const btnDetailBack = document.getElementById('btn-detail-back');
+const btnFavorite = document.getElementById('btn-favorite');
 const btnDownload = document.getElementById('btn-download');
 const btnShare = document.getElementById('btn-share');
 const btnDelete = document.getElementById('btn-delete');
+const btnPrint = document.getElementById('btn-print');
+const btnEdit = document.getElementById('btn-edit');
+const btnHotspots = document.getElementById('btn-hotspots');
+const btnViewer = document.getElementById('btn-viewer');
+const hotspotBar = document.getElementById('hotspot-bar');
+const hotspotHint = document.getElementById('hotspot-hint');
+const hotspotTarget = document.getElementById('hotspot-target');
+const btnHotspotDelete = document.getElementById('btn-hotspot-delete');
+const btnHotspotExport = document.getElementById('btn-hotspot-export');
+const frameBar = document.getElementById('frame-bar');
+const frameImportInput = document.getElementById('frame-import-input');
+const detailScaleSlider = document.getElementById('detail-scale-slider');
+const detailScaleValue = document.getElementById('detail-scale-value');
+
+const editPanel = document.getElementById('edit-panel');
+const editCanvas = document.getElementById('edit-canvas');
+const editShades = document.getElementById('edit-shades');
+const editStamps = document.getElementById('edit-stamps');
+const btnEditBack = document.getElementById('btn-edit-back');
+const btnEditSave = document.getElementById('btn-edit-save');
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
+
+const printPanel = document.getElementById('print-panel');
+const printStrip = document.getElementById('print-strip');
+const btnPrintBack = document.getElementById('btn-print-back');
+const btnPrintClear = document.getElementById('btn-print-clear');
+const btnPrintLog = document.getElementById('btn-print-log');
+const btnPrintDownload = document.getElementById('btn-print-download');
+
+const animPanel = document.getElementById('anim-panel');
+const animPreview = document.getElementById('anim-preview');
+const animFramesList = document.getElementById('anim-frames');
+const animPicker = document.getElementById('anim-picker');
+const animScaleSlider = document.getElementById('anim-scale-slider');
+const animScaleValue = document.getElementById('anim-scale-value');
+const animDelaySlider = document.getElementById('anim-delay-slider');
+const animDelayValue = document.getElementById('anim-delay-value');
+const btnAnimBack = document.getElementById('btn-anim-back');
+const btnAnimGif = document.getElementById('btn-anim-gif');
+const btnAnimApng = document.getElementById('btn-anim-apng');
+
+const paletteBar = document.getElementById('palette-bar');
+const palettePanel = document.getElementById('palette-panel');
+const paletteList = document.getElementById('palette-list');
+const paletteNameInput = document.getElementById('palette-name-input');
+const paletteColorInputs = [...document.querySelectorAll('#palette-color-inputs input')];
+const paletteErrors = document.getElementById('palette-errors');
+const paletteImportInput = document.getElementById('palette-import-input');
+const btnPaletteBack = document.getElementById('btn-palette-back');
+const btnPaletteImport = document.getElementById('btn-palette-import');
+const btnPaletteNew = document.getElementById('btn-palette-new');
+const btnPaletteSave = document.getElementById('btn-palette-save');
 
+const autoExposureToggle = document.getElementById('auto-exposure-toggle');
+const brightnessSlider = document.getElementById('brightness-slider');
 const contrastSlider = document.getElementById('contrast-slider');
+const gammaSlider = document.getElementById('gamma-slider');
 const edgeSlider = document.getElementById('edge-slider');
+const lensSelect = document.getElementById('lens-select');
+const ditherSelect = document.getElementById('dither-select');
+const spreadSlider = document.getElementById('spread-slider');
+const thresholdSliders = [1, 2, 3].map((n) => document.getElementById(`threshold-${n}-slider`));
+const histogramToggle = document.getElementById('histogram-toggle');
+const sensorSelect = document.getElementById('sensor-select');
+const simpleControls = document.getElementById('simple-controls');
+const sensorControls = document.getElementById('sensor-controls');
+const exposureSlider = document.getElementById('exposure-slider');
+const gainSlider = document.getElementById('gain-slider');
+const vrefSlider = document.getElementById('vref-slider');
+const offsetSlider = document.getElementById('offset-slider');
+const edgeModeSelect = document.getElementById('edge-mode-select');
+const edgeRatioSelect = document.getElementById('edge-ratio-select');
+const exclusiveToggle = document.getElementById('exclusive-toggle');
+const romBrightnessSlider = document.getElementById('rom-brightness-slider');
+const romContrastSlider = document.getElementById('rom-contrast-slider');
 const adjustments = document.getElementById('adjustments');
 const flashOverlay = document.getElementById('flash-overlay');
+const perfOverlay = document.getElementById('perf-overlay');
+const histogramCanvas = document.getElementById('histogram');
+const histogramCtx = histogramCanvas.getContext('2d');
+
+const timerSelect = document.getElementById('timer-select');
+const burstCountSlider = document.getElementById('burst-count-slider');
+const burstCountValue = document.getElementById('burst-count-value');
+const burstIntervalSlider = document.getElementById('burst-interval-slider');
+const burstIntervalValue = document.getElementById('burst-interval-value');
+const lapseSelect = document.getElementById('lapse-select');
+const panoDirectionSelect = document.getElementById('pano-direction-select');
+const panoFramesSlider = document.getElementById('pano-frames-slider');
+const panoFramesValue = document.getElementById('pano-frames-value');
+const montageSelect = document.getElementById('montage-select');
+const autoAnimateToggle = document.getElementById('auto-animate');
+const recSizeSelect = document.getElementById('rec-size-select');
+const recFpsSelect = document.getElementById('rec-fps-select');
+const recMicToggle = document.getElementById('rec-mic-toggle');
+const cameraSelectGroup = document.getElementById('camera-select-group');
+const cameraSelect = document.getElementById('camera-select');
+const resolutionSelect = document.getElementById('resolution-select');
+const zoomGroup = document.getElementById('zoom-group');
+const zoomSlider = document.getElementById('zoom-slider');
+const torchGroup = document.getElementById('torch-group');
+const torchToggle = document.getElementById('torch-toggle');
+const focusGroup = document.getElementById('focus-group');
+const focusSelect = document.getElementById('focus-select');
+const focusDistanceGroup = document.getElementById('focus-distance-group');
+const focusDistanceSlider = document.getElementById('focus-distance-slider');
 
 // ── Camera ────────────────────────────────────────────────
-const camera = new Camera(videoEl);
+const camera = new Camera(videoEl, { onChange: onCameraChange, onError: onCameraError });
+
+/**
+ * The camera (re)started or the device list changed
+ */
+function onCameraChange() {
+    cameraError = null;
+    // The import editor has the viewfinder; it resumes the preview when done
+    if (!importImage) startPreview();
+    renderCameraControls();
+}
+
+/**
+ * The camera stopped for good: show why in the viewfinder
+ */
+function onCameraError(err) {
+    cameraError = err.reason ?? 'unknown';
+    stopPreview();
+    if (!importImage) showCameraError(cameraError);
+    renderCameraControls();
+}
+
+/**
+ * Run a camera switch, then either resume or show the error
+ */
+async function switchCamera(change) {
+    try {
+        await change();
+        onCameraChange();
+    } catch (err) {
+        onCameraError(err);
+    }
+}
+
+/**
+ * Sync the camera settings with the available devices and what the
+ * running track supports
+ */
+async function renderCameraControls() {
+    const devices = await camera.listDevices();
+    cameraSelect.innerHTML = '';
+    devices.forEach(({ deviceId, label }) => cameraSelect.add(new Option(label.toUpperCase(), deviceId)));
+    cameraSelect.value = camera.activeDeviceId ?? '';
+    cameraSelectGroup.hidden = devices.length < 2;
+    resolutionSelect.value = camera.resolution;
+
+    const { zoom, torch, focus } = camera.controls();
+    zoomGroup.hidden = !zoom;
+    if (zoom) Object.assign(zoomSlider, { min: zoom.min, max: zoom.max, step: zoom.step, value: zoom.value });
+    torchGroup.hidden = !torch;
+    if (torch) torchToggle.checked = torch.value;
+
+    focusGroup.hidden = !focus;
+    focusSelect.innerHTML = '';
+    focus?.modes.forEach((mode) => focusSelect.add(new Option(mode === 'manual' ? 'MANUAL' : 'AUTO', mode)));
+    if (focus) focusSelect.value = focus.mode;
+    const distance = focus?.mode === 'manual' ? focus.distance : null;
+    focusDistanceGroup.hidden = !distance;
+    if (distance) {
+        Object.assign(focusDistanceSlider, { min: distance.min, max: distance.max, step: distance.step, value: distance.value });
+    }
+}
+
+/**
+ * Apply a zoom/torch/focus change; a track that refuses just logs it
+ */
+function applyCameraControl(apply) {
+    apply().catch((err) => console.error('Camera control failed:', err));
+}
 
 // ── Initialization ────────────────────────────────────────
 async function init() {
@@ -59,14 +368,16 @@ async function init() {
     viewfinderCtx.imageSmoothingEnabled = false;
 
     // Start camera
-    const started = await camera.start();
-    if (!started) {
-        showCameraError();
+    try {
+        await camera.start();
+    } catch (err) {
+        onCameraError(err);
         return;
     }
 
-    // Start preview loop
-    startPreview();
+    // Start preview loop (unless an import got there first)
+    if (!importImage) startPreview();
+    renderCameraControls();
 
     // Update gallery badge
     updatePhotoCount();
@@ -76,54 +387,428 @@ async function init() {
 function startPreview() {
     if (previewRunning) return;
     previewRunning = true;
-    requestAnimationFrame(previewLoop);
+    const generation = ++previewGeneration;
+
+    if (!previewPipeline && PreviewPipeline.supported) {
+        previewPipeline = new PreviewPipeline({ onFrame: drawPreview });
+    }
+    perfOverlay.hidden = !SHOW_PERF;
+    requestAnimationFrame(() => previewLoop(generation));
 }
 
 function stopPreview() {
     previewRunning = false;
 }
 
-function previewLoop() {
+/**
+ * One viewfinder frame, then the next; `generation` is the startPreview
+ * call this loop belongs to
+ */
+async function previewLoop(generation) {
+    if (!previewRunning || generation !== previewGeneration) return;
+
+    try {
+        if (previewPipeline && !previewPipeline.failed) {
+            if (previewPipeline.busy) {
+                // Worker is behind: skip this frame rather than queue it
+                previewPipeline.drop();
+            } else {
+                const frame = await camera.grabFrame();
+                // Stopped (maybe restarted) while grabbing: a new loop carries on
+                if (!previewRunning || generation !== previewGeneration) {
+                    frame?.close?.();
+                    return;
+                }
+                if (frame) previewPipeline.process(frame, processingSettings(), getPaletteRgb(currentPalette));
+            }
+        } else {
+            // No worker support: process on the main thread
+            const frame = camera.captureFrame();
+            if (frame) {
+                const histogram = new Uint32Array(HISTOGRAM_BINS);
+                drawPreview(processFrame(frame, currentPalette, { ...processingSettings(), histogram }), histogram);
+            }
+        }
+        previewFailing = false;
+    } catch (err) {
+        // A dropped frame (say, the track ending mid-grab) shouldn't stop the
+        // viewfinder; log once until frames come through again
+        if (!previewFailing) console.error('Preview frame failed:', err);
+        previewFailing = true;
+    }
+
+    requestAnimationFrame(() => previewLoop(generation));
+}
+
+/**
+ * Draw a processed 128×112 frame directly onto the viewfinder canvas
+ * @param {ImageData} image
+ * @param {Uint32Array} histogram - Levels the frame was dithered from
+ */
+function drawPreview(image, histogram) {
+    // A worker frame can arrive after the camera failed
     if (!previewRunning) return;
+    viewfinderCtx.putImageData(image, 0, 0);
+    // The authentic sensor has its own exposure and thresholds
+    if (sensorMode === 'simple') {
+        if (autoExposure) followExposure(histogram);
+        if (!histogramCanvas.hidden) drawHistogram(histogram);
+    }
+    // Recorded before the overlays go on
+    recorder?.addFrame();
+    if (panorama) drawPanoramaGuide();
+    if (captureMode === 'montage') drawMontageGuide();
+    if (countdown !== null) drawCountdown(countdown);
+    if (recorder) drawRecording(recorder.elapsed);
+    if (SHOW_PERF) drawPerf();
+}
 
-    const frame = camera.captureFrame();
-    if (frame) {
-        const processed = processFrame(frame, currentPalette, {
-            contrast,
-            edgeStrength,
-        });
+/**
+ * Let auto exposure set brightness and contrast for the next frame
+ */
+function followExposure(histogram) {
+    ({ brightness, contrast } = autoExposure.update(histogram, { brightness, contrast, thresholds }));
+    brightnessSlider.value = brightness;
+    contrastSlider.value = contrast;
+}
+
+/**
+ * Bars for the histogram bins, scaled to the fullest one, with a line at
+ * each threshold
+ */
+function drawHistogram(histogram) {
+    const [dark, mid, , light] = (getPalette(currentPalette) ?? getPalette(DEFAULT_PALETTE)).colors;
+    const { width, height } = histogramCanvas;
+    const peak = Math.max(1, ...histogram);
+    const barWidth = width / histogram.length;
 
-        // Draw the 128×112 processed image directly onto the viewfinder canvas
-        viewfinderCtx.putImageData(processed, 0, 0);
+    histogramCtx.fillStyle = dark;
+    histogramCtx.fillRect(0, 0, width, height);
+    histogramCtx.fillStyle = light;
+    histogram.forEach((count, bin) => {
+        const bar = Math.ceil((count / peak) * height);
+        histogramCtx.fillRect(bin * barWidth, height - bar, barWidth, bar);
+    });
+    histogramCtx.fillStyle = mid;
+    for (const threshold of thresholds) {
+        histogramCtx.fillRect(Math.min(width - 1, Math.floor(threshold * width)), 0, 1, height);
     }
+}
 
-    requestAnimationFrame(previewLoop);
+/**
+ * The histogram only means something for the simple sensor's dither
+ */
+function updateHistogram() {
+    histogramCanvas.hidden = !histogramToggle.checked || sensorMode !== 'simple';
 }
 
-// ── Capture ───────────────────────────────────────────────
-function capturePhoto() {
-    const frame = camera.captureFrame();
-    if (!frame) return;
+function drawPerf() {
+    const now = performance.now();
+    if (!previewPipeline || now - perfUpdated < PERF_INTERVAL) return;
+    perfUpdated = now;
+
+    const { frames, dropped, timings, total } = previewPipeline.stats;
+    const lines = Object.entries(timings).map(([stage, ms]) => `${stage.padEnd(10)}${ms.toFixed(2)} ms`);
+    lines.push(`${'total'.padEnd(10)}${(total ?? 0).toFixed(2)} ms`, `frames ${frames}  dropped ${dropped}`);
+    perfOverlay.textContent = lines.join('\n');
+}
+
+/**
+ * Self-timer digits, in the same pixel font as the camera error screen
+ */
+function drawCountdown(seconds) {
+    const [dark, , , light] = (getPalette(currentPalette) ?? getPalette(DEFAULT_PALETTE)).colors;
+    viewfinderCtx.fillStyle = dark;
+    viewfinderCtx.fillRect(GBC_WIDTH / 2 - 20, GBC_HEIGHT / 2 - 20, 40, 40);
+    viewfinderCtx.fillStyle = light;
+    viewfinderCtx.font = '24px "Press Start 2P"';
+    viewfinderCtx.textAlign = 'center';
+    viewfinderCtx.textBaseline = 'middle';
+    viewfinderCtx.fillText(String(seconds), GBC_WIDTH / 2 + 1, GBC_HEIGHT / 2 + 2);
+    viewfinderCtx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Ghost of the previous panorama shot's trailing edge at the leading edge
+ * of the viewfinder, plus which shot is next
+ */
+function drawPanoramaGuide() {
+    const previous = panorama.frames[panorama.frames.length - 1];
+    if (panorama.ghost?.palette !== currentPalette) {
+        const canvas = new OffscreenCanvas(previous.width, previous.height);
+        canvas.getContext('2d').putImageData(renderShades(previous.shades, previous.width, previous.height, currentPalette), 0, 0);
+        panorama.ghost = { palette: currentPalette, canvas };
+    }
+
+    const { x, y, width, height } = ghostRect(panorama.direction, GBC_WIDTH, GBC_HEIGHT);
+    viewfinderCtx.globalAlpha = 0.5;
+    viewfinderCtx.drawImage(panorama.ghost.canvas, x, y, width, height, 0, 0, width, height);
+    viewfinderCtx.globalAlpha = 1;
+
+    const [dark, , , light] = (getPalette(currentPalette) ?? getPalette(DEFAULT_PALETTE)).colors;
+    viewfinderCtx.fillStyle = dark;
+    viewfinderCtx.fillRect(GBC_WIDTH - 30, 2, 28, 12);
+    viewfinderCtx.fillStyle = light;
+    viewfinderCtx.font = '8px "Press Start 2P"';
+    viewfinderCtx.textAlign = 'center';
+    viewfinderCtx.fillText(`${panorama.frames.length + 1}/${panorama.count}`, GBC_WIDTH - 16, 12);
+}
+
+/**
+ * Montage regions already taken stay frozen over the live preview; the
+ * ones still to come are shaded
+ */
+function drawMontageGuide() {
+    montage ??= startMontage();
+    if (montage.overlay?.palette !== currentPalette) {
+        const image = montageOverlay(
+            montage.shades, montage.mask, montage.region, getPaletteRgb(currentPalette), GBC_WIDTH, GBC_HEIGHT,
+        );
+        const canvas = new OffscreenCanvas(GBC_WIDTH, GBC_HEIGHT);
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        montage.overlay = { palette: currentPalette, canvas };
+    }
+    viewfinderCtx.drawImage(montage.overlay.canvas, 0, 0);
+}
+
+/**
+ * Blinking REC marker and running time while recording
+ */
+function drawRecording(seconds) {
+    const [dark, , , light] = (getPalette(currentPalette) ?? getPalette(DEFAULT_PALETTE)).colors;
+    const time = `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    viewfinderCtx.fillStyle = dark;
+    viewfinderCtx.fillRect(2, 2, 76, 12);
+    viewfinderCtx.fillStyle = light;
+    viewfinderCtx.font = '8px "Press Start 2P"';
+    viewfinderCtx.textAlign = 'left';
+    viewfinderCtx.fillText(`${Math.floor(seconds) % 2 ? ' ' : '●'}REC ${time}`, 4, 12);
+}
 
-    const processed = processFrame(frame, currentPalette, {
+// ── Capture ───────────────────────────────────────────────
+/**
+ * Current processing options; also stored with each photo
+ */
+function processingSettings() {
+    return {
+        brightness,
         contrast,
+        gamma,
+        autoExposure: Boolean(autoExposure),
         edgeStrength,
-    });
+        lens,
+        dither: ditherMethod,
+        spread,
+        thresholds: [...thresholds],
+        sensor: sensorMode,
+        registers: { ...registers },
+    };
+}
 
-    // Upscale 4x for a nice saved image (512×448)
-    const upscaled = upscaleNearest(processed, 4);
+const scheduler = new CaptureScheduler({
+    camera,
+    save: saveFrame,
+    onTick: ({ remaining }) => {
+        countdown = remaining > 0 ? remaining : null;
+    },
+    onDone: onCaptureDone,
+});
+
+/**
+ * Shutter: start a run in the selected mode, or stop the one in progress
+ */
+function capturePhoto() {
+    // While importing, the shutter confirms the crop
+    if (importImage) {
+        saveImport();
+        return;
+    }
+    if (captureMode === 'video') {
+        toggleRecording();
+        return;
+    }
+    if (scheduler.running) {
+        scheduler.stop();
+        return;
+    }
 
-    // Create a canvas for saving
-    const saveCanvas = new OffscreenCanvas(upscaled.width, upscaled.height);
-    saveCanvas.getContext('2d').putImageData(upscaled, 0, 0);
+    btnShutter.classList.add('busy');
+    scheduler.start(captureMode, {
+        timerSeconds: parseInt(timerSelect.value, 10),
+        burstCount: parseInt(burstCountSlider.value, 10),
+        burstInterval: parseInt(burstIntervalSlider.value, 10),
+        timelapseInterval: parseInt(lapseSelect.value, 10),
+        maxShots: MAX_PHOTOS,
+    });
+}
 
-    savePhoto(saveCanvas, currentPalette);
+/**
+ * Process and store one camera frame
+ * @returns {Promise<string>} Photo ID
+ */
+async function saveFrame(frame) {
+    const settings = processingSettings();
+    const shades = processShades(frame, settings);
 
     // Flash effect
     triggerFlash();
 
+    if (captureMode === 'panorama') return addPanoramaShot(shades, settings);
+    if (captureMode === 'montage') return addMontageShot(shades, settings);
+
+    const id = await storePhoto(shades, currentPalette, settings);
+    // The cartridge is full and the policy says stop
+    if (id === null) scheduler.stop();
+
     // Update count
     updatePhotoCount();
+    return id;
+}
+
+/**
+ * Collect one panorama shot; the last one stitches and saves the panorama
+ * @returns {Promise<string|null>} Photo ID once saved, null while shots remain
+ */
+async function addPanoramaShot(shades, settings) {
+    panorama ??= {
+        direction: panoDirectionSelect.value,
+        count: parseInt(panoFramesSlider.value, 10),
+        frames: [],
+        ghost: null,
+    };
+    panorama.frames.push({ shades, width: GBC_WIDTH, height: GBC_HEIGHT });
+    panorama.ghost = null;
+    if (panorama.frames.length < panorama.count) return null;
+
+    const { direction, frames } = panorama;
+    panorama = null;
+    const { joins, ...stitched } = stitchPanorama(frames, direction);
+    const info = { direction, frames: frames.length, joins: joins.map(({ overlap, drift }) => ({ overlap, drift })) };
+    const id = await storePhoto(stitched.shades, currentPalette, { ...settings, panorama: info }, {
+        width: stitched.width,
+        height: stitched.height,
+    });
+    updatePhotoCount();
+    return id;
+}
+
+function startMontage() {
+    const layout = montageSelect.value;
+    return {
+        layout,
+        mask: montageMask(layout, GBC_WIDTH, GBC_HEIGHT),
+        shades: new Uint8Array(GBC_WIDTH * GBC_HEIGHT),
+        region: 0,
+        overlay: null,
+    };
+}
+
+/**
+ * Fill the next montage region from a shot; the last region saves the
+ * composite as a regular photo
+ * @returns {Promise<string|null>} Photo ID once saved, null while regions remain
+ */
+async function addMontageShot(shades, settings) {
+    montage ??= startMontage();
+    fillRegion(montage.shades, shades, montage.mask, montage.region);
+    montage.region++;
+    montage.overlay = null;
+    if (montage.region < MONTAGE_LAYOUTS[montage.layout].regions.length) return null;
+
+    const { layout, shades: composite } = montage;
+    montage = null;
+    const id = await storePhoto(composite, currentPalette, { ...settings, montage: { layout } });
+    updatePhotoCount();
+    return id;
+}
+
+/**
+ * Start recording the viewfinder, or stop and save the recording in progress
+ */
+async function toggleRecording() {
+    if (recorder) {
+        recorder.stop();
+        return;
+    }
+    // Still waiting on the roll or the microphone prompt: don't start a second one
+    if (recordingStarting) return;
+    if (!ViewfinderRecorder.supported) {
+        alert('Video recording isn\'t supported in this browser.');
+        return;
+    }
+
+    // The first frame, processed like a photo, stands in for the video in the gallery
+    const frame = camera.captureFrame();
+    if (!frame) return;
+    const settings = processingSettings();
+    const poster = processShades(frame, settings);
+    const palette = currentPalette;
+    const options = {
+        scale: parseInt(recSizeSelect.value, 10),
+        fps: parseInt(recFpsSelect.value, 10),
+        microphone: recMicToggle.checked,
+    };
+
+    recordingStarting = true;
+    let roll;
+    let active;
+    try {
+        roll = await rollForShot();
+        if (!roll) return;
+        active = new ViewfinderRecorder(viewfinder, options);
+        await active.start();
+    } catch (err) {
+        console.error('Recording failed to start:', err);
+        alert(`Couldn't start recording: ${err.message}`);
+        return;
+    } finally {
+        recordingStarting = false;
+    }
+    recorder = active;
+    btnShutter.classList.add('busy');
+    const timestamp = Date.now();
+
+    let video;
+    try {
+        video = await active.finished;
+    } catch (err) {
+        console.error('Recording failed:', err);
+        showNotice('RECORDING FAILED');
+        return;
+    } finally {
+        recorder = null;
+        btnShutter.classList.remove('busy');
+    }
+    triggerFlash();
+
+    const { blob, duration } = video;
+    try {
+        await saveVideo(blob, poster, palette, { ...settings, video: options }, { timestamp, duration, roll });
+    } catch (err) {
+        // Don't lose the recording: hand it over as a file instead
+        console.error('Saving the recording failed:', err);
+        downloadPhoto(blob, `ca_mera_video_${timestamp}.webm`);
+        showNotice(err instanceof RollFullError ? `${err.message.toUpperCase()} VIDEO DOWNLOADED INSTEAD` : 'VIDEO NOT SAVED. DOWNLOADED INSTEAD');
+    }
+    updatePhotoCount();
+}
+
+async function onCaptureDone(ids, mode, error) {
+    countdown = null;
+    btnShutter.classList.remove('busy');
+    if (error) {
+        console.error('Capture failed:', error);
+        showNotice(error instanceof RollFullError ? error.message.toUpperCase() : 'PHOTO COULD NOT BE SAVED');
+    }
+
+    // Burst and time-lapse runs can go straight into the animation editor
+    const sequence = mode === 'burst' || mode === 'timelapse';
+    if (sequence && autoAnimateToggle.checked && ids.length > 1) {
+        const photos = await Promise.all(ids.map(getPhoto));
+        const delay = parseInt(animDelaySlider.value, 10);
+        animFrames = photos.filter(Boolean).map((photo) => ({ photo, delay }));
+        openAnimation();
+    }
 }
 
 function triggerFlash() {
@@ -137,182 +822,2048 @@ function triggerFlash() {
 }
 
 // ── Import Photo ──────────────────────────────────────────
-function importPhoto(file) {
-    const img = new Image();
-    img.onload = () => {
-        // Draw the imported image to a canvas to get ImageData
-        const canvas = new OffscreenCanvas(img.width, img.height);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-        const imageData = ctx.getImageData(0, 0, img.width, img.height);
+/**
+ * Queue image files for the import editor, opening it if it isn't already
+ */
+function importPhotos(files) {
+    importQueue.push(...files);
+    importTotal += files.length;
+    if (!importImage) openNextImport();
+}
 
-        // Process through the GB Camera pipeline
-        const processed = processFrame(imageData, currentPalette, {
-            contrast,
-            edgeStrength,
-        });
+/**
+ * Decode an image file upright (browsers apply the EXIF orientation when
+ * asked to), shrunk to a size that's quick to crop and process
+ * @returns {Promise<ImageData>}
+ */
+async function loadImportImage(file) {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const { width, height } = importSize(bitmap.width, bitmap.height);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return ctx.getImageData(0, 0, width, height);
+}
 
-        // Show in viewfinder
-        viewfinderCtx.putImageData(processed, 0, 0);
+/**
+ * Load the next queued image into the import editor, or close it when
+ * the queue is empty
+ */
+async function openNextImport() {
+    const file = importQueue.shift();
+    if (!file) {
+        closeImportEditor();
+        return;
+    }
 
-        // Upscale 4x and save
-        const upscaled = upscaleNearest(processed, 4);
-        const saveCanvas = new OffscreenCanvas(upscaled.width, upscaled.height);
-        saveCanvas.getContext('2d').putImageData(upscaled, 0, 0);
-        savePhoto(saveCanvas, currentPalette);
+    let image;
+    try {
+        image = await loadImportImage(file);
+    } catch (err) {
+        console.error('Image import failed:', err);
+        alert(`Couldn't open ${file.name}`);
+        openNextImport();
+        return;
+    }
 
-        triggerFlash();
-        updatePhotoCount();
+    stopPreview();
+    importCount.textContent = `${importTotal - importQueue.length} / ${importTotal}`;
+    importEditor.hidden = false;
+    appEl.classList.add('importing');
+    // Once shown, so the handles can be sized to the screen
+    setImportImage(image);
+}
 
-        URL.revokeObjectURL(img.src);
-    };
-    img.src = URL.createObjectURL(file);
+function setImportImage(image) {
+    importImage = image;
+    importCrop = new ImportCrop(image.width, image.height);
+    importCanvas.width = image.width;
+    importCanvas.height = image.height;
+    renderImportEditor();
 }
 
-// ── Palette Selection ─────────────────────────────────────
-function setupPaletteChips() {
-    const chips = document.querySelectorAll('.palette-chip');
-    chips.forEach((chip) => {
-        chip.addEventListener('click', () => {
-            chips.forEach((c) => c.classList.remove('active'));
-            chip.classList.add('active');
-            currentPalette = chip.dataset.palette;
-        });
-    });
+function closeImportEditor() {
+    importImage = null;
+    importCrop = null;
+    importDrag = null;
+    importQueue = [];
+    importTotal = 0;
+    importEditor.hidden = true;
+    appEl.classList.remove('importing');
+
+    if (cameraError) showCameraError(cameraError);
+    else startPreview();
 }
 
-// ── Adjustments ───────────────────────────────────────────
-function setupAdjustments() {
-    contrastSlider.addEventListener('input', (e) => {
-        contrast = parseFloat(e.target.value);
-    });
+/**
+ * The image with everything outside the crop dimmed and handles on the
+ * corners, plus the processed crop in the viewfinder
+ */
+function renderImportEditor() {
+    const ctx = importCanvas.getContext('2d');
+    const { x, y, width, height } = importCrop.rect;
+    ctx.putImageData(importImage, 0, 0);
 
-    edgeSlider.addEventListener('input', (e) => {
-        edgeStrength = parseFloat(e.target.value);
-    });
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, importCanvas.width, y);
+    ctx.fillRect(0, y + height, importCanvas.width, importCanvas.height - y - height);
+    ctx.fillRect(0, y, x, height);
+    ctx.fillRect(x + width, y, importCanvas.width - x - width, height);
 
-    btnSettings.addEventListener('click', () => {
-        adjustments.classList.toggle('open');
+    // Line and handle sizes in screen pixels, whatever the image size
+    const unit = importCanvas.width / (importCanvas.getBoundingClientRect().width || importCanvas.width);
+    ctx.strokeStyle = '#8bac0f';
+    ctx.lineWidth = 2 * unit;
+    ctx.strokeRect(x, y, width, height);
+    ctx.fillStyle = '#8bac0f';
+    const handle = 10 * unit;
+    [[x, y], [x + width, y], [x, y + height], [x + width, y + height]].forEach(([hx, hy]) => {
+        ctx.fillRect(hx - handle / 2, hy - handle / 2, handle, handle);
     });
+
+    renderImportPreview();
 }
 
-// ── Gallery ───────────────────────────────────────────────
-function updatePhotoCount() {
-    const count = getPhotos().length;
-    photoCountBadge.textContent = count;
-    galleryCount.textContent = `${count} / 30`;
+/**
+ * Process the crop with the current settings and palette into the viewfinder
+ */
+function renderImportPreview() {
+    const shades = processShades(cropImage(importImage, importCrop.rect), processingSettings());
+    viewfinderCtx.putImageData(renderShades(shades, GBC_WIDTH, GBC_HEIGHT, currentPalette), 0, 0);
 }
 
-function openGallery() {
-    renderGallery();
-    galleryPanel.classList.remove('hidden');
+/**
+ * Pointer position in image pixels, and how many image pixels a screen pixel covers
+ */
+function importPoint(e) {
+    const rect = importCanvas.getBoundingClientRect();
+    const unit = importCanvas.width / rect.width;
+    return {
+        x: (e.clientX - rect.left) * unit,
+        y: (e.clientY - rect.top) * (importCanvas.height / rect.height),
+        unit,
+    };
 }
 
-function closeGallery() {
-    galleryPanel.classList.add('hidden');
+function rotateImport() {
+    setImportImage(rotateImage(importImage));
 }
 
-function renderGallery() {
-    const photos = getPhotos();
-    galleryGrid.innerHTML = '';
+async function saveImport() {
+    const settings = processingSettings();
+    const shades = processShades(cropImage(importImage, importCrop.rect), settings);
+    triggerFlash();
+    const id = await storePhoto(shades, currentPalette, { ...settings, source: 'import' });
     updatePhotoCount();
+    // Full and not allowed to make room: stay on this image
+    if (id !== null) openNextImport();
+}
 
-    if (photos.length === 0) {
-        galleryGrid.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-state-icon">📷</div>
-        <div class="empty-state-text">NO PHOTOS YET<br/>TAP THE SHUTTER<br/>TO CAPTURE</div>
-      </div>
-    `;
+// ── Cartridge Save (.sav) ─────────────────────────────────
+async function importSav(file) {
+    let photos;
+    try {
+        photos = decodeSav(await file.arrayBuffer());
+    } catch (err) {
+        console.error('Save import failed:', err);
+        alert(err.message);
         return;
     }
 
-    photos.forEach((photo) => {
-        const thumb = document.createElement('div');
-        thumb.className = 'gallery-thumb';
-        thumb.innerHTML = `<img src="${photo.dataUrl}" alt="Photo" loading="lazy" />`;
-        thumb.addEventListener('click', () => openDetail(photo));
-        galleryGrid.appendChild(thumb);
-    });
-}
+    if (!photos.length) {
+        alert('No photos found in this save.');
+        return;
+    }
 
-// ── Photo Detail ──────────────────────────────────────────
-function openDetail(photo) {
-    currentDetailPhoto = photo;
+    // A save is a whole cartridge, so it gets its own roll
+    const roll = createRoll(file.name.replace(/\.sav$/i, ''));
+    setActiveRoll(roll);
 
-    // Load image onto detail canvas
-    const img = new Image();
-    img.onload = () => {
-        detailCanvas.width = img.width;
-        detailCanvas.height = img.height;
-        const ctx = detailCanvas.getContext('2d');
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(img, 0, 0);
-    };
-    img.src = photo.dataUrl;
+    // Space the timestamps out so album order survives the newest-first sort
+    const start = Date.now() - photos.length;
+    try {
+        for (const [i, photo] of photos.entries()) {
+            await savePhoto(photo.shades, currentPalette, { source: 'sav' }, { timestamp: start + i, roll });
+        }
+    } catch (err) {
+        console.error('Save import failed:', err);
+        alert(err.message);
+    }
 
-    detailPanel.classList.remove('hidden');
+    triggerFlash();
+    updatePhotoCount();
+    if (!galleryPanel.classList.contains('hidden')) renderGallery();
 }
 
-function closeDetail() {
-    detailPanel.classList.add('hidden');
-    currentDetailPhoto = null;
+async function exportSav() {
+    // The active roll is the cartridge. Its oldest photo becomes album #1,
+    // like shooting them on the cartridge. Panoramas don't fit a 128×112
+    // slot and are left out.
+    const photos = (await getPhotos({ limit: MAX_PHOTOS, roll: getActiveRoll().id })).reverse().filter(isStandardSize);
+    const sav = encodeSav(photos.map((p) => p.shades));
+    downloadPhoto(new Blob([sav], { type: 'application/octet-stream' }), 'ca_mera.sav');
 }
 
-// ── Camera Error State ────────────────────────────────────
-function showCameraError() {
-    viewfinderCtx.fillStyle = '#14141f';
-    viewfinderCtx.fillRect(0, 0, GBC_WIDTH, GBC_HEIGHT);
-    viewfinderCtx.fillStyle = '#8888a0';
-    viewfinderCtx.font = '8px "Press Start 2P"';
-    viewfinderCtx.textAlign = 'center';
-    viewfinderCtx.fillText('CAMERA', GBC_WIDTH / 2, GBC_HEIGHT / 2 - 8);
-    viewfinderCtx.fillText('ACCESS', GBC_WIDTH / 2, GBC_HEIGHT / 2 + 4);
-    viewfinderCtx.fillText('NEEDED', GBC_WIDTH / 2, GBC_HEIGHT / 2 + 16);
+// ── Backup (.zip) ─────────────────────────────────────────
+async function exportBackup() {
+    const photos = await getPhotos({ limit: Infinity });
+    if (!photos.length) {
+        showNotice('NOTHING TO BACK UP');
+        return;
+    }
+    const zip = await buildBackup(photos, getRolls());
+    const date = new Date().toISOString().slice(0, 10);
+    downloadPhoto(new Blob([zip], { type: 'application/zip' }), `ca_mera_backup_${date}.zip`);
 }
 
-// ── Event Listeners ───────────────────────────────────────
-function setupEvents() {
-    // Shutter
-    btnShutter.addEventListener('click', capturePhoto);
+async function importBackup(file) {
+    let backup;
+    try {
+        const ids = new Set(await getPhotoIds());
+        backup = await parseBackup(new Uint8Array(await file.arrayBuffer()), { exists: (id) => ids.has(id) });
+    } catch (err) {
+        console.error('Backup import failed:', err);
+        alert(err.message);
+        return;
+    }
 
-    // Flip camera
-    btnFlip.addEventListener('click', () => camera.flip());
+    backup.rolls.forEach(addRoll);
+    let restored = 0;
+    const overflow = new Map(); // roll ID → roll taking what didn't fit on it
+    for (const photo of backup.photos) {
+        if (!getRoll(photo.roll)) addRoll({ id: photo.roll, name: 'RESTORED' });
+        let roll = overflow.get(photo.roll) ?? photo.roll;
+        try {
+            for (;;) {
+                try {
+                    await restorePhoto({ ...photo, roll });
+                    break;
+                } catch (err) {
+                    if (!(err instanceof RollFullError)) throw err;
+                    // Same cartridge already has photos here: carry on in a new one
+                    roll = createRoll(`${getRoll(photo.roll).name} +`);
+                    overflow.set(photo.roll, roll);
+                }
+            }
+            restored++;
+        } catch (err) {
+            console.error('Restoring photo failed:', photo.id, err);
+            backup.malformed.push({ entry: photo.id, reason: err.message });
+        }
+    }
 
-    // Import
-    btnImport.addEventListener('click', () => importInput.click());
-    importInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) importPhoto(file);
-        importInput.value = ''; // Reset so same file can be re-imported
+    updatePhotoCount();
+    if (!galleryPanel.classList.contains('hidden')) renderGallery();
+    alert(backupReport(restored, backup));
+}
+
+/**
+ * Summary of a restore, listing what was left out and why
+ */
+function backupReport(restored, { skipped, malformed }) {
+    const list = (title, entries) => {
+        if (!entries.length) return [];
+        const shown = entries.slice(0, 10).map(({ entry, reason }) => `  ${entry}: ${reason}`);
+        if (entries.length > shown.length) shown.push(`  …and ${entries.length - shown.length} more`);
+        return ['', `${title} (${entries.length}):`, ...shown];
+    };
+    return [
+        `Restored ${restored} photo${restored === 1 ? '' : 's'}.`,
+        ...list('Skipped', skipped),
+        ...list('Malformed', malformed),
+    ].join('\n');
+}
+
+// ── Palette Selection ─────────────────────────────────────
+/**
+ * Build the chip bar from the palette registry, plus a chip that opens
+ * the palette editor
+ */
+function renderPaletteChips() {
+    paletteBar.innerHTML = '';
+
+    getPalettes().forEach((palette) => {
+        const chip = createPaletteChip(palette);
+        chip.classList.toggle('active', palette.key === currentPalette);
+        chip.addEventListener('click', () => {
+            currentPalette = palette.key;
+            renderPaletteChips();
+            lookChanged();
+        });
+        paletteBar.appendChild(chip);
+    });
+
+    const edit = document.createElement('button');
+    edit.className = 'palette-chip palette-edit-chip';
+    edit.title = 'Edit Palettes';
+    edit.textContent = '+';
+    edit.addEventListener('click', openPaletteEditor);
+    paletteBar.appendChild(edit);
+}
+
+function createPaletteChip({ name, colors }) {
+    const chip = document.createElement('button');
+    chip.className = 'palette-chip';
+    chip.title = name;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'chip-swatch';
+    swatch.style.background = `linear-gradient(135deg, ${colors.join(', ')})`;
+    chip.appendChild(swatch);
+    return chip;
+}
+
+// ── Palette Editor ────────────────────────────────────────
+function openPaletteEditor() {
+    loadPaletteForm(null);
+    renderPaletteList();
+    palettePanel.classList.remove('hidden');
+}
+
+function closePaletteEditor() {
+    palettePanel.classList.add('hidden');
+}
+
+/**
+ * Fill the form with a custom palette to edit, or a blank one to create
+ */
+function loadPaletteForm(palette) {
+    editingPaletteKey = palette?.custom ? palette.key : null;
+    paletteNameInput.value = palette?.custom ? palette.name : palette ? `${palette.name} copy` : '';
+    const colors = palette?.colors ?? ['#000000', '#555555', '#aaaaaa', '#ffffff'];
+    paletteColorInputs.forEach((input, i) => {
+        input.value = colors[i];
+    });
+    showPaletteErrors([]);
+}
+
+function showPaletteErrors(errors) {
+    paletteErrors.textContent = errors.join('\n');
+    paletteErrors.hidden = errors.length === 0;
+}
+
+function savePaletteForm() {
+    try {
+        currentPalette = saveCustomPalette({
+            key: editingPaletteKey ?? undefined,
+            name: paletteNameInput.value,
+            colors: paletteColorInputs.map((input) => input.value),
+        });
+    } catch (err) {
+        showPaletteErrors(err.message.split('\n'));
+        return;
+    }
+    loadPaletteForm(getPalette(currentPalette));
+    renderPaletteList();
+    renderPaletteChips();
+}
+
+function renderPaletteList() {
+    paletteList.innerHTML = '';
+
+    getPalettes().forEach((palette) => {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+        row.appendChild(createPaletteChip(palette));
+
+        const name = document.createElement('span');
+        name.className = 'palette-row-name';
+        name.textContent = palette.name;
+        row.appendChild(name);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'palette-row-buttons';
+        const addButton = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', () => {
+                onClick();
+                renderPaletteList();
+                renderPaletteChips();
+            });
+            buttons.appendChild(btn);
+        };
+
+        if (palette.custom) {
+            addButton('▲', 'Move Earlier', () => moveCustomPalette(palette.key, -1));
+            addButton('▼', 'Move Later', () => moveCustomPalette(palette.key, 1));
+            addButton('✎', 'Edit', () => loadPaletteForm(palette));
+            addButton('✕', 'Delete', () => {
+                deleteCustomPalette(palette.key);
+                if (currentPalette === palette.key) currentPalette = DEFAULT_PALETTE;
+                if (editingPaletteKey === palette.key) loadPaletteForm(null);
+            });
+        } else {
+            // Built-ins can't change, but make a good starting point
+            addButton('⧉', 'Copy', () => loadPaletteForm(palette));
+        }
+        ['json', 'hex', 'gpl'].forEach((format) => {
+            addButton(format.toUpperCase(), `Export .${format}`, () => downloadPalette(palette, format));
+        });
+        row.appendChild(buttons);
+
+        paletteList.appendChild(row);
+    });
+}
+
+function downloadPalette(palette, format) {
+    const type = format === 'json' ? 'application/json' : 'text/plain';
+    const blob = new Blob([exportPalette(palette, format)], { type });
+    const filename = palette.name.replace(/[^\w-]+/g, '_').toLowerCase() || 'palette';
+    downloadPhoto(blob, `${filename}.${format}`);
+}
+
+/**
+ * Import palette files; each valid palette becomes a custom palette and
+ * every problem is listed in the form
+ */
+async function importPalettes(files) {
+    const errors = [];
+    for (const file of files) {
+        try {
+            const palettes = parsePaletteFile(await file.text(), file.name);
+            palettes.forEach((palette) => saveCustomPalette(palette));
+        } catch (err) {
+            errors.push(...err.message.split('\n'));
+        }
+    }
+    showPaletteErrors(errors);
+    renderPaletteList();
+    renderPaletteChips();
+}
+
+// ── Capture Mode Selection ────────────────────────────────
+function setupCaptureModes() {
+    const chips = document.querySelectorAll('.mode-chip');
+    chips.forEach((chip) => {
+        chip.addEventListener('click', () => {
+            if (scheduler.running) scheduler.stop();
+            recorder?.stop();
+            chips.forEach((c) => c.classList.remove('active'));
+            chip.classList.add('active');
+            captureMode = chip.dataset.mode;
+            panorama = null;
+            montage = null;
+        });
+    });
+
+    Object.entries(MONTAGE_LAYOUTS).forEach(([key, { name }]) => {
+        montageSelect.add(new Option(name.toUpperCase(), key, false, key === DEFAULT_MONTAGE_LAYOUT));
+    });
+    montageSelect.addEventListener('change', () => {
+        montage = null;
+    });
+
+    Object.entries(PANORAMA_DIRECTIONS).forEach(([key, { name }]) => {
+        panoDirectionSelect.add(new Option(name.toUpperCase(), key));
+    });
+    // Changing the plan mid-panorama starts it over
+    panoDirectionSelect.addEventListener('change', () => {
+        panorama = null;
+    });
+    panoFramesSlider.addEventListener('input', () => {
+        panoFramesValue.textContent = panoFramesSlider.value;
+        panorama = null;
+    });
+
+    burstCountSlider.addEventListener('input', () => {
+        burstCountValue.textContent = burstCountSlider.value;
+    });
+    burstIntervalSlider.addEventListener('input', () => {
+        burstIntervalValue.textContent = burstIntervalSlider.value;
+    });
+}
+
+// ── Adjustments ───────────────────────────────────────────
+function setupAdjustments() {
+    autoExposureToggle.addEventListener('change', () => {
+        autoExposure = autoExposureToggle.checked ? new AutoExposure() : null;
+        showAutoExposure();
+    });
+
+    brightnessSlider.addEventListener('input', (e) => {
+        brightness = parseFloat(e.target.value);
+    });
+
+    contrastSlider.addEventListener('input', (e) => {
+        contrast = parseFloat(e.target.value);
+    });
+
+    gammaSlider.addEventListener('input', (e) => {
+        gamma = parseFloat(e.target.value);
+    });
+
+    edgeSlider.addEventListener('input', (e) => {
+        edgeStrength = parseFloat(e.target.value);
+    });
+
+    Object.entries(LENSES).forEach(([key, { name }]) => {
+        lensSelect.add(new Option(name.toUpperCase(), key));
+    });
+    lensSelect.addEventListener('change', (e) => {
+        lens = e.target.value;
+    });
+
+    Object.entries(DITHERS).forEach(([key, { name }]) => {
+        ditherSelect.add(new Option(name.toUpperCase(), key, false, key === ditherMethod));
+    });
+    ditherSelect.addEventListener('change', (e) => {
+        ditherMethod = e.target.value;
+        // Ordered and diffusion dithers use very different strengths
+        spread = DITHERS[ditherMethod].spread;
+        spreadSlider.value = spread;
+    });
+
+    spreadSlider.addEventListener('input', (e) => {
+        spread = parseFloat(e.target.value);
+    });
+
+    thresholdSliders.forEach((slider, i) => {
+        slider.addEventListener('input', () => {
+            const next = [...thresholds];
+            next[i] = parseFloat(slider.value);
+            thresholds = normalizeThresholds(next);
+        });
+        slider.addEventListener('change', () => {
+            // Reflect any re-ordering once the drag is done
+            thresholdSliders.forEach((s, j) => {
+                s.value = thresholds[j];
+            });
+        });
+    });
+
+    histogramToggle.addEventListener('change', updateHistogram);
+
+    setupSensorControls();
+
+    btnSettings.addEventListener('click', () => {
+        adjustments.classList.toggle('open');
+    });
+}
+
+/**
+ * Register controls for the authentic M64282FP mode
+ */
+function setupSensorControls() {
+    sensorSelect.addEventListener('change', (e) => {
+        sensorMode = e.target.value;
+        showSensorControls();
+    });
+
+    EDGE_RATIOS.forEach((ratio, i) => {
+        edgeRatioSelect.add(new Option(`${ratio * 100}%`, i, false, i === registers.edgeRatio));
+    });
+
+    // Exposure is set in stops around the reference exposure time
+    exposureSlider.addEventListener('input', (e) => {
+        registers.exposure = Math.round(REFERENCE_EXPOSURE * 2 ** parseFloat(e.target.value));
+        romBrightnessSlider.value = exposureBrightness(registers.exposure);
+    });
+
+    // Like on the cartridge, brightness is just another exposure time
+    romBrightnessSlider.addEventListener('input', (e) => {
+        registers.exposure = brightnessExposure(parseInt(e.target.value, 10));
+        exposureSlider.value = Math.log2(registers.exposure / REFERENCE_EXPOSURE);
+    });
+
+    const bindRegister = (input, key, read = (el) => parseInt(el.value, 10)) => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            registers[key] = read(input);
+        });
+    };
+    bindRegister(gainSlider, 'gain');
+    bindRegister(vrefSlider, 'vref');
+    bindRegister(offsetSlider, 'offset');
+    bindRegister(edgeModeSelect, 'edgeMode');
+    bindRegister(edgeRatioSelect, 'edgeRatio');
+    bindRegister(exclusiveToggle, 'exclusive', (el) => (el.checked ? 1 : 0));
+    bindRegister(romContrastSlider, 'contrast');
+}
+
+function showAutoExposure() {
+    autoExposureToggle.checked = Boolean(autoExposure);
+    // Auto exposure drives these two; the sliders just show where it's at
+    brightnessSlider.disabled = contrastSlider.disabled = Boolean(autoExposure);
+}
+
+/**
+ * Show the controls of the sensor mode in use
+ */
+function showSensorControls() {
+    simpleControls.hidden = sensorMode !== 'simple';
+    sensorControls.hidden = sensorMode !== 'authentic';
+    updateHistogram();
+}
+
+// ── Looks & Presets ───────────────────────────────────────
+/**
+ * Everything that decides how a photo comes out (see presets.js)
+ */
+function currentLook() {
+    return { palette: currentPalette, ...processingSettings() };
+}
+
+/**
+ * Switch to a look (as from normalizeLook) and bring every control in line
+ */
+function applyLook(look) {
+    currentPalette = look.palette;
+    brightness = look.brightness;
+    contrast = look.contrast;
+    gamma = look.gamma;
+    autoExposure = look.autoExposure ? new AutoExposure() : null;
+    edgeStrength = look.edgeStrength;
+    lens = look.lens;
+    ditherMethod = look.dither;
+    spread = look.spread;
+    thresholds = [...look.thresholds];
+    sensorMode = look.sensor;
+    registers = { ...look.registers };
+
+    renderPaletteChips();
+    showAutoExposure();
+    brightnessSlider.value = brightness;
+    contrastSlider.value = contrast;
+    gammaSlider.value = gamma;
+    edgeSlider.value = edgeStrength;
+    lensSelect.value = lens;
+    ditherSelect.value = ditherMethod;
+    spreadSlider.value = spread;
+    thresholdSliders.forEach((slider, i) => {
+        slider.value = thresholds[i];
+    });
+
+    sensorSelect.value = sensorMode;
+    showSensorControls();
+    exposureSlider.value = Math.log2(registers.exposure / REFERENCE_EXPOSURE);
+    romBrightnessSlider.value = exposureBrightness(registers.exposure);
+    gainSlider.value = registers.gain;
+    vrefSlider.value = registers.vref;
+    offsetSlider.value = registers.offset;
+    edgeModeSelect.value = registers.edgeMode;
+    edgeRatioSelect.value = registers.edgeRatio;
+    exclusiveToggle.checked = registers.exclusive === 1;
+    romContrastSlider.value = registers.contrast;
+}
+
+/**
+ * The look was changed by hand: it's no longer the preset it came from
+ */
+function lookChanged() {
+    presetSelect.value = '';
+    btnPresetDelete.disabled = true;
+    saveLastLook(currentLook());
+}
+
+function renderPresetSelect(selected = '') {
+    presetSelect.innerHTML = '';
+    presetSelect.add(new Option('—', ''));
+    getPresets().forEach(({ key, name }) => {
+        presetSelect.add(new Option(name.toUpperCase(), key));
+    });
+    presetSelect.value = selected;
+    btnPresetDelete.disabled = !selected;
+}
+
+function selectPreset(key) {
+    const preset = getPreset(key);
+    if (preset) {
+        applyLook(preset.look);
+        saveLastLook(currentLook());
+    }
+    renderPresetSelect(preset ? key : '');
+}
+
+function saveCurrentPreset() {
+    const current = getPreset(presetSelect.value);
+    const name = prompt('Preset name:', current?.name ?? '');
+    if (name === null || !name.trim()) return;
+    renderPresetSelect(savePreset(name, currentLook()));
+    showNotice(`SAVED ${name.trim().toUpperCase()}`);
+}
+
+function deleteSelectedPreset() {
+    const preset = getPreset(presetSelect.value);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    deletePreset(preset.key);
+    renderPresetSelect();
+}
+
+async function copyLookLink() {
+    const name = getPreset(presetSelect.value)?.name ?? '';
+    const url = `${location.origin}${location.pathname}${location.search}#${encodeLookLink(currentLook(), name)}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        showNotice('LINK COPIED');
+    } catch {
+        // No clipboard access (or denied): let the user copy it
+        prompt('Link to this look:', url);
+    }
+}
+
+function downloadPreset() {
+    const name = getPreset(presetSelect.value)?.name ?? 'ca_mera look';
+    const blob = new Blob([exportPreset(name, currentLook())], { type: 'application/json' });
+    const filename = name.replace(/[^\w-]+/g, '_').toLowerCase() || 'preset';
+    downloadPhoto(blob, `${filename}.json`);
+}
+
+async function importPresetFile(file) {
+    try {
+        const { name, look } = parsePresetFile(await file.text(), file.name);
+        applyLook(adoptLook(look));
+        saveLastLook(currentLook());
+        renderPresetSelect(savePreset(name, currentLook()));
+        showNotice(`LOADED ${name.toUpperCase()}`);
+    } catch (err) {
+        console.error('Preset import failed:', err);
+        alert(err.message);
+    }
+}
+
+/**
+ * Take the look from a shared link (#look=…), then drop the fragment so a
+ * reload doesn't undo later changes
+ */
+function applyLinkedLook() {
+    const shared = decodeLookLink(location.hash);
+    if (!shared) return;
+    applyLook(adoptLook(shared.look));
+    lookChanged();
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+    showNotice(shared.name ? `LOOK: ${shared.name.toUpperCase()}` : 'LOOK LOADED FROM LINK');
+}
+
+/**
+ * Start with the last look used (or a linked one), and list the presets
+ */
+function setupLooks() {
+    renderPresetSelect();
+    applyLook(getLastLook());
+    applyLinkedLook();
+}
+
+// ── Cartridges ────────────────────────────────────────────
+/**
+ * Roll the next shot goes into, after making room as the full-roll policy
+ * says; null if it's full and shooting should stop
+ * @returns {Promise<string|null>} Roll ID
+ */
+async function rollForShot() {
+    const roll = getActiveRoll();
+    switch (fullRollAction(getFullPolicy(), await rollStatus(roll.id), MAX_PHOTOS)) {
+        case 'rollover': {
+            const next = createRoll();
+            setActiveRoll(next);
+            showNotice(`${roll.name} IS FULL. NOW SHOOTING ON ${getRoll(next).name}`);
+            return next;
+        }
+        case 'last':
+            showNotice(`${roll.name} IS NEARLY FULL. LAST FREE SPOT`);
+            return roll.id;
+        case 'replace':
+            // Ask once per roll before the first photo is lost, not on every shot of a burst
+            if (!replaceConfirmed.has(roll.id)) {
+                if (!confirm(`${roll.name} is full. Replace its oldest photos with new ones? Favorites are kept.`)) return null;
+                replaceConfirmed.add(roll.id);
+            }
+            showNotice(`${roll.name} IS FULL. REPLACING ITS OLDEST PHOTO`);
+            return roll.id;
+        case 'block':
+            showNotice(`${roll.name} IS FULL`);
+            return null;
+        default:
+            return roll.id;
+    }
+}
+
+/**
+ * savePhoto into the active roll, following the full-roll policy
+ * @returns {Promise<string|null>} Photo ID, or null if there was no room
+ */
+async function storePhoto(shades, palette, settings, options = {}) {
+    const roll = await rollForShot();
+    if (!roll) return null;
+    try {
+        return await savePhoto(shades, palette, settings, { ...options, roll });
+    } catch (err) {
+        // Full of favorites: nothing it may replace
+        if (!(err instanceof RollFullError)) throw err;
+        showNotice(err.message.toUpperCase());
+        return null;
+    }
+}
+
+/**
+ * Fill the cartridge and full-roll policy selects
+ */
+function renderRollBar() {
+    const active = getActiveRoll();
+    rollSelect.innerHTML = '';
+    getRolls().forEach(({ id, name }) => rollSelect.add(new Option(name, id, false, id === active.id)));
+    btnRollDelete.disabled = getRolls().length < 2;
+}
+
+function switchRoll(id) {
+    setActiveRoll(id);
+    renderGallery();
+}
+
+async function newRoll() {
+    const name = prompt('Name the new cartridge:', '');
+    if (name === null) return;
+    setActiveRoll(createRoll(name));
+    renderGallery();
+}
+
+function renameActiveRoll() {
+    const roll = getActiveRoll();
+    const name = prompt('Rename cartridge:', roll.name);
+    if (name === null) return;
+    renameRoll(roll.id, name);
+    renderRollBar();
+}
+
+async function deleteActiveRoll() {
+    const roll = getActiveRoll();
+    const count = await countPhotos({ roll: roll.id });
+    if (count && !confirm(`Delete ${roll.name} and its ${count} photo${count === 1 ? '' : 's'}?`)) return;
+    await clearRoll(roll.id);
+    removeRoll(roll.id);
+    renderGallery();
+}
+
+/**
+ * Briefly show a message at the top of the screen
+ */
+function showNotice(text) {
+    notice.textContent = text;
+    notice.hidden = false;
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => {
+        notice.hidden = true;
+    }, 3000);
+}
+
+// ── Gallery ───────────────────────────────────────────────
+async function updatePhotoCount() {
+    const count = await countPhotos({ roll: getActiveRoll().id });
+    photoCountBadge.textContent = count;
+    galleryCount.textContent = `${count} / ${MAX_PHOTOS}`;
+}
+
+function openGallery() {
+    renderGallery();
+    galleryPanel.classList.remove('hidden');
+}
+
+function closeGallery() {
+    setSelecting(false);
+    galleryPanel.classList.add('hidden');
+}
+
+async function renderGallery() {
+    galleryGrid.innerHTML = '';
+    galleryOffset = 0;
+    updatePhotoCount();
+    renderRollBar();
+
+    const count = await countPhotos({ roll: getActiveRoll().id });
+    if (count === 0) {
+        galleryGrid.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">📷</div>
+        <div class="empty-state-text">NO PHOTOS YET<br/>TAP THE SHUTTER<br/>TO CAPTURE</div>
+      </div>
+    `;
+        return;
+    }
+
+    await loadGalleryPage();
+}
+
+/**
+ * Append the next page of thumbnails to the grid
+ */
+async function loadGalleryPage() {
+    if (galleryLoading) return;
+    galleryLoading = true;
+
+    const photos = await getPhotos({ offset: galleryOffset, limit: GALLERY_PAGE_SIZE, roll: getActiveRoll().id });
+    galleryOffset += photos.length;
+    galleryLoading = false;
+
+    photos.forEach((photo) => {
+        const thumb = createThumb(photo);
+        thumb.dataset.id = photo.id;
+        thumb.classList.toggle('favorite', Boolean(photo.favorite));
+        thumb.classList.toggle('selected', Boolean(gallerySelection?.has(photo.id)));
+        thumb.addEventListener('click', () => {
+            if (gallerySelection) toggleSelected(thumb);
+            else openDetail(photo);
+        });
+        galleryGrid.appendChild(thumb);
+    });
+
+    // Keep filling until the grid scrolls or we run out of photos
+    if (photos.length === GALLERY_PAGE_SIZE) onGalleryScroll();
+}
+
+/**
+ * Gallery-style thumbnail, drawn at native size straight from the shade data
+ */
+function createThumb(photo) {
+    const thumb = document.createElement('div');
+    thumb.className = 'gallery-thumb';
+    thumb.classList.toggle('panorama', !isStandardSize(photo) && !isVideo(photo));
+    thumb.classList.toggle('video', isVideo(photo));
+    thumb.appendChild(createPhotoCanvas(photo));
+    return thumb;
+}
+
+function createPhotoCanvas(photo) {
+    const canvas = document.createElement('canvas');
+    canvas.width = photo.width;
+    canvas.height = photo.height;
+    canvas.getContext('2d').putImageData(renderPhoto(photo), 0, 0);
+    return canvas;
+}
+
+// ── Multi-select ──────────────────────────────────────────
+/**
+ * Enter or leave selection mode, where tapping a thumbnail selects it for
+ * the bulk actions instead of opening it
+ */
+function setSelecting(selecting) {
+    gallerySelection = selecting ? new Set() : null;
+    btnSelect.classList.toggle('active', selecting);
+    rollBar.hidden = selecting;
+    selectBar.hidden = !selecting;
+    galleryGrid.querySelectorAll('.gallery-thumb.selected').forEach((t) => t.classList.remove('selected'));
+    if (selecting) renderSelectBar();
+}
+
+function toggleSelected(thumb) {
+    const { id } = thumb.dataset;
+    if (gallerySelection.has(id)) gallerySelection.delete(id);
+    else gallerySelection.add(id);
+    thumb.classList.toggle('selected', gallerySelection.has(id));
+    renderSelectBar();
+}
+
+function renderSelectBar() {
+    const count = gallerySelection.size;
+    selectCount.textContent = `${count} SELECTED`;
+    [btnSelectFavorite, btnSelectDownload, btnSelectShare, btnSelectDelete, selectMove].forEach((el) => {
+        el.disabled = count === 0;
+    });
+
+    const active = getActiveRoll();
+    selectMove.innerHTML = '';
+    selectMove.add(new Option('MOVE TO…', ''));
+    getRolls().filter(({ id }) => id !== active.id).forEach(({ id, name }) => selectMove.add(new Option(name, id)));
+}
+
+/**
+ * The selected photos, newest first like the grid
+ */
+async function selectedPhotos() {
+    const photos = await Promise.all([...gallerySelection].map(getPhoto));
+    return photos.filter(Boolean).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function deleteSelected() {
+    const count = gallerySelection.size;
+    if (!confirm(`Delete ${count} photo${count === 1 ? '' : 's'}?`)) return;
+    await deletePhotos([...gallerySelection]);
+    setSelecting(false);
+    renderGallery();
+}
+
+async function moveSelected(roll) {
+    try {
+        await movePhotos([...gallerySelection], roll);
+    } catch (err) {
+        if (!(err instanceof RollFullError)) throw err;
+        alert(`${err.message} It has room for ${MAX_PHOTOS - await countPhotos({ roll })} more.`);
+        renderSelectBar();
+        return;
+    }
+    setSelecting(false);
+    renderGallery();
+}
+
+/**
+ * Star the selection, or unstar it if it's all starred already
+ */
+async function favoriteSelected() {
+    const photos = await selectedPhotos();
+    await setFavorite(photos.map((p) => p.id), !photos.every((p) => p.favorite));
+    setSelecting(false);
+    renderGallery();
+}
+
+async function exportSelected() {
+    const photos = await selectedPhotos();
+    return Promise.all(photos.map((photo) => exportFile(photo)));
+}
+
+async function downloadSelected() {
+    for (const { blob, filename } of await exportSelected()) downloadPhoto(blob, filename);
+}
+
+async function shareSelected() {
+    const items = await exportSelected();
+    if (!await sharePhotos(items)) {
+        // Fallback to download
+        items.forEach(({ blob, filename }) => downloadPhoto(blob, filename));
+    }
+}
+
+function onGalleryScroll() {
+    const { scrollTop, scrollHeight, clientHeight } = galleryGrid;
+    if (scrollHeight - scrollTop - clientHeight < clientHeight / 2) {
+        loadGalleryPage();
+    }
+}
+
+// ── Photo Detail ──────────────────────────────────────────
+function openDetail(photo) {
+    currentDetailPhoto = photo;
+    btnFavorite.classList.toggle('active', Boolean(photo.favorite));
+
+    // Videos play as recorded: no frames, scaling, editing or printing
+    const video = isVideo(photo);
+    detailCanvas.hidden = video;
+    detailVideo.hidden = !video;
+    detailOptions.hidden = video;
+    btnEdit.hidden = video;
+    btnPrint.hidden = video;
+    btnHotspots.hidden = video;
+    btnViewer.hidden = video;
+    hotspotEdit = null;
+    renderHotspotBar();
+
+    if (video) {
+        detailVideoUrl = URL.createObjectURL(photo.video);
+        detailVideo.src = detailVideoUrl;
+    } else {
+        // Panoramas don't fit a frame's window
+        frameBar.hidden = !isStandardSize(photo);
+        renderDetail();
+        renderFrameChips();
+    }
+
+    detailPanel.classList.remove('hidden');
+    checkHotspots(photo);
+}
+
+/**
+ * The frame picked in the detail view, if it applies to this photo
+ */
+function detailFrameFor(photo) {
+    return isStandardSize(photo) ? getFrame(detailFrame) : null;
+}
+
+function renderDetail() {
+    const image = renderPhoto(currentDetailPhoto, { scale: DETAIL_SCALE, frame: detailFrameFor(currentDetailPhoto) });
+    detailCanvas.width = image.width;
+    detailCanvas.height = image.height;
+    detailCanvas.getContext('2d').putImageData(image, 0, 0);
+    if (hotspotEdit || viewerHistory) drawHotspots();
+}
+
+/**
+ * Frame picker: the photo itself, then the photo in each frame, then a
+ * chip to import a frame. The chosen custom frame gets a delete chip.
+ */
+function renderFrameChips() {
+    frameBar.innerHTML = '';
+    const photo = currentDetailPhoto;
+
+    const addChip = (key, title, canvas) => {
+        const chip = document.createElement('button');
+        chip.className = 'frame-chip';
+        chip.classList.toggle('active', key === (getFrame(detailFrame) ? detailFrame : null));
+        chip.title = title;
+        chip.appendChild(canvas);
+        chip.addEventListener('click', () => {
+            detailFrame = key;
+            renderDetail();
+            renderFrameChips();
+        });
+        frameBar.appendChild(chip);
+        return chip;
+    };
+
+    addChip(null, 'No Frame', createPhotoCanvas(photo));
+    getFrames().forEach((frame) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = FRAME_WIDTH;
+        canvas.height = FRAME_HEIGHT;
+        const image = renderShades(frameShades(photo.shades, frame), FRAME_WIDTH, FRAME_HEIGHT, photo.palette);
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        addChip(frame.key, frame.name, canvas);
+
+        if (frame.custom && frame.key === detailFrame) {
+            const remove = document.createElement('button');
+            remove.className = 'frame-chip frame-import-chip';
+            remove.title = `Delete "${frame.name}"`;
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                deleteCustomFrame(frame.key);
+                detailFrame = null;
+                renderDetail();
+                renderFrameChips();
+            });
+            frameBar.appendChild(remove);
+        }
+    });
+
+    const add = document.createElement('button');
+    add.className = 'frame-chip frame-import-chip';
+    add.title = 'Import Frame (160×144 PNG)';
+    add.textContent = '+';
+    add.addEventListener('click', () => frameImportInput.click());
+    frameBar.appendChild(add);
+}
+
+/**
+ * Import a 160×144 PNG as a custom frame and select it
+ */
+async function importFrame(file) {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const frame = frameFromImage(ctx.getImageData(0, 0, canvas.width, canvas.height), file.name.replace(/\.[^.]+$/, ''));
+        detailFrame = saveCustomFrame(frame);
+    } catch (err) {
+        console.error('Frame import failed:', err);
+        alert(err.message);
+        return;
+    }
+    renderDetail();
+    renderFrameChips();
+}
+
+/**
+ * File to download or share for the photo in the detail view: a video as
+ * recorded, a photo as PNG with the chosen frame and scale
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+function detailExport(photo) {
+    return exportFile(photo, { frame: detailFrameFor(photo), scale: parseInt(detailScaleSlider.value, 10) });
+}
+
+/**
+ * File to download or share for a gallery item: the video as recorded,
+ * or the photo as a PNG
+ * @param {object} [options] - See photoToBlob
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+async function exportFile(photo, { frame = null, scale = 4 } = {}) {
+    if (isVideo(photo)) return { blob: photo.video, filename: `ca_mera_${photo.id}.webm` };
+    const blob = await photoToBlob(photo, { frame, scale });
+    return { blob, filename: `ca_mera_${photo.id}.png` };
+}
+
+function closeDetail() {
+    detailPanel.classList.add('hidden');
+    currentDetailPhoto = null;
+    hotspotEdit = null;
+    closeViewer();
+
+    detailVideo.pause();
+    detailVideo.removeAttribute('src');
+    if (detailVideoUrl) URL.revokeObjectURL(detailVideoUrl);
+    detailVideoUrl = null;
+}
+
+// ── Hot Spots ─────────────────────────────────────────────
+
+/**
+ * Where the photo sits on the detail canvas, in photo pixels: inside the
+ * frame's window when one is picked
+ */
+function detailOrigin() {
+    return detailFrameFor(currentDetailPhoto)?.window ?? { x: 0, y: 0 };
+}
+
+/**
+ * Map a pointer event to photo coordinates in the detail view
+ */
+function detailPoint(e) {
+    const rect = detailCanvas.getBoundingClientRect();
+    const origin = detailOrigin();
+    return {
+        x: (((e.clientX - rect.left) / rect.width) * detailCanvas.width) / DETAIL_SCALE - origin.x,
+        y: (((e.clientY - rect.top) / rect.height) * detailCanvas.height) / DETAIL_SCALE - origin.y,
+    };
+}
+
+/**
+ * Whether a hot spot leads to a photo that's no longer in the gallery
+ */
+function isBroken(spot) {
+    return Boolean(photoIds) && !photoIds.has(spot.target);
+}
+
+/**
+ * Outline the hot spots over the detail canvas in the photo's own palette:
+ * dashed, the selected one solid, broken links in red
+ */
+function drawHotspots() {
+    const ctx = detailCanvas.getContext('2d');
+    const origin = detailOrigin();
+    const [dark, , , light] = getPaletteRgb(currentDetailPhoto.palette).map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`);
+
+    const outline = ({ x, y, width, height }, color, solid) => {
+        const rect = [
+            (origin.x + x) * DETAIL_SCALE + 2, (origin.y + y) * DETAIL_SCALE + 2,
+            width * DETAIL_SCALE - 4, height * DETAIL_SCALE - 4,
+        ];
+        ctx.setLineDash([]);
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = dark;
+        ctx.strokeRect(...rect);
+        ctx.setLineDash(solid ? [] : [8, 8]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = color;
+        ctx.strokeRect(...rect);
+    };
+
+    (currentDetailPhoto.hotspots ?? []).forEach((spot, i) => {
+        outline(spot, isBroken(spot) ? BROKEN_HOTSPOT_COLOR : light, i === hotspotEdit?.selected);
+    });
+    const drag = hotspotEdit?.drag;
+    if (drag) {
+        const { width, height } = currentDetailPhoto;
+        outline(hotspotRect(drag.from, drag.to, width, height) ?? { ...drag.from, width: 0, height: 0 }, light, true);
+    }
+}
+
+/**
+ * Refresh the gallery's photo IDs and flag the hot spots that lead nowhere
+ * (links to deleted photos are removed, but a restored backup can bring
+ * back a photo without the ones it linked to)
+ */
+async function checkHotspots(photo) {
+    photoIds = new Set(await getPhotoIds());
+    if (photo !== currentDetailPhoto) return;
+    const broken = (photo.hotspots ?? []).filter(isBroken).length;
+    btnHotspots.classList.toggle('danger', broken > 0);
+    btnHotspots.title = broken ? `Hot Spots (${broken} lead to deleted photos)` : 'Hot Spots';
+    if (hotspotEdit || viewerHistory) renderDetail();
+}
+
+/**
+ * Short label for a photo in the link picker
+ */
+function photoLabel(photo) {
+    const date = new Date(photo.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    return `${getRoll(photo.roll)?.name ?? ''} ${date}`.trim();
+}
+
+/**
+ * Hot spot bar: how to add one, or where the selected one leads
+ */
+function renderHotspotBar() {
+    hotspotBar.hidden = !hotspotEdit;
+    detailPanel.classList.toggle('drawing', Boolean(hotspotEdit));
+    btnHotspots.classList.toggle('active', Boolean(hotspotEdit));
+    if (!hotspotEdit) return;
+
+    const spot = currentDetailPhoto.hotspots?.[hotspotEdit.selected];
+    hotspotHint.textContent = spot ? 'LINKS TO' : 'DRAG TO ADD A HOT SPOT';
+    hotspotTarget.hidden = !spot;
+    btnHotspotDelete.hidden = !spot;
+    hotspotTarget.innerHTML = '';
+    if (!spot) return;
+
+    if (!hotspotEdit.targets.some((p) => p.id === spot.target)) {
+        hotspotTarget.appendChild(new Option('DELETED PHOTO', spot.target));
+    }
+    hotspotEdit.targets.forEach((photo) => hotspotTarget.appendChild(new Option(photoLabel(photo), photo.id)));
+    hotspotTarget.value = spot.target;
+}
+
+/**
+ * Start or stop drawing hot spots on the photo in the detail view
+ */
+async function toggleHotspotEdit() {
+    if (hotspotEdit) {
+        hotspotEdit = null;
+    } else {
+        const photo = currentDetailPhoto;
+        const photos = await getPhotos({ limit: Infinity });
+        if (photo !== currentDetailPhoto) return;
+        // Videos can't carry hot spots of their own, so they're no place to link to
+        hotspotEdit = { selected: -1, drag: null, targets: photos.filter((p) => !isVideo(p) && p.id !== photo.id) };
+    }
+    renderHotspotBar();
+    renderDetail();
+}
+
+/**
+ * Select the hot spot under the pointer, or start dragging out a new one
+ */
+function startHotspot(e) {
+    const point = detailPoint(e);
+    const hit = hotspotAt(currentDetailPhoto.hotspots ?? [], point.x, point.y);
+    if (hit >= 0) {
+        hotspotEdit.selected = hit;
+    } else {
+        hotspotEdit.selected = -1;
+        hotspotEdit.drag = { from: point, to: point };
+        detailCanvas.setPointerCapture(e.pointerId);
+    }
+    renderHotspotBar();
+    renderDetail();
+}
+
+/**
+ * Add the dragged-out hot spot, linked to the newest other photo until
+ * another is picked
+ */
+function finishHotspot() {
+    const { from, to } = hotspotEdit.drag;
+    const photo = currentDetailPhoto;
+    const rect = hotspotRect(from, to, photo.width, photo.height);
+    hotspotEdit.drag = null;
+
+    if (rect && !hotspotEdit.targets.length) {
+        showNotice('NO OTHER PHOTOS TO LINK TO');
+    } else if (rect) {
+        photo.hotspots = [...(photo.hotspots ?? []), { ...rect, target: hotspotEdit.targets[0].id }];
+        hotspotEdit.selected = photo.hotspots.length - 1;
+        saveHotspots();
+    }
+    renderHotspotBar();
+    renderDetail();
+}
+
+async function saveHotspots() {
+    const photo = currentDetailPhoto;
+    await setHotspots(photo.id, photo.hotspots);
+    checkHotspots(photo);
+}
+
+function relinkHotspot() {
+    currentDetailPhoto.hotspots[hotspotEdit.selected].target = hotspotTarget.value;
+    saveHotspots();
+    renderHotspotBar();
+    renderDetail();
+}
+
+function deleteHotspot() {
+    currentDetailPhoto.hotspots = currentDetailPhoto.hotspots.filter((_, i) => i !== hotspotEdit.selected);
+    hotspotEdit.selected = -1;
+    saveHotspots();
+    renderHotspotBar();
+    renderDetail();
+}
+
+/**
+ * Download the photo and every photo its hot spots lead to (and theirs,
+ * and so on) as one HTML page
+ */
+async function exportHotspotAlbum() {
+    const photos = new Map((await getPhotos({ limit: Infinity })).map((p) => [p.id, p]));
+    const album = linkedPhotos(currentDetailPhoto.id, photos);
+    if (album.length < 2) {
+        showNotice('NO LINKED PHOTOS YET');
+        return;
+    }
+    const html = await exportAlbum(album);
+    downloadPhoto(new Blob([html], { type: 'text/html' }), `ca_mera_album_${currentDetailPhoto.id}.html`);
+}
+
+// ── Viewer ────────────────────────────────────────────────
+
+/**
+ * Show the detail photo on its own, following hot spots when tapped
+ */
+function openViewer() {
+    hotspotEdit = null;
+    viewerHistory = [];
+    detailPanel.classList.add('viewing');
+    detailTitle.textContent = 'VIEWER';
+    renderHotspotBar();
+    renderDetail();
+    if (!currentDetailPhoto.hotspots?.length) showNotice('NO HOT SPOTS ON THIS PHOTO');
+}
+
+function closeViewer() {
+    viewerHistory = null;
+    detailPanel.classList.remove('viewing');
+    detailTitle.textContent = 'PHOTO';
+}
+
+/**
+ * Go to the photo behind the tapped hot spot
+ */
+async function followHotspot(e) {
+    const point = detailPoint(e);
+    const spot = currentDetailPhoto.hotspots?.[hotspotAt(currentDetailPhoto.hotspots, point.x, point.y)];
+    if (!spot) return;
+
+    const photo = await getPhoto(spot.target);
+    if (!photo) {
+        showNotice('THAT PHOTO WAS DELETED');
+        return;
+    }
+    viewerHistory.push(currentDetailPhoto);
+    openDetail(photo);
+}
+
+/**
+ * Back from the detail view: through the photos the viewer came by, then
+ * out of the viewer, then back to the gallery
+ */
+function detailBack() {
+    if (viewerHistory?.length) {
+        openDetail(viewerHistory.pop());
+    } else if (viewerHistory) {
+        closeViewer();
+        renderDetail();
+    } else {
+        closeDetail();
+    }
+}
+
+// ── Editor ────────────────────────────────────────────────
+function openEditor(photo) {
+    editor = new PhotoEditor(photo.shades, photo.width, photo.height);
+    editor.photo = photo;
+    editCanvas.width = editor.width;
+    editCanvas.height = editor.height;
+    editCanvas.style.aspectRatio = `${editor.width} / ${editor.height}`;
+
+    // Shade swatches and stamp previews use the photo's own palette
+    const paletteRgb = getPaletteRgb(photo.palette);
+    editShades.innerHTML = '';
+    paletteRgb.forEach(([r, g, b], shade) => {
+        const swatch = document.createElement('button');
+        swatch.className = 'shade-swatch';
+        swatch.classList.toggle('active', shade === editShade);
+        swatch.style.background = `rgb(${r}, ${g}, ${b})`;
+        swatch.addEventListener('click', () => {
+            editShade = shade;
+            editShades.querySelectorAll('.shade-swatch').forEach((s) => s.classList.remove('active'));
+            swatch.classList.add('active');
+        });
+        editShades.appendChild(swatch);
+    });
+
+    editStamps.innerHTML = '';
+    Object.entries(STAMPS).forEach(([key, stamp]) => {
+        const btn = document.createElement('button');
+        btn.className = 'stamp-btn';
+        btn.title = stamp.name;
+        btn.classList.toggle('active', key === editStamp);
+        btn.appendChild(createStampCanvas(stamp, paletteRgb));
+        btn.addEventListener('click', () => {
+            editStamp = key;
+            selectEditTool('stamp');
+            editStamps.querySelectorAll('.stamp-btn').forEach((b) => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+        editStamps.appendChild(btn);
+    });
+
+    renderEditor();
+    editPanel.classList.remove('hidden');
+}
+
+function closeEditor() {
+    editPanel.classList.add('hidden');
+    editor = null;
+}
+
+function createStampCanvas(stamp, paletteRgb) {
+    const canvas = document.createElement('canvas');
+    canvas.width = stamp.width;
+    canvas.height = stamp.height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(stamp.width, stamp.height);
+
+    stamp.pixels.forEach((shade, i) => {
+        if (shade < 0) return; // leave transparent
+        image.data.set([...paletteRgb[shade], 255], i * 4);
+    });
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+function selectEditTool(tool) {
+    editTool = tool;
+    document.querySelectorAll('.tool-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+}
+
+function renderEditor() {
+    const image = renderShades(editor.shades, editor.width, editor.height, editor.photo.palette);
+    editCanvas.getContext('2d').putImageData(image, 0, 0);
+    btnUndo.disabled = !editor.canUndo;
+    btnRedo.disabled = !editor.canRedo;
+}
+
+/**
+ * Map a pointer event to shade-grid coordinates
+ */
+function editorPoint(e) {
+    const rect = editCanvas.getBoundingClientRect();
+    return [
+        Math.floor(((e.clientX - rect.left) / rect.width) * editor.width),
+        Math.floor(((e.clientY - rect.top) / rect.height) * editor.height),
+    ];
+}
+
+function applyEditTool(e, starting) {
+    const [x, y] = editorPoint(e);
+
+    if (editTool === 'pencil') editor.pencil(x, y, editShade);
+    else if (editTool === 'erase') editor.erase(x, y);
+    else if (starting && editTool === 'fill') editor.fill(x, y, editShade);
+    else if (starting && editTool === 'stamp') editor.stamp(x, y, STAMPS[editStamp]);
+
+    renderEditor();
+}
+
+async function saveEdit() {
+    const { photo, shades, width, height } = editor;
+    if (await storePhoto(shades, photo.palette, { ...photo.settings, editedFrom: photo.id }, { width, height }) === null) return;
+
+    triggerFlash();
+    closeEditor();
+    closeDetail();
+    renderGallery();
+}
+
+// ── Printer ───────────────────────────────────────────────
+/**
+ * Send a photo to the emulated printer. Each print is appended to the
+ * same strip until it's torn off, making one long receipt.
+ */
+function printPhoto(photo, frame = null) {
+    let grid = photo;
+    if (frame) {
+        // A framed photo is exactly as wide as the paper, like the cartridge's prints
+        grid = { shades: frameShades(photo.shades, frame), width: FRAME_WIDTH, height: FRAME_HEIGHT };
+    } else if (photo.width > PRINTER_WIDTH) {
+        // Horizontal panoramas are wider than the paper, so they print sideways
+        grid = rotateShades(photo);
+    }
+    printJobs.push(encodePrintJob(grid.shades, grid.width, grid.height));
+    renderPrintStrip();
+    printPanel.classList.remove('hidden');
+}
+
+function renderPrintStrip() {
+    const printouts = runPrinter(printJobs.flatMap(parsePackets));
+    const strip = renderStrip(printouts);
+    printStrip.width = strip.width;
+    printStrip.height = strip.height;
+    printStrip.getContext('2d').putImageData(strip, 0, 0);
+}
+
+function closePrinter() {
+    printPanel.classList.add('hidden');
+}
+
+function tearOffPrint() {
+    printJobs = [];
+    renderPrintStrip();
+    closePrinter();
+}
+
+function downloadPrintStrip() {
+    if (!printJobs.length) return;
+    printStrip.toBlob((blob) => downloadPhoto(blob, 'ca_mera_print.png'), 'image/png');
+}
+
+function downloadPrintLog() {
+    if (!printJobs.length) return;
+    const log = printJobs.map(formatHexDump).join('');
+    downloadPhoto(new Blob([log], { type: 'text/plain' }), 'ca_mera_print.txt');
+}
+
+/**
+ * Import the prints found in a printer-interface hex log
+ */
+async function importPrinterLog(file) {
+    let printouts;
+    try {
+        printouts = runPrinter(parsePackets(parseHexDump(await file.text())));
+    } catch (err) {
+        console.error('Printer log import failed:', err);
+        alert(err.message);
+        return;
+    }
+    if (!printouts.length) {
+        alert('No printable images found in this log.');
+        return;
+    }
+
+    const start = Date.now() - printouts.length;
+    try {
+        for (const [i, printout] of printouts.entries()) {
+            const { shades, width, height } = printoutToShades(printout);
+            const id = await storePhoto(shades, currentPalette, { source: 'printer' }, { timestamp: start + i, width, height });
+            if (id === null) break;
+        }
+    } catch (err) {
+        console.error('Printer log import failed:', err);
+        alert(err.message);
+    }
+
+    triggerFlash();
+    updatePhotoCount();
+    if (!galleryPanel.classList.contains('hidden')) renderGallery();
+}
+
+// ── Animation ─────────────────────────────────────────────
+async function openAnimation() {
+    animPreview.width = GBC_WIDTH;
+    animPreview.height = GBC_HEIGHT;
+    renderAnimFrames();
+
+    animPicker.innerHTML = '';
+    // Every frame must be the same size, so panoramas can't be animated
+    const photos = (await getPhotos({ limit: MAX_PHOTOS, roll: getActiveRoll().id })).filter(isStandardSize);
+    photos.forEach((photo) => {
+        const thumb = createThumb(photo);
+        thumb.addEventListener('click', () => {
+            animFrames.push({ photo, delay: parseInt(animDelaySlider.value, 10) });
+            renderAnimFrames();
+        });
+        animPicker.appendChild(thumb);
+    });
+
+    animPanel.classList.remove('hidden');
+}
+
+function closeAnimation() {
+    clearTimeout(animTimer);
+    animPanel.classList.add('hidden');
+}
+
+/**
+ * The whole animation shares one palette (GIF's global color table):
+ * whichever the first frame was taken with.
+ */
+function animPalette() {
+    return animFrames[0].photo.palette;
+}
+
+/**
+ * Rebuild the frame list and restart the preview loop
+ */
+function renderAnimFrames() {
+    animFramesList.innerHTML = '';
+
+    animFrames.forEach((frame, i) => {
+        const item = document.createElement('div');
+        item.className = 'anim-frame';
+        item.appendChild(createPhotoCanvas(frame.photo));
+
+        const delay = document.createElement('input');
+        delay.type = 'number';
+        delay.min = 20;
+        delay.max = MAX_FRAME_DELAY;
+        delay.step = 10;
+        delay.value = frame.delay;
+        delay.title = 'Delay (ms)';
+        delay.addEventListener('change', () => {
+            frame.delay = Math.min(MAX_FRAME_DELAY, Math.max(20, parseInt(delay.value, 10) || 20));
+            delay.value = frame.delay;
+        });
+        item.appendChild(delay);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'anim-frame-buttons';
+        const addButton = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', () => {
+                onClick();
+                renderAnimFrames();
+            });
+            buttons.appendChild(btn);
+        };
+        addButton('◀', 'Move Earlier', () => moveAnimFrame(i, i - 1));
+        addButton('✕', 'Remove', () => animFrames.splice(i, 1));
+        addButton('▶', 'Move Later', () => moveAnimFrame(i, i + 1));
+        item.appendChild(buttons);
+
+        animFramesList.appendChild(item);
+    });
+
+    playAnimation();
+}
+
+function moveAnimFrame(from, to) {
+    if (to < 0 || to >= animFrames.length) return;
+    const [frame] = animFrames.splice(from, 1);
+    animFrames.splice(to, 0, frame);
+}
+
+function playAnimation() {
+    clearTimeout(animTimer);
+    const ctx = animPreview.getContext('2d');
+
+    if (!animFrames.length) {
+        ctx.clearRect(0, 0, animPreview.width, animPreview.height);
+        return;
+    }
+
+    let index = 0;
+    const step = () => {
+        const { photo, delay } = animFrames[index % animFrames.length];
+        ctx.putImageData(renderPhoto(photo, { palette: animPalette() }), 0, 0);
+        index++;
+        animTimer = setTimeout(step, delay);
+    };
+    step();
+}
+
+async function exportAnimation(format) {
+    if (!animFrames.length) return;
+
+    const palette = animPalette();
+    const scale = parseInt(animScaleSlider.value, 10);
+    const frames = animFrames.map(({ photo }) => renderPhoto(photo, { palette, scale }));
+    const options = { paletteRgb: getPaletteRgb(palette), delays: animFrames.map((f) => f.delay) };
+
+    if (format === 'gif') {
+        const bytes = encodeGif(frames, options);
+        downloadPhoto(new Blob([bytes], { type: 'image/gif' }), 'ca_mera_animation.gif');
+    } else {
+        const bytes = await encodeApng(frames, options);
+        downloadPhoto(new Blob([bytes], { type: 'image/apng' }), 'ca_mera_animation.png');
+    }
+}
+
+// ── Camera Error State ────────────────────────────────────
+// Viewfinder text for each CameraError reason
+const CAMERA_ERROR_LINES = {
+    denied: ['CAMERA', 'ACCESS', 'DENIED'],
+    notFound: ['NO CAMERA', 'FOUND'],
+    inUse: ['CAMERA IN USE', 'BY ANOTHER APP'],
+    unsupported: ['CAMERA', 'NEEDS HTTPS'],
+    unknown: ['CAMERA', 'ACCESS', 'NEEDED'],
+};
+
+function showCameraError(reason) {
+    const lines = CAMERA_ERROR_LINES[reason] ?? CAMERA_ERROR_LINES.unknown;
+    viewfinderCtx.fillStyle = '#14141f';
+    viewfinderCtx.fillRect(0, 0, GBC_WIDTH, GBC_HEIGHT);
+    viewfinderCtx.fillStyle = '#8888a0';
+    viewfinderCtx.font = '8px "Press Start 2P"';
+    viewfinderCtx.textAlign = 'center';
+    lines.forEach((line, i) => {
+        viewfinderCtx.fillText(line, GBC_WIDTH / 2, GBC_HEIGHT / 2 - 8 + i * 12);
+    });
+    if (reason !== 'unsupported') {
+        viewfinderCtx.fillText('TAP TO RETRY', GBC_WIDTH / 2, GBC_HEIGHT - 10);
+    }
+}
+
+// ── Updates ───────────────────────────────────────────────
+const updater = new Updater({
+    onUpdate: () => {
+        updateBanner.hidden = false;
+    },
+    onReload: () => location.reload(),
+});
+
+/**
+ * Register the service worker that keeps the app working offline. Dev
+ * builds go without: there's no precache list, and Vite serves fresh
+ * modules anyway.
+ */
+function setupOffline() {
+    if (!import.meta.env.PROD) return;
+    updater.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+        console.error('Service worker registration failed:', err);
+    });
+}
+
+// ── Event Listeners ───────────────────────────────────────
+function setupEvents() {
+    // Shutter
+    btnShutter.addEventListener('click', capturePhoto);
+
+    // Flip camera
+    btnFlip.addEventListener('click', () => switchCamera(() => camera.flip()));
+
+    // Retry from the camera error screen
+    viewfinder.addEventListener('click', () => {
+        if (cameraError && !importImage) switchCamera(() => camera.start());
+    });
+
+    // Import editor
+    btnImportCancel.addEventListener('click', closeImportEditor);
+    btnImportSkip.addEventListener('click', openNextImport);
+    btnImportRotate.addEventListener('click', rotateImport);
+    btnImportSave.addEventListener('click', saveImport);
+    importCanvas.addEventListener('pointerdown', (e) => {
+        const { x, y, unit } = importPoint(e);
+        const grab = importCrop.hit(x, y, 16 * unit);
+        if (!grab) return;
+        importCanvas.setPointerCapture(e.pointerId);
+        importDrag = { grab, x, y, rect: { ...importCrop.rect } };
+    });
+    importCanvas.addEventListener('pointermove', (e) => {
+        if (!importDrag) return;
+        const { x, y } = importPoint(e);
+        if (importDrag.grab === 'move') {
+            importCrop.moveTo(importDrag.rect.x + x - importDrag.x, importDrag.rect.y + y - importDrag.y);
+        } else {
+            importCrop.resize(importDrag.grab, x, y);
+        }
+        renderImportEditor();
+    });
+    importCanvas.addEventListener('pointerup', () => {
+        importDrag = null;
+    });
+    importCanvas.addEventListener('pointercancel', () => {
+        importDrag = null;
+    });
+    // Palette and slider changes show up in the preview right away
+    ['input', 'click'].forEach((type) => {
+        controlsEl.addEventListener(type, () => {
+            if (importImage) renderImportPreview();
+        });
+    });
+
+    // Camera settings
+    Object.entries(RESOLUTIONS).forEach(([key, { name }]) => {
+        resolutionSelect.add(new Option(name, key));
+    });
+    cameraSelect.addEventListener('change', () => switchCamera(() => camera.selectDevice(cameraSelect.value)));
+    resolutionSelect.addEventListener('change', () => switchCamera(() => camera.setResolution(resolutionSelect.value)));
+    zoomSlider.addEventListener('input', () => {
+        applyCameraControl(() => camera.setZoom(parseFloat(zoomSlider.value)));
+    });
+    torchToggle.addEventListener('change', () => {
+        applyCameraControl(() => camera.setTorch(torchToggle.checked));
+    });
+    focusSelect.addEventListener('change', () => {
+        applyCameraControl(async () => {
+            await camera.setFocus(focusSelect.value);
+            renderCameraControls();
+        });
+    });
+    focusDistanceSlider.addEventListener('input', () => {
+        applyCameraControl(() => camera.setFocus('manual', parseFloat(focusDistanceSlider.value)));
+    });
+
+    // Import
+    btnImport.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', (e) => {
+        const images = [];
+        [...e.target.files].forEach((file) => {
+            const name = file.name.toLowerCase();
+            if (name.endsWith('.sav')) importSav(file);
+            else if (name.endsWith('.zip')) importBackup(file);
+            else if (name.endsWith('.txt') || name.endsWith('.log')) importPrinterLog(file);
+            else images.push(file);
+        });
+        if (images.length) importPhotos(images);
+        importInput.value = ''; // Reset so same file can be re-imported
+    });
+
+    // Looks & presets: any hand-made change is remembered for next time
+    adjustments.addEventListener('change', (e) => {
+        const look = e.target.closest('#simple-controls, #sensor-controls') || e.target === sensorSelect || e.target === lensSelect;
+        if (look && e.target !== histogramToggle) lookChanged();
+    });
+    presetSelect.addEventListener('change', () => selectPreset(presetSelect.value));
+    btnPresetSave.addEventListener('click', saveCurrentPreset);
+    btnPresetDelete.addEventListener('click', deleteSelectedPreset);
+    btnPresetLink.addEventListener('click', copyLookLink);
+    btnPresetExport.addEventListener('click', downloadPreset);
+    btnPresetImport.addEventListener('click', () => presetImportInput.click());
+    presetImportInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) importPresetFile(e.target.files[0]);
+        presetImportInput.value = '';
+    });
+    window.addEventListener('hashchange', applyLinkedLook);
+
+    // Updates: look for a new version whenever the app comes back to the front
+    btnUpdateReload.addEventListener('click', () => updater.apply());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') updater.check();
+        // Auto exposure moves brightness and contrast without change events
+        else if (autoExposure) saveLastLook(currentLook());
     });
 
     // Gallery
     btnGallery.addEventListener('click', openGallery);
     btnGalleryBack.addEventListener('click', closeGallery);
+    galleryGrid.addEventListener('scroll', onGalleryScroll);
+
+    // Cartridges
+    Object.entries(FULL_POLICIES).forEach(([key, name]) => {
+        rollPolicySelect.add(new Option(name, key, false, key === getFullPolicy()));
+    });
+    rollPolicySelect.addEventListener('change', () => setFullPolicy(rollPolicySelect.value));
+    rollSelect.addEventListener('change', () => switchRoll(rollSelect.value));
+    btnRollNew.addEventListener('click', newRoll);
+    btnRollRename.addEventListener('click', renameActiveRoll);
+    btnRollDelete.addEventListener('click', deleteActiveRoll);
+
+    // Multi-select
+    btnSelect.addEventListener('click', () => setSelecting(!gallerySelection));
+    btnSelectFavorite.addEventListener('click', favoriteSelected);
+    btnSelectDownload.addEventListener('click', downloadSelected);
+    btnSelectShare.addEventListener('click', shareSelected);
+    btnSelectDelete.addEventListener('click', deleteSelected);
+    selectMove.addEventListener('change', () => {
+        if (selectMove.value) moveSelected(selectMove.value);
+    });
+    btnExportSav.addEventListener('click', exportSav);
+    btnBackupExport.addEventListener('click', exportBackup);
+    btnBackupImport.addEventListener('click', () => backupInput.click());
+    backupInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) importBackup(e.target.files[0]);
+        backupInput.value = '';
+    });
+    btnAnimate.addEventListener('click', openAnimation);
+
+    // Animation
+    btnAnimBack.addEventListener('click', closeAnimation);
+    btnAnimGif.addEventListener('click', () => exportAnimation('gif'));
+    btnAnimApng.addEventListener('click', () => exportAnimation('apng'));
+    animScaleSlider.addEventListener('input', () => {
+        animScaleValue.textContent = `${animScaleSlider.value}×`;
+    });
+    animDelaySlider.addEventListener('input', () => {
+        animDelayValue.textContent = animDelaySlider.value;
+    });
 
     // Detail
-    btnDetailBack.addEventListener('click', closeDetail);
+    btnDetailBack.addEventListener('click', detailBack);
+    detailScaleSlider.addEventListener('input', () => {
+        detailScaleValue.textContent = `${detailScaleSlider.value}×`;
+    });
+    frameImportInput.addEventListener('change', () => {
+        const [file] = frameImportInput.files;
+        if (file) importFrame(file);
+        frameImportInput.value = '';
+    });
+
+    btnFavorite.addEventListener('click', async () => {
+        if (!currentDetailPhoto) return;
+        const favorite = !currentDetailPhoto.favorite;
+        await setFavorite([currentDetailPhoto.id], favorite);
+        currentDetailPhoto.favorite = favorite;
+        btnFavorite.classList.toggle('active', favorite);
+        renderGallery();
+    });
 
-    btnDownload.addEventListener('click', () => {
+    btnDownload.addEventListener('click', async () => {
         if (currentDetailPhoto) {
-            downloadPhoto(currentDetailPhoto.dataUrl, `ca_mera_${currentDetailPhoto.id}.png`);
+            const { blob, filename } = await detailExport(currentDetailPhoto);
+            downloadPhoto(blob, filename);
         }
     });
 
     btnShare.addEventListener('click', async () => {
         if (currentDetailPhoto) {
-            const shared = await sharePhoto(currentDetailPhoto.dataUrl);
+            const { blob, filename } = await detailExport(currentDetailPhoto);
+            const shared = await sharePhoto(blob, filename);
             if (!shared) {
                 // Fallback to download
-                downloadPhoto(currentDetailPhoto.dataUrl, `ca_mera_${currentDetailPhoto.id}.png`);
+                downloadPhoto(blob, filename);
             }
         }
     });
 
-    btnDelete.addEventListener('click', () => {
+    btnEdit.addEventListener('click', () => {
+        if (currentDetailPhoto) openEditor(currentDetailPhoto);
+    });
+
+    // Hot spots and the viewer
+    btnHotspots.addEventListener('click', () => {
+        if (currentDetailPhoto) toggleHotspotEdit();
+    });
+    btnViewer.addEventListener('click', () => {
+        if (currentDetailPhoto) openViewer();
+    });
+    hotspotTarget.addEventListener('change', relinkHotspot);
+    btnHotspotDelete.addEventListener('click', deleteHotspot);
+    btnHotspotExport.addEventListener('click', exportHotspotAlbum);
+    detailCanvas.addEventListener('pointerdown', (e) => {
+        if (viewerHistory) followHotspot(e);
+        else if (hotspotEdit) startHotspot(e);
+    });
+    detailCanvas.addEventListener('pointermove', (e) => {
+        if (!hotspotEdit?.drag) return;
+        hotspotEdit.drag.to = detailPoint(e);
+        renderDetail();
+    });
+    detailCanvas.addEventListener('pointerup', () => {
+        if (hotspotEdit?.drag) finishHotspot();
+    });
+    detailCanvas.addEventListener('pointercancel', () => {
+        if (!hotspotEdit?.drag) return;
+        hotspotEdit.drag = null;
+        renderDetail();
+    });
+
+    // Editor
+    btnEditBack.addEventListener('click', closeEditor);
+    btnEditSave.addEventListener('click', saveEdit);
+    btnUndo.addEventListener('click', () => {
+        editor.undo();
+        renderEditor();
+    });
+    btnRedo.addEventListener('click', () => {
+        editor.redo();
+        renderEditor();
+    });
+    document.querySelectorAll('.tool-btn').forEach((btn) => {
+        btn.addEventListener('click', () => selectEditTool(btn.dataset.tool));
+    });
+    editCanvas.addEventListener('pointerdown', (e) => {
+        editDrawing = true;
+        editCanvas.setPointerCapture(e.pointerId);
+        editor.beginStroke();
+        applyEditTool(e, true);
+    });
+    editCanvas.addEventListener('pointermove', (e) => {
+        if (editDrawing) applyEditTool(e, false);
+    });
+    editCanvas.addEventListener('pointerup', () => {
+        editDrawing = false;
+    });
+    editCanvas.addEventListener('pointercancel', () => {
+        editDrawing = false;
+    });
+
+    btnPrint.addEventListener('click', () => {
+        if (currentDetailPhoto) printPhoto(currentDetailPhoto, detailFrameFor(currentDetailPhoto));
+    });
+
+    // Printer
+    btnPrintBack.addEventListener('click', closePrinter);
+    btnPrintClear.addEventListener('click', tearOffPrint);
+    btnPrintLog.addEventListener('click', downloadPrintLog);
+    btnPrintDownload.addEventListener('click', downloadPrintStrip);
+
+    btnDelete.addEventListener('click', async () => {
         if (currentDetailPhoto) {
-            deletePhoto(currentDetailPhoto.id);
+            await deletePhoto(currentDetailPhoto.id);
             closeDetail();
             renderGallery();
             updatePhotoCount();
@@ -320,13 +2871,28 @@ function setupEvents() {
     });
 
     // Palette chips
-    setupPaletteChips();
+    renderPaletteChips();
+
+    // Palette editor
+    btnPaletteBack.addEventListener('click', closePaletteEditor);
+    btnPaletteNew.addEventListener('click', () => loadPaletteForm(null));
+    btnPaletteSave.addEventListener('click', savePaletteForm);
+    btnPaletteImport.addEventListener('click', () => paletteImportInput.click());
+    paletteImportInput.addEventListener('change', async () => {
+        await importPalettes([...paletteImportInput.files]);
+        paletteImportInput.value = '';
+    });
+
+    // Capture modes
+    setupCaptureModes();
 
     // Adjustments
     setupAdjustments();
 
     // Keyboard shortcut for capture (spacebar)
     document.addEventListener('keydown', (e) => {
+        // Don't steal spaces from text fields (palette names)
+        if (e.target instanceof HTMLInputElement && e.target.type === 'text') return;
         if (e.code === 'Space' && !galleryPanel.classList.contains('hidden') === false) {
             e.preventDefault();
             capturePhoto();
@@ -336,4 +2902,6 @@ function setupEvents() {
 
 // ── Go! ───────────────────────────────────────────────────
 setupEvents();
+setupLooks();
+setupOffline();
 init();
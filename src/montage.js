@@ -0,0 +1,106 @@
+/**
+ * montage.js — Montage (split-screen) layouts
+ *
+ * Like the cartridge's montage mode: one photo built from regions of
+ * several shots, e.g. the left half of one face and the right half of
+ * another. Each shot is processed over the full 128×112 frame and only its
+ * region's shades are copied in, so every pixel keeps the dither threshold
+ * of its own position and the pattern runs on unbroken across the seams.
+ */
+
+import { createImageData } from './gbcProcessor.js';
+
+/**
+ * Layouts, as regions in capture order (fractions of the frame). A pixel
+ * belongs to the last region that covers it, so a later region can cut
+ * into an earlier one.
+ */
+export const MONTAGE_LAYOUTS = {
+    leftRight: {
+        name: 'Left / Right',
+        regions: [
+            { x: 0, y: 0, width: 0.5, height: 1 },
+            { x: 0.5, y: 0, width: 0.5, height: 1 },
+        ],
+    },
+    topBottom: {
+        name: 'Top / Bottom',
+        regions: [
+            { x: 0, y: 0, width: 1, height: 0.5 },
+            { x: 0, y: 0.5, width: 1, height: 0.5 },
+        ],
+    },
+    quadrants: {
+        name: 'Quadrants',
+        regions: [
+            { x: 0, y: 0, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+            { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+            { x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+        ],
+    },
+    centerCutout: {
+        name: 'Center Cutout',
+        regions: [
+            { x: 0, y: 0, width: 1, height: 1 },
+            { x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+        ],
+    },
+};
+
+export const DEFAULT_MONTAGE_LAYOUT = 'leftRight';
+
+/**
+ * Region index of every pixel for a layout
+ * @returns {Uint8Array}
+ */
+export function montageMask(layoutKey, width, height) {
+    const layout = MONTAGE_LAYOUTS[layoutKey];
+    if (!layout) throw new Error(`Unknown montage layout: ${layoutKey}`);
+
+    const mask = new Uint8Array(width * height);
+    layout.regions.forEach((region, index) => {
+        const x0 = Math.round(region.x * width);
+        const y0 = Math.round(region.y * height);
+        const x1 = Math.round((region.x + region.width) * width);
+        const y1 = Math.round((region.y + region.height) * height);
+        for (let y = y0; y < y1; y++) mask.fill(index, y * width + x0, y * width + x1);
+    });
+    return mask;
+}
+
+/**
+ * Copy one region of a shot into the composite, in-place
+ * @param {Uint8Array} composite - Shade grid being built
+ * @param {Uint8Array} shades - The full-frame shot for this region
+ * @param {Uint8Array} mask - From montageMask
+ * @param {number} region - Region index
+ */
+export function fillRegion(composite, shades, mask, region) {
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i] === region) composite[i] = shades[i];
+    }
+}
+
+/**
+ * Viewfinder overlay for the shot about to fill `region`: regions already
+ * taken show their frozen shades, regions still to come are shaded over,
+ * and the current region is left clear for the live preview.
+ *
+ * @param {Uint8Array} composite
+ * @param {Uint8Array} mask
+ * @param {number} region
+ * @param {number[][]} paletteRgb
+ * @param {number} width
+ * @param {number} height
+ * @returns {ImageData}
+ */
+export function montageOverlay(composite, mask, region, paletteRgb, width, height) {
+    const overlay = createImageData(width, height);
+    const [dark] = paletteRgb;
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i] < region) overlay.data.set([...paletteRgb[composite[i]], 255], i * 4);
+        else if (mask[i] > region) overlay.data.set([...dark, 160], i * 4);
+    }
+    return overlay;
+}
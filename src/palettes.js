@@ -3,6 +3,9 @@
  *
  * Each palette is an array of 4 CSS hex colors, ordered darkest → lightest.
  * These map to the 4 quantized shades from the dithering pass.
+ *
+ * Besides the built-in set, users can create their own palettes, which are
+ * kept in localStorage and can be imported/exported as JSON, .hex or .gpl.
  */
 
 export const PALETTES = {
@@ -32,6 +35,11 @@ export const PALETTES = {
     },
 };
 
+export const DEFAULT_PALETTE = 'classic';
+
+// User palettes live next to the built-ins, in creation order unless reordered
+const CUSTOM_STORAGE_KEY = 'ca_mera_palettes';
+
 /**
  * Parse a hex color string into [r, g, b]
  */
@@ -41,10 +49,237 @@ export function hexToRgb(hex) {
 }
 
 /**
- * Get the RGB arrays for a palette (pre-computed for speed)
+ * Format [r, g, b] as a lowercase #rrggbb string
+ */
+export function rgbToHex([r, g, b]) {
+    return `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Perceived brightness of a hex color (BT.601, same weights as the pipeline)
+ */
+function luminance(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// ── Custom palette storage ────────────────────────────────
+
+// Parsed once; the preview asks for palette colors every frame
+let customPalettes = null;
+
+function loadCustomPalettes() {
+    if (customPalettes) return [...customPalettes];
+    try {
+        const raw = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY) || '[]');
+        customPalettes = Array.isArray(raw) ? raw.filter((p) => validatePalette(p).length === 0) : [];
+    } catch {
+        customPalettes = [];
+    }
+    return [...customPalettes];
+}
+
+function storeCustomPalettes(palettes) {
+    customPalettes = palettes;
+    localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify(palettes));
+}
+
+/**
+ * All palettes, built-ins first, then the user's own in their chosen order
+ * @returns {{ key: string, name: string, colors: string[], custom: boolean }[]}
+ */
+export function getPalettes() {
+    const builtIn = Object.entries(PALETTES).map(([key, p]) => ({ key, ...p, custom: false }));
+    const custom = loadCustomPalettes().map((p) => ({ ...p, custom: true }));
+    return [...builtIn, ...custom];
+}
+
+/**
+ * Look up a palette by key
+ * @returns {{ key: string, name: string, colors: string[], custom: boolean }|null}
+ */
+export function getPalette(paletteKey) {
+    return getPalettes().find((p) => p.key === paletteKey) ?? null;
+}
+
+/**
+ * Check a palette, returning readable problems (empty when valid)
+ * @param {{ name?: string, colors?: string[] }} palette
+ * @returns {string[]}
+ */
+export function validatePalette(palette) {
+    const errors = [];
+    const { name, colors } = palette ?? {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+        errors.push('Palette needs a name.');
+    }
+    if (!Array.isArray(colors) || colors.length !== 4) {
+        errors.push(`A palette has exactly 4 colors, this one has ${Array.isArray(colors) ? colors.length : 0}.`);
+        return errors;
+    }
+
+    const bad = colors.findIndex((c) => typeof c !== 'string' || !/^#[0-9a-f]{6}$/i.test(c));
+    if (bad !== -1) {
+        errors.push(`Color ${bad + 1} (${colors[bad]}) is not a #rrggbb hex color.`);
+        return errors;
+    }
+
+    for (let i = 1; i < 4; i++) {
+        if (luminance(colors[i]) < luminance(colors[i - 1])) {
+            errors.push(
+                `Color ${i + 1} (${colors[i]}) is darker than color ${i} (${colors[i - 1]}): `
+                + 'colors go darkest → lightest.',
+            );
+        }
+    }
+    return errors;
+}
+
+/**
+ * Create or update a user palette
+ * @param {{ key?: string, name: string, colors: string[] }} palette
+ * @returns {string} Palette key
+ * @throws {Error} With all validation problems when the palette is invalid
+ */
+export function saveCustomPalette({ key, name, colors }) {
+    const errors = validatePalette({ name, colors });
+    if (errors.length) throw new Error(errors.join('\n'));
+    if (key && PALETTES[key]) throw new Error(`"${PALETTES[key].name}" is built in and can't be changed.`);
+
+    const palettes = loadCustomPalettes();
+    const palette = {
+        key: key ?? `custom_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim(),
+        colors: colors.map((c) => c.toLowerCase()),
+    };
+
+    const index = palettes.findIndex((p) => p.key === palette.key);
+    if (index === -1) palettes.push(palette);
+    else palettes[index] = palette;
+
+    storeCustomPalettes(palettes);
+    return palette.key;
+}
+
+/**
+ * Delete a user palette
+ */
+export function deleteCustomPalette(paletteKey) {
+    storeCustomPalettes(loadCustomPalettes().filter((p) => p.key !== paletteKey));
+}
+
+/**
+ * Move a user palette earlier (-1) or later (+1) in the list
+ */
+export function moveCustomPalette(paletteKey, delta) {
+    const palettes = loadCustomPalettes();
+    const from = palettes.findIndex((p) => p.key === paletteKey);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= palettes.length) return;
+
+    const [palette] = palettes.splice(from, 1);
+    palettes.splice(to, 0, palette);
+    storeCustomPalettes(palettes);
+}
+
+/**
+ * Get the RGB arrays for a palette (pre-computed for speed).
+ * Photos can outlive the custom palette they were taken with, so unknown
+ * keys fall back to the default palette instead of failing to render.
  */
 export function getPaletteRgb(paletteKey) {
-    const palette = PALETTES[paletteKey];
-    if (!palette) throw new Error(`Unknown palette: ${paletteKey}`);
+    const palette = getPalette(paletteKey) ?? getPalette(DEFAULT_PALETTE);
     return palette.colors.map(hexToRgb);
 }
+
+// ── Palette files ─────────────────────────────────────────
+
+/**
+ * Parse a palette file: JSON ({ name, colors } or an array of them),
+ * Lospec-style .hex (one color per line) or GIMP .gpl.
+ *
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format and as a fallback name
+ * @returns {{ name: string, colors: string[] }[]} Validated palettes
+ * @throws {Error} Naming the file and every problem found
+ */
+export function parsePaletteFile(text, filename) {
+    const ext = filename.toLowerCase().split('.').pop();
+    const baseName = filename.replace(/\.[^.]+$/, '');
+
+    let palettes;
+    if (ext === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${filename}: not valid JSON (${err.message}).`);
+        }
+        palettes = (Array.isArray(data) ? data : [data]).map((p) => ({
+            name: p?.name ?? baseName,
+            colors: p?.colors,
+        }));
+    } else if (ext === 'hex') {
+        const colors = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).map((l) => `#${l.replace(/^#/, '')}`);
+        palettes = [{ name: baseName, colors }];
+    } else if (ext === 'gpl') {
+        palettes = [parseGpl(text, baseName, filename)];
+    } else {
+        throw new Error(`${filename}: unsupported palette format (use .json, .hex or .gpl).`);
+    }
+
+    const problems = palettes.flatMap((p, i) => validatePalette(p).map((e) => (palettes.length > 1 ? `Palette ${i + 1}: ${e}` : e)));
+    if (problems.length) throw new Error(`${filename}:\n${problems.join('\n')}`);
+
+    return palettes.map(({ name, colors }) => ({ name, colors: colors.map((c) => c.toLowerCase()) }));
+}
+
+function parseGpl(text, fallbackName, filename) {
+    const lines = text.split(/\r?\n/);
+    if (!lines[0]?.trim().startsWith('GIMP Palette')) {
+        throw new Error(`${filename}: missing the "GIMP Palette" header.`);
+    }
+
+    let name = fallbackName;
+    const colors = [];
+    for (const line of lines.slice(1)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('Columns:')) continue;
+        if (trimmed.startsWith('Name:')) {
+            name = trimmed.slice(5).trim() || fallbackName;
+            continue;
+        }
+
+        const [r, g, b] = trimmed.split(/\s+/).map(Number);
+        if (![r, g, b].every((c) => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            throw new Error(`${filename}: can't read color line "${trimmed}".`);
+        }
+        colors.push(rgbToHex([r, g, b]));
+    }
+    return { name, colors };
+}
+
+/**
+ * Serialize a palette
+ * @param {{ name: string, colors: string[] }} palette
+ * @param {'json'|'hex'|'gpl'} format
+ * @returns {string}
+ */
+export function exportPalette({ name, colors }, format) {
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify({ name, colors }, null, 2)}\n`;
+        case 'hex':
+            return `${colors.map((c) => c.slice(1)).join('\n')}\n`;
+        case 'gpl': {
+            const rows = colors.map((c) => {
+                const [r, g, b] = hexToRgb(c);
+                return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${c}`;
+            });
+            return ['GIMP Palette', `Name: ${name}`, 'Columns: 4', '#', ...rows].join('\n') + '\n';
+        }
+        default:
+            throw new Error(`Unknown palette format: ${format}`);
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * panorama.js — Panorama stitching on shade grids
+ *
+ * A panorama is 2–4 shots taken while panning in one direction. The
+ * viewfinder shows a ghost of the previous shot's trailing edge, so each
+ * new shot starts roughly where the last one ended; the exact overlap, and
+ * any drift across the pan, is then found by cross-correlating neighboring
+ * shots, and they are joined along a seam in the middle of each overlap.
+ *
+ * Vertical panoramas are stitched as horizontal ones on transposed grids.
+ * Grids are { shades, width, height } throughout, with no DOM, so the
+ * stitcher can be tested on synthetic frames.
+ */
+
+export const PANORAMA_DIRECTIONS = {
+    horizontal: { name: 'Horizontal' },
+    vertical: { name: 'Vertical' },
+};
+
+export const MIN_PANORAMA_FRAMES = 2;
+export const MAX_PANORAMA_FRAMES = 4;
+
+// Share of the previous shot shown as the alignment ghost
+export const GHOST_FRACTION = 0.25;
+
+// Overlap search range (share of the frame), and max drift across the pan in pixels
+const MIN_OVERLAP = 8;
+const MAX_OVERLAP_FRACTION = 0.5;
+const MAX_DRIFT = 8;
+
+// Below this correlation the match is noise (e.g. a blank wall): trust the ghost instead
+const MIN_SCORE = 0.5;
+
+// Box size used to wash out dither patterns before correlating
+const SMOOTH_SIZE = 4;
+
+/**
+ * Region of the previous shot drawn as the ghost, at the viewfinder's
+ * leading edge (left for horizontal, top for vertical)
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function ghostRect(direction, width, height) {
+    if (direction === 'vertical') {
+        const size = Math.round(height * GHOST_FRACTION);
+        return { x: 0, y: height - size, width, height: size };
+    }
+    const size = Math.round(width * GHOST_FRACTION);
+    return { x: width - size, y: 0, width: size, height };
+}
+
+/**
+ * Swap rows and columns of a shade grid
+ */
+export function transposeShades({ shades, width, height }) {
+    const out = new Uint8Array(shades.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) out[x * height + y] = shades[y * width + x];
+    }
+    return { shades: out, width: height, height: width };
+}
+
+/**
+ * Rotate a shade grid 90° clockwise (the left edge ends up on top)
+ */
+export function rotateShades({ shades, width, height }) {
+    const out = new Uint8Array(shades.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) out[x * height + (height - 1 - y)] = shades[y * width + x];
+    }
+    return { shades: out, width: height, height: width };
+}
+
+/**
+ * Box-filter a shade grid, so differently dithered views of the same scene
+ * correlate on their tones rather than their dot patterns
+ */
+function smooth({ shades, width, height }) {
+    // Summed-area table with a zero row and column
+    const stride = width + 1;
+    const sums = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += shades[y * width + x];
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + row;
+        }
+    }
+
+    const half = SMOOTH_SIZE >> 1;
+    const out = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y - half + SMOOTH_SIZE);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x - half + SMOOTH_SIZE);
+            const sum = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+            out[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+        }
+    }
+    return out;
+}
+
+/**
+ * Normalized cross-correlation of `a` and `b` where b(x, y) lies on
+ * a(x + width - overlap, y + drift)
+ */
+function correlate(a, b, width, height, overlap, drift) {
+    const top = Math.max(0, -drift);
+    const bottom = Math.min(height, height - drift);
+    const n = overlap * (bottom - top);
+
+    let sumA = 0;
+    let sumB = 0;
+    for (let y = top; y < bottom; y++) {
+        for (let x = 0; x < overlap; x++) {
+            sumA += a[(y + drift) * width + x + width - overlap];
+            sumB += b[y * width + x];
+        }
+    }
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+
+    let ab = 0;
+    let aa = 0;
+    let bb = 0;
+    for (let y = top; y < bottom; y++) {
+        for (let x = 0; x < overlap; x++) {
+            const da = a[(y + drift) * width + x + width - overlap] - meanA;
+            const db = b[y * width + x] - meanB;
+            ab += da * db;
+            aa += da * da;
+            bb += db * db;
+        }
+    }
+    return aa && bb ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+/**
+ * Find how the next shot of a left-to-right pan lines up with the previous
+ * one: `next` starts `overlap` columns before the end of `previous`, shifted
+ * down by `drift` rows.
+ *
+ * @param {{ shades: Uint8Array, width: number, height: number }} previous
+ * @param {{ shades: Uint8Array, width: number, height: number }} next - Same size as previous
+ * @param {number} expectedOverlap - Used when nothing correlates (flat scenes)
+ * @returns {{ overlap: number, drift: number, score: number }}
+ */
+export function findOverlap(previous, next, expectedOverlap) {
+    const { width, height } = previous;
+    const a = smooth(previous);
+    const b = smooth(next);
+
+    let best = { overlap: expectedOverlap, drift: 0, score: -Infinity };
+    const maxOverlap = Math.floor(width * MAX_OVERLAP_FRACTION);
+    for (let overlap = MIN_OVERLAP; overlap <= maxOverlap; overlap++) {
+        for (let drift = -MAX_DRIFT; drift <= MAX_DRIFT; drift++) {
+            const score = correlate(a, b, width, height, overlap, drift);
+            if (score > best.score) best = { overlap, drift, score };
+        }
+    }
+    return best.score >= MIN_SCORE ? best : { overlap: expectedOverlap, drift: 0, score: best.score };
+}
+
+/**
+ * Stitch left-to-right shots, seaming each overlap down its middle and
+ * cropping to the rows every shot covers
+ */
+function stitchHorizontal(frames, expectedOverlap) {
+    const { width, height } = frames[0];
+    const joins = [];
+    const xs = [0];
+    const ys = [0];
+    for (let i = 1; i < frames.length; i++) {
+        const join = findOverlap(frames[i - 1], frames[i], expectedOverlap);
+        joins.push(join);
+        xs.push(xs[i - 1] + width - join.overlap);
+        ys.push(ys[i - 1] + join.drift);
+    }
+
+    const top = Math.max(...ys);
+    const outHeight = height - (top - Math.min(...ys));
+    const outWidth = xs[xs.length - 1] + width;
+    // Column where each shot takes over from the one before
+    const seams = xs.map((x, i) => (i === 0 ? 0 : x + (joins[i - 1].overlap >> 1)));
+
+    const shades = new Uint8Array(outWidth * outHeight);
+    let frame = 0;
+    for (let x = 0; x < outWidth; x++) {
+        while (frame + 1 < frames.length && x >= seams[frame + 1]) frame++;
+        const source = frames[frame];
+        const sx = x - xs[frame];
+        for (let y = 0; y < outHeight; y++) {
+            shades[y * outWidth + x] = source.shades[(top + y - ys[frame]) * width + sx];
+        }
+    }
+    return { shades, width: outWidth, height: outHeight, joins };
+}
+
+/**
+ * Stitch shots into one panorama
+ *
+ * @param {{ shades: Uint8Array, width: number, height: number }[]} frames - Same-size
+ *        shots in capture order (left to right, or top to bottom)
+ * @param {'horizontal'|'vertical'} [direction='horizontal']
+ * @returns {{ shades: Uint8Array, width: number, height: number, joins: object[] }}
+ *          joins holds the overlap, drift and correlation score found between each pair
+ * @throws {Error} For fewer than 2 frames or mismatched sizes
+ */
+export function stitchPanorama(frames, direction = 'horizontal') {
+    if (!PANORAMA_DIRECTIONS[direction]) throw new Error(`Unknown panorama direction: ${direction}`);
+    if (frames.length < MIN_PANORAMA_FRAMES) throw new Error('A panorama needs at least 2 shots');
+    const [{ width, height }] = frames;
+    if (frames.some((f) => f.width !== width || f.height !== height)) {
+        throw new Error('Panorama shots must all be the same size');
+    }
+
+    if (direction === 'vertical') {
+        const ghost = ghostRect(direction, width, height);
+        const { joins, ...stitched } = stitchHorizontal(frames.map(transposeShades), ghost.height);
+        return { ...transposeShades(stitched), joins };
+    }
+    return stitchHorizontal(frames, ghostRect(direction, width, height).width);
+}
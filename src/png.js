@@ -0,0 +1,298 @@
+/**
+ * png.js — Dependency-free PNG encoding and decoding
+ *
+ * Compression goes through the platform's CompressionStream and
+ * DecompressionStream, which browsers and Node 18+ both provide, so the
+ * same code serves photo export, APNG animation and the ca-mera CLI.
+ *
+ * The encoder writes either 2-bit indexed color (for 4-shade photos) or
+ * 8-bit RGBA. The decoder reads every non-interlaced PNG: grayscale, RGB,
+ * indexed and with alpha, at any bit depth.
+ */
+
+import { createImageData } from './gbcProcessor.js';
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Color types from the IHDR chunk → channels per pixel
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks (and ZIP entries)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function u32be(n) {
+    return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+/**
+ * Build a PNG chunk: length, type, data, CRC over type + data
+ *
+ * @param {string} type - 4-letter chunk type
+ * @param {ArrayLike<number>} data
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    chunk.set(u32be(data.length), 0);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    chunk.set(u32be(crc32(chunk.subarray(4, 8 + data.length))), 8 + data.length);
+    return chunk;
+}
+
+/**
+ * zlib-compress bytes with the platform CompressionStream
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * zlib-decompress bytes with the platform DecompressionStream
+ * @returns {Promise<Uint8Array>}
+ */
+export async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Map each RGBA pixel of an image to its palette index
+ *
+ * @param {ImageData} image - Pixels using only palette colors (others map to 0)
+ * @param {number[][]} paletteRgb - [r, g, b] entries
+ * @returns {Uint8Array}
+ */
+export function indexPixels(image, paletteRgb) {
+    const lookup = new Map(paletteRgb.map(([r, g, b], i) => [(r << 16) | (g << 8) | b, i]));
+    const { data } = image;
+    const indices = new Uint8Array(image.width * image.height);
+
+    for (let i = 0; i < indices.length; i++) {
+        const key = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+        indices[i] = lookup.get(key) ?? 0;
+    }
+    return indices;
+}
+
+/**
+ * Pack palette indices as 2-bit scanlines, each prefixed with filter type 0
+ */
+export function packScanlines(indices, width, height) {
+    const stride = Math.ceil(width / 4);
+    const out = new Uint8Array((stride + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        for (let x = 0; x < width; x++) {
+            out[row + 1 + (x >> 2)] |= indices[y * width + x] << (6 - (x & 3) * 2);
+        }
+    }
+    return out;
+}
+
+/**
+ * Encode an image as PNG
+ *
+ * @param {ImageData} image
+ * @param {object} [options]
+ * @param {number[][]} [options.paletteRgb] - 4 [r, g, b] entries; writes 2-bit
+ *        indexed color instead of RGBA (the image must only use these colors)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodePng(image, { paletteRgb } = {}) {
+    const { width, height, data } = image;
+    const chunks = [Uint8Array.from(PNG_SIGNATURE)];
+
+    let scanlines;
+    if (paletteRgb) {
+        chunks.push(pngChunk('IHDR', [...u32be(width), ...u32be(height), 2, 3, 0, 0, 0]));
+        chunks.push(pngChunk('PLTE', paletteRgb.flat()));
+        scanlines = packScanlines(indexPixels(image, paletteRgb), width, height);
+    } else {
+        chunks.push(pngChunk('IHDR', [...u32be(width), ...u32be(height), 8, 6, 0, 0, 0]));
+        const stride = width * 4;
+        scanlines = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            scanlines.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+    }
+
+    chunks.push(pngChunk('IDAT', await deflate(scanlines)));
+    chunks.push(pngChunk('IEND', []));
+    return concat(chunks);
+}
+
+/**
+ * Decode a PNG file to RGBA
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<ImageData>}
+ * @throws {Error} If the file isn't a PNG or uses interlacing
+ */
+export async function decodePng(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let pos = 8; pos + 8 <= bytes.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const body = bytes.subarray(pos + 8, pos + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(pos + 8),
+                height: view.getUint32(pos + 12),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12],
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            transparency = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos += 12 + length;
+    }
+
+    if (!header || !idat.length) throw new Error('PNG is missing its header or image data');
+    if (header.interlace) throw new Error('Interlaced PNGs are not supported');
+    const channels = CHANNELS[header.colorType];
+    if (!channels) throw new Error(`Unknown PNG color type ${header.colorType}`);
+    if (header.colorType === 3 && !palette) throw new Error('Indexed PNG without a palette');
+
+    const { width, height, bitDepth, colorType } = header;
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const raw = unfilter(await inflate(concat(idat)), stride, height, Math.max(1, bitsPerPixel >> 3));
+
+    // Read sample `n` of a row, scaled to 0–255 (indices are left unscaled)
+    const maxSample = (1 << bitDepth) - 1;
+    const sample = (row, n, scale) => {
+        let v;
+        if (bitDepth === 8) v = raw[row + n];
+        else if (bitDepth === 16) return raw[row + n * 2];
+        else v = (raw[row + ((n * bitDepth) >> 3)] >> (8 - bitDepth - ((n * bitDepth) & 7))) & maxSample;
+        return scale ? Math.round((v * 255) / maxSample) : v;
+    };
+    // tRNS for grayscale/RGB: one fully transparent color, compared at full precision
+    const key = transparency && colorType !== 3
+        ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1])
+        : null;
+    const rawSample = (row, n) => (bitDepth === 16 ? (raw[row + n * 2] << 8) | raw[row + n * 2 + 1] : sample(row, n, false));
+
+    const out = createImageData(width, height);
+    const { data } = out;
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const n = x * channels;
+            let alpha = 255;
+
+            if (colorType === 3) {
+                const index = sample(row, n, false);
+                data.set(palette.subarray(index * 3, index * 3 + 3), o);
+                if (transparency && index < transparency.length) alpha = transparency[index];
+            } else if (colorType === 0 || colorType === 4) {
+                data[o] = data[o + 1] = data[o + 2] = sample(row, n, true);
+                if (colorType === 4) alpha = sample(row, n + 1, true);
+                else if (key && rawSample(row, n) === key[0]) alpha = 0;
+            } else {
+                data[o] = sample(row, n, true);
+                data[o + 1] = sample(row, n + 1, true);
+                data[o + 2] = sample(row, n + 2, true);
+                if (colorType === 6) alpha = sample(row, n + 3, true);
+                else if (key && key.every((k, i) => rawSample(row, n + i) === k)) alpha = 0;
+            }
+            data[o + 3] = alpha;
+        }
+    }
+    return out;
+}
+
+/**
+ * Undo PNG scanline filters, returning the rows without their filter bytes
+ *
+ * @param {Uint8Array} filtered - Inflated IDAT data
+ * @param {number} stride - Bytes per row, without the filter byte
+ * @param {number} height
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ */
+function unfilter(filtered, stride, height, bpp) {
+    const out = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = filtered[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? out[row + x - bpp] : 0;
+            const b = y > 0 ? out[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = a; break;
+                case 2: predictor = b; break;
+                case 3: predictor = (a + b) >> 1; break;
+                case 4: predictor = paeth(a, b, c); break;
+                default: throw new Error(`Bad PNG filter type ${filter}`);
+            }
+            out[row + x] = (filtered[src + x] + predictor) & 0xff;
+        }
+    }
+    return out;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
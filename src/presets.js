@@ -0,0 +1,305 @@
+/**
+ * presets.js — Named looks, the last-used look and sharing them
+ *
+ * A look is everything that decides how a photo comes out: palette, tone,
+ * edges, lens, dither and the sensor registers (the processing settings
+ * plus the palette). Looks can be saved under a name, the last one is
+ * restored at startup, and any look can travel as a link fragment
+ * (#look=1&c=1.5&d=atkinson…, only what differs from the defaults) or a
+ * JSON file. A custom palette travels with its colors, since the other
+ * side won't have it.
+ *
+ * Anything read back (storage, links, files) goes through normalizeLook,
+ * which drops unknown fields and clamps the rest into range.
+ */
+
+import { getPalette, getPalettes, validatePalette, saveCustomPalette, DEFAULT_PALETTE } from './palettes.js';
+import { DITHERS, DEFAULT_DITHER, DEFAULT_THRESHOLDS, normalizeThresholds } from './dither.js';
+import { BRIGHTNESS_RANGE, CONTRAST_RANGE } from './autoExposure.js';
+import { SENSOR_DEFAULTS, normalizeRegisters } from './m64282fp.js';
+import { LENSES } from './gbcProcessor.js';
+
+const STORAGE_KEY = 'ca_mera_presets';
+const LAST_LOOK_KEY = 'ca_mera_look';
+
+export const PRESET_FORMAT = 'ca_mera-preset';
+export const PRESET_VERSION = 1;
+
+// Same ranges as the sliders
+export const LOOK_RANGES = {
+    brightness: BRIGHTNESS_RANGE,
+    contrast: CONTRAST_RANGE,
+    gamma: [0.5, 2],
+    edgeStrength: [0, 1],
+    spread: [0, 1.5],
+};
+
+export const DEFAULT_LOOK = {
+    palette: DEFAULT_PALETTE,
+    brightness: 0,
+    contrast: 1.2,
+    gamma: 1,
+    autoExposure: false,
+    edgeStrength: 0.3,
+    lens: 'none',
+    dither: DEFAULT_DITHER,
+    spread: DITHERS[DEFAULT_DITHER].spread,
+    thresholds: [...DEFAULT_THRESHOLDS],
+    sensor: 'simple',
+    registers: { ...SENSOR_DEFAULTS },
+};
+
+// Short names for the link fragment
+const LINK_KEYS = {
+    palette: 'p',
+    brightness: 'b',
+    contrast: 'c',
+    gamma: 'g',
+    autoExposure: 'a',
+    edgeStrength: 'e',
+    lens: 'l',
+    dither: 'd',
+    spread: 's',
+    thresholds: 't',
+    sensor: 'm',
+    registers: 'r',
+};
+const LINK_VERSION = 1;
+const REGISTER_KEYS = Object.keys(SENSOR_DEFAULTS);
+
+/**
+ * A complete, in-range look from whatever was stored or shared. Unknown
+ * palettes, lenses and dithers fall back to the defaults, numbers are
+ * clamped to their sliders and unknown fields are dropped.
+ * @param {object} [raw]
+ * @returns {typeof DEFAULT_LOOK}
+ */
+export function normalizeLook(raw) {
+    const look = raw && typeof raw === 'object' ? raw : {};
+    const number = (key) => {
+        const value = Number.isFinite(look[key]) ? look[key] : DEFAULT_LOOK[key];
+        return Math.min(Math.max(value, LOOK_RANGES[key][0]), LOOK_RANGES[key][1]);
+    };
+    const dither = Object.hasOwn(DITHERS, look.dither) ? look.dither : DEFAULT_DITHER;
+    // A dither without its own spread gets that dither's usual one
+    const spread = Number.isFinite(look.spread) ? number('spread') : DITHERS[dither].spread;
+    const registers = look.registers && typeof look.registers === 'object'
+        ? Object.fromEntries(REGISTER_KEYS.filter((k) => Number.isFinite(look.registers[k])).map((k) => [k, look.registers[k]]))
+        : {};
+
+    return {
+        palette: typeof look.palette === 'string' && getPalette(look.palette) ? look.palette : DEFAULT_PALETTE,
+        brightness: number('brightness'),
+        contrast: number('contrast'),
+        gamma: number('gamma'),
+        autoExposure: look.autoExposure === true,
+        edgeStrength: number('edgeStrength'),
+        lens: Object.hasOwn(LENSES, look.lens) ? look.lens : DEFAULT_LOOK.lens,
+        dither,
+        spread,
+        thresholds: normalizeThresholds(Array.isArray(look.thresholds) ? look.thresholds : undefined),
+        sensor: look.sensor === 'authentic' ? 'authentic' : 'simple',
+        registers: normalizeRegisters(registers),
+    };
+}
+
+// ── Storage ───────────────────────────────────────────────
+
+function read(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function write(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage full or unavailable: the change lasts until reload
+    }
+}
+
+/**
+ * Saved presets, in the order they were first saved
+ * @returns {{ key: string, name: string, look: typeof DEFAULT_LOOK }[]}
+ */
+export function getPresets() {
+    const presets = read(STORAGE_KEY, []);
+    return (Array.isArray(presets) ? presets : [])
+        .filter((p) => typeof p?.key === 'string' && typeof p.name === 'string')
+        .map(({ key, name, look }) => ({ key, name, look: normalizeLook(look) }));
+}
+
+export function getPreset(key) {
+    return getPresets().find((p) => p.key === key) ?? null;
+}
+
+/**
+ * Save a look under a name; a preset with the same name is replaced
+ * @returns {string} Preset key
+ * @throws {Error} If the name is blank
+ */
+export function savePreset(name, look) {
+    if (!name.trim()) throw new Error('Preset needs a name.');
+    const presets = getPresets();
+    const existing = presets.find((p) => p.name === name.trim());
+    const preset = {
+        key: existing?.key ?? `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim(),
+        look: normalizeLook(look),
+    };
+    write(STORAGE_KEY, existing ? presets.map((p) => (p === existing ? preset : p)) : [...presets, preset]);
+    return preset.key;
+}
+
+export function deletePreset(key) {
+    write(STORAGE_KEY, getPresets().filter((p) => p.key !== key));
+}
+
+/**
+ * The look in use when the app was last closed (defaults the first time)
+ */
+export function getLastLook() {
+    return normalizeLook(read(LAST_LOOK_KEY, null));
+}
+
+export function saveLastLook(look) {
+    write(LAST_LOOK_KEY, look);
+}
+
+// ── Sharing ───────────────────────────────────────────────
+
+/**
+ * A look as it's sent to someone else: with a custom palette's name and
+ * colors, which they won't have
+ */
+export function shareLook(look) {
+    const palette = getPalette(look.palette);
+    if (!palette?.custom) return { ...look };
+    return { ...look, paletteName: palette.name, paletteColors: [...palette.colors] };
+}
+
+/**
+ * Take in a shared look: a custom palette that isn't here yet is added
+ * (unless one with the same colors exists), then the look is normalized
+ * @param {object} shared - From a link or preset file
+ * @returns {typeof DEFAULT_LOOK}
+ */
+export function adoptLook(shared) {
+    const raw = shared && typeof shared === 'object' ? shared : {};
+    let { palette } = raw;
+    if (!getPalette(palette) && Array.isArray(raw.paletteColors)) {
+        const colors = raw.paletteColors.map((c) => String(c).toLowerCase());
+        const name = typeof raw.paletteName === 'string' && raw.paletteName.trim() ? raw.paletteName : 'Shared';
+        const same = getPalettes().find((p) => p.colors.join() === colors.join());
+        if (same) palette = same.key;
+        else if (!validatePalette({ name, colors }).length) palette = saveCustomPalette({ name, colors });
+    }
+    return normalizeLook({ ...raw, palette });
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Encode a look as a link fragment (without the '#'), leaving out
+ * whatever matches the defaults
+ * @param {typeof DEFAULT_LOOK} look
+ * @param {string} [name] - Preset name to suggest on the other side
+ */
+export function encodeLookLink(look, name = '') {
+    const shared = shareLook(normalizeLook(look));
+    const params = new URLSearchParams({ look: LINK_VERSION });
+    if (name) params.set('n', name);
+
+    for (const [key, short] of Object.entries(LINK_KEYS)) {
+        const value = shared[key];
+        let text;
+        if (key === 'registers') text = REGISTER_KEYS.map((k) => value[k]).join(',');
+        else if (Array.isArray(value)) text = value.map(round).join(',');
+        else if (typeof value === 'number') text = String(round(value));
+        else if (typeof value === 'boolean') text = value ? '1' : '0';
+        else text = value;
+
+        // What the other side would fill in if the field were left out
+        const fallback = key === 'spread' ? DITHERS[shared.dither].spread : DEFAULT_LOOK[key];
+        const same = key === 'registers'
+            ? REGISTER_KEYS.every((k) => value[k] === fallback[k])
+            : JSON.stringify(value) === JSON.stringify(fallback);
+        if (!same) params.set(short, text);
+    }
+    if (shared.paletteColors) {
+        params.set('pn', shared.paletteName);
+        params.set('pc', shared.paletteColors.map((c) => c.slice(1)).join(','));
+    }
+    return params.toString();
+}
+
+/**
+ * Read a link fragment back. Nothing here is trusted yet: pass the look
+ * to adoptLook.
+ * @param {string} fragment - location.hash, with or without the '#'
+ * @returns {{ name: string, look: object }|null} null if it isn't a look link
+ */
+export function decodeLookLink(fragment) {
+    const params = new URLSearchParams(fragment.replace(/^#/, ''));
+    if (!params.has('look')) return null;
+
+    const numbers = (text) => text.split(',').map((n) => (n.trim() === '' ? NaN : Number(n)));
+    const look = {};
+    for (const [key, short] of Object.entries(LINK_KEYS)) {
+        const text = params.get(short);
+        if (text === null) continue;
+        const fallback = DEFAULT_LOOK[key];
+        if (key === 'registers') {
+            const values = numbers(text);
+            look.registers = Object.fromEntries(REGISTER_KEYS.map((k, i) => [k, values[i]]));
+        } else if (Array.isArray(fallback)) look[key] = numbers(text);
+        else if (typeof fallback === 'number') look[key] = numbers(text)[0];
+        else if (typeof fallback === 'boolean') look[key] = text === '1';
+        else look[key] = text;
+    }
+    if (params.has('pc')) {
+        look.paletteColors = params.get('pc').split(',').map((c) => `#${c}`);
+        look.paletteName = params.get('pn') ?? '';
+    }
+    return { name: params.get('n') ?? '', look };
+}
+
+/**
+ * Serialize a look as a preset file
+ * @param {string} name
+ * @param {typeof DEFAULT_LOOK} look
+ * @returns {string} JSON
+ */
+export function exportPreset(name, look) {
+    const preset = { format: PRESET_FORMAT, version: PRESET_VERSION, name, look: shareLook(normalizeLook(look)) };
+    return `${JSON.stringify(preset, null, 2)}\n`;
+}
+
+/**
+ * Parse a preset file. As with links, pass the look to adoptLook.
+ * @param {string} text - File contents
+ * @param {string} filename - Fallback name
+ * @returns {{ name: string, look: object }}
+ * @throws {Error} If it isn't a ca_mera preset
+ */
+export function parsePresetFile(text, filename) {
+    let preset;
+    try {
+        preset = JSON.parse(text);
+    } catch {
+        throw new Error(`${filename} isn't valid JSON.`);
+    }
+    if (preset?.format !== PRESET_FORMAT || !preset.look || typeof preset.look !== 'object') {
+        throw new Error(`${filename} isn't a ca_mera preset.`);
+    }
+    if (!(preset.version <= PRESET_VERSION)) {
+        throw new Error(`${filename} was made by a newer version of ca_mera.`);
+    }
+    const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : filename.replace(/\.[^.]+$/, '');
+    return { name, look: preset.look };
+}
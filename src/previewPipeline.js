@@ -0,0 +1,98 @@
+/**
+ * previewPipeline.js — Main-thread side of the preview worker
+ *
+ * Keeps at most one frame in flight: while the worker is busy, new frames
+ * aren't grabbed at all and are counted as dropped, so a slow phone shows
+ * a lower frame rate instead of a growing backlog. Per-stage timings from
+ * the worker are smoothed into `stats` for the performance overlay.
+ */
+
+import { GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+
+// Weight of the newest sample in the smoothed timings
+const SMOOTHING = 0.1;
+
+export class PreviewPipeline {
+    /**
+     * @param {object} hooks
+     * @param {(image: ImageData, histogram: Uint32Array) => void} hooks.onFrame - Called with each
+     *        processed 128×112 frame and the histogram of its levels before dithering
+     */
+    constructor({ onFrame }) {
+        this.onFrame = onFrame;
+        this.worker = new Worker(new URL('./previewWorker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => this.receive(e.data));
+        this.worker.addEventListener('error', (e) => {
+            console.error('Preview worker failed:', e.message);
+            this.failed = true;
+            this.busy = false;
+        });
+
+        this.busy = false;
+        this.failed = false;
+        this.buffer = null; // output buffer, while it's on this side
+        this.stats = { frames: 0, dropped: 0, timings: {} };
+    }
+
+    /**
+     * Whether the worker pipeline can run here
+     */
+    static get supported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Send a frame to the worker. Ownership of the frame passes to the
+     * worker; if it can't be sent, the frame is closed and the error thrown.
+     *
+     * @param {VideoFrame|ImageBitmap} frame - Uncropped camera frame
+     * @param {object} settings - processShades options
+     * @param {number[][]} paletteRgb - 4 [r, g, b] entries to render with
+     */
+    process(frame, settings, paletteRgb) {
+        const transfer = this.buffer ? [frame, this.buffer] : [frame];
+        try {
+            this.worker.postMessage({ frame, settings, paletteRgb, buffer: this.buffer }, transfer);
+        } catch (err) {
+            // Nothing was sent (say, the frame couldn't be transferred): free
+            // it, and stay ready for the next one
+            frame.close?.();
+            throw err;
+        }
+        this.busy = true;
+        this.buffer = null;
+    }
+
+    /**
+     * Note a frame skipped because the worker was still busy
+     */
+    drop() {
+        this.stats.dropped++;
+    }
+
+    receive({ buffer, timings, histogram, error }) {
+        this.busy = false;
+        if (error) {
+            console.error('Preview processing failed:', error);
+            this.buffer = buffer;
+            return;
+        }
+
+        this.stats.frames++;
+        // Stages that didn't run this frame (e.g. after a sensor switch) drop out
+        const smoothed = {};
+        let total = 0;
+        for (const [stage, ms] of Object.entries(timings)) {
+            const prev = this.stats.timings[stage] ?? ms;
+            smoothed[stage] = prev + (ms - prev) * SMOOTHING;
+            total += ms;
+        }
+        this.stats.timings = smoothed;
+        const prevTotal = this.stats.total ?? total;
+        this.stats.total = prevTotal + (total - prevTotal) * SMOOTHING;
+
+        // putImageData copies, so the buffer can go back with the next frame
+        this.onFrame(new ImageData(new Uint8ClampedArray(buffer), GBC_WIDTH, GBC_HEIGHT), histogram);
+        this.buffer = buffer;
+    }
+}
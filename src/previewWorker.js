@@ -0,0 +1,53 @@
+/**
+ * previewWorker.js — Live preview pipeline, off the main thread
+ *
+ * Receives uncropped camera frames as transferred VideoFrames or
+ * ImageBitmaps, crops and downscales each one with a single drawImage into
+ * a canvas that's reused for every frame, runs the rest of the pipeline
+ * (processDownscaled) and posts back the colorized pixels with per-stage
+ * timings and a histogram of the levels that were dithered.
+ *
+ * The output buffer ping-pongs between the threads: it's transferred back
+ * with each result and returned with the next frame, so the RGBA output is
+ * never reallocated.
+ */
+
+import { processDownscaled, colorizeShades, LENSES, GBC_WIDTH, GBC_HEIGHT } from './gbcProcessor.js';
+import { cropRect } from './camera.js';
+import { HISTOGRAM_BINS } from './autoExposure.js';
+
+const canvas = new OffscreenCanvas(GBC_WIDTH, GBC_HEIGHT);
+const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+/**
+ * @param {MessageEvent<{ frame: VideoFrame|ImageBitmap, settings: object,
+ *         paletteRgb: number[][], buffer: ArrayBuffer|null }>} e
+ */
+self.onmessage = ({ data }) => {
+    const { frame, settings, paletteRgb } = data;
+    const pixels = new Uint8ClampedArray(data.buffer ?? new ArrayBuffer(GBC_WIDTH * GBC_HEIGHT * 4));
+    const timings = {};
+    const histogram = new Uint32Array(HISTOGRAM_BINS);
+
+    try {
+        // Steps 0 + 1: 8:7 crop, zoom lens crop and downscale in one go
+        let start = performance.now();
+        const { zoom = 1 } = LENSES[settings.lens] ?? LENSES.none;
+        const crop = cropRect(frame.displayWidth ?? frame.width, frame.displayHeight ?? frame.height, zoom);
+        ctx.drawImage(frame, crop.x, crop.y, crop.width, crop.height, 0, 0, GBC_WIDTH, GBC_HEIGHT);
+        const downscaled = ctx.getImageData(0, 0, GBC_WIDTH, GBC_HEIGHT);
+        timings.downscale = performance.now() - start;
+
+        const shades = processDownscaled(downscaled, { ...settings, timings, histogram });
+
+        start = performance.now();
+        colorizeShades(shades, paletteRgb, pixels);
+        timings.render = performance.now() - start;
+
+        self.postMessage({ buffer: pixels.buffer, timings, histogram }, [pixels.buffer, histogram.buffer]);
+    } catch (err) {
+        self.postMessage({ buffer: pixels.buffer, error: err.message }, [pixels.buffer]);
+    } finally {
+        frame.close();
+    }
+};
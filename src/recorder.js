@@ -0,0 +1,187 @@
+/**
+ * recorder.js — WebM recording of the processed viewfinder
+ *
+ * Each processed frame is copied from the viewfinder into a recording
+ * canvas, upscaled nearest-neighbor, and the canvas is streamed into a
+ * MediaRecorder. The stream is captured with no frame rate of its own and
+ * a frame is only pushed when one is due, so a low frame rate gives really
+ * choppy video, like watching the Game Boy screen, rather than repeated
+ * frames. The microphone can be mixed in through the bitcrusher worklet.
+ */
+
+import { CRUSH_DEFAULTS } from './bitcrusher.js';
+
+// Preferred containers/codecs, best first
+export const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Recordings stop on their own after this long, to keep the gallery small
+export const MAX_RECORDING_SECONDS = 60;
+
+/**
+ * First of VIDEO_TYPES the browser can record, or '' to let it choose
+ * @param {(type: string) => boolean} [isSupported]
+ */
+export function pickVideoType(isSupported = (type) => MediaRecorder.isTypeSupported(type)) {
+    return VIDEO_TYPES.find(isSupported) ?? '';
+}
+
+/**
+ * Decides which frames make it into the recording at a fixed rate. Frames
+ * arriving early are skipped; a late one resets the schedule rather than
+ * bursting to catch up.
+ */
+export class FramePacer {
+    constructor(fps) {
+        this.interval = 1000 / fps;
+        this.next = null; // time the next frame is due
+    }
+
+    /**
+     * Whether a frame arriving at `now` (ms) should be recorded
+     */
+    due(now) {
+        if (this.next !== null && now < this.next) return false;
+        const onSchedule = this.next !== null && now - this.next < this.interval;
+        this.next = (onSchedule ? this.next : now) + this.interval;
+        return true;
+    }
+}
+
+export class ViewfinderRecorder {
+    /**
+     * @param {HTMLCanvasElement} source - The 128×112 viewfinder canvas
+     * @param {object} [options]
+     * @param {number} [options.scale=4] - Integer upscale of the recorded video
+     * @param {number} [options.fps=15]
+     * @param {boolean} [options.microphone=false] - Record the mic through the bitcrusher
+     */
+    constructor(source, { scale = 4, fps = 15, microphone = false } = {}) {
+        this.source = source;
+        this.scale = scale;
+        this.fps = fps;
+        this.microphone = microphone;
+        this.pacer = new FramePacer(fps);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = source.width * scale;
+        this.canvas.height = source.height * scale;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.imageSmoothingEnabled = false;
+
+        this.media = null; // MediaRecorder
+        this.audio = null; // { context, mic } while recording sound
+        this.track = null; // canvas video track
+        this.started = 0;
+        this.timeout = null;
+        this.finished = null; // Promise<{ blob, duration }>, once started
+    }
+
+    /**
+     * Whether this browser can record a canvas
+     */
+    static get supported() {
+        return typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    get recording() {
+        return this.media?.state === 'recording';
+    }
+
+    /**
+     * Seconds recorded so far
+     */
+    get elapsed() {
+        return this.started ? (performance.now() - this.started) / 1000 : 0;
+    }
+
+    /**
+     * Start recording. Rejects if the microphone was asked for and can't be opened.
+     * `finished` resolves with the video once stopped.
+     */
+    async start() {
+        // With no rate given, frames are only sent on requestFrame()
+        const stream = this.canvas.captureStream(0);
+        [this.track] = stream.getVideoTracks();
+        if (typeof this.track.requestFrame !== 'function') {
+            // Can't push frames by hand: let the browser sample the canvas instead
+            this.track.stop();
+            [this.track] = this.canvas.captureStream(this.fps).getVideoTracks();
+        }
+
+        const tracks = [this.track];
+        if (this.microphone) {
+            try {
+                tracks.push(await this.startAudio());
+            } catch (err) {
+                this.release();
+                throw err;
+            }
+        }
+
+        const mimeType = pickVideoType();
+        this.media = new MediaRecorder(new MediaStream(tracks), mimeType ? { mimeType } : {});
+        const chunks = [];
+        this.media.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        this.finished = new Promise((resolve) => {
+            this.media.addEventListener('stop', () => {
+                this.release();
+                resolve({
+                    blob: new Blob(chunks, { type: this.media.mimeType || mimeType || 'video/webm' }),
+                    duration: (performance.now() - this.started) / 1000,
+                });
+            });
+        });
+
+        this.media.start(1000);
+        this.started = performance.now();
+        this.addFrame();
+        this.timeout = setTimeout(() => this.stop(), MAX_RECORDING_SECONDS * 1000);
+    }
+
+    /**
+     * Mic → bitcrusher → a stream track for the recorder
+     * @returns {Promise<MediaStreamTrack>}
+     */
+    async startAudio() {
+        const mic = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const context = new AudioContext();
+        this.audio = { context, mic };
+
+        await context.audioWorklet.addModule(new URL('./bitcrusher.js', import.meta.url));
+        const crusher = new AudioWorkletNode(context, 'bitcrusher', { processorOptions: CRUSH_DEFAULTS });
+        const destination = context.createMediaStreamDestination();
+        context.createMediaStreamSource(mic).connect(crusher).connect(destination);
+        return destination.stream.getAudioTracks()[0];
+    }
+
+    /**
+     * Copy the viewfinder into the recording if a frame is due; call after
+     * each processed frame is drawn (and before any overlays)
+     */
+    addFrame(now = performance.now()) {
+        if (!this.track || !this.pacer.due(now)) return;
+        this.ctx.drawImage(this.source, 0, 0, this.canvas.width, this.canvas.height);
+        this.track.requestFrame?.();
+    }
+
+    /**
+     * Stop recording; `finished` resolves once the last data is in
+     */
+    stop() {
+        clearTimeout(this.timeout);
+        if (this.recording) this.media.stop();
+        else this.release();
+    }
+
+    release() {
+        this.track?.stop();
+        this.track = null;
+        if (this.audio) {
+            this.audio.mic.getTracks().forEach((track) => track.stop());
+            this.audio.context.close();
+            this.audio = null;
+        }
+    }
+}
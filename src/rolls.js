@@ -0,0 +1,158 @@
+/**
+ * rolls.js — Cartridges: named rolls of photos
+ *
+ * Like swapping cartridges, the gallery is split into rolls of up to 30
+ * photos each. Shots go into the active roll; what happens once it's full
+ * is up to the full-roll policy: start a new cartridge, replace the oldest
+ * photo that isn't a favorite once warned, or stop shooting.
+ *
+ * The list of rolls, the active one and the policy live in localStorage;
+ * photos refer to their roll by ID (see gallery.js).
+ */
+
+const STORAGE_KEY = 'ca_mera_rolls';
+
+// Photos from before cartridges all belong to this one
+export const DEFAULT_ROLL = 'roll_1';
+
+export const FULL_POLICIES = {
+    rollover: 'NEW CART',
+    warn: 'WARN, THEN REPLACE',
+    block: 'STOP',
+};
+
+export const DEFAULT_FULL_POLICY = 'rollover';
+
+let state = null;
+
+function load() {
+    if (state) return state;
+    let raw;
+    try {
+        raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') ?? {};
+    } catch {
+        raw = {};
+    }
+
+    const rolls = Array.isArray(raw.rolls)
+        ? raw.rolls.filter((r) => typeof r?.id === 'string' && typeof r.name === 'string')
+        : [];
+    if (!rolls.length) rolls.push({ id: DEFAULT_ROLL, name: 'CART 1' });
+    state = {
+        rolls,
+        active: rolls.some((r) => r.id === raw.active) ? raw.active : rolls[0].id,
+        policy: FULL_POLICIES[raw.policy] ? raw.policy : DEFAULT_FULL_POLICY,
+    };
+    return state;
+}
+
+function store(next) {
+    state = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch {
+        // Storage full or unavailable: the change lasts until reload
+    }
+}
+
+/**
+ * All rolls, oldest first
+ * @returns {{ id: string, name: string }[]}
+ */
+export function getRolls() {
+    return load().rolls.map((r) => ({ ...r }));
+}
+
+/**
+ * Look up a roll by ID
+ * @returns {{ id: string, name: string }|null}
+ */
+export function getRoll(id) {
+    return getRolls().find((r) => r.id === id) ?? null;
+}
+
+/**
+ * The roll new photos go into
+ */
+export function getActiveRoll() {
+    return getRoll(load().active);
+}
+
+export function setActiveRoll(id) {
+    if (!getRoll(id)) throw new Error(`Unknown roll: ${id}`);
+    store({ ...load(), active: id });
+}
+
+/**
+ * Add an empty roll, named "CART n" unless a name is given
+ * @returns {string} Roll ID
+ */
+export function createRoll(name = '') {
+    const { rolls } = load();
+    const taken = new Set(rolls.map((r) => r.name));
+    let n = rolls.length + 1;
+    while (taken.has(`CART ${n}`)) n++;
+
+    const roll = {
+        id: `roll_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim() || `CART ${n}`,
+    };
+    store({ ...load(), rolls: [...rolls, roll] });
+    return roll.id;
+}
+
+/**
+ * Add a roll under a known ID, e.g. from a backup; nothing happens if
+ * there's already a roll with that ID
+ */
+export function addRoll({ id, name }) {
+    if (getRoll(id)) return;
+    store({ ...load(), rolls: [...load().rolls, { id, name }] });
+}
+
+export function renameRoll(id, name) {
+    if (!name.trim()) return;
+    store({ ...load(), rolls: load().rolls.map((r) => (r.id === id ? { ...r, name: name.trim() } : r)) });
+}
+
+/**
+ * Forget a roll (its photos are the gallery's to delete). The last roll
+ * can't be removed; if the active one goes, the first left takes over.
+ */
+export function removeRoll(id) {
+    const current = load();
+    const rolls = current.rolls.filter((r) => r.id !== id);
+    if (!rolls.length) throw new Error('The last cartridge can\'t be removed.');
+    store({ ...current, rolls, active: current.active === id ? rolls[0].id : current.active });
+}
+
+/**
+ * What to do when the active roll is full (key of FULL_POLICIES)
+ */
+export function getFullPolicy() {
+    return load().policy;
+}
+
+export function setFullPolicy(policy) {
+    if (!FULL_POLICIES[policy]) throw new Error(`Unknown full-roll policy: ${policy}`);
+    store({ ...load(), policy });
+}
+
+/**
+ * How a new photo gets stored, given how full its roll is
+ *
+ * @param {string} policy - Key of FULL_POLICIES
+ * @param {{ count: number, favorites: number }} roll - Photos in the roll, and how many are favorites
+ * @param {number} max - Photos per roll
+ * @returns {'save'|'last'|'replace'|'rollover'|'block'} Save as is, save as
+ *          is into the last free spot (warn first), save over the oldest
+ *          non-favorite, save into a new roll, or don't save
+ */
+export function fullRollAction(policy, { count, favorites }, max) {
+    // The warn policy gives notice while nothing is being replaced yet
+    if (count < max) return policy === 'warn' && count === max - 1 ? 'last' : 'save';
+    if (policy === 'rollover') return 'rollover';
+    // Favorites are never replaced
+    if (policy === 'warn' && count > favorites) return 'replace';
+    return 'block';
+}
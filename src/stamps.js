@@ -0,0 +1,168 @@
+/**
+ * stamps.js — Stamp sprites for the photo editor
+ *
+ * Each stamp is drawn as rows of characters: '0'–'3' are shades
+ * (darkest → lightest, same as the processing pipeline) and '.' is
+ * transparent. They're parsed once into shade arrays where -1 = transparent.
+ */
+
+const STAMP_ART = {
+    heart: {
+        name: 'Heart',
+        rows: [
+            '.00..00.',
+            '01100110',
+            '01111110',
+            '01111110',
+            '.011110.',
+            '..0110..',
+            '...00...',
+            '........',
+        ],
+    },
+    star: {
+        name: 'Star',
+        rows: [
+            '...00...',
+            '...33...',
+            '00033000',
+            '03333330',
+            '.033330.',
+            '.033330.',
+            '03300330',
+            '00....00',
+        ],
+    },
+    note: {
+        name: 'Note',
+        rows: [
+            '...0000.',
+            '...0..0.',
+            '...0..0.',
+            '...0..0.',
+            '.000.00.',
+            '0000000.',
+            '.00.000.',
+            '........',
+        ],
+    },
+    bolt: {
+        name: 'Bolt',
+        rows: [
+            '....000.',
+            '...0330.',
+            '..0330..',
+            '.033000.',
+            '.000330.',
+            '..0330..',
+            '.030....',
+            '.00.....',
+        ],
+    },
+    smiley: {
+        name: 'Smiley',
+        rows: [
+            '.....000000.....',
+            '...0033333300...',
+            '..033333333330..',
+            '.03333333333330.',
+            '.03330333303330.',
+            '0333303333033330',
+            '0333303333033330',
+            '0333333333333330',
+            '0333333333333330',
+            '0330333333330330',
+            '0333033333303330',
+            '.03330000003330.',
+            '.03333333333330.',
+            '..033333333330..',
+            '...0033333300...',
+            '.....000000.....',
+        ],
+    },
+    shades: {
+        name: 'Shades',
+        rows: [
+            '................',
+            '................',
+            '................',
+            '................',
+            '0000000000000000',
+            '.00000000000000.',
+            '.000110..000110.',
+            '.000000..000000.',
+            '..0000....0000..',
+            '................',
+            '................',
+            '................',
+            '................',
+            '................',
+            '................',
+            '................',
+        ],
+    },
+    sun: {
+        name: 'Sun',
+        rows: [
+            '.......00.......',
+            '.0.....00.....0.',
+            '..0....00....0..',
+            '...0..0000..0...',
+            '.....033330.....',
+            '....03333330....',
+            '...0333333330...',
+            '0000333333330000',
+            '0000333333330000',
+            '...0333333330...',
+            '....03333330....',
+            '.....033330.....',
+            '...0..0000..0...',
+            '..0....00....0..',
+            '.0.....00.....0.',
+            '.......00.......',
+        ],
+    },
+    crown: {
+        name: 'Crown',
+        rows: [
+            '................',
+            '................',
+            '.0.....00.....0.',
+            '030...0330...030',
+            '0330.033330.0330',
+            '0333033223303330',
+            '0333332222333330',
+            '0333333333333330',
+            '0322332332332230',
+            '0322332332332230',
+            '0333333333333330',
+            '0000000000000000',
+            '0111111111111110',
+            '0000000000000000',
+            '................',
+            '................',
+        ],
+    },
+};
+
+/**
+ * Parse stamp art into shade arrays
+ * @returns {{ name: string, width: number, height: number, pixels: Int8Array }}
+ */
+function parseStamp({ name, rows }) {
+    const height = rows.length;
+    const width = rows[0].length;
+    const pixels = new Int8Array(width * height);
+
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            const ch = row[x];
+            pixels[y * width + x] = ch === '.' ? -1 : Number(ch);
+        }
+    });
+    return { name, width, height, pixels };
+}
+
+export const STAMPS = Object.fromEntries(
+    Object.entries(STAMP_ART).map(([key, art]) => [key, parseStamp(art)]),
+);
@@ -0,0 +1,57 @@
+/**
+ * sw.js — Service worker: precached, cache-first offline support
+ *
+ * The build (see vite.config.js) emits this as sw.js next to index.html,
+ * with two constants put in front of it:
+ *
+ *   PRECACHE - every file of the build, relative to this script
+ *   VERSION  - hash of their contents
+ *
+ * Each version installs into its own cache and then waits. It only takes
+ * over when the page asks (the "new version" banner), so a running app
+ * never mixes old and new assets; the old cache goes once it has.
+ */
+
+const CACHE_PREFIX = 'ca_mera-';
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+
+// Every navigation gets the app shell, whatever the query (e.g. ?perf)
+const SHELL = 'index.html';
+
+self.addEventListener('install', (event) => {
+    // Skip the HTTP cache so a new version can't be stocked with stale files
+    event.waitUntil(
+        caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' })))),
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        (async () => {
+            const old = (await caches.keys()).filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE);
+            await Promise.all(old.map((key) => caches.delete(key)));
+            await self.clients.claim();
+        })(),
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * The precached copy if there is one, else the network
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE);
+    const cached = request.mode === 'navigate'
+        ? await cache.match(SHELL)
+        : await cache.match(request, { ignoreSearch: true });
+    return cached ?? fetch(request);
+}
@@ -0,0 +1,80 @@
+/**
+ * updater.js — Service worker registration and update prompts
+ *
+ * The service worker (sw.js) serves the app from its cache, so a new
+ * deploy is only noticed when the browser re-checks sw.js. The new version
+ * then installs alongside and waits; the Updater reports it, and once the
+ * user agrees, tells it to take over and has the page reload onto it.
+ */
+
+export class Updater {
+    /**
+     * @param {object} hooks
+     * @param {() => void} hooks.onUpdate - A new version is installed and waiting
+     * @param {() => void} hooks.onReload - The new version took over; reload the page
+     * @param {ServiceWorkerContainer} [container] - Defaults to navigator.serviceWorker
+     */
+    constructor({ onUpdate, onReload }, container = globalThis.navigator?.serviceWorker) {
+        this.hooks = { onUpdate, onReload };
+        this.container = container ?? null;
+        this.registration = null;
+        this.applying = false;
+    }
+
+    /**
+     * Whether the browser has service workers at all (they also need HTTPS
+     * or localhost)
+     */
+    get supported() {
+        return this.container !== null;
+    }
+
+    /**
+     * Register the service worker and start watching for new versions
+     * @param {string} url - Script URL; its folder is the scope
+     * @returns {Promise<ServiceWorkerRegistration|null>} null if unsupported
+     */
+    async register(url) {
+        if (!this.supported) return null;
+        const registration = await this.container.register(url);
+        this.registration = registration;
+
+        // The very first install has no version to replace: only count it
+        // as an update if this page is already running on one
+        const hasVersion = () => this.container.controller !== null;
+        if (registration.waiting && hasVersion()) this.hooks.onUpdate();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && hasVersion()) this.hooks.onUpdate();
+            });
+        });
+
+        // First installs take control too; only reload when we asked for it
+        this.container.addEventListener('controllerchange', () => {
+            if (this.applying) this.hooks.onReload();
+        });
+        return registration;
+    }
+
+    /**
+     * Ask the browser to look for a new sw.js now
+     */
+    async check() {
+        try {
+            await this.registration?.update();
+        } catch {
+            // Offline: try again next time
+        }
+    }
+
+    /**
+     * Switch to the waiting version; onReload follows once it has taken over
+     */
+    apply() {
+        const worker = this.registration?.waiting;
+        if (!worker) return;
+        this.applying = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
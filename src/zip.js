@@ -0,0 +1,201 @@
+/**
+ * zip.js — Dependency-free ZIP archives
+ *
+ * Writes and reads the plain ZIP format: no ZIP64, encryption or
+ * multi-disk archives. Entries are deflated with the platform's
+ * CompressionStream when that makes them smaller and stored otherwise
+ * (PNGs are compressed already), so files open in any unzip tool.
+ */
+
+import { crc32 } from './png.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800; // general purpose flag: names are UTF-8
+const ENCRYPTED = 0x0001;
+const VERSION = 20; // 2.0: deflate and folders
+
+/**
+ * Raw-deflate bytes (no zlib header, as ZIP wants)
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * MS-DOS time and date fields, in local time like other zip tools
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function fromDosDateTime(date, time) {
+    return new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31, time >> 11, (time >> 5) & 63, (time & 31) * 2);
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {{ name: string, data: Uint8Array|string, date?: Date }[]} entries - Paths use '/'
+ * @returns {Promise<Uint8Array>}
+ */
+export async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const files = [];
+    for (const { name, data, date = new Date() } of entries) {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        const deflated = await deflateRaw(bytes);
+        const method = deflated.length < bytes.length ? DEFLATE : STORE;
+        files.push({
+            name: encoder.encode(name),
+            method,
+            stamp: dosDateTime(date),
+            crc: crc32(bytes),
+            size: bytes.length,
+            body: method === DEFLATE ? deflated : bytes,
+        });
+    }
+
+    const localSize = files.reduce((n, f) => n + 30 + f.name.length + f.body.length, 0);
+    const centralSize = files.reduce((n, f) => n + 46 + f.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    // Local headers followed by the data, remembering where each one starts
+    let pos = 0;
+    const offsets = files.map((f) => {
+        const offset = pos;
+        view.setUint32(pos, LOCAL_HEADER, true);
+        view.setUint16(pos + 4, VERSION, true);
+        view.setUint16(pos + 6, UTF8_NAMES, true);
+        view.setUint16(pos + 8, f.method, true);
+        view.setUint16(pos + 10, f.stamp.time, true);
+        view.setUint16(pos + 12, f.stamp.date, true);
+        view.setUint32(pos + 14, f.crc, true);
+        view.setUint32(pos + 18, f.body.length, true);
+        view.setUint32(pos + 22, f.size, true);
+        view.setUint16(pos + 26, f.name.length, true);
+        view.setUint16(pos + 28, 0, true);
+        out.set(f.name, pos + 30);
+        out.set(f.body, pos + 30 + f.name.length);
+        pos += 30 + f.name.length + f.body.length;
+        return offset;
+    });
+
+    // Central directory
+    files.forEach((f, i) => {
+        view.setUint32(pos, CENTRAL_HEADER, true);
+        view.setUint16(pos + 4, VERSION, true);
+        view.setUint16(pos + 6, VERSION, true);
+        view.setUint16(pos + 8, UTF8_NAMES, true);
+        view.setUint16(pos + 10, f.method, true);
+        view.setUint16(pos + 12, f.stamp.time, true);
+        view.setUint16(pos + 14, f.stamp.date, true);
+        view.setUint32(pos + 16, f.crc, true);
+        view.setUint32(pos + 20, f.body.length, true);
+        view.setUint32(pos + 24, f.size, true);
+        view.setUint16(pos + 28, f.name.length, true);
+        // Extra field, comment, disk number and attributes stay 0
+        view.setUint32(pos + 42, offsets[i], true);
+        out.set(f.name, pos + 46);
+        pos += 46 + f.name.length;
+    });
+
+    view.setUint32(pos, END_OF_CENTRAL, true);
+    view.setUint16(pos + 8, files.length, true);
+    view.setUint16(pos + 10, files.length, true);
+    view.setUint32(pos + 12, centralSize, true);
+    view.setUint32(pos + 16, localSize, true);
+    return out;
+}
+
+/**
+ * Read the entries of a ZIP archive. An entry that can't be read (unknown
+ * compression, encryption, a bad checksum) comes back with an `error`
+ * instead of `data`, so the rest of the archive is still usable.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ name: string, date: Date, data?: Uint8Array, error?: string }[]>} Folders are left out
+ * @throws {Error} If it isn't a ZIP archive or its directory is damaged
+ */
+export async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = findEndOfCentral(view);
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > bytes.length || view.getUint32(pos, true) !== CENTRAL_HEADER) {
+            throw new Error('ZIP directory is damaged');
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const date = fromDosDateTime(view.getUint16(pos + 14, true), view.getUint16(pos + 12, true));
+        const crc = view.getUint32(pos + 16, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const skip = nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        const offset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + skip;
+
+        if (name.endsWith('/')) continue;
+        const entry = { name, date };
+        entries.push(entry);
+        try {
+            entry.data = await readEntry(bytes, view, { offset, flags, method, crc, compressedSize });
+        } catch (err) {
+            entry.error = err.message;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Position of the end-of-central-directory record, or -1. It's the last
+ * thing in the file, followed only by a comment of up to 64 KB.
+ */
+function findEndOfCentral(view) {
+    const last = view.byteLength - 22;
+    for (let pos = last; pos >= 0 && pos >= last - 0xffff; pos--) {
+        if (view.getUint32(pos, true) === END_OF_CENTRAL) return pos;
+    }
+    return -1;
+}
+
+async function readEntry(bytes, view, { offset, flags, method, crc, compressedSize }) {
+    if (flags & ENCRYPTED) throw new Error('encrypted');
+    if (offset + 30 > bytes.length || view.getUint32(offset, true) !== LOCAL_HEADER) {
+        throw new Error('missing local header');
+    }
+    // The local header's name and extra field can differ from the directory's
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    if (start + compressedSize > bytes.length) throw new Error('truncated');
+    const body = bytes.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === STORE) data = body.slice();
+    else if (method === DEFLATE) data = await inflateRaw(body).catch(() => { throw new Error('corrupt data'); });
+    else throw new Error(`unsupported compression method ${method}`);
+
+    if (crc32(data) !== crc) throw new Error('checksum mismatch');
+    return data;
+}
@@ -0,0 +1,292 @@
+/**
+ * GIF and APNG export, read back with decoders written here from the
+ * formats' specs (GIF89a's variable-width LZW, APNG's chunk sequence)
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lzwEncode, encodeGif, encodeApng, MAX_FRAME_DELAY } from '../src/animation.js';
+import { crc32, inflate, indexPixels } from '../src/png.js';
+import { createImageData } from '../src/gbcProcessor.js';
+
+const PALETTE = [[15, 56, 15], [48, 98, 48], [139, 172, 15], [155, 188, 15]];
+
+/**
+ * GIF LZW decoder: codes read LSB-first, the width growing once the table
+ * reaches the next power of two (up to 12 bits), reset by the clear code
+ *
+ * @returns {{ indices: number[], clears: number, maxCodeSize: number }}
+ */
+function lzwDecode(bytes, minCodeSize = 2) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    let table;
+    let codeSize;
+    const reset = () => {
+        table = Array.from({ length: eoiCode + 1 }, (_, i) => (i < clearCode ? [i] : null));
+        codeSize = minCodeSize + 1;
+    };
+
+    let bit = 0;
+    const read = () => {
+        if (bit + codeSize > bytes.length * 8) throw new Error('Ran out of data before the end code');
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << i;
+        return code;
+    };
+
+    const indices = [];
+    let clears = 0;
+    let maxCodeSize = 0;
+    let prev = null;
+    reset();
+    for (;;) {
+        maxCodeSize = Math.max(maxCodeSize, codeSize);
+        const code = read();
+        if (code === clearCode) {
+            reset();
+            clears++;
+            prev = null;
+            continue;
+        }
+        if (code === eoiCode) break;
+
+        let entry;
+        if (table[code]) entry = table[code];
+        else if (code === table.length && prev) entry = [...prev, prev[0]];
+        else throw new Error(`Code ${code} isn't in the table yet`);
+
+        indices.push(...entry);
+        if (prev && table.length < 4096) {
+            table.push([...prev, entry[0]]);
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        prev = entry;
+    }
+    return { indices, clears, maxCodeSize };
+}
+
+// Repeatable pseudo-random indices (xorshift)
+function noise(length, seed = 0x2545f491) {
+    let s = seed;
+    return Uint8Array.from({ length }, () => {
+        s ^= s << 13;
+        s ^= s >>> 17;
+        s ^= s << 5;
+        return (s >>> 0) & 3;
+    });
+}
+
+function frame(width, height, fn) {
+    const image = createImageData(width, height);
+    for (let i = 0; i < width * height; i++) {
+        image.data.set([...PALETTE[fn(i % width, Math.floor(i / width))], 255], i * 4);
+    }
+    return image;
+}
+
+const frames = () => [
+    frame(13, 7, (x, y) => (x + y) % 4),
+    frame(13, 7, (x) => x % 4),
+    frame(13, 7, (x, y) => (x * y) % 4),
+];
+
+describe('lzwEncode', () => {
+    test('round-trips short inputs', () => {
+        for (const input of [[], [2], [0, 0, 0, 0, 0, 0], [0, 1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3, 3, 3]]) {
+            const { indices, clears } = lzwDecode(lzwEncode(Uint8Array.from(input)));
+            assert.deepEqual(indices, input);
+            assert.equal(clears, 1);
+        }
+    });
+
+    test('grows the code width as the table fills', () => {
+        // One index repeated adds a code per ever-longer string: widths 3 → 10, no reset
+        const input = new Uint8Array(300000);
+        const { indices, clears, maxCodeSize } = lzwDecode(lzwEncode(input));
+        assert.deepEqual(indices, Array.from(input));
+        assert.equal(clears, 1);
+        assert.ok(maxCodeSize >= 9);
+    });
+
+    test('clears the table at 4096 codes and carries on', () => {
+        const input = noise(60000);
+        const { indices, clears, maxCodeSize } = lzwDecode(lzwEncode(input));
+        assert.equal(indices.length, input.length);
+        assert.deepEqual(Uint8Array.from(indices), input);
+        assert.ok(clears >= 3, `${clears} clear codes`);
+        assert.equal(maxCodeSize, 12);
+    });
+});
+
+/**
+ * Walk a GIF's blocks, decoding every frame
+ */
+function readGif(bytes) {
+    const text = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    const u16 = (p) => bytes[p] | (bytes[p + 1] << 8);
+
+    const gif = {
+        signature: text(0, 6),
+        width: u16(6),
+        height: u16(8),
+        packed: bytes[10],
+        palette: [],
+        loops: null,
+        frames: [],
+    };
+    const colors = 2 << (gif.packed & 7);
+    for (let i = 0; i < colors; i++) gif.palette.push([...bytes.subarray(13 + i * 3, 16 + i * 3)]);
+
+    let pos = 13 + colors * 3;
+    let delay = null;
+    const subBlocks = (sizes = []) => {
+        const data = [];
+        while (bytes[pos] !== 0) {
+            sizes.push(bytes[pos]);
+            data.push(...bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+            pos += bytes[pos] + 1;
+        }
+        pos++;
+        return Uint8Array.from(data);
+    };
+
+    for (;;) {
+        const block = bytes[pos++];
+        if (block === 0x3b) break;
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const data = subBlocks();
+            if (label === 0xf9) delay = data[1] | (data[2] << 8);
+            // Application identifier, then sub-block 1 of NETSCAPE2.0: the loop count
+            if (label === 0xff && String.fromCharCode(...data.subarray(0, 11)) === 'NETSCAPE2.0') gif.loops = data[12] | (data[13] << 8);
+        } else if (block === 0x2c) {
+            const [left, top, width, height] = [u16(pos), u16(pos + 2), u16(pos + 4), u16(pos + 6)];
+            const local = bytes[pos + 8];
+            pos += 9;
+            const minCodeSize = bytes[pos++];
+            const blocks = [];
+            const { indices } = lzwDecode(subBlocks(blocks), minCodeSize);
+            gif.frames.push({ left, top, width, height, local, delay, indices, blocks });
+            delay = null;
+        } else {
+            throw new Error(`Unexpected block 0x${block.toString(16)} at ${pos - 1}`);
+        }
+    }
+    gif.trailing = bytes.length - pos;
+    return gif;
+}
+
+describe('encodeGif', () => {
+    test('writes a looping GIF89a with the palette and delays', () => {
+        const input = frames();
+        const gif = readGif(encodeGif(input, { paletteRgb: PALETTE, delays: [100, 250, 5] }));
+
+        assert.equal(gif.signature, 'GIF89a');
+        assert.equal(gif.width, 13);
+        assert.equal(gif.height, 7);
+        assert.equal(gif.packed, 0x91); // global table of 4, 2 bits per color
+        assert.deepEqual(gif.palette, PALETTE);
+        assert.equal(gif.loops, 0); // forever
+        assert.equal(gif.trailing, 0);
+
+        // Delays in 1/100 s, never below 2
+        assert.deepEqual(gif.frames.map((f) => f.delay), [10, 25, 2]);
+        gif.frames.forEach((f, i) => {
+            assert.deepEqual([f.left, f.top, f.width, f.height, f.local], [0, 0, 13, 7, 0]);
+            assert.deepEqual(f.indices, Array.from(indexPixels(input[i], PALETTE)));
+        });
+    });
+
+    test('caps delays at what 16 bits of 1/100 s hold', () => {
+        const gif = readGif(encodeGif(frames().slice(0, 2), { paletteRgb: PALETTE, delays: [MAX_FRAME_DELAY, 1e7] }));
+        assert.deepEqual(gif.frames.map((f) => f.delay), [0xffff, 0xffff]);
+    });
+
+    test('splits large frames into 255-byte sub-blocks', () => {
+        const big = frame(128, 112, (x, y) => noise(1, (x + 1) * 7919 + y * 104729)[0]);
+        const bytes = encodeGif([big], { paletteRgb: PALETTE, delays: [100] });
+        const [decoded] = readGif(bytes).frames;
+        assert.ok(decoded.blocks.length > 1);
+        assert.ok(decoded.blocks.slice(0, -1).every((size) => size === 255));
+        assert.deepEqual(decoded.indices, Array.from(indexPixels(big, PALETTE)));
+    });
+});
+
+/**
+ * Split a PNG into chunks, checking each CRC
+ */
+function readChunks(bytes) {
+    assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 8;
+    while (pos < bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        assert.equal(view.getUint32(pos + 8 + length), crc32(bytes.subarray(pos + 4, pos + 8 + length)), `${type} CRC`);
+        chunks.push({ type, data, u32: (p) => new DataView(data.buffer, data.byteOffset).getUint32(p) });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * 2-bit scanlines (filter 0) back to indices
+ */
+function unpackScanlines(bytes, width, height) {
+    const stride = Math.ceil(width / 4) + 1;
+    const indices = [];
+    for (let y = 0; y < height; y++) {
+        assert.equal(bytes[y * stride], 0);
+        for (let x = 0; x < width; x++) indices.push((bytes[y * stride + 1 + (x >> 2)] >> (6 - (x & 3) * 2)) & 3);
+    }
+    return indices;
+}
+
+describe('encodeApng', () => {
+    test('writes numbered frame chunks in order', async () => {
+        const input = frames();
+        const chunks = readChunks(await encodeApng(input, { paletteRgb: PALETTE, delays: [100, 250, 40] }));
+
+        assert.deepEqual(chunks.map((c) => c.type), ['IHDR', 'PLTE', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+
+        const [ihdr, plte, actl] = chunks;
+        assert.equal(ihdr.u32(0), 13);
+        assert.equal(ihdr.u32(4), 7);
+        assert.deepEqual([...ihdr.data.subarray(8)], [2, 3, 0, 0, 0]);
+        assert.deepEqual([...plte.data], PALETTE.flat());
+        assert.equal(actl.u32(0), 3);
+        assert.equal(actl.u32(4), 0);
+
+        // fcTL and fdAT share one sequence, starting at 0 with no gaps
+        const numbered = chunks.filter((c) => c.type === 'fcTL' || c.type === 'fdAT');
+        assert.deepEqual(numbered.map((c) => c.u32(0)), [0, 1, 2, 3, 4]);
+
+        const controls = chunks.filter((c) => c.type === 'fcTL');
+        assert.deepEqual(controls.map((c) => [c.u32(4), c.u32(8), c.u32(12), c.u32(16)]), new Array(3).fill([13, 7, 0, 0]));
+        assert.deepEqual(controls.map((c) => [(c.data[20] << 8) | c.data[21], (c.data[22] << 8) | c.data[23]]), [[100, 1000], [250, 1000], [40, 1000]]);
+
+        const images = chunks.filter((c) => c.type === 'IDAT' || c.type === 'fdAT');
+        for (const [i, chunk] of images.entries()) {
+            const compressed = chunk.type === 'fdAT' ? chunk.data.subarray(4) : chunk.data;
+            const indices = unpackScanlines(await inflate(compressed), 13, 7);
+            assert.deepEqual(indices, Array.from(indexPixels(input[i], PALETTE)));
+        }
+    });
+
+    test('long delays that overflow milliseconds switch to hundredths', async () => {
+        const input = frames();
+        const chunks = readChunks(await encodeApng(input, { paletteRgb: PALETTE, delays: [65535, 70000, 1e7] }));
+        const controls = chunks.filter((c) => c.type === 'fcTL');
+        assert.deepEqual(controls.map((c) => [(c.data[20] << 8) | c.data[21], (c.data[22] << 8) | c.data[23]]), [[65535, 1000], [7000, 100], [65535, 100]]);
+    });
+
+    test('a single frame is still an animation', async () => {
+        const chunks = readChunks(await encodeApng([frames()[0]], { paletteRgb: PALETTE, delays: [500] }));
+        assert.deepEqual(chunks.map((c) => c.type), ['IHDR', 'PLTE', 'acTL', 'fcTL', 'IDAT', 'IEND']);
+        assert.equal(chunks[2].u32(0), 1);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AutoExposure, HISTOGRAM_BINS, histogramQuantile } from '../src/autoExposure.js';
+import { processDownscaled, createImageData, GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+import { flat, grayImage } from './helpers.js';
+
+// processDownscaled works in place, so each frame gets a fresh copy
+const copy = (image) => createImageData(image.width, image.height, image.data.slice());
+
+/**
+ * Run the preview loop on one scene until it settles
+ * @returns {{ brightness: number, contrast: number, shades: Uint8Array }}
+ */
+function settle(scene, frames = 80) {
+    const auto = new AutoExposure();
+    const histogram = new Uint32Array(HISTOGRAM_BINS);
+    let settings = { brightness: 0, contrast: 1.2 };
+    let shades;
+    for (let i = 0; i < frames; i++) {
+        shades = processDownscaled(copy(scene), { ...settings, edgeStrength: 0, spread: 0, histogram });
+        settings = auto.update(histogram, settings);
+    }
+    return { ...settings, shades };
+}
+
+const shareOf = (shades, shade) => shades.filter((s) => s === shade).length / shades.length;
+
+describe('histogramQuantile', () => {
+    test('interpolates within a bin', () => {
+        assert.equal(histogramQuantile([0, 4, 0, 0], 0.5), 0.375);
+        assert.equal(histogramQuantile([2, 0, 0, 2], 0.75), 0.875);
+    });
+
+    test('an empty histogram is an even spread', () => {
+        assert.equal(histogramQuantile(new Uint32Array(8), 0.25), 0.25);
+    });
+});
+
+describe('AutoExposure', () => {
+    test('spreads a dark, low-contrast scene over all four shades', () => {
+        // Levels 0–120 only: at the default settings nearly all of it is black
+        const scene = grayImage(GBC_WIDTH, GBC_HEIGHT, (x) => Math.floor((x * 120) / GBC_WIDTH));
+        const { brightness, contrast, shades } = settle(scene);
+        assert.ok(brightness > 0.1, `brightness ${brightness}`);
+        assert.ok(contrast > 1.8, `contrast ${contrast}`);
+        for (let shade = 0; shade < 4; shade++) {
+            const share = shareOf(shades, shade);
+            assert.ok(share > 0.15 && share < 0.35, `shade ${shade}: ${share}`);
+        }
+    });
+
+    test('darkens an overexposed scene', () => {
+        const scene = grayImage(GBC_WIDTH, GBC_HEIGHT, (x) => 170 + Math.floor((x * 85) / GBC_WIDTH));
+        assert.ok(settle(scene).brightness < -0.1);
+    });
+
+    test('moves gradually rather than jumping', () => {
+        const scene = grayImage(GBC_WIDTH, GBC_HEIGHT, (x) => Math.floor((x * 60) / GBC_WIDTH));
+        const histogram = new Uint32Array(HISTOGRAM_BINS);
+        const current = { brightness: 0, contrast: 1.2 };
+        processDownscaled(scene, { ...current, edgeStrength: 0, histogram });
+        const auto = new AutoExposure({ smoothing: 0.1 });
+        const goal = auto.target(histogram, current);
+        const next = auto.update(histogram, current);
+        assert.ok(Math.abs(next.brightness - goal.brightness * 0.1) < 1e-9);
+        assert.ok(Math.abs(next.contrast - (1.2 + (goal.contrast - 1.2) * 0.1)) < 1e-9);
+    });
+
+    test('leaves contrast alone on a flat scene and stays in range', () => {
+        const { brightness, contrast } = settle(flat(GBC_WIDTH, GBC_HEIGHT, 0));
+        assert.equal(contrast, 1.2);
+        assert.ok(brightness <= 0.5);
+    });
+});
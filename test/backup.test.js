@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildBackup, parseBackup, BACKUP_FORMAT } from '../src/backup.js';
+import { createZip, readZip } from '../src/zip.js';
+import { memoryStorage } from './helpers.js';
+
+memoryStorage();
+
+function photo(id, seed, extra = {}) {
+    return {
+        id,
+        timestamp: 1700000000000 + seed,
+        roll: 'roll_1',
+        palette: 'classic',
+        settings: { contrast: 1.2, dither: 'bayer' },
+        width: 128,
+        height: 112,
+        shades: Uint8Array.from({ length: 128 * 112 }, (_, i) => (i * seed + (i >> 7)) % 4),
+        ...extra,
+    };
+}
+
+async function manifestOf(bytes) {
+    const entries = await readZip(bytes);
+    return JSON.parse(new TextDecoder().decode(entries.find((e) => e.name === 'manifest.json').data));
+}
+
+describe('backup', () => {
+    test('round-trips shades and metadata', async () => {
+        const photos = [
+            photo('photo_a', 3, { favorite: true }),
+            photo('photo_b', 5, { palette: 'gone_custom', roll: 'roll_x' }),
+        ];
+        const bytes = await buildBackup(photos, [{ id: 'roll_1', name: 'CART 1' }, { id: 'roll_x', name: 'Trip' }]);
+        const manifest = await manifestOf(bytes);
+        assert.equal(manifest.format, BACKUP_FORMAT);
+        assert.equal(manifest.photos[0].file, 'photos/photo_a.png');
+
+        const restored = await parseBackup(bytes);
+        assert.deepEqual(restored.skipped, []);
+        assert.deepEqual(restored.malformed, []);
+        assert.deepEqual(restored.rolls.map((r) => r.name), ['CART 1', 'Trip']);
+        photos.forEach((original, i) => {
+            const { shades, ...meta } = restored.photos[i];
+            assert.deepEqual(shades, original.shades);
+            assert.equal(meta.id, original.id);
+            assert.equal(meta.timestamp, original.timestamp);
+            assert.equal(meta.roll, original.roll);
+            assert.equal(meta.palette, original.palette);
+            assert.equal(meta.favorite, Boolean(original.favorite));
+            assert.deepEqual(meta.settings, original.settings);
+        });
+    });
+
+    test('keeps videos with their poster', async () => {
+        const video = new Blob([Uint8Array.of(0x1a, 0x45, 0xdf, 0xa3)], { type: 'video/webm' });
+        const bytes = await buildBackup([photo('video_a', 7, { type: 'video', video, duration: 2.5 })], []);
+        const [restored] = (await parseBackup(bytes)).photos;
+        assert.equal(restored.type, 'video');
+        assert.equal(restored.duration, 2.5);
+        assert.deepEqual(new Uint8Array(await restored.video.arrayBuffer()), Uint8Array.of(0x1a, 0x45, 0xdf, 0xa3));
+    });
+
+    test('keeps hot spots, dropping broken ones', async () => {
+        const hotspots = [{ x: 10, y: 20, width: 30, height: 40, target: 'photo_b' }];
+        const bytes = await buildBackup([photo('photo_a', 3, { hotspots }), photo('photo_b', 5)], []);
+        const manifest = await manifestOf(bytes);
+        assert.equal('hotspots' in manifest.photos[1], false);
+        manifest.photos[0].hotspots.push({ x: 1, y: 1, width: 'wide', height: 9, target: 'photo_b' }, { x: 120, y: 0, width: 50, height: 10, target: 'photo_c' });
+        const entries = (await readZip(bytes)).map((e) => (e.name === 'manifest.json' ? { ...e, data: JSON.stringify(manifest) } : e));
+
+        const [a, b] = (await parseBackup(await createZip(entries))).photos;
+        assert.deepEqual(a.hotspots, [...hotspots, { x: 120, y: 0, width: 8, height: 10, target: 'photo_c' }]);
+        assert.equal(b.hotspots, undefined);
+    });
+
+    test('skips photos already in the gallery or listed twice', async () => {
+        const bytes = await buildBackup([photo('photo_a', 3), photo('photo_b', 5)], []);
+        const manifest = await manifestOf(bytes);
+        manifest.photos.push(manifest.photos[1]);
+        const entries = (await readZip(bytes)).map((e) => (e.name === 'manifest.json' ? { ...e, data: JSON.stringify(manifest) } : e));
+
+        const result = await parseBackup(await createZip(entries), { exists: (id) => id === 'photo_a' });
+        assert.deepEqual(result.photos.map((p) => p.id), ['photo_b']);
+        assert.deepEqual(result.skipped, [
+            { entry: 'photo_a', reason: 'already in the gallery' },
+            { entry: 'photo_b', reason: 'listed twice' },
+        ]);
+    });
+
+    test('reports malformed entries and keeps the rest', async () => {
+        const bytes = await buildBackup([photo('photo_a', 3), photo('photo_b', 5), photo('photo_c', 9)], []);
+        const manifest = await manifestOf(bytes);
+        delete manifest.photos[1].timestamp;
+        manifest.photos[2].width = 160;
+        const entries = (await readZip(bytes))
+            .filter((e) => e.name !== 'photos/photo_a.png')
+            .map((e) => (e.name === 'manifest.json' ? { ...e, data: JSON.stringify(manifest) } : e));
+        entries.push({ name: 'notes.txt', data: 'hello' });
+
+        const result = await parseBackup(await createZip(entries));
+        assert.deepEqual(result.photos, []);
+        assert.deepEqual(result.malformed, [
+            { entry: 'photo_a', reason: 'photos/photo_a.png is missing' },
+            { entry: 'photo_b', reason: 'no timestamp' },
+            { entry: 'photo_c', reason: 'photos/photo_c.png is 128×112, not 160×112' },
+        ]);
+        assert.deepEqual(result.skipped, [{ entry: 'notes.txt', reason: 'not listed in the manifest' }]);
+    });
+
+    test('rejects archives that are not backups', async () => {
+        await assert.rejects(parseBackup(await createZip([{ name: 'a.txt', data: 'hi' }])), /no manifest\.json/);
+        const other = await createZip([{ name: 'manifest.json', data: '{"format":"something-else","photos":[]}' }]);
+        await assert.rejects(parseBackup(other), /Not a ca_mera backup/);
+        const newer = await createZip([{ name: 'manifest.json', data: `{"format":"${BACKUP_FORMAT}","version":99,"photos":[]}` }]);
+        await assert.rejects(parseBackup(newer), /newer version/);
+    });
+});
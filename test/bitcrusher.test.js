@@ -0,0 +1,36 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bitcrush } from '../src/bitcrusher.js';
+
+const ramp = (length) => Float32Array.from({ length }, (_, i) => i / length);
+
+describe('bitcrush', () => {
+    test('holds each crushed sample for sampleRate / rate samples', () => {
+        const output = new Float32Array(12);
+        bitcrush(ramp(12), output, {}, { sampleRate: 48000, rate: 8000, bits: 16 });
+        assert.equal(new Set(output.subarray(0, 6)).size, 1);
+        assert.equal(new Set(output.subarray(6, 12)).size, 1);
+        assert.notEqual(output[5], output[6]);
+    });
+
+    test('rounds to the bit depth and clips', () => {
+        const input = Float32Array.from([0.1, 0.2, -0.33, 1.5, -2]);
+        const output = new Float32Array(input.length);
+        bitcrush(input, output, {}, { sampleRate: 8000, rate: 8000, bits: 3 });
+        assert.deepEqual([...output], [0, 0.25, -0.25, 1, -1]);
+    });
+
+    test('carries the held sample across blocks', () => {
+        const input = ramp(48);
+        const whole = new Float32Array(48);
+        bitcrush(input, whole, {}, { sampleRate: 44100, rate: 11025 });
+
+        const state = {};
+        const blocks = new Float32Array(48);
+        for (let i = 0; i < 48; i += 10) {
+            bitcrush(input.subarray(i, i + 10), blocks.subarray(i, i + 10), state, { sampleRate: 44100, rate: 11025 });
+        }
+        assert.deepEqual(blocks, whole);
+    });
+});
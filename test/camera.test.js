@@ -0,0 +1,125 @@
+import { describe, test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Camera, CameraError, cameraErrorReason, trackControls, cropRect } from '../src/camera.js';
+import { memoryStorage } from './helpers.js';
+
+const storage = memoryStorage();
+
+/**
+ * Fake mediaDevices: `cameras` are device IDs, and getUserMedia fails with
+ * `fail` (an error name) when set
+ */
+const media = { cameras: [], fail: null, requests: [] };
+Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    value: {
+        mediaDevices: {
+            addEventListener() {},
+            async enumerateDevices() {
+                return media.cameras.map((deviceId) => ({ kind: 'videoinput', deviceId, label: '' }));
+            },
+            async getUserMedia(constraints) {
+                media.requests.push(constraints.video);
+                const wanted = constraints.video.deviceId?.exact;
+                const error = (name) => Object.assign(new Error(name), { name });
+                if (media.fail) throw error(media.fail);
+                if (wanted && !media.cameras.includes(wanted)) throw error('OverconstrainedError');
+                const deviceId = wanted ?? media.cameras[0];
+                const track = { stop() {}, addEventListener() {}, getSettings: () => ({ deviceId }) };
+                return { getTracks: () => [track], getVideoTracks: () => [track] };
+            },
+        },
+    },
+});
+
+const video = () => ({ srcObject: null, play: async () => {} });
+
+// Start failures are logged; keep the test output clean
+mock.method(console, 'error', () => {});
+
+beforeEach(() => {
+    storage.clear();
+    Object.assign(media, { cameras: ['front', 'back'], fail: null, requests: [] });
+});
+
+describe('cameraErrorReason', () => {
+    test('tells denied, missing and busy cameras apart', () => {
+        assert.equal(cameraErrorReason({ name: 'NotAllowedError' }), 'denied');
+        assert.equal(cameraErrorReason({ name: 'NotFoundError' }), 'notFound');
+        assert.equal(cameraErrorReason({ name: 'NotReadableError' }), 'inUse');
+        assert.equal(cameraErrorReason({ name: 'TypeError' }), 'unknown');
+    });
+});
+
+describe('trackControls', () => {
+    test('offers only what the track supports', () => {
+        assert.deepEqual(trackControls(), { zoom: null, torch: null, focus: null });
+
+        const capabilities = {
+            zoom: { min: 1, max: 4, step: 0.5 },
+            torch: true,
+            focusMode: ['continuous', 'manual', 'single-shot'],
+            focusDistance: { min: 0, max: 1, step: 0.1 },
+        };
+        const controls = trackControls(capabilities, { zoom: 2, focusMode: 'manual', focusDistance: 0.3 });
+        assert.deepEqual(controls.zoom, { min: 1, max: 4, step: 0.5, value: 2 });
+        assert.deepEqual(controls.torch, { value: false });
+        assert.deepEqual(controls.focus.modes, ['continuous', 'manual']);
+        assert.equal(controls.focus.distance.value, 0.3);
+    });
+
+    test('ignores a zoom range with nowhere to go', () => {
+        assert.equal(trackControls({ zoom: { min: 1, max: 1 } }).zoom, null);
+    });
+});
+
+describe('Camera', () => {
+    test('remembers the chosen device and resolution', async () => {
+        const camera = new Camera(video());
+        await camera.selectDevice('back');
+        await camera.setResolution('hd');
+
+        const next = new Camera(video());
+        await next.start();
+        assert.deepEqual(media.requests.at(-1), { deviceId: { exact: 'back' }, width: { ideal: 1280 }, height: { ideal: 720 } });
+        assert.equal(next.activeDeviceId, 'back');
+    });
+
+    test('falls back to the default camera when the remembered one is gone', async () => {
+        await new Camera(video()).selectDevice('usb');
+        assert.equal(media.requests.at(-1).facingMode, 'environment');
+
+        const next = new Camera(video());
+        assert.equal(next.deviceId, null);
+    });
+
+    test('lists cameras with fallback labels', async () => {
+        assert.deepEqual(await new Camera(video()).listDevices(), [
+            { deviceId: 'front', label: 'Camera 1' },
+            { deviceId: 'back', label: 'Camera 2' },
+        ]);
+    });
+
+    test('start rejects with the reason', async () => {
+        media.fail = 'NotAllowedError';
+        await assert.rejects(new Camera(video()).start(), (err) => err instanceof CameraError && err.reason === 'denied');
+        media.fail = 'NotReadableError';
+        await assert.rejects(new Camera(video()).start(), { reason: 'inUse' });
+    });
+
+    test('recover reports through onError', async () => {
+        const errors = [];
+        const camera = new Camera(video(), { onError: (err) => errors.push(err.reason) });
+        media.fail = 'NotFoundError';
+        await camera.recover();
+        assert.deepEqual(errors, ['notFound']);
+    });
+});
+
+describe('cropRect', () => {
+    test('keeps the largest centered 8:7 region', () => {
+        assert.deepEqual(cropRect(640, 480), { x: 46, y: 0, width: 549, height: 480 });
+        assert.deepEqual(cropRect(480, 640), { x: 0, y: 110, width: 480, height: 420 });
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CaptureScheduler } from '../src/captureModes.js';
+
+/**
+ * Timers that only move when told to. `advance` fires whatever falls due,
+ * letting pending saves settle after each one.
+ */
+function fakeTimers() {
+    let now = 0;
+    let nextId = 1;
+    const pending = new Map();
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+    return {
+        setTimeout(fn, ms) {
+            pending.set(nextId, { at: now + ms, fn });
+            return nextId++;
+        },
+        clearTimeout(id) {
+            pending.delete(id);
+        },
+        get now() {
+            return now;
+        },
+        get pending() {
+            return pending.size;
+        },
+        async advance(ms) {
+            const end = now + ms;
+            await settle();
+            for (;;) {
+                const [id, due] = [...pending].sort((a, b) => a[1].at - b[1].at)[0] ?? [];
+                if (!due || due.at > end) break;
+                pending.delete(id);
+                now = due.at;
+                due.fn();
+                await settle();
+            }
+            now = end;
+        },
+    };
+}
+
+/**
+ * A scheduler on fake timers, with a stub camera handing out numbered
+ * frames and a save that records when it ran
+ */
+function setup({ save, frames = Infinity } = {}) {
+    const timers = fakeTimers();
+    const log = { ticks: [], saves: [], done: [] };
+    let frame = 0;
+    const camera = { captureFrame: () => (frame < frames ? { frame: frame++ } : null) };
+
+    const scheduler = new CaptureScheduler({
+        camera,
+        save: save ?? ((f) => {
+            log.saves.push(f.frame);
+            return `photo_${f.frame}`;
+        }),
+        onTick: (state) => log.ticks.push(state),
+        onDone: (results, mode, error) => log.done.push({ results, mode, error }),
+        timers,
+    });
+    return { scheduler, timers, log };
+}
+
+describe('CaptureScheduler', () => {
+    test('counts the self-timer down, then shoots once', async () => {
+        const { scheduler, timers, log } = setup();
+        scheduler.start('timer', { timerSeconds: 3 });
+        assert.deepEqual(log.ticks.map((t) => t.remaining), [3]);
+
+        await timers.advance(2000);
+        assert.deepEqual(log.ticks.map((t) => t.remaining), [3, 2, 1]);
+        assert.deepEqual(log.saves, []);
+
+        await timers.advance(1000);
+        assert.deepEqual(log.saves, [0]);
+        assert.deepEqual(log.done, [{ results: ['photo_0'], mode: 'timer', error: null }]);
+        assert.equal(scheduler.running, false);
+    });
+
+    test('shoots a burst of the chosen count and interval', async () => {
+        const times = [];
+        const { scheduler, timers, log } = setup();
+        scheduler.save = (f) => {
+            times.push(timers.now);
+            return `photo_${f.frame}`;
+        };
+        scheduler.start('burst', { burstCount: 4, burstInterval: 250 });
+        await timers.advance(1000);
+
+        assert.deepEqual(times, [0, 250, 500, 750]);
+        assert.deepEqual(log.done.map((d) => d.results), [['photo_0', 'photo_1', 'photo_2', 'photo_3']]);
+        assert.equal(timers.pending, 0);
+    });
+
+    test('runs a time-lapse until stopped or out of shots', async () => {
+        const { scheduler, timers, log } = setup();
+        scheduler.start('timelapse', { timelapseInterval: 10000, maxShots: 30 });
+        await timers.advance(25000);
+        assert.deepEqual(log.saves, [0, 1, 2]);
+
+        scheduler.stop();
+        await timers.advance(60000);
+        assert.deepEqual(log.saves, [0, 1, 2]);
+        assert.deepEqual(log.done, [{ results: ['photo_0', 'photo_1', 'photo_2'], mode: 'timelapse', error: null }]);
+
+        scheduler.start('timelapse', { timelapseInterval: 1000, maxShots: 2 });
+        await timers.advance(5000);
+        assert.deepEqual(log.done[1].results, ['photo_3', 'photo_4']);
+        assert.equal(scheduler.running, false);
+    });
+
+    test('skips shots with no frame', async () => {
+        const { scheduler, timers, log } = setup({ frames: 1 });
+        scheduler.start('burst', { burstCount: 3, burstInterval: 100 });
+        await timers.advance(500);
+        assert.deepEqual(log.done[0].results, ['photo_0']);
+    });
+
+    test('drops a save still in flight when stopped', async () => {
+        let resolveSave;
+        const { scheduler, timers, log } = setup({ save: () => new Promise((resolve) => { resolveSave = resolve; }) });
+        scheduler.start('burst', { burstCount: 4, burstInterval: 250 });
+        scheduler.stop();
+        assert.deepEqual(log.done, [{ results: [], mode: 'burst', error: null }]);
+
+        resolveSave('photo_late');
+        await timers.advance(1000);
+        assert.equal(log.done.length, 1);
+        assert.deepEqual(log.ticks, []);
+        assert.equal(scheduler.running, false);
+    });
+
+    test('ends the run when a save fails', async () => {
+        const full = new Error('CART 1 is full.');
+        let saves = 0;
+        const { scheduler, timers, log } = setup({
+            save: async () => {
+                saves++;
+                if (saves === 2) throw full;
+                return `photo_${saves}`;
+            },
+        });
+        scheduler.start('burst', { burstCount: 4, burstInterval: 250 });
+        await timers.advance(1000);
+
+        assert.equal(saves, 2);
+        assert.deepEqual(log.done, [{ results: ['photo_1'], mode: 'burst', error: full }]);
+        assert.equal(scheduler.running, false);
+        assert.equal(timers.pending, 0);
+    });
+
+    test('rejects unknown modes', () => {
+        assert.throws(() => setup().scheduler.start('hyperlapse'), /Unknown capture mode: hyperlapse/);
+    });
+});
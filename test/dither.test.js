@@ -0,0 +1,53 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dither, DITHERS, normalizeThresholds } from '../src/dither.js';
+import { flat, gradient, shadeRows } from './helpers.js';
+
+const mean = (shades) => shades.reduce((sum, s) => sum + s, 0) / shades.length;
+
+describe('dither', () => {
+    for (const method of Object.keys(DITHERS)) {
+        test(`${method}: flat black and white stay solid`, () => {
+            assert.ok(dither(flat(16, 16, 0), { method }).every((s) => s === 0));
+            assert.ok(dither(flat(16, 16, 255), { method }).every((s) => s === 3));
+        });
+
+        test(`${method}: average shade tracks the gray level`, () => {
+            // Gray 0.5 sits halfway between shades 1 and 2
+            const shades = dither(flat(32, 32, 128), { method });
+            assert.ok(Math.abs(mean(shades) - 1.5) < 0.1, `mean shade ${mean(shades)}`);
+        });
+    }
+
+    test('spread 0 is plain quantization against the thresholds', () => {
+        const shades = dither(gradient(8, 1), { method: 'bayer4', spread: 0 });
+        // Levels 0, 36, 73, 109, 146, 182, 219, 255
+        assert.deepEqual(shadeRows(shades, 8), ['00112233']);
+    });
+
+    test('ordered dithering tiles its matrix', () => {
+        const shades = dither(flat(8, 8, 100), { method: 'bayer2' });
+        const rows = shadeRows(shades, 8);
+        for (const row of rows) assert.equal(row.slice(0, 2).repeat(4), row);
+        assert.equal(rows[0], rows[2]);
+        assert.equal(rows[1], rows[3]);
+    });
+
+    test('shifting a threshold moves the shade boundary', () => {
+        const shades = dither(flat(4, 1, 100), { method: 'bayer4', spread: 0, thresholds: [0.25, 0.35, 0.75] });
+        assert.deepEqual(shadeRows(shades, 4), ['2222']);
+    });
+
+    test('an unknown method throws', () => {
+        assert.throws(() => dither(flat(2, 2, 0), { method: 'nope' }), /Unknown dither: nope/);
+    });
+});
+
+describe('normalizeThresholds', () => {
+    test('sorts, clamps and fills in missing values', () => {
+        assert.deepEqual(normalizeThresholds([0.9, -1, 0.5]), [0, 0.5, 0.9]);
+        assert.deepEqual(normalizeThresholds([0.1]), [0.1, 0.5, 0.75]);
+        assert.deepEqual(normalizeThresholds(), [0.25, 0.5, 0.75]);
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    FRAMES, FRAME_WIDTH, FRAME_HEIGHT, frameShades, frameFromImage, findWindow, quantizeShades,
+    getFrames, getFrame, saveCustomFrame, deleteCustomFrame,
+} from '../src/frames.js';
+import { GBC_WIDTH, GBC_HEIGHT, createImageData } from '../src/gbcProcessor.js';
+import { grayImage, memoryStorage } from './helpers.js';
+
+memoryStorage();
+
+const photo = Uint8Array.from({ length: GBC_WIDTH * GBC_HEIGHT }, (_, i) => i % 4);
+
+/**
+ * 160×144 frame art: dark border with a mid-gray line, and a window at (x, y)
+ * holding `inside(x, y)`
+ */
+const frameImage = (wx, wy, inside = () => 255, scale = 1) => grayImage(FRAME_WIDTH * scale, FRAME_HEIGHT * scale, (px, py) => {
+    const x = Math.floor(px / scale);
+    const y = Math.floor(py / scale);
+    const inWindow = x >= wx && x < wx + GBC_WIDTH && y >= wy && y < wy + GBC_HEIGHT;
+    if (inWindow) return inside(x - wx, y - wy);
+    return (x + y) % 16 === 0 ? 128 : 0;
+});
+
+describe('built-in frames', () => {
+    test('are full 20×18 tile maps of 8×8 tiles', () => {
+        for (const [key, frame] of Object.entries(FRAMES)) {
+            assert.equal(frame.map.length, 20 * 18, key);
+            assert.ok(frame.tiles.every((t) => t.length === 64 && t.every((s) => s <= 3)), key);
+            assert.ok(Math.max(...frame.map) < frame.tiles.length, key);
+        }
+    });
+
+    test('put the photo in the 128×112 window at (16, 16)', () => {
+        const framed = frameShades(photo, FRAMES.classic);
+        assert.equal(framed.length, FRAME_WIDTH * FRAME_HEIGHT);
+        for (let y = 0; y < GBC_HEIGHT; y++) {
+            assert.deepEqual(
+                framed.subarray((16 + y) * FRAME_WIDTH + 16, (16 + y) * FRAME_WIDTH + 16 + GBC_WIDTH),
+                photo.subarray(y * GBC_WIDTH, (y + 1) * GBC_WIDTH),
+            );
+        }
+        // Dark border, light outline one pixel in from the window
+        assert.equal(framed[0], 0);
+        assert.equal(framed[14 * FRAME_WIDTH + 80], 3);
+        assert.equal(framed[15 * FRAME_WIDTH + 80], 0);
+    });
+
+    test('paper is classic with the shades flipped', () => {
+        const blank = new Uint8Array(GBC_WIDTH * GBC_HEIGHT);
+        const classic = frameShades(blank, FRAMES.classic);
+        const paper = frameShades(blank, FRAMES.paper);
+        assert.equal(paper[0], 3 - classic[0]);
+        assert.equal(paper[14 * FRAME_WIDTH + 80], 3 - classic[14 * FRAME_WIDTH + 80]);
+    });
+});
+
+describe('quantizeShades', () => {
+    test('keeps the tone order of 4-color art', () => {
+        const image = createImageData(4, 1);
+        // GB greens, lightest first
+        [[155, 188, 15], [139, 172, 15], [48, 98, 48], [15, 56, 15]].forEach((c, i) => image.data.set([...c, 255], i * 4));
+        assert.deepEqual([...quantizeShades(image)], [3, 2, 1, 0]);
+    });
+
+    test('spreads 2-color art to black and white', () => {
+        const image = grayImage(2, 1, (x) => (x ? 200 : 90));
+        assert.deepEqual([...quantizeShades(image)], [0, 3]);
+    });
+
+    test('bands anything else by luminance', () => {
+        const image = grayImage(5, 1, (x) => [10, 70, 140, 200, 250][x]);
+        assert.deepEqual([...quantizeShades(image)], [0, 1, 2, 3, 3]);
+    });
+});
+
+describe('findWindow', () => {
+    test('finds a blank window anywhere in the frame', () => {
+        for (const [x, y] of [[16, 16], [8, 24], [31, 1]]) {
+            assert.deepEqual(findWindow(quantizeShades(frameImage(x, y))), { x, y });
+        }
+    });
+
+    test('finds a window holding a sample photo', () => {
+        const image = frameImage(20, 12, (x, y) => ((x >> 3) + (y >> 3)) % 2 ? 220 : 60);
+        assert.deepEqual(findWindow(quantizeShades(image)), { x: 20, y: 12 });
+    });
+
+    test('prefers a transparent hole', () => {
+        const alpha = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT).fill(255);
+        for (let y = 10; y < 10 + GBC_HEIGHT; y++) alpha.fill(0, y * FRAME_WIDTH + 4, y * FRAME_WIDTH + 4 + GBC_WIDTH);
+        alpha[0] = 0; // a stray clear corner pixel doesn't matter
+        const flatArt = new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT);
+        assert.deepEqual(findWindow(flatArt, alpha), { x: 4, y: 10 });
+    });
+
+    test('gives up on art with no window', () => {
+        assert.equal(findWindow(new Uint8Array(FRAME_WIDTH * FRAME_HEIGHT)), null);
+    });
+});
+
+describe('frameFromImage', () => {
+    test('tiles the art, dedupes tiles and finds the window', () => {
+        const frame = frameFromImage(frameImage(16, 16), 'Lines');
+        assert.deepEqual(frame.window, { x: 16, y: 16 });
+        assert.ok(frame.tiles.length < 360);
+
+        // Re-rendering reproduces the art around the photo
+        const art = quantizeShades(frameImage(16, 16));
+        const framed = frameShades(photo, frame);
+        assert.equal(framed[0], art[0]);
+        assert.equal(framed[5 * FRAME_WIDTH + 11], art[5 * FRAME_WIDTH + 11]);
+        assert.equal(framed[16 * FRAME_WIDTH + 16], photo[0]);
+    });
+
+    test('accepts whole-number multiples of 160×144', () => {
+        const frame = frameFromImage(frameImage(12, 20, () => 255, 3), 'Big');
+        assert.deepEqual(frame.window, { x: 12, y: 20 });
+    });
+
+    test('rejects other sizes', () => {
+        assert.throws(() => frameFromImage(grayImage(128, 112, () => 0), 'x'), /must be 160×144.*128×112/);
+    });
+});
+
+describe('custom frames', () => {
+    beforeEach(() => {
+        getFrames().filter((f) => f.custom).forEach((f) => deleteCustomFrame(f.key));
+    });
+
+    test('save, load and delete', () => {
+        const imported = frameFromImage(frameImage(8, 8), 'Mine');
+        const key = saveCustomFrame(imported);
+        const frame = getFrame(key);
+        assert.equal(frame.name, 'Mine');
+        assert.ok(frame.custom);
+        assert.deepEqual(frameShades(photo, frame), frameShades(photo, imported));
+
+        deleteCustomFrame(key);
+        assert.equal(getFrame(key), null);
+    });
+
+    test('built-ins come first', () => {
+        saveCustomFrame(frameFromImage(frameImage(16, 16), 'Mine'));
+        const keys = getFrames().map((f) => f.key);
+        assert.deepEqual(keys.slice(0, Object.keys(FRAMES).length), Object.keys(FRAMES));
+        assert.equal(keys.length, Object.keys(FRAMES).length + 1);
+    });
+});
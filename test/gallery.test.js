@@ -0,0 +1,203 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    migrateLegacyPhotos, savePhoto, getPhoto, getPhotos, countPhotos, setFavorite, movePhotos, restorePhoto,
+    setHotspots, deletePhoto, RollFullError, MAX_PHOTOS,
+} from '../src/gallery.js';
+import { memoryStorage, memoryIndexedDB } from './helpers.js';
+
+const storage = memoryStorage();
+const idb = memoryIndexedDB();
+
+/**
+ * Just enough of an IDBDatabase for one readwrite transaction: records
+ * put end up in `records`, and the transaction completes right after
+ */
+function fakeDb() {
+    const records = [];
+    return {
+        records,
+        transaction() {
+            const tx = { objectStore: () => ({ put: (record) => records.push(record) }) };
+            setTimeout(() => tx.oncomplete());
+            return tx;
+        },
+    };
+}
+
+const legacyPhoto = (id, dataUrl) => ({ id, timestamp: 1600000000000, palette: 'classic', dataUrl });
+
+// Stands in for the canvas decode, which Node hasn't got
+async function decode(dataUrl) {
+    if (dataUrl === 'broken') throw new Error('Unable to decode image');
+    return new Uint8Array(128 * 112).fill(2);
+}
+
+describe('legacy migration', () => {
+    test('moves readable photos over and drops the old entry', async () => {
+        storage.setItem('ca_mera_photos', JSON.stringify([legacyPhoto('p1', 'ok'), legacyPhoto('p2', 'ok')]));
+        const db = fakeDb();
+        await migrateLegacyPhotos(db, decode);
+        assert.deepEqual(db.records.map((r) => r.id), ['p1', 'p2']);
+        assert.equal(db.records[0].roll, 'roll_1');
+        assert.equal(storage.getItem('ca_mera_photos'), null);
+    });
+
+    test('keeps photos it could not read', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const broken = legacyPhoto('p2', 'broken');
+        storage.setItem('ca_mera_photos', JSON.stringify([legacyPhoto('p1', 'ok'), broken, legacyPhoto('p3', 'ok')]));
+        const db = fakeDb();
+        await migrateLegacyPhotos(db, decode);
+        assert.deepEqual(db.records.map((r) => r.id), ['p1', 'p3']);
+        assert.deepEqual(JSON.parse(storage.getItem('ca_mera_photos')), [broken]);
+
+        // Still there on the next start, and gone once it can be read
+        await migrateLegacyPhotos(fakeDb(), decode);
+        assert.deepEqual(JSON.parse(storage.getItem('ca_mera_photos')), [broken]);
+        const retry = fakeDb();
+        await migrateLegacyPhotos(retry, async () => new Uint8Array(128 * 112));
+        assert.deepEqual(retry.records.map((r) => r.id), ['p2']);
+        assert.equal(storage.getItem('ca_mera_photos'), null);
+    });
+
+    test('leaves storage alone when there is nothing to migrate', async () => {
+        storage.setItem('ca_mera_photos', '{not json');
+        const db = fakeDb();
+        await migrateLegacyPhotos(db, decode);
+        assert.deepEqual(db.records, []);
+        assert.equal(storage.getItem('ca_mera_photos'), '{not json');
+    });
+});
+
+describe('photo store', () => {
+    beforeEach(() => {
+        storage.removeItem('ca_mera_photos');
+        idb.clear();
+    });
+
+    const photo = (timestamp, roll = 'roll_1') => savePhoto(new Uint8Array(128 * 112), 'classic', {}, { timestamp, roll });
+
+    test('packs shades four pixels to a byte, and back', async () => {
+        // 7×3: 21 pixels, so the last byte is only partly used
+        const shades = Uint8Array.from({ length: 21 }, (_, i) => [0, 1, 2, 3, 3, 2][i % 6]);
+        const id = await savePhoto(shades, 'classic', {}, { timestamp: 1, width: 7, height: 3, roll: 'roll_1' });
+
+        const [record] = idb.records('photos');
+        assert.deepEqual(record.shades, Uint8Array.from([0x1b, 0xe1, 0xbe, 0x1b, 0xe1, 0x80]));
+        const saved = await getPhoto(id);
+        assert.deepEqual([saved.width, saved.height], [7, 3]);
+        assert.deepEqual(saved.shades, shades);
+    });
+
+    test('round-trips every shade at every position in a byte', async () => {
+        const shades = Uint8Array.from({ length: 128 * 112 }, (_, i) => (i * 7 + (i >> 4)) % 4);
+        assert.deepEqual((await getPhoto(await savePhoto(shades, 'classic', {}, { timestamp: 1, roll: 'roll_1' }))).shades, shades);
+    });
+
+    test('pages through photos newest first', async () => {
+        for (let t = 1; t <= 5; t++) await photo(t, t % 2 ? 'roll_1' : 'roll_2');
+        const page = async (options) => (await getPhotos(options)).map((p) => p.timestamp);
+
+        assert.deepEqual(await page({ limit: 2 }), [5, 4]);
+        assert.deepEqual(await page({ offset: 2, limit: 2 }), [3, 2]);
+        assert.deepEqual(await page({ offset: 4, limit: 2 }), [1]);
+        assert.deepEqual(await page({ offset: 5 }), []);
+
+        assert.deepEqual(await page({ roll: 'roll_1' }), [5, 3, 1]);
+        assert.deepEqual(await page({ roll: 'roll_1', offset: 1, limit: 1 }), [3]);
+        assert.deepEqual(await page({ roll: 'roll_2', offset: 1 }), [2]);
+    });
+
+    /**
+     * Fill a roll with MAX_PHOTOS photos, timestamps start…, favoriting the
+     * oldest `favorites`
+     * @returns {Promise<string[]>} IDs, oldest first
+     */
+    async function fillRoll(roll, { start = 1, favorites = 0 } = {}) {
+        const ids = [];
+        for (let i = 0; i < MAX_PHOTOS; i++) ids.push(await photo(start + i, roll));
+        if (favorites) await setFavorite(ids.slice(0, favorites), true);
+        return ids;
+    }
+
+    const rollIds = async (roll) => (await getPhotos({ roll, limit: Infinity })).map((p) => p.id).reverse();
+
+    test('a full roll drops its oldest photos that aren\'t favorites', async () => {
+        const ids = await fillRoll('roll_1', { favorites: 2 });
+        await photo(100, 'roll_2');
+
+        const id = await photo(101, 'roll_1');
+        assert.deepEqual(await rollIds('roll_1'), [ids[0], ids[1], ...ids.slice(3), id]);
+        assert.equal(await countPhotos({ roll: 'roll_2' }), 1);
+    });
+
+    test('a roll full of favorites takes nothing more', async () => {
+        const ids = await fillRoll('roll_1', { favorites: MAX_PHOTOS });
+        await assert.rejects(photo(101, 'roll_1'), (err) => err instanceof RollFullError && err.roll === 'roll_1');
+        assert.deepEqual(await rollIds('roll_1'), ids);
+        assert.equal(idb.records('photos').length, MAX_PHOTOS);
+    });
+
+    test('moving photos is all or nothing', async () => {
+        await fillRoll('roll_2');
+        await movePhotos([(await rollIds('roll_2'))[0]], 'roll_3');
+        const moving = [await photo(101, 'roll_1'), await photo(102, 'roll_1')];
+
+        // One spot left on roll_2, and two photos to move
+        await assert.rejects(movePhotos(moving, 'roll_2'), (err) => err instanceof RollFullError && err.roll === 'roll_2');
+        assert.deepEqual(await rollIds('roll_1'), moving);
+        assert.equal(await countPhotos({ roll: 'roll_2' }), MAX_PHOTOS - 1);
+
+        await movePhotos(moving.slice(1), 'roll_2');
+        assert.deepEqual(await rollIds('roll_1'), moving.slice(0, 1));
+        assert.equal(await countPhotos({ roll: 'roll_2' }), MAX_PHOTOS);
+    });
+
+    test('restoring puts a photo back as it was, but never onto a full roll', async () => {
+        const backup = { ...(await getPhoto(await photo(50, 'roll_2'))), favorite: true };
+        idb.clear();
+
+        await fillRoll('roll_2');
+        await assert.rejects(restorePhoto(backup), (err) => err instanceof RollFullError && err.roll === 'roll_2');
+        assert.equal(await getPhoto(backup.id), null);
+        assert.equal(idb.records('photos').length, MAX_PHOTOS);
+
+        await restorePhoto({ ...backup, roll: 'roll_3' });
+        const restored = await getPhoto(backup.id);
+        assert.equal(restored.roll, 'roll_3');
+        assert.equal(restored.favorite, true);
+        assert.deepEqual(restored.shades, backup.shades);
+    });
+
+    const spot = (target, x = 0) => ({ x, y: 0, width: 8, height: 8, target });
+    const stored = (id) => idb.records('photos').find((r) => r.id === id);
+
+    test('deleting a photo unlinks the hot spots pointing at it', async () => {
+        const [a, b, c] = [await photo(1), await photo(2), await photo(3)];
+        await setHotspots(a, [spot(b), spot(c, 16), spot(b, 32)]);
+        assert.deepEqual(stored(a).links, [b, c]);
+
+        await deletePhoto(b);
+        assert.deepEqual(stored(a).hotspots, [spot(c, 16)]);
+        assert.deepEqual(stored(a).links, [c]);
+
+        // The rebuilt index entry still finds it for the next target
+        await deletePhoto(c);
+        assert.deepEqual(stored(a).hotspots, []);
+        assert.deepEqual(stored(a).links, []);
+        assert.deepEqual(idb.records('photos').map((r) => r.id), [a]);
+    });
+
+    test('a photo dropped from a full roll is unlinked too', async () => {
+        const ids = await fillRoll('roll_1');
+        const linking = await photo(100, 'roll_2');
+        await setHotspots(linking, [spot(ids[0]), spot(ids[1])]);
+
+        await photo(101, 'roll_1');
+        assert.equal(await getPhoto(ids[0]), null);
+        assert.deepEqual(stored(linking).hotspots, [spot(ids[1])]);
+        assert.deepEqual(stored(linking).links, [ids[1]]);
+    });
+});
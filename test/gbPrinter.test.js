@@ -0,0 +1,179 @@
+/**
+ * Printer protocol tests against hex dumps in test/fixtures/printer/, laid
+ * out like the Arduino Game Boy Printer Emulator's logs: one packet per line
+ * followed by the printer's two response bytes, plus comment and JSON lines.
+ * They were written to the protocol by a separate one-off script rather than
+ * captured from hardware; gbp-decode decompresses their DATA packets to the
+ * same bytes.
+ *
+ * camera.txt      a Game Boy Camera print: 160×144, nine uncompressed
+ *                 DATA packets with INQUIRY polls between them
+ * compressed.txt  160×32 in two RLE packets, palette 0x1B, exposure 0x7F,
+ *                 after noise, an aborted job (BREAK) and before a packet
+ *                 with a bad checksum
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    COMMAND, PRINTER_WIDTH, compressRle, decompressRle, encodePacket, parsePackets, encodePrintJob,
+    runPrinter, printoutToShades, parseHexDump, formatHexDump,
+} from '../src/gbPrinter.js';
+import { GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+
+const dump = (name) => readFileSync(new URL(`./fixtures/printer/${name}.txt`, import.meta.url), 'utf8');
+
+const grid = (width, height, fn) => Uint8Array.from({ length: width * height }, (_, i) => fn(i % width, Math.floor(i / width)));
+
+// What the fixtures print, as shades (0 = darkest)
+const cameraPrint = (x, y) => {
+    if (x < 15 || x >= 145 || y < 15 || y >= 129) return 3;
+    if (x === 15 || x === 144 || y === 15 || y === 128) return 0;
+    return ((x - 16) >> 5) % 4;
+};
+const receipt = (x, y) => (y < 8 ? 3 : ((x >> 3) + (y >> 3)) % 4);
+
+describe('hex dumps', () => {
+    test('a camera print decodes to its shades', () => {
+        const packets = parsePackets(parseHexDump(dump('camera')));
+        assert.ok(packets.every((p) => p.checksumOk));
+        assert.equal(packets.filter((p) => p.command === COMMAND.DATA && p.data.length === 640).length, 9);
+
+        const [printout, ...rest] = runPrinter(packets);
+        assert.equal(rest.length, 0);
+        assert.equal(printout.width, PRINTER_WIDTH);
+        assert.equal(printout.height, 144);
+        assert.deepEqual(printout.shades, grid(160, 144, cameraPrint));
+        assert.equal(printout.marginBefore, 1);
+        assert.equal(printout.marginAfter, 3);
+        assert.equal(printout.palette, 0xe4);
+        assert.equal(printout.exposure, 0x40);
+    });
+
+    test('a camera print crops back to the photo', () => {
+        const [printout] = runPrinter(parsePackets(parseHexDump(dump('camera'))));
+        const photo = grid(GBC_WIDTH, GBC_HEIGHT, (x, y) => cameraPrint(x + 16, y + 16));
+        assert.deepEqual(printoutToShades(printout), { shades: photo, width: GBC_WIDTH, height: GBC_HEIGHT });
+    });
+
+    test('any other print is kept whole, through its palette', () => {
+        // 0x1B swaps every color for its opposite
+        const [printout] = runPrinter(parsePackets(parseHexDump(dump('compressed'))));
+        const photo = grid(160, 32, (x, y) => 3 - receipt(x, y));
+        assert.deepEqual(printoutToShades(printout), { shades: photo, width: 160, height: 32 });
+    });
+
+    test('compressed packets decode, skipping noise, aborted jobs and bad checksums', () => {
+        const packets = parsePackets(parseHexDump(dump('compressed')));
+        assert.deepEqual(
+            packets.map((p) => [p.command, p.compressed, p.data.length, p.checksumOk]),
+            [
+                [COMMAND.INIT, false, 0, true],
+                [COMMAND.DATA, false, 640, true],
+                [COMMAND.BREAK, false, 0, true],
+                [COMMAND.INIT, false, 0, true],
+                [COMMAND.DATA, true, 640, true],
+                [COMMAND.DATA, true, 640, true],
+                [COMMAND.DATA, true, 640, false],
+                [COMMAND.DATA, false, 0, true],
+                [COMMAND.PRINT, false, 4, true],
+                [COMMAND.INQUIRY, false, 0, true],
+            ],
+        );
+
+        const [printout, ...rest] = runPrinter(packets);
+        assert.equal(rest.length, 0);
+        assert.equal(printout.height, 32);
+        assert.deepEqual(printout.shades, grid(160, 32, receipt));
+        assert.equal(printout.marginBefore, 0);
+        assert.equal(printout.marginAfter, 0);
+        assert.equal(printout.palette, 0x1b);
+        assert.equal(printout.exposure, 0x7f);
+    });
+
+    test('formatHexDump output parses back to the same stream', () => {
+        const stream = encodePrintJob(grid(160, 32, receipt), 160, 32);
+        const text = formatHexDump(stream);
+        assert.equal(text.split('\n').filter(Boolean).length, parsePackets(stream).length);
+        assert.deepEqual(parseHexDump(text), stream);
+    });
+
+    test('parseHexDump takes 0x prefixes and commas', () => {
+        assert.deepEqual(parseHexDump('// hi\n0x88, 0x33,0x0f\n{"command":"INQY"}\n00 00 00 0F 00'), Uint8Array.from([0x88, 0x33, 0x0f, 0, 0, 0, 0x0f, 0]));
+    });
+});
+
+describe('RLE', () => {
+    test('round-trips runs and literals across the control byte limits', () => {
+        const bytes = Uint8Array.from([
+            ...new Array(300).fill(7),
+            ...Array.from({ length: 200 }, (_, i) => i & 0xff),
+            9, 9, 1, 2, 2,
+        ]);
+        const packed = compressRle(bytes);
+        assert.ok(packed.length < bytes.length);
+        assert.deepEqual(decompressRle(packed), bytes);
+    });
+
+    test('uses the printer control bytes', () => {
+        assert.deepEqual(compressRle(Uint8Array.from([5, 5, 5, 1, 2])), Uint8Array.from([0x81, 5, 0x01, 1, 2]));
+        assert.deepEqual(compressRle(new Uint8Array(129)), Uint8Array.from([0xff, 0]));
+        assert.deepEqual(decompressRle(Uint8Array.from([0x80, 3, 0x00, 4])), Uint8Array.from([3, 3, 4]));
+    });
+});
+
+describe('packets', () => {
+    const band = Uint8Array.from({ length: 640 }, (_, i) => (i >> 5) * 3);
+
+    for (const compress of [false, true]) {
+        test(`${compress ? 'compressed' : 'uncompressed'} DATA round-trips`, () => {
+            const packet = encodePacket(COMMAND.DATA, band, { compress });
+            assert.deepEqual([...packet.subarray(0, 4)], [0x88, 0x33, COMMAND.DATA, compress ? 1 : 0]);
+            const length = packet[4] | (packet[5] << 8);
+            assert.equal(packet.length, length + 8);
+            assert.equal(length < 640, compress);
+
+            const [parsed] = parsePackets(packet);
+            assert.equal(parsed.compressed, compress);
+            assert.equal(parsed.checksumOk, true);
+            assert.deepEqual(parsed.data, band);
+        });
+    }
+
+    test('checksum covers command through data', () => {
+        const packet = encodePacket(COMMAND.PRINT, [1, 0x13, 0xe4, 0x40]);
+        assert.deepEqual([...packet.subarray(-2)], [0x3e, 0x01]);
+        packet[7] ^= 1;
+        assert.equal(parsePackets(packet)[0].checksumOk, false);
+    });
+
+    test('a truncated packet is left out', () => {
+        assert.deepEqual(parsePackets(encodePacket(COMMAND.DATA, band).subarray(0, 100)), []);
+    });
+});
+
+describe('encodePrintJob', () => {
+    test('prints what it was given, centered on the paper', () => {
+        const shades = grid(128, 112, (x, y) => (x + y) % 4);
+        const printouts = runPrinter(parsePackets(encodePrintJob(shades, 128, 112)));
+        assert.equal(printouts.length, 1);
+        assert.equal(printouts[0].height, 112);
+        const printed = grid(160, 112, (x, y) => (x < 16 || x >= 144 ? 3 : shades[y * 128 + x - 16]));
+        assert.deepEqual(printoutToShades(printouts[0]), { shades: printed, width: 160, height: 112 });
+    });
+
+    test('splits tall images into back-to-back prints', () => {
+        const shades = grid(160, 200, (x, y) => y % 4);
+        const printouts = runPrinter(parsePackets(encodePrintJob(shades, 160, 200, { compress: false })));
+        assert.deepEqual(printouts.map((p) => [p.height, p.marginBefore, p.marginAfter]), [[144, 1, 0], [64, 0, 3]]);
+        const printed = new Uint8Array([...printouts[0].shades, ...printouts[1].shades]);
+        assert.deepEqual(printed.subarray(0, 160 * 200), shades);
+        assert.ok(printed.subarray(160 * 200).every((s) => s === 3));
+    });
+
+    test('rejects images wider than the paper', () => {
+        assert.throws(() => encodePrintJob(new Uint8Array(168 * 16), 168, 16), /160 pixels wide/);
+    });
+});
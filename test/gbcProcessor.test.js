@@ -0,0 +1,231 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    toGrayscale, applyContrast, applyTone, toneCurve, levelHistogram, edgeEnhance, applyLens, downscaleArea, upscaleNearest, cropImage,
+    processShades, processDownscaled, renderShades, createImageData, LENSES, GBC_WIDTH, GBC_HEIGHT,
+} from '../src/gbcProcessor.js';
+import { flat, gradient, checkerboard, impulse, grayImage, shadeImage, levels } from './helpers.js';
+
+describe('toGrayscale', () => {
+    test('uses BT.601 luminance weights', () => {
+        const image = createImageData(3, 1, Uint8ClampedArray.from([
+            255, 0, 0, 255,
+            0, 255, 0, 255,
+            0, 0, 255, 255,
+        ]));
+        toGrayscale(image);
+        assert.deepEqual(levels(image), [[76, 150, 29]]);
+        // Every channel carries the same value
+        assert.deepEqual(Array.from(image.data.subarray(4, 8)), [150, 150, 150, 255]);
+    });
+
+    test('leaves gray pixels unchanged', () => {
+        const image = gradient(16, 1);
+        const before = levels(image);
+        toGrayscale(image);
+        assert.deepEqual(levels(image), before);
+    });
+});
+
+describe('applyContrast', () => {
+    // At factor 2 every level lands on .5; Uint8ClampedArray rounds half to even
+    test('keeps mid-gray fixed', () => {
+        const image = flat(2, 2, 128);
+        applyContrast(image, 2);
+        assert.deepEqual(levels(image), [[128, 128], [128, 128]]);
+    });
+
+    test('stretches around the middle and clamps', () => {
+        const image = grayImage(4, 1, (x) => [0, 64, 191, 255][x]);
+        applyContrast(image, 2);
+        assert.deepEqual(levels(image), [[0, 0, 254, 255]]);
+    });
+
+    test('factor 1 is the identity', () => {
+        const image = gradient(32, 1);
+        const before = levels(image);
+        applyContrast(image, 1);
+        assert.deepEqual(levels(image), before);
+    });
+});
+
+describe('applyTone', () => {
+    test('matches applyContrast with no brightness or gamma', () => {
+        const a = gradient(256, 1);
+        const b = gradient(256, 1);
+        applyContrast(a, 1.7);
+        applyTone(b, { contrast: 1.7 });
+        assert.deepEqual(levels(b), levels(a));
+    });
+
+    test('brightness shifts every level', () => {
+        const image = grayImage(3, 1, (x) => [0, 100, 250][x]);
+        applyTone(image, { brightness: 0.2 });
+        assert.deepEqual(levels(image), [[51, 151, 255]]);
+    });
+
+    test('gamma above 1 lifts the midtones but keeps the ends', () => {
+        const curve = toneCurve({ gamma: 2 });
+        assert.equal(curve[0], 0);
+        assert.equal(curve[255], 255);
+        assert.equal(curve[64], 128);
+        assert.ok(toneCurve({ gamma: 0.5 })[128] < 128);
+    });
+});
+
+test('levelHistogram counts levels into equal bins', () => {
+    const image = grayImage(4, 1, (x) => [0, 63, 64, 255][x]);
+    const bins = levelHistogram(image, new Uint32Array(4).fill(9));
+    assert.deepEqual([...bins], [2, 1, 0, 1]);
+});
+
+describe('edgeEnhance', () => {
+    test('single-pixel impulse brightens the center and darkens its 4 neighbors', () => {
+        const image = impulse(5, 5, 2, 2, 100, 120);
+        edgeEnhance(image, 0.5);
+        assert.deepEqual(levels(image), [
+            [100, 100, 100, 100, 100],
+            [100, 100, 90, 100, 100],
+            [100, 90, 160, 90, 100],
+            [100, 100, 90, 100, 100],
+            [100, 100, 100, 100, 100],
+        ]);
+    });
+
+    test('full strength applies the bare kernel, clamped', () => {
+        const image = impulse(3, 3, 1, 1, 0, 100);
+        edgeEnhance(image, 1);
+        assert.equal(levels(image)[1][1], 255);
+    });
+
+    test('flat fields are unchanged', () => {
+        const image = flat(8, 8, 77);
+        edgeEnhance(image, 1);
+        assert.ok(levels(image).flat().every((v) => v === 77));
+    });
+
+    test('border pixels are left alone', () => {
+        const image = impulse(4, 4, 0, 0, 50, 200);
+        edgeEnhance(image, 1);
+        assert.equal(levels(image)[0][0], 200);
+        assert.equal(levels(image)[0][1], 50);
+    });
+});
+
+describe('downscaleArea', () => {
+    test('averages a 1px checkerboard to mid-gray', () => {
+        const out = downscaleArea(checkerboard(256, 224), GBC_WIDTH, GBC_HEIGHT);
+        assert.equal(out.width, GBC_WIDTH);
+        assert.equal(out.height, GBC_HEIGHT);
+        assert.ok(levels(out).flat().every((v) => v === 127 || v === 128));
+    });
+
+    test('weights partially covered pixels by coverage', () => {
+        const out = downscaleArea(grayImage(4, 1, (x) => [0, 100, 200, 200][x]), 3, 1);
+        // Cells cover [0, 1.33), [1.33, 2.67), [2.67, 4)
+        assert.deepEqual(levels(out), [[25, 150, 200]]);
+    });
+
+    test('keeps a gradient monotonic', () => {
+        const row = levels(downscaleArea(gradient(500, 10), 128, 5))[0];
+        for (let x = 1; x < row.length; x++) assert.ok(row[x] >= row[x - 1]);
+        assert.ok(row[0] < 5 && row[127] > 250);
+    });
+
+    test('same size is a copy', () => {
+        const image = checkerboard(8, 8, 2);
+        assert.deepEqual(levels(downscaleArea(image, 8, 8)), levels(image));
+    });
+});
+
+describe('upscaleNearest', () => {
+    test('repeats each pixel as a scale×scale block', () => {
+        const out = upscaleNearest(shadeImage(['01', '23']), 2);
+        assert.deepEqual(levels(out), [
+            [0, 0, 85, 85],
+            [0, 0, 85, 85],
+            [170, 170, 255, 255],
+            [170, 170, 255, 255],
+        ]);
+    });
+});
+
+test('cropImage copies a rectangle', () => {
+    const image = grayImage(4, 4, (x, y) => y * 4 + x);
+    assert.deepEqual(levels(cropImage(image, { x: 1, y: 2, width: 2, height: 2 })), [[9, 10], [13, 14]]);
+});
+
+describe('lenses', () => {
+    const source = ['0123', '1111', '2222', '3330'];
+    const apply = (lens) => levels(applyLens(shadeImage(source), lens)).map((row) => row.map((v) => v / 85).join(''));
+
+    const expected = {
+        none: ['0123', '1111', '2222', '3330'],
+        mirrorH: ['0110', '1111', '2222', '3333'],
+        mirrorV: ['0123', '1111', '1111', '0123'],
+        kaleidoscope: ['0110', '1111', '1111', '0110'],
+        flip: ['0333', '2222', '1111', '3210'],
+        tile4: ['0202', '2222', '0202', '2222'],
+        // Zoom lenses crop before the downscale instead (tested below)
+        zoom2: source,
+        zoom4: source,
+    };
+
+    test('every lens has an expectation', () => {
+        assert.deepEqual(Object.keys(expected).sort(), Object.keys(LENSES).sort());
+    });
+
+    for (const [lens, grid] of Object.entries(expected)) {
+        test(lens, () => {
+            assert.deepEqual(apply(lens), grid);
+        });
+    }
+
+    test('zoom crops the center of the full frame before downscaling', () => {
+        // White 2× center window on black: zoom2 sees only white, no lens sees both
+        const frame = grayImage(256, 224, (x, y) => (x >= 64 && x < 192 && y >= 56 && y < 168 ? 255 : 0));
+        const zoomed = processShades(frame, { lens: 'zoom2', edgeStrength: 0 });
+        assert.ok(zoomed.every((s) => s === 3));
+
+        const normal = processShades(frame, { lens: 'none', edgeStrength: 0 });
+        assert.ok(normal.includes(0) && normal.includes(3));
+    });
+});
+
+describe('processShades', () => {
+    test('maps flat black and white to the extreme shades', () => {
+        assert.ok(processShades(flat(256, 224, 0)).every((s) => s === 0));
+        assert.ok(processShades(flat(256, 224, 255)).every((s) => s === 3));
+    });
+
+    test('returns one shade per 128×112 pixel', () => {
+        const shades = processShades(gradient(320, 240));
+        assert.equal(shades.length, GBC_WIDTH * GBC_HEIGHT);
+        assert.ok(shades.every((s) => s <= 3));
+    });
+
+    test('reports per-stage timings when asked', () => {
+        const timings = {};
+        processShades(gradient(256, 224), { timings });
+        assert.deepEqual(Object.keys(timings), ['downscale', 'lens', 'grayscale', 'tone', 'edge', 'dither']);
+
+        const sensorTimings = {};
+        processDownscaled(gradient(128, 112), { sensor: 'authentic', timings: sensorTimings });
+        assert.deepEqual(Object.keys(sensorTimings), ['lens', 'grayscale', 'sensor']);
+    });
+
+    test('fills a histogram of the levels the dither sees', () => {
+        const histogram = new Uint32Array(16);
+        processDownscaled(flat(GBC_WIDTH, GBC_HEIGHT, 0), { edgeStrength: 0, histogram });
+        assert.equal(histogram[0], GBC_WIDTH * GBC_HEIGHT);
+
+        processDownscaled(flat(GBC_WIDTH, GBC_HEIGHT, 128), { edgeStrength: 0, brightness: 0.25, contrast: 1, histogram });
+        assert.equal(histogram[12], GBC_WIDTH * GBC_HEIGHT);
+    });
+});
+
+test('renderShades colors shades with the palette', () => {
+    const image = renderShades(Uint8Array.from([0, 3]), 2, 1, 'noir');
+    assert.deepEqual(Array.from(image.data), [0, 0, 0, 255, 255, 255, 255, 255]);
+});
@@ -0,0 +1,106 @@
+/**
+ * test/fixtures/album.sav is laid out the way a Game Boy Camera leaves its
+ * SRAM: photos in slots 0, 2 and 5 at album positions 1, 0 and 2, and slot 1
+ * deleted (its pixels are still there, the album state marks it empty).
+ * It was written to the documented layout by a separate script, not by
+ * gbcSave.js; the checks on encodeSav's output below are spelled out
+ * independently too.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { decodeSav, encodeSav, decodeTiles, encodeTiles, SAV_SIZE } from '../src/gbcSave.js';
+import { GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+
+const FIXTURE = new Uint8Array(readFileSync(new URL('./fixtures/album.sav', import.meta.url)));
+
+const pattern = (shade) => Uint8Array.from({ length: GBC_WIDTH * GBC_HEIGHT }, (_, i) => shade(i % GBC_WIDTH, Math.floor(i / GBC_WIDTH)));
+const STRIPES = pattern((x) => (x >> 3) % 4);
+const BANDS = pattern((x, y) => (y >> 3) % 4);
+const DIAGONAL = pattern((x, y) => ((x + y) >> 4) % 4);
+
+const VECTOR = 0x11b2;
+const ECHO = 0x11d7;
+
+/**
+ * The cartridge's own check of the album state: "Magic" after the 30-byte
+ * vector, then the sum and XOR of vector + "Magic" seeded with 0x2F and
+ * 0x15, and an identical echo copy
+ */
+function cartridgeAccepts(sram) {
+    const block = sram.subarray(VECTOR, VECTOR + 35);
+    let sum = 0x2f;
+    let xor = 0x15;
+    block.forEach((b) => {
+        sum = (sum + b) & 0xff;
+        xor ^= b;
+    });
+    return new TextDecoder().decode(block.subarray(30)) === 'Magic'
+        && sram[VECTOR + 35] === sum
+        && sram[VECTOR + 36] === xor
+        && sram.subarray(ECHO, ECHO + 37).every((b, i) => b === sram[VECTOR + i]);
+}
+
+describe('decodeSav', () => {
+    test('reads a camera save in album order, skipping deleted slots', () => {
+        const photos = decodeSav(FIXTURE);
+        assert.deepEqual(photos.map(({ slot, album }) => [slot, album]), [[2, 0], [0, 1], [5, 2]]);
+        assert.deepEqual(photos.map((p) => p.shades), [STRIPES, BANDS, DIAGONAL]);
+    });
+
+    test('falls back to the echo copy of the album state', () => {
+        const sram = Uint8Array.from(FIXTURE);
+        sram[VECTOR + 3] ^= 0xff;
+        assert.equal(decodeSav(sram).length, 3);
+        sram[ECHO + 3] ^= 0xff;
+        assert.throws(() => decodeSav(sram), /album state is missing or corrupt/);
+    });
+
+    test('rejects files of the wrong size', () => {
+        assert.throws(() => decodeSav(new Uint8Array(1024)), /expected 131072 bytes, got 1024/);
+    });
+});
+
+describe('encodeSav', () => {
+    test('writes an album state the cartridge accepts', () => {
+        const sram = encodeSav([STRIPES, DIAGONAL]);
+        assert.equal(sram.length, SAV_SIZE);
+        assert.ok(cartridgeAccepts(sram));
+        assert.ok(cartridgeAccepts(FIXTURE));
+        assert.deepEqual([...sram.subarray(VECTOR, VECTOR + 3)], [0, 1, 0xff]);
+        assert.deepEqual(decodeSav(sram).map((p) => p.shades), [STRIPES, DIAGONAL]);
+    });
+
+    test('keeps the rest of a template save', () => {
+        const sram = encodeSav([BANDS], { template: FIXTURE });
+        assert.ok(cartridgeAccepts(sram));
+        assert.deepEqual(decodeSav(sram).map((p) => p.shades), [BANDS]);
+        // Slot 2's old pixels stay, like a deleted photo on the cartridge
+        assert.deepEqual(sram.subarray(0x4000, 0x4e00), FIXTURE.subarray(0x4000, 0x4e00));
+    });
+
+    test('writes a 32×32 thumbnail between white bars', () => {
+        const sram = encodeSav([BANDS]);
+        const thumb = decodeTiles(sram.subarray(0x2e00, 0x2f00), 32, 32);
+        assert.deepEqual(thumb.subarray(0, 64), new Uint8Array(64).fill(3));
+        assert.equal(thumb[2 * 32], BANDS[0]);
+        assert.equal(thumb[4 * 32], BANDS[8 * GBC_WIDTH]);
+    });
+
+    test('holds at most 30 photos', () => {
+        assert.throws(() => encodeSav(new Array(31).fill(STRIPES)), /at most 30 photos/);
+    });
+});
+
+describe('tiles', () => {
+    test('are 2bpp with the Game Boy lightest-first colors', () => {
+        // One 8×8 tile: top row dark to light in pairs, the rest white
+        const shades = new Uint8Array(64).fill(3);
+        shades.set([0, 0, 1, 1, 2, 2, 3, 3]);
+        const bytes = encodeTiles(shades, 8, 8);
+        assert.deepEqual([...bytes.subarray(0, 2)], [0b11001100, 0b11110000]);
+        assert.deepEqual(decodeTiles(bytes, 8, 8), shades);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * End-to-end processFrame runs compared against committed golden shade grids
+ * (test/golden/*.txt). A failure prints a mismatch map and writes
+ * test/golden/diff/<name>.png; after an intended change to the look, review
+ * the diff and run `UPDATE_GOLDEN=1 npm test` to accept it.
+ *
+ * The scene is synthetic. In Node, the downscale goes through downscaleArea
+ * rather than a canvas.
+ *
+ * Authentic mode's dither tables are also checked against real cartridge
+ * photos: the examples/ WebPs (128×112 photos scaled 8.4375×, colorized)
+ * converted once to shade grids in test/fixtures/examples/, by averaging
+ * the middle of each scaled pixel clear of WebP ringing and mapping it to
+ * the nearest of the photo's four colors, darkest = 0. No pixel was more
+ * than 60% of the way to its second-nearest color. The order the photos
+ * dither in is read from them alone, without running the sensor model.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+import { processFrame, GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+import { ditherTable, CONTRAST_LEVELS } from '../src/m64282fp.js';
+import { getPaletteRgb } from '../src/palettes.js';
+import { grayImage, imageToShades, matchGolden } from './helpers.js';
+
+// 2× the Game Boy frame: diagonal ramp, a bright disc and a fine checker patch
+const scene = () => grayImage(256, 224, (x, y) => {
+    if ((x - 80) ** 2 + (y - 112) ** 2 < 48 ** 2) return 230;
+    if (x >= 160 && x < 224 && y >= 48 && y < 176) return (x >> 2) % 2 === (y >> 2) % 2 ? 20 : 200;
+    return Math.round(((x + y) * 255) / (256 + 224 - 2));
+});
+
+const VARIANTS = {
+    default: {},
+    floydSteinberg: { dither: 'floydSteinberg' },
+    kaleidoscope: { lens: 'kaleidoscope' },
+    zoom2: { lens: 'zoom2' },
+    authentic: { sensor: 'authentic' },
+    authenticHorizontalEdges: { sensor: 'authentic', registers: { edgeMode: 1, edgeRatio: 5, exclusive: 1, contrast: 12 } },
+};
+
+describe('processFrame golden grids', () => {
+    const paletteRgb = getPaletteRgb('classic');
+
+    for (const [name, options] of Object.entries(VARIANTS)) {
+        test(name, async () => {
+            const image = processFrame(scene(), 'classic', options);
+            await matchGolden(name, imageToShades(image, paletteRgb), GBC_WIDTH);
+        });
+    }
+});
+
+const EXAMPLES = new URL('./fixtures/examples/', import.meta.url);
+
+const examples = readdirSync(EXAMPLES).sort().map((file) => ({
+    name: file.replace('.txt', ''),
+    shades: Uint8Array.from(readFileSync(new URL(file, EXAMPLES), 'utf8').replace(/\s/g, ''), Number),
+}));
+
+/**
+ * For each cell of the 4×4 dither grid, how often it has the lighter shade
+ * in blocks that mix two neighboring shades: the blocks whose pattern comes
+ * down to the dither table, lower thresholds turning lighter first
+ */
+function lighterCounts(shades) {
+    const counts = new Array(16).fill(0);
+    for (let by = 0; by < GBC_HEIGHT; by += 4) {
+        for (let bx = 0; bx < GBC_WIDTH; bx += 4) {
+            const block = [];
+            for (let y = by; y < by + 4; y++) for (let x = bx; x < bx + 4; x++) block.push(shades[y * GBC_WIDTH + x]);
+            const lighter = Math.max(...block);
+            if (lighter - Math.min(...block) !== 1) continue;
+            block.forEach((shade, cell) => {
+                if (shade === lighter) counts[cell]++;
+            });
+        }
+    }
+    return counts;
+}
+
+/**
+ * Of the cell pairs a table orders, the share the photo orders the same
+ * way: the cell with the lower threshold is lighter more often
+ */
+function concordance(counts, thresholds) {
+    let same = 0;
+    let pairs = 0;
+    for (let a = 0; a < 16; a++) {
+        for (let b = 0; b < 16; b++) {
+            if (thresholds[a] >= thresholds[b]) continue;
+            pairs++;
+            if (counts[a] > counts[b]) same++;
+        }
+    }
+    return same / pairs;
+}
+
+// One threshold per cell: a shade band of the default table
+const band = (k) => Array.from({ length: 16 }, (_, cell) => ditherTable(8)[cell * 3 + k]);
+
+describe('dither tables against cartridge photos', () => {
+    test('every contrast and shade band uses the same order', () => {
+        const rank = (thresholds) => thresholds.map((t) => thresholds.filter((u) => u < t).length);
+        const order = rank(band(0));
+        for (let contrast = 0; contrast < CONTRAST_LEVELS; contrast++) {
+            for (let k = 0; k < 3; k++) {
+                const thresholds = Array.from({ length: 16 }, (_, cell) => ditherTable(contrast)[cell * 3 + k]);
+                assert.deepEqual(rank(thresholds), order, `contrast ${contrast}, band ${k}`);
+            }
+        }
+    });
+
+    for (const { name, shades } of examples) {
+        test(name, () => {
+            // The plain 4×4 Bayer order gets 0.76–0.83 here
+            const score = concordance(lighterCounts(shades), band(0));
+            assert.ok(score >= 0.9, `${score.toFixed(3)} of cell pairs in the table's order`);
+        });
+    }
+
+    test('all photos together', () => {
+        const counts = new Array(16).fill(0);
+        examples.forEach(({ shades }) => lighterCounts(shades).forEach((n, cell) => (counts[cell] += n)));
+        const score = concordance(counts, band(0));
+        assert.ok(score >= 0.98, `${score.toFixed(3)} of cell pairs in the table's order`);
+    });
+});
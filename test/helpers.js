@@ -0,0 +1,361 @@
+/**
+ * helpers.js — Synthetic test images, golden shade-grid comparison and
+ * in-memory localStorage and IndexedDB
+ *
+ * Golden files are plain text, one row per line, one digit (shade 0–3) per
+ * pixel, so a failing diff is readable in code review. Run with
+ * UPDATE_GOLDEN=1 to (re)write them after an intentional change to the look.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { createImageData } from '../src/gbcProcessor.js';
+import { encodePng } from '../src/png.js';
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), 'golden');
+const DIFF_DIR = join(GOLDEN_DIR, 'diff');
+
+/**
+ * Install an in-memory localStorage (Node has none) and return it, for the
+ * modules that keep their registries there
+ * @returns {{ getItem: Function, setItem: Function, removeItem: Function, clear: Function }}
+ */
+export function memoryStorage() {
+    const store = new Map();
+    globalThis.localStorage = {
+        getItem: (k) => (store.has(k) ? store.get(k) : null),
+        setItem: (k, v) => store.set(k, String(v)),
+        removeItem: (k) => store.delete(k),
+        clear: () => store.clear(),
+    };
+    return globalThis.localStorage;
+}
+
+/**
+ * IndexedDB key order: numbers, then strings, then arrays element by element
+ */
+function compareKeys(a, b) {
+    const rank = (k) => (Array.isArray(k) ? 2 : typeof k === 'string' ? 1 : 0);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const c = compareKeys(a[i], b[i]);
+            if (c) return c;
+        }
+        return a.length - b.length;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class KeyRange {
+    constructor(lower, upper) {
+        this.lower = lower;
+        this.upper = upper;
+    }
+
+    static bound(lower, upper) {
+        return new KeyRange(lower, upper);
+    }
+
+    includes(key) {
+        return compareKeys(key, this.lower) >= 0 && compareKeys(key, this.upper) <= 0;
+    }
+}
+
+/**
+ * Install an in-memory IndexedDB (Node has none) with just what gallery.js
+ * uses: one database, key-path stores, plain and multiEntry indexes, bound
+ * key ranges and cursors. Requests succeed on a later task and a
+ * transaction commits once a task passes with none outstanding, so work
+ * queued from a request's promise continuation still joins it, like in a
+ * browser. Aborted transactions leave nothing behind.
+ * @returns {{ records: (store: string) => object[], clear: Function }}
+ */
+export function memoryIndexedDB() {
+    const stores = new Map(); // name → { keyPath, records: Map, indexes: Map }
+    let version = 0;
+
+    function transaction({ live = false } = {}) {
+        // Writes go to copies until commit, so an abort can drop them
+        const staged = live ? stores : new Map([...stores].map(([name, s]) => [name, { ...s, records: new Map(s.records) }]));
+        let pending = 0;
+        let finished = false;
+
+        const settle = () => setTimeout(() => {
+            if (finished || pending) return;
+            finished = true;
+            if (!live) staged.forEach((s, name) => { stores.get(name).records = s.records; });
+            tx.oncomplete?.();
+        });
+
+        const schedule = (op, req = {}) => {
+            pending++;
+            setTimeout(() => {
+                pending--;
+                if (finished) return;
+                req.result = op();
+                req.onsuccess?.({ target: req });
+                settle();
+            });
+            return req;
+        };
+
+        function entries(store, index, query) {
+            const list = [];
+            store.records.forEach((value, primaryKey) => {
+                if (!index) {
+                    list.push({ key: primaryKey, primaryKey, value });
+                    return;
+                }
+                const { keyPath, multiEntry } = store.indexes.get(index);
+                const key = Array.isArray(keyPath) ? keyPath.map((k) => value[k]) : value[keyPath];
+                if (key === undefined || (Array.isArray(keyPath) && key.includes(undefined))) return;
+                const keys = multiEntry && Array.isArray(key) ? [...new Set(key)] : [key];
+                keys.forEach((k) => list.push({ key: k, primaryKey, value }));
+            });
+            return list
+                .filter(({ key }) => query == null || (query instanceof KeyRange ? query.includes(key) : compareKeys(key, query) === 0))
+                .sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+        }
+
+        function reads(name, index) {
+            const store = () => staged.get(name);
+            return {
+                getAll: (query) => schedule(() => entries(store(), index, query).map((e) => structuredClone(e.value))),
+                getAllKeys: (query) => schedule(() => entries(store(), index, query).map((e) => e.primaryKey)),
+                count: (query) => schedule(() => entries(store(), index, query).length),
+                openCursor(query, direction = 'next') {
+                    const req = {};
+                    let list;
+                    let position = 0;
+                    const step = (n) => schedule(() => {
+                        if (!list) {
+                            list = entries(store(), index, query);
+                            if (direction === 'prev') list.reverse();
+                        }
+                        position += n;
+                        const entry = list[position];
+                        return entry && {
+                            key: entry.key,
+                            primaryKey: entry.primaryKey,
+                            value: structuredClone(entry.value),
+                            update: (value) => objectStore(name).put(value),
+                            continue: () => step(1),
+                            advance: (count) => step(count),
+                        };
+                    }, req);
+                    return step(0);
+                },
+            };
+        }
+
+        function objectStore(name) {
+            return {
+                ...reads(name, null),
+                put(value) {
+                    const copy = structuredClone(value);
+                    return schedule(() => {
+                        const store = staged.get(name);
+                        store.records.set(copy[store.keyPath], copy);
+                        return copy[store.keyPath];
+                    });
+                },
+                get: (key) => schedule(() => structuredClone(staged.get(name).records.get(key))),
+                delete: (key) => schedule(() => void staged.get(name).records.delete(key)),
+                index: (index) => reads(name, index),
+                createIndex(index, keyPath, { multiEntry = false } = {}) {
+                    stores.get(name).indexes.set(index, { keyPath, multiEntry });
+                },
+            };
+        }
+
+        const tx = {
+            error: null,
+            objectStore,
+            abort() {
+                finished = true;
+                tx.onabort?.();
+            },
+        };
+        settle();
+        return tx;
+    }
+
+    let upgrade = null; // the versionchange transaction, while open() runs one
+    const db = {
+        transaction: () => transaction(),
+        createObjectStore(name, { keyPath }) {
+            stores.set(name, { keyPath, records: new Map(), indexes: new Map() });
+            return upgrade.objectStore(name);
+        },
+    };
+
+    globalThis.IDBKeyRange = KeyRange;
+    globalThis.indexedDB = {
+        open(name, newVersion) {
+            const req = {};
+            setTimeout(() => {
+                req.result = db;
+                if (newVersion <= version) {
+                    req.onsuccess?.();
+                    return;
+                }
+                upgrade = req.transaction = transaction({ live: true });
+                req.onupgradeneeded?.({ oldVersion: version });
+                version = newVersion;
+                upgrade.oncomplete = () => req.onsuccess?.();
+            });
+            return req;
+        },
+    };
+
+    return {
+        records: (name) => [...(stores.get(name)?.records.values() ?? [])].map((r) => structuredClone(r)),
+        clear: () => stores.forEach((s) => s.records.clear()),
+    };
+}
+
+/**
+ * Build an RGBA image from a gray-level function of (x, y)
+ */
+export function grayImage(width, height, level) {
+    const image = createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const v = level(x, y);
+            image.data.set([v, v, v, 255], (y * width + x) * 4);
+        }
+    }
+    return image;
+}
+
+export const flat = (width, height, value) => grayImage(width, height, () => value);
+
+/**
+ * Left-to-right ramp from black to white
+ */
+export const gradient = (width, height) => grayImage(width, height, (x) => Math.round((x * 255) / (width - 1)));
+
+export const checkerboard = (width, height, cell = 1, dark = 0, light = 255) =>
+    grayImage(width, height, (x, y) => ((Math.floor(x / cell) + Math.floor(y / cell)) % 2 ? light : dark));
+
+/**
+ * Flat field with a single different pixel
+ */
+export const impulse = (width, height, x0, y0, background, value) =>
+    grayImage(width, height, (x, y) => (x === x0 && y === y0 ? value : background));
+
+/**
+ * Image from rows of shade digits ('0'–'3' → gray 0, 85, 170, 255)
+ */
+export function shadeImage(rows) {
+    return grayImage(rows[0].length, rows.length, (x, y) => Number(rows[y][x]) * 85);
+}
+
+/**
+ * Red channel of each pixel, as rows (handy for exact assertions on small images)
+ */
+export function levels(image) {
+    const rows = [];
+    for (let y = 0; y < image.height; y++) {
+        const row = [];
+        for (let x = 0; x < image.width; x++) row.push(image.data[(y * image.width + x) * 4]);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Shade grid as rows of digits, e.g. ['0123', '3210']
+ */
+export function shadeRows(shades, width) {
+    const rows = [];
+    for (let i = 0; i < shades.length; i += width) rows.push(Array.from(shades.subarray(i, i + width)).join(''));
+    return rows;
+}
+
+/**
+ * Map a rendered image back to shade indices through its palette
+ */
+export function imageToShades(image, paletteRgb) {
+    const lookup = new Map(paletteRgb.map(([r, g, b], i) => [`${r},${g},${b}`, i]));
+    const shades = new Uint8Array(image.width * image.height);
+    for (let i = 0; i < shades.length; i++) {
+        const key = `${image.data[i * 4]},${image.data[i * 4 + 1]},${image.data[i * 4 + 2]}`;
+        if (!lookup.has(key)) throw new Error(`Pixel ${i} (${key}) is not a palette color`);
+        shades[i] = lookup.get(key);
+    }
+    return shades;
+}
+
+/**
+ * Compare a shade grid with test/golden/<name>.txt.
+ *
+ * On mismatch, throws with a per-pixel mismatch map ('.' = match, otherwise
+ * the actual shade) of the affected rows, and writes
+ * test/golden/diff/<name>.png: expected | actual | mismatches in red.
+ */
+export async function matchGolden(name, shades, width) {
+    const file = join(GOLDEN_DIR, `${name}.txt`);
+    const actual = shadeRows(shades, width);
+
+    if (process.env.UPDATE_GOLDEN) {
+        await mkdir(GOLDEN_DIR, { recursive: true });
+        await writeFile(file, `${actual.join('\n')}\n`);
+        return;
+    }
+
+    let expected;
+    try {
+        expected = (await readFile(file, 'utf8')).trimEnd().split('\n');
+    } catch {
+        throw new Error(`Missing golden file ${name}.txt (run with UPDATE_GOLDEN=1 to create it)`);
+    }
+    if (expected.length !== actual.length || expected[0].length !== width) {
+        throw new Error(`${name}: golden is ${expected[0].length}×${expected.length}, got ${width}×${actual.length}`);
+    }
+
+    let mismatches = 0;
+    const map = [];
+    actual.forEach((row, y) => {
+        let line = '';
+        for (let x = 0; x < width; x++) {
+            const same = row[x] === expected[y][x];
+            if (!same) mismatches++;
+            line += same ? '.' : row[x];
+        }
+        if (line !== '.'.repeat(width)) map.push(`${String(y).padStart(3)} ${line}`);
+    });
+    if (!mismatches) return;
+
+    const diffFile = await writeDiffImage(name, expected, actual, width);
+    throw new Error(
+        `${name}: ${mismatches} of ${width * actual.length} pixels differ from the golden grid.\n`
+        + `Mismatch map ('.' = match, digit = actual shade):\n${map.join('\n')}\n`
+        + `Side-by-side diff: ${diffFile}`,
+    );
+}
+
+async function writeDiffImage(name, expected, actual, width) {
+    const height = actual.length;
+    const gray = [0, 85, 170, 255];
+    const image = createImageData(width * 3, height);
+
+    const put = (x, y, [r, g, b]) => image.data.set([r, g, b, 255], (y * width * 3 + x) * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const e = gray[Number(expected[y][x])];
+            const a = gray[Number(actual[y][x])];
+            put(x, y, [e, e, e]);
+            put(width + x, y, [a, a, a]);
+            put(width * 2 + x, y, expected[y][x] === actual[y][x] ? [e >> 2, e >> 2, e >> 2] : [255, 0, 0]);
+        }
+    }
+
+    await mkdir(DIFF_DIR, { recursive: true });
+    const file = join(DIFF_DIR, `${name}.png`);
+    await writeFile(file, await encodePng(image));
+    return file;
+}
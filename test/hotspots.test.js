@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    hotspotRect, normalizeHotspots, hotspotAt, linkTargets, withoutLinksTo, linkedPhotos, exportAlbum,
+} from '../src/hotspots.js';
+import { decodePng } from '../src/png.js';
+import { memoryStorage } from './helpers.js';
+
+memoryStorage();
+
+function photo(id, hotspots = [], extra = {}) {
+    return {
+        id,
+        palette: 'classic',
+        width: 128,
+        height: 112,
+        shades: Uint8Array.from({ length: 128 * 112 }, (_, i) => (i + id.length) % 4),
+        hotspots,
+        ...extra,
+    };
+}
+
+const spot = (target, x = 0, y = 0, width = 10, height = 10) => ({ x, y, width, height, target });
+
+describe('hotspotRect', () => {
+    test('works whichever way it is dragged', () => {
+        const rect = { x: 10, y: 20, width: 30, height: 15 };
+        assert.deepEqual(hotspotRect({ x: 10, y: 20 }, { x: 40, y: 35 }, 128, 112), rect);
+        assert.deepEqual(hotspotRect({ x: 40.2, y: 35 }, { x: 9.6, y: 20 }, 128, 112), rect);
+    });
+
+    test('stays inside the photo', () => {
+        assert.deepEqual(hotspotRect({ x: -5, y: 100 }, { x: 20, y: 150 }, 128, 112), { x: 0, y: 100, width: 20, height: 12 });
+    });
+
+    test('ignores taps and slivers', () => {
+        assert.equal(hotspotRect({ x: 5, y: 5 }, { x: 6, y: 6 }, 128, 112), null);
+        assert.equal(hotspotRect({ x: 5, y: 5 }, { x: 60, y: 7 }, 128, 112), null);
+        assert.equal(hotspotRect({ x: 126, y: 5 }, { x: 140, y: 50 }, 128, 112), null);
+    });
+});
+
+describe('normalizeHotspots', () => {
+    test('keeps good hot spots and drops the rest', () => {
+        const good = spot('photo_b', 4, 4, 20, 20);
+        assert.deepEqual(normalizeHotspots([good, null, { ...good, target: 7 }, { ...good, x: 'left' }, spot('photo_c', 200, 0)], 128, 112), [good]);
+        assert.deepEqual(normalizeHotspots('nope', 128, 112), []);
+    });
+});
+
+describe('hotspotAt', () => {
+    const hotspots = [spot('a', 0, 0, 50, 50), spot('b', 40, 40, 20, 20)];
+
+    test('finds the topmost hot spot', () => {
+        assert.equal(hotspotAt(hotspots, 10, 10), 0);
+        assert.equal(hotspotAt(hotspots, 45, 45), 1);
+        assert.equal(hotspotAt(hotspots, 59.5, 50), 1);
+        assert.equal(hotspotAt(hotspots, 60, 50), -1);
+        assert.equal(hotspotAt([], 0, 0), -1);
+    });
+});
+
+describe('links', () => {
+    test('list each target once', () => {
+        assert.deepEqual(linkTargets([spot('b'), spot('c'), spot('b')]), ['b', 'c']);
+        assert.deepEqual(linkTargets(), []);
+    });
+
+    test('to deleted photos are dropped', () => {
+        assert.deepEqual(withoutLinksTo([spot('b'), spot('c'), spot('d')], ['b', 'd']), [spot('c')]);
+    });
+
+    test('lead to every reachable photo once, skipping missing ones', () => {
+        const photos = new Map([
+            ['a', photo('a', [spot('b'), spot('gone'), spot('c')])],
+            ['b', photo('b', [spot('a'), spot('d')])],
+            ['c', photo('c')],
+            ['d', photo('d', [spot('c')])],
+            ['e', photo('e', [spot('a')])],
+        ]);
+        assert.deepEqual(linkedPhotos('a', photos).map((p) => p.id), ['a', 'b', 'c', 'd']);
+        assert.deepEqual(linkedPhotos('c', photos).map((p) => p.id), ['c']);
+        assert.deepEqual(linkedPhotos('gone', photos), []);
+    });
+});
+
+describe('exportAlbum', () => {
+    test('is one page linking photos by fragment', async () => {
+        const album = [
+            photo('photo_a', [spot('photo_b', 32, 28, 64, 56), spot('photo_x')]),
+            photo('photo_b', [spot('photo_a')], { palette: 'sunset' }),
+        ];
+        const html = await exportAlbum(album, { title: 'Trip <2024>' });
+
+        assert.match(html, /<title>Trip &#60;2024&#62;<\/title>/);
+        assert.deepEqual([...html.matchAll(/<section id="(\w+)"/g)].map((m) => m[1]), ['p1', 'p2']);
+        assert.deepEqual([...html.matchAll(/<a href="#(\w+)"/g)].map((m) => m[1]), ['p2', 'p1']);
+        assert.match(html, /left:25%;top:25%;width:50%;height:50%/);
+        assert.doesNotMatch(html, /photo_|<script|https?:/);
+
+        const [first] = html.match(/(?<=data:image\/png;base64,)[^"]+/g);
+        const image = await decodePng(Uint8Array.from(atob(first), (c) => c.charCodeAt(0)));
+        assert.equal(image.width, 128);
+        assert.equal(image.height, 112);
+    });
+});
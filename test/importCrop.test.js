@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImportCrop, rotateImage, importSize, CROP_ASPECT, MIN_CROP_WIDTH } from '../src/importCrop.js';
+import { grayImage, levels } from './helpers.js';
+
+const inside = (crop) => {
+    const { x, y, width, height } = crop.rect;
+    return x >= 0 && y >= 0 && x + width <= crop.width && y + height <= crop.height;
+};
+
+describe('ImportCrop', () => {
+    test('starts as the largest centered 8:7 crop', () => {
+        assert.deepEqual(new ImportCrop(640, 480).rect, { x: 46, y: 0, width: 549, height: 480 });
+    });
+
+    test('moves, but not out of the image', () => {
+        const crop = new ImportCrop(400, 300);
+        crop.resize('se', 0, 0);
+        crop.moveTo(-50, 120.4);
+        assert.equal(crop.rect.x, 0);
+        assert.equal(crop.rect.y, 120);
+        crop.moveTo(1000, 1000);
+        assert.ok(inside(crop));
+        assert.equal(crop.rect.x + crop.rect.width, 400);
+    });
+
+    test('resizes from a corner, keeping the shape and the opposite corner', () => {
+        const crop = new ImportCrop(800, 600);
+        const { x, y, width, height } = crop.rect;
+        crop.resize('nw', x + 200, y + 100);
+        const r = crop.rect;
+        assert.equal(r.x + r.width, x + width);
+        assert.equal(r.y + r.height, y + height);
+        assert.ok(Math.abs(r.width / r.height - CROP_ASPECT) < 0.01);
+        assert.equal(r.width, width - 200);
+    });
+
+    test('stays inside the image and above the minimum size', () => {
+        const crop = new ImportCrop(800, 600);
+        crop.resize('se', 5000, 5000);
+        assert.ok(inside(crop));
+        crop.resize('ne', -5000, 5000);
+        assert.equal(crop.rect.width, MIN_CROP_WIDTH);
+        assert.ok(inside(crop));
+    });
+
+    test('tells corners from the body', () => {
+        const crop = new ImportCrop(160, 140);
+        assert.deepEqual(crop.rect, { x: 0, y: 0, width: 160, height: 140 });
+        assert.equal(crop.hit(2, 3, 8), 'nw');
+        assert.equal(crop.hit(158, 139, 8), 'se');
+        assert.equal(crop.hit(80, 70, 8), 'move');
+        assert.equal(crop.hit(200, 70, 8), null);
+    });
+});
+
+describe('rotateImage', () => {
+    const image = grayImage(3, 2, (x, y) => y * 3 + x);
+
+    test('turns clockwise', () => {
+        const turned = rotateImage(image);
+        assert.equal(turned.width, 2);
+        assert.deepEqual(levels(turned), [[3, 0], [4, 1], [5, 2]]);
+    });
+
+    test('four turns come back around', () => {
+        assert.deepEqual(levels(rotateImage(image, 4)), levels(image));
+        assert.deepEqual(levels(rotateImage(image, -1)), levels(rotateImage(image, 3)));
+    });
+});
+
+describe('importSize', () => {
+    test('shrinks big images and leaves small ones', () => {
+        assert.deepEqual(importSize(4032, 3024), { width: 1024, height: 768 });
+        assert.deepEqual(importSize(300, 200), { width: 300, height: 200 });
+    });
+});
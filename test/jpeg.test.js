@@ -0,0 +1,151 @@
+/**
+ * JPEG decoder tests against small files in test/fixtures/jpeg/, all of
+ * flat color swatches (or gray steps) so every pixel has a known value.
+ * progressive.jpg comes from libjpeg (through sharp); the rest from a
+ * separate one-off baseline encoder written for the restart intervals,
+ * subsampling and EXIF tags libjpeg's front ends don't expose.
+ *
+ * ycc444-restart.jpg  40×24, 4:4:4, a restart marker after every MCU (RST0–7 wrap)
+ * ycc420-restart.jpg  40×24, 4:2:0, restart interval 4 (last interval short)
+ * ycc422.jpg          40×24, 4:2:2
+ * gray.jpg            36×20, one component
+ * progressive.jpg     40×24, 4:2:0, spectral selection and successive
+ *                     approximation scans, EXIF orientation 8 (little-endian)
+ * orientation6.jpg    24×16, EXIF orientation 6 (big-endian)
+ *
+ * Decoded pixels may differ from the source by the stated tolerance: the
+ * files are lossy (quality 95).
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { decodeJpeg, applyOrientation } from '../src/jpeg.js';
+import { createImageData } from '../src/gbcProcessor.js';
+
+const TOLERANCE = 3;
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/jpeg/${name}.jpg`, import.meta.url)));
+
+const SWATCHES = [[200, 40, 40], [40, 160, 60], [50, 70, 200], [230, 210, 60], [30, 30, 30], [240, 240, 240]];
+// 16×16 swatches, three to a row, so edges line up with every MCU size
+const swatch = (x, y) => SWATCHES[(y >> 4) * 3 + (x >> 4)];
+const corner = (x, y) => SWATCHES[(y >> 3) * 3 + (x >> 3)];
+const steps = (x, y) => {
+    const v = 20 + 30 * (((x >> 3) + (y >> 3)) % 8);
+    return [v, v, v];
+};
+
+/**
+ * Largest per-channel difference between an image and the colors it should have
+ */
+function maxError(image, expected) {
+    let max = 0;
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const i = (y * image.width + x) * 4;
+            expected(x, y).forEach((v, c) => {
+                max = Math.max(max, Math.abs(image.data[i + c] - v));
+            });
+            assert.equal(image.data[i + 3], 255);
+        }
+    }
+    return max;
+}
+
+const markers = (bytes, first, last) => {
+    const found = [];
+    for (let i = 0; i < bytes.length - 1; i++) {
+        if (bytes[i] === 0xff && bytes[i + 1] >= first && bytes[i + 1] <= last) found.push(bytes[i + 1]);
+    }
+    return found;
+};
+
+describe('decodeJpeg', () => {
+    for (const [name, width, height, expected] of [
+        ['ycc444-restart', 40, 24, swatch],
+        ['ycc420-restart', 40, 24, swatch],
+        ['ycc422', 40, 24, swatch],
+        ['gray', 36, 20, steps],
+        ['progressive', 40, 24, swatch],
+    ]) {
+        test(name, () => {
+            const image = decodeJpeg(fixture(name));
+            assert.equal(image.width, width);
+            assert.equal(image.height, height);
+            assert.ok(maxError(image, expected) <= TOLERANCE);
+        });
+    }
+
+    test('the restart fixtures really restart', () => {
+        // 15 MCUs, one per interval: RST0–RST7, then RST0 again
+        assert.deepEqual(markers(fixture('ycc444-restart'), 0xd0, 0xd7), [0, 1, 2, 3, 4, 5, 6, 7, 0, 1, 2, 3, 4, 5].map((n) => 0xd0 + n));
+        assert.deepEqual(markers(fixture('ycc420-restart'), 0xd0, 0xd7), [0xd0]);
+        assert.ok(markers(fixture('progressive'), 0xda, 0xda).length > 2);
+    });
+
+    test('reads the EXIF orientation, either byte order', () => {
+        assert.equal(decodeJpeg(fixture('orientation6')).orientation, 6);
+        assert.equal(decodeJpeg(fixture('progressive')).orientation, 8);
+        assert.equal(decodeJpeg(fixture('ycc422')).orientation, 1);
+    });
+
+    test('rejects what it can\'t decode', () => {
+        assert.throws(() => decodeJpeg(Uint8Array.from([0x89, 0x50, 0x4e, 0x47])), /Not a JPEG/);
+
+        // The baseline file relabeled as arithmetic-coded (SOF9)
+        const arithmetic = fixture('ycc422');
+        const sof = arithmetic.findIndex((b, i) => b === 0xff && arithmetic[i + 1] === 0xc0);
+        arithmetic[sof + 1] = 0xc9;
+        assert.throws(() => decodeJpeg(arithmetic), /arithmetic-coded/);
+
+        assert.throws(() => decodeJpeg(Uint8Array.from([0xff, 0xd8, 0xff, 0xd9])), /no image data/);
+    });
+});
+
+describe('applyOrientation', () => {
+    // 3×2, each pixel's red channel numbering it 1–6:
+    // 1 2 3
+    // 4 5 6
+    const numbered = () => {
+        const image = createImageData(3, 2);
+        for (let i = 0; i < 6; i++) image.data.set([i + 1, 0, 0, 255], i * 4);
+        return image;
+    };
+    const reds = (image) => Array.from({ length: image.width * image.height }, (_, i) => image.data[i * 4]);
+
+    const UPRIGHT = {
+        2: [3, 3, 2, 1, 6, 5, 4],
+        3: [3, 6, 5, 4, 3, 2, 1],
+        4: [3, 4, 5, 6, 1, 2, 3],
+        5: [2, 1, 4, 2, 5, 3, 6],
+        6: [2, 4, 1, 5, 2, 6, 3],
+        7: [2, 6, 3, 5, 2, 4, 1],
+        8: [2, 3, 6, 2, 5, 1, 4],
+    };
+
+    for (const [orientation, [width, ...pixels]] of Object.entries(UPRIGHT)) {
+        test(`orientation ${orientation}`, () => {
+            const image = applyOrientation(numbered(), Number(orientation));
+            assert.equal(image.width, width);
+            assert.equal(image.height, 6 / width);
+            assert.deepEqual(reds(image), pixels);
+        });
+    }
+
+    test('leaves upright images alone', () => {
+        const image = numbered();
+        assert.equal(applyOrientation(image, 1), image);
+        assert.equal(applyOrientation(image, undefined), image);
+    });
+
+    test('turns a tagged file upright', () => {
+        const stored = decodeJpeg(fixture('orientation6'));
+        const upright = applyOrientation(stored, stored.orientation);
+        assert.equal(upright.width, 16);
+        assert.equal(upright.height, 24);
+        // Rotated 90° clockwise: the stored left column is now the top row
+        assert.ok(maxError(upright, (x, y) => corner(y, 15 - x)) <= TOLERANCE);
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    sensorShades, ditherTable, normalizeRegisters, gainDb, brightnessExposure, exposureBrightness,
+    REFERENCE_EXPOSURE, SENSOR_DEFAULTS, DEFAULT_BRIGHTNESS,
+} from '../src/m64282fp.js';
+import { flat, gradient, impulse } from './helpers.js';
+
+const mean = (shades) => shades.reduce((sum, s) => sum + s, 0) / shades.length;
+
+describe('ditherTable', () => {
+    // Matrix register bytes, 3 per cell, cells row-major: the softest,
+    // default and hardest contrast settings
+    const TABLES = {
+        0: [
+            11, 91, 171, 71, 151, 231, 26, 106, 186, 86, 166, 246,
+            51, 131, 211, 31, 111, 191, 66, 146, 226, 46, 126, 206,
+            21, 101, 181, 81, 161, 241, 16, 96, 176, 76, 156, 236,
+            61, 141, 221, 41, 121, 201, 56, 136, 216, 36, 116, 196,
+        ],
+        8: [
+            50, 103, 157, 89, 143, 196, 60, 113, 167, 99, 153, 206,
+            76, 130, 183, 63, 116, 170, 86, 140, 193, 73, 126, 180,
+            56, 109, 163, 96, 150, 203, 53, 106, 160, 93, 147, 200,
+            83, 136, 190, 70, 123, 177, 79, 133, 186, 66, 120, 173,
+        ],
+        15: [
+            84, 114, 144, 106, 136, 166, 90, 120, 150, 112, 142, 172,
+            99, 129, 159, 91, 121, 151, 105, 135, 165, 97, 127, 157,
+            88, 118, 148, 110, 140, 170, 86, 116, 146, 108, 138, 168,
+            103, 133, 163, 95, 125, 155, 101, 131, 161, 93, 123, 153,
+        ],
+    };
+
+    for (const [contrast, bytes] of Object.entries(TABLES)) {
+        test(`contrast ${contrast}`, () => {
+            assert.deepEqual(ditherTable(Number(contrast)), Uint8Array.from(bytes));
+        });
+    }
+
+    test('every cell has three ascending thresholds, around mid-scale', () => {
+        for (let contrast = 0; contrast < 16; contrast++) {
+            const table = ditherTable(contrast);
+            for (let cell = 0; cell < 16; cell++) {
+                const [a, b, c] = table.subarray(cell * 3, cell * 3 + 3);
+                assert.ok(a < b && b < c, `contrast ${contrast}, cell ${cell}`);
+            }
+            const average = table.reduce((sum, t) => sum + t, 0) / table.length;
+            assert.ok(Math.abs(average - 128) < 1, `contrast ${contrast}: ${average}`);
+        }
+    });
+
+    test('higher contrast narrows the threshold range', () => {
+        const range = (table) => Math.max(...table) - Math.min(...table);
+        for (let contrast = 1; contrast < 16; contrast++) {
+            assert.ok(range(ditherTable(contrast)) < range(ditherTable(contrast - 1)));
+        }
+    });
+});
+
+describe('brightness', () => {
+    test('sets the exposure time, half a stop a step', () => {
+        assert.equal(brightnessExposure(DEFAULT_BRIGHTNESS), REFERENCE_EXPOSURE);
+        assert.equal(brightnessExposure(DEFAULT_BRIGHTNESS + 2), REFERENCE_EXPOSURE * 2);
+        assert.equal(brightnessExposure(0), REFERENCE_EXPOSURE / 16);
+        assert.equal(brightnessExposure(15), 0x5a82);
+    });
+
+    test('any exposure maps back to the nearest setting', () => {
+        for (let brightness = 0; brightness < 16; brightness++) {
+            assert.equal(exposureBrightness(brightnessExposure(brightness)), brightness);
+        }
+        assert.equal(exposureBrightness(1), 0);
+        assert.equal(exposureBrightness(0xffff), 15);
+    });
+
+    test('brighter settings brighten the photo', () => {
+        const image = gradient(64, 8);
+        const at = (brightness) => mean(sensorShades(image, { exposure: brightnessExposure(brightness) }));
+        assert.ok(at(4) < at(8) && at(8) < at(12), `${at(4)} < ${at(8)} < ${at(12)}`);
+    });
+});
+
+describe('registers', () => {
+    test('normalizeRegisters clamps to the register widths', () => {
+        const r = normalizeRegisters({ exposure: 0x20000, gain: -4, vref: 9, offset: -40, edgeMode: 2.6, contrast: 99 });
+        assert.equal(r.exposure, 0xffff);
+        assert.equal(r.gain, 0);
+        assert.equal(r.vref, 7);
+        assert.equal(r.offset, -31);
+        assert.equal(r.edgeMode, 3);
+        assert.equal(r.contrast, 15);
+        assert.equal(r.invert, SENSOR_DEFAULTS.invert);
+    });
+
+    test('gainDb steps 1.5 dB, plus 12 dB for bit 4', () => {
+        assert.equal(gainDb(0), 14);
+        assert.equal(gainDb(2), 17);
+        assert.equal(gainDb(0x1f), 48.5);
+    });
+});
+
+describe('sensorShades', () => {
+    test('black and white saturate', () => {
+        assert.ok(sensorShades(flat(16, 16, 0)).every((s) => s === 0));
+        assert.ok(sensorShades(flat(16, 16, 255)).every((s) => s === 3));
+    });
+
+    test('invert flips the output', () => {
+        assert.ok(sensorShades(flat(8, 8, 0), { invert: 1 }).every((s) => s === 3));
+    });
+
+    test('longer exposure brightens', () => {
+        const image = gradient(64, 8);
+        const normal = mean(sensorShades(image));
+        const long = mean(sensorShades(image, { exposure: REFERENCE_EXPOSURE * 2 }));
+        assert.ok(long > normal, `${long} > ${normal}`);
+    });
+
+    test('exclusive edge mode outputs mid-gray where nothing changes', () => {
+        const shades = sensorShades(flat(8, 8, 200), { exclusive: 1 });
+        // Mid-scale against the dither table: shades 1 and 2 only
+        assert.ok(shades.every((s) => s === 1 || s === 2));
+    });
+
+    test('2D edge mode darkens the neighbors of a bright impulse', () => {
+        const image = impulse(8, 8, 4, 4, 128, 255);
+        const none = sensorShades(image, { edgeMode: 0 });
+        const edged = sensorShades(image, { edgeMode: 3, edgeRatio: 7 });
+        for (const [x, y] of [[3, 4], [5, 4], [4, 3], [4, 5]]) {
+            assert.equal(edged[y * 8 + x], 0, `neighbor ${x},${y}`);
+            assert.ok(none[y * 8 + x] > 0);
+        }
+        assert.equal(edged[4 * 8 + 4], 3);
+    });
+});
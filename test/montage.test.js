@@ -0,0 +1,62 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { montageMask, fillRegion, montageOverlay, MONTAGE_LAYOUTS } from '../src/montage.js';
+import { processShades, GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+import { flat, shadeRows } from './helpers.js';
+
+const PALETTE = [[0, 0, 0], [85, 85, 85], [170, 170, 170], [255, 255, 255]];
+
+describe('montageMask', () => {
+    test('splits the frame into the layout regions', () => {
+        assert.deepEqual(shadeRows(montageMask('leftRight', 4, 2), 4), ['0011', '0011']);
+        assert.deepEqual(shadeRows(montageMask('topBottom', 2, 4), 2), ['00', '00', '11', '11']);
+        assert.deepEqual(shadeRows(montageMask('quadrants', 4, 4), 4), ['0011', '0011', '2233', '2233']);
+        assert.deepEqual(shadeRows(montageMask('centerCutout', 4, 4), 4), ['0000', '0110', '0110', '0000']);
+    });
+
+    test('every layout covers the whole 128×112 frame with each of its regions', () => {
+        for (const [key, { regions }] of Object.entries(MONTAGE_LAYOUTS)) {
+            const mask = montageMask(key, GBC_WIDTH, GBC_HEIGHT);
+            const used = new Set(mask);
+            assert.deepEqual([...used].sort(), regions.map((_, i) => i), key);
+        }
+    });
+
+    test('an unknown layout throws', () => {
+        assert.throws(() => montageMask('triptych', 4, 4), /Unknown montage layout: triptych/);
+    });
+});
+
+describe('fillRegion', () => {
+    test('copies only the region', () => {
+        const mask = montageMask('leftRight', 4, 1);
+        const composite = new Uint8Array(4);
+        fillRegion(composite, Uint8Array.from([3, 3, 3, 3]), mask, 1);
+        assert.deepEqual([...composite], [0, 0, 3, 3]);
+    });
+
+    test('keeps the dither pattern continuous across the seam', () => {
+        // The same gray shot twice and montaged must be identical to one shot
+        const settings = { dither: 'bayer4' };
+        const shot = () => processShades(flat(GBC_WIDTH, GBC_HEIGHT, 110), settings);
+        const mask = montageMask('quadrants', GBC_WIDTH, GBC_HEIGHT);
+        const composite = new Uint8Array(GBC_WIDTH * GBC_HEIGHT);
+        for (let region = 0; region < 4; region++) fillRegion(composite, shot(), mask, region);
+        assert.deepEqual(composite, shot());
+    });
+});
+
+describe('montageOverlay', () => {
+    test('freezes earlier regions, clears the current one and shades later ones', () => {
+        const mask = montageMask('topBottom', 1, 4);
+        const composite = Uint8Array.from([2, 2, 0, 0]);
+        const { data } = montageOverlay(composite, mask, 1, PALETTE, 1, 4);
+        assert.deepEqual([...data.subarray(0, 4)], [170, 170, 170, 255]);
+        assert.equal(data[2 * 4 + 3], 0);
+
+        const first = montageOverlay(composite, mask, 0, PALETTE, 1, 4).data;
+        assert.equal(first[3], 0);
+        assert.deepEqual([...first.subarray(8, 12)], [0, 0, 0, 160]);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    PALETTES, DEFAULT_PALETTE, getPalettes, getPaletteRgb, validatePalette, saveCustomPalette,
+    deleteCustomPalette, moveCustomPalette, parsePaletteFile, exportPalette, hexToRgb, rgbToHex,
+} from '../src/palettes.js';
+import { memoryStorage } from './helpers.js';
+
+// Minimal in-memory localStorage for the custom palette store
+const storage = memoryStorage();
+
+const MINT = { name: 'Mint', colors: ['#102018', '#306850', '#88c070', '#e0f8d0'] };
+
+const customKeys = () => getPalettes().filter((p) => p.custom).map((p) => p.key);
+
+describe('getPaletteRgb', () => {
+    test('returns [r, g, b] entries for a built-in palette', () => {
+        assert.deepEqual(getPaletteRgb('classic'), PALETTES.classic.colors.map(hexToRgb));
+    });
+
+    test('falls back to the default palette for unknown keys', () => {
+        assert.deepEqual(getPaletteRgb('deleted_palette'), getPaletteRgb(DEFAULT_PALETTE));
+    });
+
+    test('built-in palettes are valid and ordered darkest → lightest', () => {
+        for (const [key, palette] of Object.entries(PALETTES)) {
+            assert.deepEqual(validatePalette(palette), [], key);
+        }
+    });
+});
+
+describe('hex colors', () => {
+    test('round-trip through rgb', () => {
+        assert.deepEqual(hexToRgb('#0f380f'), [15, 56, 15]);
+        assert.equal(rgbToHex([15, 56, 15]), '#0f380f');
+    });
+});
+
+describe('validatePalette', () => {
+    test('reports every readable problem', () => {
+        assert.deepEqual(validatePalette({ name: ' ', colors: ['#000000'] }), [
+            'Palette needs a name.',
+            'A palette has exactly 4 colors, this one has 1.',
+        ]);
+        assert.match(validatePalette({ name: 'x', colors: ['#000000', 'red', '#888888', '#ffffff'] })[0], /Color 2 \(red\)/);
+        assert.match(validatePalette({ name: 'x', colors: ['#ffffff', '#888888', '#444444', '#000000'] })[0], /darker/);
+    });
+});
+
+describe('custom palettes', () => {
+    beforeEach(() => {
+        for (const key of customKeys()) deleteCustomPalette(key);
+    });
+
+    test('save, rename and delete', () => {
+        const key = saveCustomPalette(MINT);
+        assert.deepEqual(getPaletteRgb(key), MINT.colors.map(hexToRgb));
+
+        saveCustomPalette({ ...MINT, key, name: 'Mint 2' });
+        assert.equal(getPalettes().find((p) => p.key === key).name, 'Mint 2');
+        assert.deepEqual(customKeys(), [key]);
+
+        deleteCustomPalette(key);
+        assert.deepEqual(customKeys(), []);
+    });
+
+    test('persist to localStorage', () => {
+        const key = saveCustomPalette(MINT);
+        assert.equal(JSON.parse(storage.getItem('ca_mera_palettes'))[0].key, key);
+    });
+
+    test('reorder', () => {
+        const a = saveCustomPalette({ ...MINT, name: 'A' });
+        const b = saveCustomPalette({ ...MINT, name: 'B' });
+        moveCustomPalette(b, -1);
+        assert.deepEqual(customKeys(), [b, a]);
+        moveCustomPalette(b, -1);
+        assert.deepEqual(customKeys(), [b, a]);
+    });
+
+    test('invalid palettes and built-in keys are refused', () => {
+        assert.throws(() => saveCustomPalette({ name: '', colors: [] }), /needs a name/);
+        assert.throws(() => saveCustomPalette({ ...MINT, key: 'classic' }), /built in/);
+    });
+});
+
+describe('palette files', () => {
+    test('each export format parses back to the same palette', () => {
+        for (const format of ['json', 'hex', 'gpl']) {
+            const [palette] = parsePaletteFile(exportPalette(MINT, format), `Mint.${format}`);
+            assert.deepEqual(palette, MINT, format);
+        }
+    });
+
+    test('errors name the file', () => {
+        assert.throws(() => parsePaletteFile('{', 'broken.json'), /^Error: broken\.json: not valid JSON/);
+        assert.throws(() => parsePaletteFile('ffffff\n000000', 'two.hex'), /two\.hex:\n.*exactly 4 colors/);
+        assert.throws(() => parsePaletteFile('', 'x.aco'), /unsupported palette format/);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { stitchPanorama, findOverlap, transposeShades, rotateShades, ghostRect } from '../src/panorama.js';
+import { processShades, cropImage, GBC_WIDTH, GBC_HEIGHT } from '../src/gbcProcessor.js';
+import { grayImage, shadeRows } from './helpers.js';
+
+// A wide scene with structure at several scales, so every overlap is distinctive
+const level = (x, y) => Math.round(
+    127 + 60 * Math.sin(x / 9) * Math.cos(y / 13) + 50 * Math.sin((x + 2 * y) / 23) + 17 * Math.cos(x / 3.7),
+);
+const worldShades = (width, height) => {
+    const shades = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) shades[y * width + x] = Math.min(3, Math.floor(level(x, y) / 64));
+    }
+    return { shades, width, height };
+};
+
+const crop = (grid, x0, y0, width, height) => {
+    const shades = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        shades.set(grid.shades.subarray((y0 + y) * grid.width + x0, (y0 + y) * grid.width + x0 + width), y * width);
+    }
+    return { shades, width, height };
+};
+
+describe('grid transforms', () => {
+    const grid = { shades: Uint8Array.from([0, 1, 2, 3, 3, 2]), width: 3, height: 2 };
+
+    test('transpose swaps rows and columns, and undoes itself', () => {
+        const t = transposeShades(grid);
+        assert.deepEqual(shadeRows(t.shades, t.width), ['03', '13', '22']);
+        assert.deepEqual(transposeShades(t), grid);
+    });
+
+    test('rotate turns clockwise', () => {
+        const r = rotateShades(grid);
+        assert.deepEqual(shadeRows(r.shades, r.width), ['30', '31', '22']);
+    });
+
+    test('ghost strip sits at the trailing edge of the previous shot', () => {
+        assert.deepEqual(ghostRect('horizontal', 128, 112), { x: 96, y: 0, width: 32, height: 112 });
+        assert.deepEqual(ghostRect('vertical', 128, 112), { x: 0, y: 84, width: 128, height: 28 });
+    });
+});
+
+describe('findOverlap', () => {
+    test('finds the overlap and drift between neighboring shots', () => {
+        const world = worldShades(300, 140);
+        const a = crop(world, 10, 12, GBC_WIDTH, GBC_HEIGHT);
+        const b = crop(world, 10 + 128 - 37, 12 + 5, GBC_WIDTH, GBC_HEIGHT);
+        const join = findOverlap(a, b, 32);
+        assert.equal(join.overlap, 37);
+        assert.equal(join.drift, 5);
+        assert.ok(join.score > 0.99);
+    });
+
+    test('falls back to the expected overlap on a featureless scene', () => {
+        const blank = { shades: new Uint8Array(GBC_WIDTH * GBC_HEIGHT).fill(2), width: GBC_WIDTH, height: GBC_HEIGHT };
+        assert.deepEqual(findOverlap(blank, blank, 32), { overlap: 32, drift: 0, score: 0 });
+    });
+});
+
+describe('stitchPanorama', () => {
+    test('reassembles a horizontal pan, cropped to the rows all shots share', () => {
+        const world = worldShades(420, 140);
+        const frames = [[0, 10], [100, 13], [190, 8], [286, 8]].map(([x, y]) => crop(world, x, y, GBC_WIDTH, GBC_HEIGHT));
+        const pano = stitchPanorama(frames, 'horizontal');
+
+        assert.deepEqual(pano.joins.map((j) => [j.overlap, j.drift]), [[28, 3], [38, -5], [32, 0]]);
+        assert.equal(pano.width, 286 + GBC_WIDTH);
+        assert.equal(pano.height, GBC_HEIGHT - 5);
+        assert.deepEqual(pano.shades, crop(world, 0, 13, pano.width, pano.height).shades);
+    });
+
+    test('reassembles a vertical pan', () => {
+        const world = worldShades(150, 330);
+        const frames = [[4, 0], [6, 90], [4, 180]].map(([x, y]) => crop(world, x, y, GBC_WIDTH, GBC_HEIGHT));
+        const pano = stitchPanorama(frames, 'vertical');
+
+        assert.equal(pano.width, GBC_WIDTH - 2);
+        assert.equal(pano.height, 180 + GBC_HEIGHT);
+        assert.deepEqual(pano.shades, crop(world, 6, 0, pano.width, pano.height).shades);
+    });
+
+    test('lines up independently dithered shots of the same scene', () => {
+        const scene = grayImage(360, GBC_HEIGHT, level);
+        const frames = [0, 100, 200].map((x) => {
+            const shades = processShades(cropImage(scene, { x, y: 0, width: GBC_WIDTH, height: GBC_HEIGHT }));
+            return { shades, width: GBC_WIDTH, height: GBC_HEIGHT };
+        });
+        const { joins } = stitchPanorama(frames);
+        for (const join of joins) {
+            assert.ok(Math.abs(join.overlap - 28) <= 1, `overlap ${join.overlap}`);
+            assert.ok(Math.abs(join.drift) <= 1, `drift ${join.drift}`);
+        }
+    });
+
+    test('rejects too few or mismatched shots', () => {
+        const frame = worldShades(GBC_WIDTH, GBC_HEIGHT);
+        assert.throws(() => stitchPanorama([frame]), /at least 2 shots/);
+        assert.throws(() => stitchPanorama([frame, worldShades(64, 64)]), /same size/);
+        assert.throws(() => stitchPanorama([frame, frame], 'diagonal'), /Unknown panorama direction/);
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodePng, decodePng, PNG_SIGNATURE } from '../src/png.js';
+import { renderShades } from '../src/gbcProcessor.js';
+import { getPaletteRgb } from '../src/palettes.js';
+import { gradient, imageToShades } from './helpers.js';
+
+describe('PNG', () => {
+    test('RGBA round-trip is lossless', async () => {
+        const image = gradient(37, 5);
+        image.data[3] = 0;
+        const decoded = await decodePng(await encodePng(image));
+        assert.equal(decoded.width, 37);
+        assert.equal(decoded.height, 5);
+        assert.deepEqual(decoded.data, image.data);
+    });
+
+    test('2-bit indexed round-trip keeps every shade', async () => {
+        const width = 13;
+        const shades = Uint8Array.from({ length: width * 3 }, (_, i) => (i * 7) % 4);
+        const paletteRgb = getPaletteRgb('classic');
+        const bytes = await encodePng(renderShades(shades, width, 3, 'classic'), { paletteRgb });
+
+        // Bit depth 2, color type 3 (indexed)
+        assert.deepEqual([bytes[24], bytes[25]], [2, 3]);
+        assert.deepEqual(imageToShades(await decodePng(bytes), paletteRgb), shades);
+    });
+
+    test('rejects files that are not PNGs', async () => {
+        await assert.rejects(decodePng(new Uint8Array([0xff, 0xd8, 0xff])), /Not a PNG file/);
+        await assert.rejects(decodePng(Uint8Array.from(PNG_SIGNATURE)), /missing its header/);
+    });
+});
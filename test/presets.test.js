@@ -0,0 +1,172 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    normalizeLook, getPresets, getPreset, savePreset, deletePreset, getLastLook, saveLastLook,
+    encodeLookLink, decodeLookLink, adoptLook, exportPreset, parsePresetFile, DEFAULT_LOOK,
+} from '../src/presets.js';
+import {
+    saveCustomPalette, deleteCustomPalette, getPalette, getPalettes, getPaletteRgb, DEFAULT_PALETTE,
+} from '../src/palettes.js';
+import { SENSOR_DEFAULTS } from '../src/m64282fp.js';
+import { memoryStorage } from './helpers.js';
+
+const storage = memoryStorage();
+
+const MINT = { name: 'Mint', colors: ['#102018', '#306850', '#88c070', '#e0f8d0'] };
+
+const share = (look, name) => decodeLookLink(`#${encodeLookLink(look, name)}`);
+const customCount = () => getPalettes().filter((p) => p.custom).length;
+
+beforeEach(() => storage.clear());
+
+describe('normalizeLook', () => {
+    test('fills in defaults', () => {
+        assert.deepEqual(normalizeLook(), DEFAULT_LOOK);
+        assert.deepEqual(normalizeLook('nonsense'), DEFAULT_LOOK);
+    });
+
+    test('clamps, falls back and drops unknown fields', () => {
+        const look = normalizeLook({
+            palette: 'toString',
+            brightness: 3,
+            contrast: -1,
+            gamma: 'bright',
+            lens: 'fisheye',
+            dither: '__proto__',
+            thresholds: [0.9, 2, 'x'],
+            sensor: 'quantum',
+            registers: { gain: 99, vref: 'low', bogus: 1 },
+            extra: true,
+        });
+        assert.equal(look.palette, DEFAULT_PALETTE);
+        assert.equal(look.brightness, 0.5);
+        assert.equal(look.contrast, 0.5);
+        assert.equal(look.gamma, 1);
+        assert.equal(look.lens, 'none');
+        assert.equal(look.dither, DEFAULT_LOOK.dither);
+        assert.deepEqual(look.thresholds, [0.75, 0.9, 1]);
+        assert.equal(look.sensor, 'simple');
+        assert.deepEqual(look.registers, { ...SENSOR_DEFAULTS, gain: 31 });
+        assert.equal('extra' in look, false);
+        assert.doesNotThrow(() => getPaletteRgb(look.palette));
+    });
+
+    test('gives a dither its own spread when none is set', () => {
+        assert.equal(normalizeLook({ dither: 'floydSteinberg' }).spread, 1);
+        assert.equal(normalizeLook({ dither: 'floydSteinberg', spread: 0.5 }).spread, 0.5);
+    });
+});
+
+describe('presets', () => {
+    test('are saved, replaced by name and deleted', () => {
+        const soft = savePreset(' Soft ', { contrast: 0.8 });
+        const crunchy = savePreset('Crunchy', { contrast: 2, dither: 'atkinson' });
+        assert.deepEqual(getPresets().map((p) => p.name), ['Soft', 'Crunchy']);
+        assert.equal(getPreset(crunchy).look.dither, 'atkinson');
+
+        assert.equal(savePreset('Soft', { contrast: 0.6 }), soft);
+        assert.equal(getPreset(soft).look.contrast, 0.6);
+        assert.equal(getPresets().length, 2);
+
+        deletePreset(soft);
+        assert.deepEqual(getPresets().map((p) => p.key), [crunchy]);
+        assert.throws(() => savePreset('  ', {}), /needs a name/);
+    });
+
+    test('survive damaged storage', () => {
+        storage.setItem('ca_mera_presets', '{oops');
+        assert.deepEqual(getPresets(), []);
+        storage.setItem('ca_mera_presets', JSON.stringify([{ key: 'p1', name: 'Ok', look: { gamma: 9 } }, { name: 7 }]));
+        assert.deepEqual(getPresets(), [{ key: 'p1', name: 'Ok', look: { ...DEFAULT_LOOK, gamma: 2 } }]);
+    });
+
+    test('remember the last look', () => {
+        assert.deepEqual(getLastLook(), DEFAULT_LOOK);
+        saveLastLook({ ...DEFAULT_LOOK, lens: 'mirrorH' });
+        assert.equal(getLastLook().lens, 'mirrorH');
+    });
+});
+
+describe('look links', () => {
+    test('leave out whatever is default', () => {
+        assert.equal(encodeLookLink(DEFAULT_LOOK), 'look=1');
+        assert.equal(encodeLookLink({ ...DEFAULT_LOOK, contrast: 1.5, dither: 'atkinson' }), 'look=1&c=1.5&d=atkinson&s=0.33');
+    });
+
+    test('round-trip every field', () => {
+        const look = {
+            palette: 'sunset',
+            brightness: -0.12,
+            contrast: 1.85,
+            gamma: 1.4,
+            autoExposure: true,
+            edgeStrength: 0.65,
+            lens: 'kaleidoscope',
+            dither: 'floydSteinberg',
+            spread: 0.33,
+            thresholds: [0.2, 0.45, 0.8],
+            sensor: 'authentic',
+            registers: { ...SENSOR_DEFAULTS, gain: 12, offset: -5, exclusive: 1 },
+        };
+        const { name, look: shared } = share(look, 'Dusk & co');
+        assert.equal(name, 'Dusk & co');
+        assert.deepEqual(adoptLook(shared), look);
+    });
+
+    test('bring a custom palette along', () => {
+        const key = saveCustomPalette(MINT);
+        const { look } = share({ ...DEFAULT_LOOK, palette: key });
+
+        // On another device: the palette is created once, then reused
+        deleteCustomPalette(key);
+        const adopted = adoptLook(look);
+        assert.notEqual(adopted.palette, key);
+        assert.equal(getPalette(adopted.palette).name, 'Mint');
+        assert.deepEqual(getPalette(adopted.palette).colors, MINT.colors);
+        assert.equal(adoptLook(look).palette, adopted.palette);
+        assert.equal(customCount(), 1);
+        deleteCustomPalette(adopted.palette);
+    });
+
+    test('survive tampering', () => {
+        const palettes = customCount();
+        const { look } = decodeLookLink('#look=1&p=constructor&b=abc&c=99&t=,,&r=1,2&l=__proto__&pc=zzzzzz&a=yes&x=1');
+        const adopted = adoptLook(look);
+        assert.equal(adopted.palette, DEFAULT_PALETTE);
+        assert.equal(adopted.brightness, 0);
+        assert.equal(adopted.contrast, 2.5);
+        assert.deepEqual(adopted.thresholds, DEFAULT_LOOK.thresholds);
+        assert.deepEqual(adopted.registers, { ...SENSOR_DEFAULTS, exposure: 1, gain: 2 });
+        assert.equal(adopted.lens, 'none');
+        assert.equal(adopted.autoExposure, false);
+        assert.equal(customCount(), palettes);
+    });
+
+    test('ignore fragments that are not looks', () => {
+        assert.equal(decodeLookLink(''), null);
+        assert.equal(decodeLookLink('#section-2'), null);
+    });
+});
+
+describe('preset files', () => {
+    test('round-trip', () => {
+        const look = { ...DEFAULT_LOOK, gamma: 0.7, lens: 'tile4' };
+        const { name, look: shared } = parsePresetFile(exportPreset('Tiles', look), 'x.json');
+        assert.equal(name, 'Tiles');
+        assert.deepEqual(adoptLook(shared), look);
+    });
+
+    test('reject files that are not presets', () => {
+        assert.throws(() => parsePresetFile('{', 'a.json'), /a\.json isn't valid JSON/);
+        assert.throws(() => parsePresetFile('{"name":"Mint","colors":[]}', 'mint.json'), /isn't a ca_mera preset/);
+        assert.throws(
+            () => parsePresetFile('{"format":"ca_mera-preset","version":2,"look":{}}', 'new.json'),
+            /newer version/,
+        );
+    });
+
+    test('are named after the file when they have no name', () => {
+        assert.equal(parsePresetFile('{"format":"ca_mera-preset","version":1,"look":{}}', 'Night.json').name, 'Night');
+    });
+});
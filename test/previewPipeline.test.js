@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PreviewPipeline } from '../src/previewPipeline.js';
+
+/**
+ * Stand-in for the preview worker: records what's posted, or throws
+ * like postMessage does on a frame it can't transfer
+ */
+class FakeWorker {
+    constructor() {
+        this.posted = [];
+        this.fail = false;
+    }
+
+    addEventListener() {}
+
+    postMessage(message) {
+        if (this.fail) throw new DOMException('Frame could not be cloned', 'DataCloneError');
+        this.posted.push(message);
+    }
+}
+
+globalThis.Worker = FakeWorker;
+
+const frame = () => ({ closed: false, close() { this.closed = true; } });
+
+describe('PreviewPipeline', () => {
+    test('is busy while a frame is with the worker', () => {
+        const pipeline = new PreviewPipeline({ onFrame: () => {} });
+        pipeline.process(frame(), {}, []);
+        assert.equal(pipeline.busy, true);
+        assert.equal(pipeline.worker.posted.length, 1);
+
+        pipeline.receive({ error: 'boom', buffer: new ArrayBuffer(4) });
+        assert.equal(pipeline.busy, false);
+    });
+
+    test('a frame that fails to post is closed and the next one goes through', () => {
+        const pipeline = new PreviewPipeline({ onFrame: () => {} });
+        const buffer = new ArrayBuffer(4);
+        pipeline.buffer = buffer;
+
+        const bad = frame();
+        pipeline.worker.fail = true;
+        assert.throws(() => pipeline.process(bad, {}, []), { name: 'DataCloneError' });
+        assert.equal(bad.closed, true);
+        assert.equal(pipeline.busy, false);
+        assert.equal(pipeline.buffer, buffer);
+
+        pipeline.worker.fail = false;
+        pipeline.process(frame(), {}, []);
+        assert.equal(pipeline.busy, true);
+        assert.equal(pipeline.worker.posted[0].buffer, buffer);
+    });
+});
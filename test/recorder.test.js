@@ -0,0 +1,35 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FramePacer, pickVideoType, VIDEO_TYPES } from '../src/recorder.js';
+
+describe('pickVideoType', () => {
+    test('takes the first supported WebM type', () => {
+        assert.equal(pickVideoType(() => true), VIDEO_TYPES[0]);
+        assert.equal(pickVideoType((type) => !type.includes('vp9')), 'video/webm;codecs=vp8,opus');
+    });
+
+    test('leaves the choice to the browser when none are supported', () => {
+        assert.equal(pickVideoType(() => false), '');
+    });
+});
+
+describe('FramePacer', () => {
+    const recorded = (fps, times) => {
+        const pacer = new FramePacer(fps);
+        return times.filter((t) => pacer.due(t));
+    };
+
+    test('thins a 60 fps preview down to 15 fps', () => {
+        const times = Array.from({ length: 60 }, (_, i) => i * (1000 / 60));
+        assert.equal(recorded(15, times).length, 15);
+    });
+
+    test('keeps to the schedule despite jitter', () => {
+        assert.deepEqual(recorded(10, [0, 50, 101, 180, 199, 205, 310]), [0, 101, 205, 310]);
+    });
+
+    test('restarts after a stall instead of catching up', () => {
+        assert.deepEqual(recorded(10, [0, 100, 550, 560, 600, 650]), [0, 100, 550, 650]);
+    });
+});
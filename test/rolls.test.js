@@ -0,0 +1,88 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getRolls, getRoll, getActiveRoll, setActiveRoll, createRoll, addRoll, renameRoll, removeRoll,
+    getFullPolicy, setFullPolicy, fullRollAction, DEFAULT_ROLL, DEFAULT_FULL_POLICY,
+} from '../src/rolls.js';
+import { memoryStorage } from './helpers.js';
+
+const storage = memoryStorage();
+
+describe('rolls', () => {
+    test('start with one active cartridge for existing photos', () => {
+        assert.deepEqual(getRolls(), [{ id: DEFAULT_ROLL, name: 'CART 1' }]);
+        assert.equal(getActiveRoll().id, DEFAULT_ROLL);
+        assert.equal(getFullPolicy(), DEFAULT_FULL_POLICY);
+    });
+
+    test('are numbered, renamed and remembered', () => {
+        const second = createRoll();
+        const named = createRoll('  Holiday ');
+        assert.equal(getRoll(second).name, 'CART 2');
+        assert.equal(getRoll(named).name, 'Holiday');
+
+        renameRoll(second, 'Beach');
+        renameRoll(named, '   '); // blank names are ignored
+        assert.deepEqual(getRolls().map((r) => r.name), ['CART 1', 'Beach', 'Holiday']);
+
+        const saved = JSON.parse(storage.getItem('ca_mera_rolls'));
+        assert.deepEqual(saved.rolls.map((r) => r.id), [DEFAULT_ROLL, second, named]);
+        assert.equal(createRoll(), getRolls()[3].id);
+        assert.equal(getRolls()[3].name, 'CART 4');
+    });
+
+    test('keep their ID when added from elsewhere', () => {
+        addRoll({ id: 'roll_from_phone', name: 'PHONE' });
+        addRoll({ id: 'roll_from_phone', name: 'AGAIN' });
+        assert.equal(getRoll('roll_from_phone').name, 'PHONE');
+        removeRoll('roll_from_phone');
+    });
+
+    test('removing the active roll activates the first one left', () => {
+        const [, second] = getRolls();
+        setActiveRoll(second.id);
+        assert.equal(getActiveRoll().id, second.id);
+        removeRoll(second.id);
+        assert.equal(getActiveRoll().id, DEFAULT_ROLL);
+        assert.throws(() => setActiveRoll(second.id), /Unknown roll/);
+    });
+
+    test('the last roll stays', () => {
+        getRolls().slice(1).forEach((r) => removeRoll(r.id));
+        assert.throws(() => removeRoll(DEFAULT_ROLL), /last cartridge/);
+    });
+
+    test('full-roll policy is checked and saved', () => {
+        setFullPolicy('block');
+        assert.equal(getFullPolicy(), 'block');
+        assert.equal(JSON.parse(storage.getItem('ca_mera_rolls')).policy, 'block');
+        assert.throws(() => setFullPolicy('shred'), /Unknown full-roll policy/);
+    });
+});
+
+describe('fullRollAction', () => {
+    test('saves while there is room, whatever the policy', () => {
+        for (const policy of ['rollover', 'warn', 'block']) {
+            assert.equal(fullRollAction(policy, { count: 28, favorites: 28 }, 30), 'save');
+        }
+    });
+
+    test('warns at the last free spot', () => {
+        assert.equal(fullRollAction('warn', { count: 29, favorites: 0 }, 30), 'last');
+        assert.equal(fullRollAction('rollover', { count: 29, favorites: 0 }, 30), 'save');
+        assert.equal(fullRollAction('block', { count: 29, favorites: 0 }, 30), 'save');
+    });
+
+    test('follows the policy once full', () => {
+        const full = { count: 30, favorites: 3 };
+        assert.equal(fullRollAction('rollover', full, 30), 'rollover');
+        assert.equal(fullRollAction('warn', full, 30), 'replace');
+        assert.equal(fullRollAction('block', full, 30), 'block');
+    });
+
+    test('never replaces favorites', () => {
+        assert.equal(fullRollAction('warn', { count: 30, favorites: 30 }, 30), 'block');
+        assert.equal(fullRollAction('rollover', { count: 30, favorites: 30 }, 30), 'rollover');
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const SCOPE = 'https://example.com/ca-mera/';
+const SOURCE = readFileSync(new URL('../src/sw.js', import.meta.url), 'utf8');
+
+/**
+ * Run sw.js the way the build emits it, against in-memory caches and a
+ * network that can be switched off
+ */
+function loadWorker({ precache, version, caches = new Map(), files = {} }) {
+    const listeners = {};
+    const network = { online: true, requests: [] };
+    const calls = { skipWaiting: 0, claim: 0 };
+    const resolve = (url) => new URL(typeof url === 'string' ? url : url.url, SCOPE).href;
+
+    const cacheOf = (entries) => ({
+        entries,
+        async match(key, { ignoreSearch = false } = {}) {
+            const url = new URL(resolve(key));
+            if (ignoreSearch) url.search = '';
+            return entries.get(url.href)?.clone();
+        },
+        async addAll(requests) {
+            const responses = await Promise.all(requests.map((r) => fetch(r)));
+            requests.forEach((r, i) => entries.set(resolve(r), responses[i]));
+        },
+    });
+
+    async function fetch(request) {
+        const url = resolve(request);
+        network.requests.push(url);
+        if (!network.online) throw new TypeError('Failed to fetch');
+        const path = url.slice(SCOPE.length);
+        return path in files ? new Response(files[path]) : new Response('', { status: 404 });
+    }
+
+    const self = {
+        location: new URL('sw.js', SCOPE),
+        clients: { claim: async () => { calls.claim++; } },
+        skipWaiting: () => { calls.skipWaiting++; },
+        addEventListener: (type, fn) => { listeners[type] = fn; },
+    };
+    const context = {
+        self,
+        caches: {
+            open: async (name) => cacheOf(caches.get(name) ?? caches.set(name, new Map()).get(name)),
+            keys: async () => [...caches.keys()],
+            delete: async (name) => caches.delete(name),
+        },
+        fetch,
+        Request: class extends Request {
+            constructor(url, init) {
+                super(resolve(url), init);
+            }
+        },
+        Response,
+        URL,
+        Promise,
+    };
+    vm.runInNewContext(`const PRECACHE = ${JSON.stringify(precache)};\nconst VERSION = '${version}';\n${SOURCE}`, context);
+
+    /**
+     * Fire an event at the worker; resolves with what it waited on or responded with
+     */
+    async function dispatch(type, init = {}) {
+        let result;
+        const event = {
+            ...init,
+            waitUntil: (promise) => { result = promise; },
+            respondWith: (promise) => { result = promise; },
+        };
+        listeners[type](event);
+        return result === undefined ? undefined : { value: await result };
+    }
+    const request = (path, mode = 'cors') => ({ url: new URL(path, SCOPE).href, method: 'GET', mode });
+
+    return { caches, network, calls, dispatch, request };
+}
+
+const FILES = {
+    'index.html': '<!DOCTYPE html><title>ca_mera</title>',
+    'assets/index-abc123.js': 'console.log("ca_mera")',
+    'assets/press-start-2p-latin-400-normal.woff2': 'font',
+};
+
+describe('service worker', () => {
+    test('precaches the build on install', async () => {
+        const sw = loadWorker({ precache: Object.keys(FILES), version: 'v1', files: FILES });
+        await sw.dispatch('install');
+        assert.deepEqual([...sw.caches.keys()], ['ca_mera-v1']);
+        assert.deepEqual([...sw.caches.get('ca_mera-v1').keys()], Object.keys(FILES).map((f) => SCOPE + f));
+    });
+
+    test('serves the app from the cache with the network off', async () => {
+        const sw = loadWorker({ precache: Object.keys(FILES), version: 'v1', files: FILES });
+        await sw.dispatch('install');
+        sw.network.online = false;
+        sw.network.requests = [];
+
+        const page = await sw.dispatch('fetch', { request: sw.request('./?perf', 'navigate') });
+        assert.equal(await page.value.text(), FILES['index.html']);
+        const font = await sw.dispatch('fetch', { request: sw.request('assets/press-start-2p-latin-400-normal.woff2') });
+        assert.equal(await font.value.text(), 'font');
+        assert.deepEqual(sw.network.requests, []);
+    });
+
+    test('leaves other requests to the network', async () => {
+        const sw = loadWorker({ precache: [], version: 'v1', files: { 'api.json': '{}' } });
+        const other = await sw.dispatch('fetch', { request: sw.request('api.json') });
+        assert.equal(await other.value.text(), '{}');
+
+        const crossOrigin = { url: 'https://fonts.example.org/font.woff2', method: 'GET', mode: 'cors' };
+        assert.equal(await sw.dispatch('fetch', { request: crossOrigin }), undefined);
+        assert.equal(await sw.dispatch('fetch', { request: { ...sw.request('api.json'), method: 'POST' } }), undefined);
+    });
+
+    test('drops older versions once it takes over', async () => {
+        const caches = new Map([['ca_mera-v1', new Map()], ['ca_mera-v2', new Map()], ['someone-else', new Map()]]);
+        const sw = loadWorker({ precache: [], version: 'v2', caches });
+        await sw.dispatch('activate');
+        assert.deepEqual([...caches.keys()], ['ca_mera-v2', 'someone-else']);
+        assert.equal(sw.calls.claim, 1);
+    });
+
+    test('waits until the page asks it to take over', async () => {
+        const sw = loadWorker({ precache: Object.keys(FILES), version: 'v2', files: FILES });
+        await sw.dispatch('install');
+        assert.equal(sw.calls.skipWaiting, 0);
+        await sw.dispatch('message', { data: { type: 'SKIP_WAITING' } });
+        assert.equal(sw.calls.skipWaiting, 1);
+    });
+});
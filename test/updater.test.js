@@ -0,0 +1,99 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Updater } from '../src/updater.js';
+
+/**
+ * Just enough of ServiceWorkerContainer and friends. `controller` is set
+ * when the page already runs on a version.
+ */
+function fakeContainer({ controller = null, waiting = null } = {}) {
+    const registration = Object.assign(new EventTarget(), {
+        installing: null,
+        waiting,
+        updates: 0,
+        update: async () => { registration.updates++; },
+    });
+    const container = Object.assign(new EventTarget(), {
+        controller,
+        register: async () => registration,
+    });
+    return { container, registration };
+}
+
+function fakeWorker() {
+    return Object.assign(new EventTarget(), {
+        state: 'installing',
+        messages: [],
+        postMessage(message) { this.messages.push(message); },
+    });
+}
+
+/**
+ * Walk a new worker through install the way the browser does
+ */
+function install(registration, worker) {
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    worker.state = 'installed';
+    registration.installing = null;
+    registration.waiting = worker;
+    worker.dispatchEvent(new Event('statechange'));
+}
+
+function track() {
+    const seen = { updates: 0, reloads: 0 };
+    const hooks = { onUpdate: () => seen.updates++, onReload: () => seen.reloads++ };
+    return { seen, hooks };
+}
+
+describe('Updater', () => {
+    test('does nothing where service workers are missing', async () => {
+        const updater = new Updater(track().hooks, null);
+        assert.equal(updater.supported, false);
+        assert.equal(await updater.register('sw.js'), null);
+    });
+
+    test('the first install is not an update', async () => {
+        const { container, registration } = fakeContainer();
+        const { seen, hooks } = track();
+        await new Updater(hooks, container).register('sw.js');
+
+        install(registration, fakeWorker());
+        container.dispatchEvent(new Event('controllerchange')); // clients.claim()
+        assert.deepEqual(seen, { updates: 0, reloads: 0 });
+    });
+
+    test('reports a new version, and reloads only once asked to switch', async () => {
+        const { container, registration } = fakeContainer({ controller: fakeWorker() });
+        const { seen, hooks } = track();
+        const updater = new Updater(hooks, container);
+        await updater.register('sw.js');
+
+        const worker = fakeWorker();
+        install(registration, worker);
+        assert.equal(seen.updates, 1);
+        assert.deepEqual(worker.messages, []);
+
+        updater.apply();
+        assert.deepEqual(worker.messages, [{ type: 'SKIP_WAITING' }]);
+        container.dispatchEvent(new Event('controllerchange'));
+        assert.equal(seen.reloads, 1);
+    });
+
+    test('reports a version that was already waiting', async () => {
+        const { container } = fakeContainer({ controller: fakeWorker(), waiting: fakeWorker() });
+        const { seen, hooks } = track();
+        await new Updater(hooks, container).register('sw.js');
+        assert.equal(seen.updates, 1);
+    });
+
+    test('checks for updates on request', async () => {
+        const { container, registration } = fakeContainer();
+        const updater = new Updater(track().hooks, container);
+        await updater.check(); // not registered yet
+        await updater.register('sw.js');
+        await updater.check();
+        assert.equal(registration.updates, 1);
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createZip, readZip } from '../src/zip.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('ZIP', () => {
+    test('round-trips stored and deflated entries', async () => {
+        const noise = Uint8Array.from({ length: 64 }, (_, i) => (i * 97 + 13) % 251);
+        const date = new Date(2024, 4, 17, 10, 30, 42);
+        const bytes = await createZip([
+            { name: 'manifest.json', data: '{"a":"aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa"}', date },
+            { name: 'photos/ñ.png', data: noise, date },
+        ]);
+
+        const view = new DataView(bytes.buffer);
+        assert.equal(view.getUint16(8, true), 8, 'repetitive text is deflated');
+        const [manifest, photo] = await readZip(bytes);
+        assert.equal(manifest.name, 'manifest.json');
+        assert.equal(text(manifest.data), '{"a":"aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa"}');
+        assert.equal(photo.name, 'photos/ñ.png');
+        assert.deepEqual(photo.data, noise);
+        assert.equal(photo.date.getTime(), date.getTime());
+    });
+
+    test('reports a damaged entry without losing the others', async () => {
+        const bytes = await createZip([
+            { name: 'a.txt', data: 'first' },
+            { name: 'b.txt', data: 'second' },
+        ]);
+        // Flip a byte of a.txt's (stored) data
+        bytes[30 + 'a.txt'.length] ^= 0xff;
+
+        const [a, b] = await readZip(bytes);
+        assert.equal(a.error, 'checksum mismatch');
+        assert.equal(a.data, undefined);
+        assert.equal(text(b.data), 'second');
+    });
+
+    test('rejects files that are not ZIPs', async () => {
+        await assert.rejects(readZip(new TextEncoder().encode('not a zip at all, honest')), /Not a ZIP archive/);
+    });
+});
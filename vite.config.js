@@ -1,8 +1,57 @@
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join, relative } from 'node:path';
 import { defineConfig } from 'vite';
 
+/**
+ * Emit src/sw.js as sw.js, prefixed with the list of files to precache
+ * (the whole build plus public/) and a version that changes with them
+ */
+function serviceWorker() {
+  let publicDir;
+  return {
+    name: 'ca_mera-service-worker',
+    apply: 'build',
+    enforce: 'post', // after index.html is emitted
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const files = Object.values(bundle)
+        .filter((item) => !item.fileName.endsWith('.map'))
+        .map((item) => {
+          hash.update(item.fileName).update(item.type === 'chunk' ? item.code : item.source);
+          return item.fileName;
+        });
+      for (const path of existsSync(publicDir) ? listFiles(publicDir) : []) {
+        const fileName = relative(publicDir, path).split('\\').join('/');
+        hash.update(fileName).update(readFileSync(path));
+        files.push(fileName);
+      }
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE = ${JSON.stringify(files.sort())};\n`
+          + `const VERSION = '${hash.digest('hex').slice(0, 12)}';\n\n${source}`,
+      });
+    },
+  };
+}
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  });
+}
+
 export default defineConfig(({ mode }) => ({
   root: '.',
   base: mode === 'production' ? '/ca-mera/' : '/',
+  plugins: [serviceWorker()],
   build: {
     outDir: 'dist',
   },